@@ -15,12 +15,20 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
-import OpenAI from 'openai';
-import { appendArticlesWithDedup, getExistingSourceUrls } from '../../lib/sheets.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { getArticleStore } from '../../lib/article-store/index.js';
+import {
+  getModel,
+  isLlmConfigured,
+  llmConfigError,
+  completeJson,
+  setCostContext,
+  getSessionCost,
+  estimateCost,
+  assertWithinBudget,
+  BudgetExceededError
+} from '../../lib/llm.js';
+import { emitProgress, emitWarning, emitArticleCreated, emitResult } from '../../lib/agent-events.js';
+import { getPrompt, renderPrompt } from '../../lib/prompts.js';
 
 // Load settings from file, with defaults
 const SETTINGS_FILE = path.join(__dirname, '../../data/crime_watch_settings.json');
@@ -49,10 +57,7 @@ const settings = loadSettings();
 const NEWSWORTHY_CRIMES = settings.newsworthyCrimes;
 const SKIP_CRIMES = settings.skipCrimes;
 
-async function loadPrompt() {
-  const promptPath = path.join(__dirname, '../../prompts/generate-crime-brief.txt');
-  return fs.readFileSync(promptPath, 'utf-8');
-}
+const BRIEF_MAX_TOKENS = 800;
 
 async function loadIncidents(incidentsPath) {
   const content = fs.readFileSync(incidentsPath, 'utf-8');
@@ -115,42 +120,31 @@ function formatIncidentForGeneration(incident) {
 - Reference ID: ${incident.referenceId || 'N/A'}`;
 }
 
-async function generateBrief(systemPrompt, incidentText) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content: `Generate a crime brief for this incident:\n\n${incidentText}`
-      }
-    ],
+async function generateBrief(incidentText, incidentId) {
+  const { data } = await completeJson({
+    task: 'crime-brief',
+    schema: 'crime-brief',
+    context: { incidentId },
+    messages: renderPrompt('crime-brief', { incident: incidentText }).messages,
     temperature: 0.5,
-    max_tokens: 800,
-    response_format: { type: 'json_object' }
+    maxTokens: BRIEF_MAX_TOKENS
   });
 
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (e) {
-    console.error('Failed to parse JSON response:', content.slice(0, 300));
-    throw new Error('Invalid JSON response from GPT-4');
-  }
+  return data;
 }
 
 async function main() {
   const incidentsPath = process.argv[2];
   const outputPath = process.argv[3];
+  setCostContext({ agent: 'crime-watch' });
 
   if (!incidentsPath) {
     console.error('Usage: node generate.js <incidents_path> [output_path]');
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
+  if (!isLlmConfigured()) {
+    console.error(`❌ ${llmConfigError()}`);
     process.exit(1);
   }
 
@@ -160,11 +154,12 @@ async function main() {
   try {
     // Load prompt and incidents
     console.log('📄 Loading incidents...');
-    const systemPrompt = await loadPrompt();
+    const prompt = getPrompt('crime-brief');
     const incidentsData = await loadIncidents(incidentsPath);
 
     const incidents = incidentsData.incidents || incidentsData;
     console.log(`   Total incidents: ${incidents.length}`);
+    console.log(`   Prompt: crime-brief v${prompt.version}`);
 
     // Filter for newsworthy incidents
     const newsworthy = filterNewsworthyIncidents(incidents);
@@ -172,15 +167,24 @@ async function main() {
 
     if (newsworthy.length === 0) {
       console.log('ℹ️  No newsworthy incidents found in this data set.');
+      emitResult({
+        type: 'info',
+        message: 'No newsworthy incidents found',
+        counts: { incidents: incidents.length, newsworthy: 0 }
+      });
       process.exit(0);
     }
 
     // Check for existing articles to avoid regenerating duplicates
+    const store = getArticleStore();
     let existingUrls = new Set();
-    if (process.env.GOOGLE_SPREADSHEET_ID) {
-      console.log('\n🔍 Checking for existing articles...');
-      existingUrls = await getExistingSourceUrls('crime-watch');
-      console.log(`   Found ${existingUrls.size} existing crime articles in sheet`);
+    console.log('\n🔍 Checking for existing articles...');
+    try {
+      existingUrls = await store.getSourceUrls('crime-watch');
+      console.log(`   Found ${existingUrls.size} existing crime articles in ${store.name} store`);
+    } catch (e) {
+      console.log('   Could not check existing articles, continuing...');
+      emitWarning(`Could not check existing articles: ${e.message}`);
     }
 
     // Filter out incidents we've already processed
@@ -190,23 +194,47 @@ async function main() {
     });
 
     console.log(`   New incidents to process: ${newIncidents.length}`);
-    console.log(`   Skipping: ${newsworthy.length - newIncidents.length} (already in sheet)\n`);
+    console.log(`   Skipping: ${newsworthy.length - newIncidents.length} (already stored)\n`);
 
     if (newIncidents.length === 0) {
       console.log('ℹ️  All newsworthy incidents have already been processed.');
+      emitResult({
+        type: 'info',
+        message: 'No new entries - all incidents already processed',
+        counts: { incidents: incidents.length, newsworthy: newsworthy.length, skippedDuplicates: newsworthy.length }
+      });
       process.exit(0);
     }
 
+    // Refuse up front if briefing every new incident would cross a budget
+    const estimateUsd = newIncidents.reduce((sum, incident) => sum + estimateCost({
+      task: 'crime-brief',
+      promptChars: prompt.system.length + prompt.user.length + formatIncidentForGeneration(incident).length,
+      completionTokens: BRIEF_MAX_TOKENS
+    }), 0);
+    console.log(`💰 Estimated cost: $${estimateUsd.toFixed(2)} for ${newIncidents.length} briefs\n`);
+    assertWithinBudget(estimateUsd);
+
     // Generate briefs for each NEW newsworthy incident
     const articles = [];
-    let estimatedCost = 0;
+    let budgetStop = null;
 
     for (let i = 0; i < newIncidents.length; i++) {
       const incident = newIncidents[i];
       console.log(`📝 [${i + 1}/${newIncidents.length}] Generating brief for: ${incident.crime || incident.crimeClass}`);
+      emitProgress(`Generating brief ${i + 1} of ${newIncidents.length}`, { current: i + 1, total: newIncidents.length });
 
       const incidentText = formatIncidentForGeneration(incident);
-      const brief = await generateBrief(systemPrompt, incidentText);
+      let brief;
+      try {
+        brief = await generateBrief(incidentText, incident.referenceId || incident.id);
+      } catch (error) {
+        if (!(error instanceof BudgetExceededError)) throw error;
+        // Keep what was generated; unbriefed incidents are picked up by the next run
+        budgetStop = { remaining: newIncidents.length - i };
+        console.log(`   ⏸️  Stopping with ${budgetStop.remaining} incidents left for a later run`);
+        break;
+      }
 
       articles.push({
         incident: {
@@ -220,7 +248,6 @@ async function main() {
         generated: brief
       });
 
-      estimatedCost += 0.005; // rough estimate per call
       console.log(`   ✓ Generated: "${brief.headline}"`);
 
       // Small delay to avoid rate limits
@@ -234,13 +261,13 @@ async function main() {
       metadata: {
         sourceFile: incidentsPath,
         generatedAt: new Date().toISOString(),
-        model: 'gpt-4o',
+        model: getModel('crime-brief'),
         totalIncidents: incidents.length,
         newsworthyIncidents: newsworthy.length,
         newIncidents: newIncidents.length,
         skippedDuplicates: newsworthy.length - newIncidents.length,
         articlesGenerated: articles.length,
-        estimatedCost: `~$${estimatedCost.toFixed(2)}`
+        costUsd: getSessionCost()
       },
       articles
     };
@@ -253,11 +280,12 @@ async function main() {
     fs.writeFileSync(finalOutputPath, JSON.stringify(output, null, 2));
     console.log(`\n✅ Articles saved to: ${finalOutputPath}`);
 
-    // Write to Google Sheets if configured
-    if (process.env.GOOGLE_SPREADSHEET_ID && articles.length > 0) {
-      console.log('\n📊 Writing to Google Sheets...');
+    // Add to the article store
+    let addedArticles = [];
+    if (articles.length > 0) {
+      console.log(`\n📊 Saving to ${store.name} store...`);
       try {
-        const sheetArticles = articles.map(a => ({
+        const storeArticles = articles.map(a => ({
           agentSource: 'crime-watch',
           headline: a.generated.headline || '',
           body: a.generated.brief || '',
@@ -269,14 +297,17 @@ async function main() {
           status: 'draft'
         }));
 
-        // Use dedup function as safety net (should already be filtered, but double-check)
-        const result = await appendArticlesWithDedup(sheetArticles, 'crime-watch');
-        console.log(`   ✓ Added ${result.rowsAdded} new articles to sheet`);
+        // Dedup as a safety net (should already be filtered, but double-check)
+        const result = await store.createMany(storeArticles, 'crime-watch');
+        console.log(`   ✓ Added ${result.created.length} new articles`);
         if (result.skipped > 0) {
           console.log(`   ⚠️  Skipped ${result.skipped} duplicates`);
         }
-      } catch (sheetError) {
-        console.error(`   ⚠️  Sheet write failed: ${sheetError.message}`);
+        addedArticles = result.created;
+        addedArticles.forEach(emitArticleCreated);
+      } catch (storeError) {
+        console.error(`   ⚠️  Article save failed: ${storeError.message}`);
+        emitWarning(`Article save failed: ${storeError.message}`);
       }
     }
 
@@ -285,7 +316,7 @@ async function main() {
     console.log('📊 GENERATION SUMMARY');
     console.log('='.repeat(60));
     console.log(`   Articles generated: ${articles.length}`);
-    console.log(`   Estimated cost: ~$${estimatedCost.toFixed(2)}`);
+    console.log(`   Cost: $${getSessionCost().toFixed(4)}`);
 
     // Show severity breakdown
     const severityCounts = { high: 0, medium: 0, low: 0 };
@@ -309,6 +340,26 @@ async function main() {
       console.log(`\n🐦 Twitter: ${first.social_posts?.twitter || 'N/A'}`);
     }
 
+    const added = addedArticles.length;
+    const budgetNote = budgetStop
+      ? ` - budget reached, ${budgetStop.remaining} incident${budgetStop.remaining !== 1 ? 's' : ''} left for a later run`
+      : '';
+    emitResult({
+      type: added > 0 ? 'success' : 'info',
+      message: (added > 0
+        ? `Added ${added} new crime article${added !== 1 ? 's' : ''}`
+        : 'Scan complete - no new articles') + budgetNote,
+      count: added,
+      counts: {
+        incidents: incidents.length,
+        newsworthy: newsworthy.length,
+        generated: articles.length,
+        skippedDuplicates: newsworthy.length - newIncidents.length,
+        deferredByBudget: budgetStop ? budgetStop.remaining : 0
+      },
+      costs: { usd: getSessionCost() }
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
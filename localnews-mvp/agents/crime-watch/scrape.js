@@ -18,6 +18,7 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
+import { emitResult } from '../../lib/agent-events.js';
 
 const BASE_URL = 'https://communitycrimemap.com/api/v1';
 
@@ -243,6 +244,13 @@ async function main() {
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
     console.log(`\n✅ Saved to: ${outputPath}`);
 
+    emitResult({
+      type: 'success',
+      message: `Fetched ${incidents.length} incidents`,
+      counts: { incidents: incidents.length },
+      dataFile: outputPath
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     console.error(error.stack);
@@ -4,11 +4,19 @@
  * Town Meeting Analysis Agent
  *
  * Analyzes meeting transcripts using GPT-4 to extract:
- * - Decisions and votes
+ * - Decisions, and a roll-call record of each vote
  * - Topics debated
  * - Notable quotes
  * - Action items
  *
+ * Long transcripts are analyzed in overlapping chunks; a reconciliation pass
+ * then folds together the decisions, topics and action items that more than
+ * one chunk reported, and writes the summary of the whole meeting.
+ *
+ * When the meeting's agenda has been ingested (ingest_agenda.js), decisions,
+ * topics and votes are tagged with the agenda item they belong to. Quotes found
+ * in the transcript link into the meeting video where they were said.
+ *
  * Usage: node analyze.js <transcript_path> [output_path]
  */
 
@@ -20,20 +28,45 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-import OpenAI from 'openai';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { emitProgress, emitWarning, emitResult } from '../../lib/agent-events.js';
+import {
+  getModel,
+  isLlmConfigured,
+  llmConfigError,
+  complete,
+  completeJson,
+  setCostContext,
+  getSessionCost,
+  estimateCost,
+  assertWithinBudget,
+  BudgetExceededError
+} from '../../lib/llm.js';
+import { getPrompt, renderPrompt } from '../../lib/prompts.js';
+import { getMeetingInfo, formatMeetingInfo, formatBoardMembers } from '../../lib/meeting-info.js';
+import { verifyQuotes } from '../../lib/quote-verification.js';
+import { speakerText } from '../../lib/speaker-attribution.js';
+import { normalizeVote } from '../../lib/votes.js';
+import { loadAgenda, findAgendaItem, formatAgenda } from '../../lib/agenda.js';
+import { meetingVideoUrl } from '../../lib/video-links.js';
 
 // GPT-4 has ~128k context, but we need to respect TPM limits (e.g. 30k)
 const MAX_TOKENS_PER_CHUNK = 15000;
 const CHARS_PER_TOKEN = 4; // rough estimate
-
-async function loadPrompt() {
-  const promptPath = path.join(__dirname, '../../prompts/analyze-meeting.txt');
-  return fs.readFileSync(promptPath, 'utf-8');
-}
+const MAX_RESPONSE_TOKENS = 4000; // per chunk analysis
+const CHUNK_OVERLAP_CHARS = 3000; // about three minutes repeated at the start of the next chunk
+const MERGE_RESPONSE_TOKENS = 4000;
+const MERGE_CHARS_PER_CHUNK = 6000; // rough size of one chunk's items in the merge prompt
+
+// Lists reconciled across chunks, with the fields the merge prompt sees
+const MERGE_LISTS = {
+  decisions: ['topic', 'outcome', 'vote_count', 'timestamp'],
+  topics_debated: ['title', 'summary', 'timestamp'],
+  action_items: ['description', 'responsible_party', 'deadline', 'timestamp'],
+  newsworthy_highlights: ['headline_suggestion', 'why_newsworthy']
+};
+
+// List fields combined from every item of a group
+const UNION_FIELDS = ['key_points', 'speakers', 'key_facts'];
 
 async function loadTranscript(transcriptPath) {
   const content = fs.readFileSync(transcriptPath, 'utf-8');
@@ -42,126 +75,296 @@ async function loadTranscript(transcriptPath) {
 }
 
 function formatTranscriptForAnalysis(transcript) {
-  // Format segments with timestamps for context
+  // Format segments with timestamps (and speakers, once labeled) for context
   if (transcript.segments && transcript.segments.length > 0) {
     return transcript.segments
-      .map(seg => `[${seg.timestamp}] ${seg.text}`)
+      .map((seg, i) => `[${seg.timestamp}] ${speakerText(seg, transcript.segments[i - 1])}`)
       .join('\n');
   }
   // Fallback to full text
   return transcript.fullText;
 }
 
-function chunkText(text, maxChars) {
+/**
+ * Split text into chunks of whole lines. Each chunk after the first starts
+ * with up to overlapChars of the previous one, so a discussion that crosses a
+ * boundary is seen whole by at least one chunk.
+ */
+function chunkText(text, maxChars, overlapChars = 0) {
   const chunks = [];
   const lines = text.split('\n');
-  let currentChunk = '';
+  let current = [];
+  let length = 0;
+  let newLines = 0; // lines not already in the previous chunk
 
   for (const line of lines) {
-    if ((currentChunk + line).length > maxChars) {
-      if (currentChunk) {
-        chunks.push(currentChunk.trim());
+    if (newLines > 0 && length + line.length + 1 > maxChars) {
+      chunks.push(current.join('\n').trim());
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0 && overlapLength + current[i].length + 1 <= overlapChars; i--) {
+        overlap.unshift(current[i]);
+        overlapLength += current[i].length + 1;
       }
-      currentChunk = line + '\n';
-    } else {
-      currentChunk += line + '\n';
+      current = overlap;
+      length = overlapLength;
+      newLines = 0;
     }
+    current.push(line);
+    length += line.length + 1;
+    newLines++;
   }
 
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+  if (newLines > 0 && current.join('\n').trim()) {
+    chunks.push(current.join('\n').trim());
   }
 
   return chunks;
 }
 
-async function analyzeChunk(systemPrompt, transcriptChunk, chunkIndex, totalChunks) {
+async function analyzeChunk(transcriptChunk, chunkIndex, totalChunks, meeting, agenda, departmentId) {
   console.log(`🔍 Analyzing chunk ${chunkIndex + 1}/${totalChunks}...`);
 
-  const userMessage = totalChunks > 1
-    ? `This is part ${chunkIndex + 1} of ${totalChunks} of a town council meeting transcript. Analyze this portion:\n\n${transcriptChunk}`
-    : `Analyze this town council meeting transcript:\n\n${transcriptChunk}`;
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userMessage }
-    ],
+  const { messages } = renderPrompt('analysis', {
+    meeting: formatMeetingInfo(meeting),
+    boardMembers: formatBoardMembers(meeting),
+    part: totalChunks > 1 ? chunkIndex + 1 : '',
+    totalParts: totalChunks > 1 ? totalChunks : '',
+    agenda: formatAgenda(agenda),
+    transcript: transcriptChunk
+  }, { departmentId });
+
+  const { data } = await completeJson({
+    task: 'analysis',
+    schema: 'analysis',
+    messages,
     temperature: 0.3,
-    max_tokens: 4000,
-    response_format: { type: 'json_object' }
+    maxTokens: MAX_RESPONSE_TOKENS
   });
 
-  const content = response.choices[0].message.content;
+  return data;
+}
+
+function normalize(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
 
-  try {
-    return JSON.parse(content);
-  } catch (e) {
-    console.error('Failed to parse JSON response:', content.slice(0, 500));
-    throw new Error('Invalid JSON response from GPT-4');
+/**
+ * Fold items that describe the same thing into one: the given fields win,
+ * list fields are combined, and every timestamp is kept (earliest first)
+ */
+function combineItems(items, fields = {}) {
+  const combined = { ...items[0] };
+  // Chunks that saw only part of a discussion may not have matched its agenda item
+  combined.agenda_item ??= items.find(item => item.agenda_item)?.agenda_item;
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && value !== '') combined[field] = value;
   }
+  for (const field of UNION_FIELDS) {
+    const values = items.flatMap(item => (Array.isArray(item[field]) ? item[field] : []));
+    if (values.length > 0) {
+      combined[field] = values.filter((value, i) => values.findIndex(other => normalize(other) === normalize(value)) === i);
+    }
+  }
+  const timestamps = [...new Set(items.flatMap(item => item.timestamps || (item.timestamp ? [item.timestamp] : [])))].sort();
+  if (timestamps.length > 0) combined.timestamp = timestamps[0];
+  if (timestamps.length > 1) combined.timestamps = timestamps;
+  return combined;
 }
 
-async function mergeAnalyses(analyses) {
-  // If only one chunk, return as-is
-  if (analyses.length === 1) {
-    return analyses[0];
+/**
+ * Fold together items whose fields (apart from the timestamp) are identical,
+ * as happens when the chunk overlap is analyzed twice
+ */
+function dropRepeats(items, fields) {
+  const byKey = new Map();
+  for (const item of items) {
+    const key = fields.filter(field => field !== 'timestamp').map(field => normalize(item[field])).join('|');
+    byKey.set(key, [...(byKey.get(key) || []), item]);
   }
+  return [...byKey.values()].map(group => (group.length > 1 ? combineItems(group) : group[0]));
+}
 
-  // Merge multiple chunk analyses
-  const merged = {
-    decisions: [],
-    topics_debated: [],
-    notable_quotes: [],
-    action_items: [],
-    newsworthy_highlights: [],
-    meeting_summary: ''
-  };
+/**
+ * Drop repeated quotes. A quote cut off at a chunk boundary matches the full
+ * quote from the next chunk, and the longer text is kept.
+ */
+function mergeQuotes(quotes) {
+  const merged = [];
+  for (const quote of quotes) {
+    const text = normalize(quote.text);
+    const match = merged.find(other => {
+      const otherText = normalize(other.text);
+      if (otherText === text) return true;
+      return Math.min(otherText.length, text.length) >= 20 && (otherText.includes(text) || text.includes(otherText));
+    });
+    if (!match) {
+      merged.push({ ...quote });
+      continue;
+    }
+    if (quote.text.length > match.text.length) match.text = quote.text;
+    for (const field of ['speaker', 'context', 'timestamp']) {
+      if (!match[field] && quote[field]) match[field] = quote[field];
+    }
+  }
+  return merged;
+}
 
-  for (const analysis of analyses) {
-    if (analysis.decisions) merged.decisions.push(...analysis.decisions);
-    if (analysis.topics_debated) merged.topics_debated.push(...analysis.topics_debated);
-    if (analysis.notable_quotes) merged.notable_quotes.push(...analysis.notable_quotes);
-    if (analysis.action_items) merged.action_items.push(...analysis.action_items);
-    if (analysis.newsworthy_highlights) merged.newsworthy_highlights.push(...analysis.newsworthy_highlights);
+/**
+ * Drop repeated votes. A vote taken in the chunk overlap is reported by both
+ * chunks (same item or same timestamp); the record with the most member votes
+ * is kept, filled in from the other.
+ */
+function mergeVotes(votes) {
+  const merged = [];
+  for (const vote of votes) {
+    const match = merged.find(other => normalize(other.item) === normalize(vote.item) ||
+      (other.timestamp && other.timestamp === vote.timestamp));
+    if (!match) {
+      merged.push({ ...vote, members: [...(vote.members || [])] });
+      continue;
+    }
+    const [more, fewer] = (vote.members?.length || 0) > match.members.length ? [vote, match] : [match, vote];
+    const members = [...(more.members || [])];
+    for (const member of fewer.members || []) {
+      if (!members.some(m => normalize(m.name) === normalize(member.name))) members.push(member);
+    }
+    for (const field of ['motion', 'mover', 'seconder', 'timestamp', 'agenda_item']) {
+      if (!match[field] && vote[field]) match[field] = vote[field];
+    }
+    if (match.result === 'unknown' && vote.result) match.result = vote.result;
+    match.members = members;
   }
+  return merged;
+}
 
-  // Use GPT to synthesize meeting summary from all chunks
+/**
+ * Ask the model which items from different chunks are the same, and for the
+ * summary of the whole meeting. Items left out of every group are kept as
+ * they are.
+ */
+async function reconcileAnalyses(merged, summaries, meeting, departmentId) {
+  const items = Object.fromEntries(Object.entries(MERGE_LISTS).map(([kind, fields]) => [
+    kind,
+    merged[kind].map((item, i) => ({
+      number: i + 1,
+      part: item.part,
+      ...Object.fromEntries(fields.filter(field => item[field] !== undefined && item[field] !== null && item[field] !== '').map(field => [field, item[field]]))
+    }))
+  ]));
+
+  const { messages } = renderPrompt('analysis-merge', {
+    meeting: formatMeetingInfo(meeting),
+    summaries,
+    items: JSON.stringify(items, null, 2)
+  }, { departmentId });
+
+  const { data } = await completeJson({
+    task: 'analysis-merge',
+    schema: 'analysis-merge',
+    messages,
+    temperature: 0.2,
+    maxTokens: MERGE_RESPONSE_TOKENS
+  });
+
+  const reconciled = { ...merged, meeting_summary: data.meeting_summary.trim() };
+  for (const kind of Object.keys(MERGE_LISTS)) {
+    const list = merged[kind];
+    const grouped = new Set();
+    const combined = [];
+    for (const { items: numbers, ...fields } of data[kind] || []) {
+      const valid = numbers.map(Number).filter(n => list[n - 1] && !grouped.has(n));
+      if (valid.length === 0) continue;
+      valid.forEach(n => grouped.add(n));
+      combined.push(combineItems(valid.map(n => list[n - 1]), fields));
+    }
+    list.forEach((item, i) => {
+      if (!grouped.has(i + 1)) combined.push(item);
+    });
+    reconciled[kind] = combined;
+  }
+  return reconciled;
+}
+
+/**
+ * Summary of the whole meeting from the chunk summaries alone (used when
+ * reconciliation fails)
+ */
+async function summarizeParts(summaries, meeting, departmentId) {
   console.log('📝 Synthesizing overall meeting summary...');
 
-  const summaryResponse = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      {
-        role: 'system',
-        content: 'You are a local news analyst. Synthesize the following partial meeting summaries into one cohesive 2-3 sentence overview. Return only the summary text, no JSON.'
-      },
-      {
-        role: 'user',
-        content: analyses.map((a, i) => `Part ${i + 1}: ${a.meeting_summary || 'No summary'}`).join('\n\n')
-      }
-    ],
+  const { messages } = renderPrompt('analysis-summary', {
+    meeting: formatMeetingInfo(meeting),
+    summaries
+  }, { departmentId });
+
+  const summary = await complete({
+    task: 'analysis-summary',
+    messages,
     temperature: 0.3,
-    max_tokens: 300
+    maxTokens: 300
   });
 
-  merged.meeting_summary = summaryResponse.choices[0].message.content.trim();
+  return summary.content.trim();
+}
 
-  return merged;
+async function mergeAnalyses(analyses, meeting, departmentId) {
+  // If only one chunk, return as-is
+  if (analyses.length === 1) {
+    return analyses[0];
+  }
+
+  // Every chunk's items, tagged with their chunk, with exact repeats folded together
+  const merged = {};
+  for (const [kind, fields] of Object.entries(MERGE_LISTS)) {
+    merged[kind] = dropRepeats(
+      analyses.flatMap((analysis, i) => (analysis[kind] || []).map(item => ({ ...item, part: i + 1 }))),
+      fields
+    );
+  }
+  const extractedCount = Object.keys(MERGE_LISTS)
+    .reduce((sum, kind) => sum + analyses.reduce((n, analysis) => n + (analysis[kind]?.length || 0), 0), 0);
+  const summaries = analyses.map((a, i) => `Part ${i + 1}: ${a.meeting_summary || 'No summary'}`).join('\n\n');
+
+  let reconciled;
+  try {
+    console.log('🧩 Reconciling items found in more than one chunk...');
+    reconciled = await reconcileAnalyses(merged, summaries, meeting, departmentId);
+  } catch (error) {
+    if (error instanceof BudgetExceededError) throw error;
+    console.warn(`⚠️  Could not reconcile chunk analyses: ${error.message}`);
+    emitWarning(`Could not reconcile chunk analyses, keeping their items unmerged: ${error.message}`);
+    reconciled = { ...merged, meeting_summary: await summarizeParts(summaries, meeting, departmentId) };
+  }
+
+  const withoutParts = list => list.map(({ part: _part, ...item }) => item);
+  const result = {
+    decisions: withoutParts(reconciled.decisions),
+    topics_debated: withoutParts(reconciled.topics_debated),
+    notable_quotes: mergeQuotes(analyses.flatMap(a => a.notable_quotes || [])),
+    votes: mergeVotes(analyses.flatMap(a => a.votes || [])),
+    action_items: withoutParts(reconciled.action_items),
+    newsworthy_highlights: withoutParts(reconciled.newsworthy_highlights),
+    meeting_summary: reconciled.meeting_summary
+  };
+  const reconciledCount = Object.keys(MERGE_LISTS).reduce((sum, kind) => sum + result[kind].length, 0);
+  console.log(`   ${extractedCount} items from ${analyses.length} chunks reconciled into ${reconciledCount}`);
+
+  return result;
 }
 
 async function main() {
   const transcriptPath = process.argv[2];
   const outputPath = process.argv[3];
+  const departmentId = process.env.DEPARTMENT_ID || null;
 
   if (!transcriptPath) {
     console.error('Usage: node analyze.js <transcript_path> [output_path]');
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
+  if (!isLlmConfigured()) {
+    console.error(`❌ ${llmConfigError()}`);
     process.exit(1);
   }
 
@@ -170,12 +373,19 @@ async function main() {
   try {
     // Load prompt and transcript
     console.log('📄 Loading transcript...');
-    const systemPrompt = await loadPrompt();
+    const prompt = getPrompt('analysis', { departmentId });
     const transcript = await loadTranscript(transcriptPath);
 
+    setCostContext({ agent: 'town-meeting', meetingId: transcript.videoId });
+    const meeting = getMeetingInfo(transcript.videoId, { departmentId, durationMinutes: transcript.durationMinutes });
+    const agenda = loadAgenda(transcript.videoId);
+
     console.log(`   Video ID: ${transcript.videoId}`);
+    console.log(`   Meeting: ${meeting.type || 'unknown type'}${meeting.date ? ` on ${meeting.date}` : ''}`);
     console.log(`   Duration: ${transcript.durationMinutes} minutes`);
     console.log(`   Segments: ${transcript.segments?.length || 0}`);
+    console.log(`   Agenda: ${agenda ? `${agenda.items.length} item(s)` : 'none'}`);
+    console.log(`   Prompt: analysis v${prompt.version}${prompt.departmentId ? ` (${prompt.departmentId})` : ''}`);
 
     // Format transcript for analysis
     const formattedText = formatTranscriptForAnalysis(transcript);
@@ -188,23 +398,59 @@ async function main() {
 
     // Chunk if necessary
     const maxChars = MAX_TOKENS_PER_CHUNK * CHARS_PER_TOKEN;
-    const chunks = chunkText(formattedText, maxChars);
+    const chunks = chunkText(formattedText, maxChars, CHUNK_OVERLAP_CHARS);
     console.log(`📦 Split into ${chunks.length} chunk(s) for analysis\n`);
 
+    // Refuse up front if analyzing every chunk would cross a budget
+    let estimateUsd = chunks.reduce((sum, chunk) =>
+      sum + estimateCost({ task: 'analysis', promptChars: prompt.system.length + prompt.user.length + chunk.length, completionTokens: MAX_RESPONSE_TOKENS }), 0);
+    if (chunks.length > 1) {
+      estimateUsd += estimateCost({ task: 'analysis-merge', promptChars: chunks.length * MERGE_CHARS_PER_CHUNK, completionTokens: MERGE_RESPONSE_TOKENS });
+    }
+    console.log(`💰 Estimated analysis cost: $${estimateUsd.toFixed(2)}\n`);
+    assertWithinBudget(estimateUsd);
+
     // Analyze each chunk
     const analyses = [];
     for (let i = 0; i < chunks.length; i++) {
-      const analysis = await analyzeChunk(systemPrompt, chunks[i], i, chunks.length);
+      emitProgress(`Analyzing chunk ${i + 1} of ${chunks.length}`, { current: i + 1, total: chunks.length });
+      const analysis = await analyzeChunk(chunks[i], i, chunks.length, meeting, agenda, departmentId);
       analyses.push(analysis);
 
-      // Show progress
-      const cost = ((i + 1) * 0.01).toFixed(2); // rough GPT-4 estimate
-      console.log(`   Estimated cost so far: ~$${cost}`);
+      console.log(`   Cost so far: $${getSessionCost().toFixed(4)}`);
     }
 
     // Merge analyses if multiple chunks
     console.log('\n🔄 Merging analysis results...');
-    const finalAnalysis = await mergeAnalyses(analyses);
+    const finalAnalysis = await mergeAnalyses(analyses, meeting, departmentId);
+
+    // Vote records use the roster's spellings, so votes can be followed across meetings
+    finalAnalysis.votes = (finalAnalysis.votes || []).map(vote => normalizeVote(vote, meeting.boardMembers));
+
+    // Agenda item numbers as printed on the agenda (null for ones it doesn't have)
+    if (agenda) {
+      for (const kind of ['decisions', 'topics_debated', 'votes']) {
+        finalAnalysis[kind] = (finalAnalysis[kind] || []).map(item => ({
+          ...item,
+          agenda_item: findAgendaItem(agenda, item.agenda_item)?.number ?? null
+        }));
+      }
+    }
+
+    // Check the quotes are verbatim, and take their timestamps from the transcript
+    let unverifiedQuotes = null;
+    if (transcript.segments?.length > 0 && finalAnalysis.notable_quotes?.length > 0) {
+      const checks = verifyQuotes(finalAnalysis.notable_quotes.map(q => q.text), transcript);
+      finalAnalysis.notable_quotes = finalAnalysis.notable_quotes.map((quote, i) => ({
+        ...quote,
+        timestamp: checks[i].timestamp || quote.timestamp || null,
+        startSeconds: checks[i].startSeconds,
+        videoUrl: checks[i].startSeconds !== null ? meetingVideoUrl(transcript.videoId, checks[i].startSeconds) : null,
+        verification: checks[i].status
+      }));
+      unverifiedQuotes = checks.filter(c => c.status === 'unverified').length;
+      console.log(`🔎 Quotes: ${checks.length - unverifiedQuotes} of ${checks.length} found in the transcript`);
+    }
 
     // Add metadata
     const output = {
@@ -213,7 +459,12 @@ async function main() {
         sourceFile: transcriptPath,
         analyzedAt: new Date().toISOString(),
         durationMinutes: transcript.durationMinutes,
-        model: 'gpt-4o'
+        meetingDate: meeting.date,
+        meetingType: meeting.type,
+        department: meeting.departmentName,
+        unverifiedQuotes,
+        model: getModel('analysis'),
+        promptVersion: prompt.version
       },
       analysis: finalAnalysis
     };
@@ -231,6 +482,7 @@ async function main() {
     console.log(`   Decisions: ${finalAnalysis.decisions?.length || 0}`);
     console.log(`   Topics: ${finalAnalysis.topics_debated?.length || 0}`);
     console.log(`   Quotes: ${finalAnalysis.notable_quotes?.length || 0}`);
+    console.log(`   Votes: ${finalAnalysis.votes.length}`);
     console.log(`   Action items: ${finalAnalysis.action_items?.length || 0}`);
     console.log(`   Newsworthy items: ${finalAnalysis.newsworthy_highlights?.length || 0}`);
 
@@ -238,10 +490,27 @@ async function main() {
       console.log(`\n📝 Meeting Summary:\n   ${finalAnalysis.meeting_summary}`);
     }
 
+    emitResult({
+      type: 'success',
+      message: `Analyzed meeting ${transcript.videoId}`,
+      counts: {
+        chunks: chunks.length,
+        decisions: finalAnalysis.decisions?.length || 0,
+        quotes: finalAnalysis.notable_quotes?.length || 0,
+        votes: finalAnalysis.votes.length
+      },
+      costs: { usd: getSessionCost() }
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
   }
 }
 
-main();
+// Run only when executed directly, so the merge can be tested on its own
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { mergeAnalyses };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Town Meeting Speaker Attribution Agent
+ *
+ * Labels each transcript segment with its speaker, matched to the
+ * department's board roster (see lib/speaker-attribution.js for the cues
+ * used). Runs between transcription and analysis, so the analysis and
+ * generation prompts know who said what.
+ *
+ * The transcript is updated in place. Speakers corrected by an editor in the
+ * dashboard are kept when this runs again.
+ *
+ * Usage: node attribute_speakers.js <transcript_path>
+ *
+ * Optional environment variables:
+ * - DEPARTMENT_ID: Department whose board roster to use (default: the
+ *   meeting's department in data/meetings.json)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+import { createClient } from '@supabase/supabase-js';
+import { emitWarning, emitResult } from '../../lib/agent-events.js';
+import { getMeetingInfo } from '../../lib/meeting-info.js';
+import { attributeSpeakers } from '../../lib/speaker-attribution.js';
+
+// Supabase keeps a copy of each transcript (see transcribe.js)
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+
+async function saveSegmentsToSupabase(videoId, segments) {
+  if (!supabase) return false;
+
+  try {
+    const { error } = await supabase
+      .from('transcripts')
+      .update({ segments })
+      .eq('video_id', videoId);
+
+    if (error) {
+      console.error('❌ Supabase transcript update error:', error.message);
+      emitWarning(`Speakers not saved to Supabase: ${error.message}`);
+      return false;
+    }
+    console.log(`☁️  Speakers saved to Supabase for video ${videoId}`);
+    return true;
+  } catch (e) {
+    console.error('❌ Supabase transcript update failed:', e.message);
+    emitWarning(`Speakers not saved to Supabase: ${e.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  const transcriptPath = process.argv[2];
+  const departmentId = process.env.DEPARTMENT_ID || null;
+
+  if (!transcriptPath) {
+    console.error('Usage: node attribute_speakers.js <transcript_path>');
+    process.exit(1);
+  }
+
+  console.log('🗣️  Town Meeting Speaker Attribution Agent\n');
+
+  try {
+    const transcript = JSON.parse(fs.readFileSync(transcriptPath, 'utf-8'));
+    const segments = transcript.segments || [];
+    const meeting = getMeetingInfo(transcript.videoId, { departmentId });
+
+    console.log(`   Video ID: ${transcript.videoId}`);
+    console.log(`   Segments: ${segments.length}`);
+    console.log(`   Roster: ${meeting.boardMembers.length} board member(s)${meeting.departmentName ? ` (${meeting.departmentName})` : ''}`);
+
+    if (segments.length === 0) {
+      console.log('\n⏩ Transcript has no segments, nothing to label');
+      emitResult({ type: 'success', message: `No segments to label in meeting ${transcript.videoId}` });
+      return;
+    }
+    if (meeting.boardMembers.length === 0) {
+      emitWarning(`No board members listed for ${meeting.departmentName || 'this department'}; only names said in the meeting can be used`);
+    }
+
+    const result = attributeSpeakers(segments, meeting.boardMembers);
+    transcript.segments = result.segments;
+    transcript.speakersAttributedAt = new Date().toISOString();
+
+    fs.writeFileSync(transcriptPath, JSON.stringify(transcript, null, 2));
+    await saveSegmentsToSupabase(transcript.videoId, result.segments);
+
+    console.log(`\n✅ Labeled ${result.labeledTurns} of ${result.turns} turns`);
+    for (const [speaker, turns] of Object.entries(result.speakers).sort((a, b) => b[1] - a[1])) {
+      console.log(`   ${speaker}: ${turns} turn(s)`);
+    }
+
+    emitResult({
+      type: 'success',
+      message: `Labeled speakers in meeting ${transcript.videoId}`,
+      counts: {
+        turns: result.turns,
+        labeled: result.labeledTurns,
+        speakers: Object.keys(result.speakers).length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -4,6 +4,8 @@
  * Town Meeting Content Generator
  *
  * Generates news articles and social media posts from meeting analysis.
+ * Each draft ends with a link into the meeting video where its discussion
+ * starts and a list of its sources (lib/video-links.js).
  *
  * Usage: node generate.js <analysis_path> [output_path]
  */
@@ -16,19 +18,25 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-import OpenAI from 'openai';
-import { appendArticle, findArticleBySourceUrl } from '../../lib/sheets.js';
+import { getArticleStore } from '../../lib/article-store/index.js';
+import { isLlmConfigured, llmConfigError, completeJson, setCostContext, getSessionCost } from '../../lib/llm.js';
+import { emitWarning, emitArticleCreated, emitResult } from '../../lib/agent-events.js';
+import { renderPrompt } from '../../lib/prompts.js';
+import { retrievePassages } from '../../lib/transcript-retrieval.js';
+import { getMeetingInfo, formatMeetingDate, formatMeetingInfo, formatBoardMembers } from '../../lib/meeting-info.js';
+import { verifyArticleQuotes } from '../../lib/quote-verification.js';
+import { loadAgenda, findAgendaItem, describeAgendaItem } from '../../lib/agenda.js';
+import { meetingVideoUrl, articleVideoLinks, formatVideoLinks } from '../../lib/video-links.js';
 import { createClient } from '@supabase/supabase-js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Supabase setup for fetching ideas
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
 const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
 
+// Characters of meeting context given to the generator
+const CONTEXT_CHARS = 40000;
+
 // Fetch ideas from Supabase when local file doesn't exist
 async function getIdeasFromSupabase(videoId) {
   if (!supabase) return null;
@@ -63,23 +71,21 @@ async function getIdeasFromSupabase(videoId) {
   }
 }
 
-async function loadPrompt() {
-  const promptPath = path.join(__dirname, '../../prompts/generate-article.txt');
-  return fs.readFileSync(promptPath, 'utf-8');
-}
-
 async function loadAnalysis(analysisPath) {
   const content = fs.readFileSync(analysisPath, 'utf-8');
   return JSON.parse(content);
 }
 
-function formatAnalysisForGeneration(analysisData) {
+function formatAnalysisForGeneration(analysisData, meeting) {
   const { metadata, analysis } = analysisData;
+  const durationMinutes = metadata?.durationMinutes || meeting.durationMinutes;
 
   let formatted = `## Meeting Information\n`;
-  formatted += `- Date: December 16, 2025\n`;
-  formatted += `- Duration: ${metadata.durationMinutes} minutes\n`;
-  formatted += `- Location: Jupiter Town Council\n\n`;
+  if (meeting.type) formatted += `- Meeting: ${meeting.type}\n`;
+  if (meeting.departmentName) formatted += `- Body: ${meeting.departmentName}\n`;
+  if (meeting.date) formatted += `- Date: ${formatMeetingDate(meeting.date)}\n`;
+  if (durationMinutes) formatted += `- Duration: ${durationMinutes} minutes\n`;
+  formatted += '\n';
 
   formatted += `## Meeting Summary\n${analysis.meeting_summary || 'No summary available'}\n\n`;
 
@@ -143,52 +149,31 @@ function formatAnalysisForGeneration(analysisData) {
   return formatted;
 }
 
-async function loadSettings() {
-  const settingsPath = path.join(__dirname, '../../data/town_meeting_settings.json');
-  if (fs.existsSync(settingsPath)) {
-    return JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-  }
-  return null;
-}
-
-async function generateContent(systemPrompt, contextText, idea, angle, boardMembers = []) {
+async function generateContent(context, idea, angle, meeting, agendaItem, departmentId) {
   console.log(`✍️  Generating article for angle: ${angle.name}...`);
 
-  const membersInfo = boardMembers.length > 0
-    ? `\n\nBoard Members for this meeting (ensure correct spelling):\n${boardMembers.map(m => `${m.name} (${m.role})`).join('\n')}`
-    : '';
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content: `Based on the following meeting context, generate a news article about this specific event: "${idea.event}"
-        
-Title of Idea: ${idea.title}
-Selected Coverage Angle: ${angle.name}
-Angle Description: ${angle.description}
-${angle.prompt_hint ? `Prompt Hint: ${angle.prompt_hint}` : ''}
-${membersInfo}
-
-Meeting Context:
-${contextText.substring(0, 40000)}`
-      }
-    ],
+  const prompt = renderPrompt('article', {
+    event: idea.event,
+    title: idea.title,
+    angleName: angle.name,
+    angleDescription: angle.description,
+    promptHint: angle.prompt_hint,
+    agendaItem: describeAgendaItem(agendaItem),
+    meeting: formatMeetingInfo(meeting),
+    boardMembers: formatBoardMembers(meeting),
+    context
+  }, { departmentId });
+  console.log(`   Prompt: article v${prompt.version}${prompt.departmentId ? ` (${prompt.departmentId})` : ''}`);
+
+  const { data } = await completeJson({
+    task: 'article',
+    schema: 'article',
+    messages: prompt.messages,
     temperature: 0.7,
-    max_tokens: 3000,
-    response_format: { type: 'json_object' }
+    maxTokens: 3000
   });
 
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (e) {
-    console.error('Failed to parse JSON response:', content.slice(0, 500));
-    throw new Error('Invalid JSON response from GPT-4');
-  }
+  return data;
 }
 
 async function main() {
@@ -196,15 +181,14 @@ async function main() {
   const ideaId = process.argv[3];
   const angleName = process.argv[4];
   const outputPath = process.argv[5];
-  const departmentId = process.env.DEPARTMENT_ID || 'town-council';
 
   if (!contextPath || !ideaId || !angleName) {
     console.error('Usage: node generate.js <context_path> <idea_id> <angle_name> [output_path]');
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
+  if (!isLlmConfigured()) {
+    console.error(`❌ ${llmConfigError()}`);
     process.exit(1);
   }
 
@@ -213,15 +197,13 @@ async function main() {
   try {
     // 1. Load Data
     console.log('📄 Loading meeting context...');
-    const systemPrompt = await loadPrompt();
     const contextData = contextPath.endsWith('.json')
       ? JSON.parse(fs.readFileSync(contextPath, 'utf-8'))
       : { fullText: fs.readFileSync(contextPath, 'utf-8') };
 
-    const contextText = contextData.fullText || contextData.analysis?.meeting_summary || '';
-
     // 2. Find Idea and Angle - check per-meeting ideas file first, then Supabase
     const videoId = process.env.VIDEO_ID || contextData.videoId || contextData.metadata?.videoId;
+    setCostContext({ agent: 'town-meeting', meetingId: videoId });
     let ideasData = null;
 
     // Try local file first
@@ -270,59 +252,133 @@ async function main() {
     const angle = idea.angles.find(a => a.name === angleName);
     if (!angle) throw new Error(`Angle "${angleName}" not found for idea ${ideaId}`);
 
-    // 3. Load Board Members
-    const settings = await loadSettings();
-    const dept = settings?.departments.find(d => d.id === departmentId);
-    const boardMembers = dept?.boardMembers || [];
+    // 3. Look up the meeting (date, type, department and board roster)
+    const durationMinutes = contextData.durationMinutes || contextData.metadata?.durationMinutes;
+    let meeting = getMeetingInfo(videoId, { departmentId: process.env.DEPARTMENT_ID || null, durationMinutes });
+    if (!meeting.departmentId) {
+      // Meetings missing from the registry are assumed to be Town Council
+      meeting = getMeetingInfo(videoId, { departmentId: 'town-council', durationMinutes });
+    }
+    const departmentId = meeting.departmentId;
+    console.log(`🏛️  ${meeting.type || 'Meeting'}${meeting.date ? ` on ${meeting.date}` : ' (date unknown)'}`);
+
+    // 4. Pick the parts of the meeting that cover this idea (where its agenda
+    // item was discussed, for ideas without a time range of their own)
+    const agendaItem = findAgendaItem(loadAgenda(videoId), idea.agendaItem?.number);
+    if (agendaItem) console.log(`📋 ${describeAgendaItem(agendaItem)}`);
+    const contextText = contextData.fullText ||
+      (contextData.analysis ? formatAnalysisForGeneration(contextData, meeting) : '');
+    let context = contextText.substring(0, CONTEXT_CHARS);
+    let sourcePassages = null;
+    if (contextData.segments?.length > 0 || contextData.fullText) {
+      const retrievalIdea = idea.timeRange ? idea : { ...idea, timeRange: agendaItem?.timeRange };
+      const retrieval = retrievePassages(contextData, retrievalIdea, angle, { maxChars: CONTEXT_CHARS });
+      context = retrieval.text;
+      sourcePassages = retrieval.passages;
+      const timed = sourcePassages.filter(p => p.start);
+      console.log(`🔎 Using ${sourcePassages.length} of ${retrieval.totalPassages} transcript passage(s)` +
+        (timed.length > 0 ? ` (${timed[0].start}–${timed[timed.length - 1].end})` : ''));
+    }
+
+    // 5. Generate
+    const generatedContent = await generateContent(context, idea, angle, meeting, agendaItem, departmentId);
+
+    // 6. Check the article's quotes against the transcript
+    let quoteCheck = null;
+    if (contextData.segments?.length > 0) {
+      quoteCheck = verifyArticleQuotes({
+        headline: generatedContent.headline,
+        summary: generatedContent.summary,
+        body: generatedContent.article
+      }, contextData);
+      console.log(`🔎 Quotes: ${quoteCheck.verified} verified, ${quoteCheck.partial} reworded, ${quoteCheck.unverified} not found`);
+      if (quoteCheck.unverified > 0) {
+        emitWarning(`${quoteCheck.unverified} quote${quoteCheck.unverified !== 1 ? 's' : ''} in the draft could not be found in the transcript`);
+      }
+    }
 
-    // 4. Generate
-    const generatedContent = await generateContent(systemPrompt, contextText, idea, angle, boardMembers);
+    // 7. Link the draft to the meeting video
+    const outputVideoId = contextData.videoId || contextData.metadata?.videoId || 'unknown';
+    const videoLinks = articleVideoLinks({
+      videoId: outputVideoId,
+      meeting,
+      idea,
+      agendaItem,
+      quotes: quoteCheck?.quotes || [],
+      passages: sourcePassages || []
+    });
+    if (videoLinks) {
+      generatedContent.article = `${(generatedContent.article || '').trim()}\n\n${formatVideoLinks(videoLinks)}`;
+      console.log(`🎬 ${videoLinks.watch ? `Watch link at ${videoLinks.watch.timestamp}, ` : ''}${videoLinks.sources.length} source(s)`);
+    }
 
-    // 5. Add Metadata
+    // 8. Add Metadata
     const output = {
       metadata: {
-        videoId: contextData.videoId || contextData.metadata?.videoId || 'unknown',
+        videoId: outputVideoId,
         generatedAt: new Date().toISOString(),
         idea: idea.title,
         angle: angle.name,
-        department: departmentId
+        department: departmentId,
+        meeting: {
+          date: meeting.date,
+          title: meeting.title,
+          type: meeting.type,
+          departmentName: meeting.departmentName,
+          boardMembers: meeting.boardMembers
+        },
+        agendaItem: agendaItem
+          ? { number: agendaItem.number, title: agendaItem.title, section: agendaItem.section || null, timeRange: agendaItem.timeRange }
+          : null,
+        sourcePassages,
+        quoteCheck,
+        videoLinks
       },
       content: generatedContent
     };
 
-    // 6. Save and Write to Sheets
+    // 9. Save and add to the article store
     const finalOutputPath = outputPath || contextPath.replace('_transcript.json', `_article_${ideaId}.json`);
     fs.writeFileSync(finalOutputPath, JSON.stringify(output, null, 2));
     console.log(`\n✅ Content saved to: ${finalOutputPath}`);
 
-    const swagitUrl = output.metadata.videoId !== 'unknown'
-      ? `https://jupiterfl.new.swagit.com/videos/${output.metadata.videoId}`
-      : null;
-
-    if (process.env.GOOGLE_SPREADSHEET_ID) {
-      console.log('\n📊 Writing to Google Sheets...');
-      try {
-        await appendArticle({
-          agentSource: 'town-meeting',
-          headline: generatedContent.headline || '',
-          body: generatedContent.article || '',
-          summary: generatedContent.summary || '',
-          twitter: generatedContent.social_posts?.twitter || '',
-          facebook: generatedContent.social_posts?.facebook || '',
-          instagram: generatedContent.social_posts?.instagram || '',
-          sourceUrl: swagitUrl,
-          status: 'draft'
-        });
-        console.log(`   ✓ Added to sheet`);
-      } catch (sheetError) {
-        console.error(`   ⚠️  Sheet write failed: ${sheetError.message}`);
-      }
+    const swagitUrl = meetingVideoUrl(output.metadata.videoId);
+
+    let saved = false;
+    console.log('\n📊 Saving to article store...');
+    try {
+      const article = {
+        agentSource: 'town-meeting',
+        headline: generatedContent.headline || '',
+        body: generatedContent.article || '',
+        summary: generatedContent.summary || '',
+        twitter: generatedContent.social_posts?.twitter || '',
+        facebook: generatedContent.social_posts?.facebook || '',
+        instagram: generatedContent.social_posts?.instagram || '',
+        sourceUrl: swagitUrl,
+        status: 'draft'
+      };
+      const store = getArticleStore();
+      await store.create(article);
+      console.log(`   ✓ Added to ${store.name} store`);
+      emitArticleCreated(article);
+      saved = true;
+    } catch (storeError) {
+      console.error(`   ⚠️  Article save failed: ${storeError.message}`);
+      emitWarning(`Article save failed: ${storeError.message}`);
     }
 
     // Display
     console.log(`\n📌 HEADLINE: ${generatedContent.headline}`);
     console.log(`\n📄 ARTICLE PREVIEW: ${generatedContent.article?.substring(0, 200)}...`);
 
+    emitResult({
+      type: saved ? 'success' : 'info',
+      message: saved ? 'Article generated and added to drafts' : 'Article generated but not added to drafts',
+      count: saved ? 1 : 0,
+      costs: { usd: getSessionCost() }
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
@@ -3,8 +3,20 @@
 /**
  * Town Meeting Idea Generator
  *
- * Scans a meeting transcript and suggests 5-10 article ideas,
+ * Scans a meeting transcript and suggests article ideas,
  * each with multiple possible angles for different types of coverage.
+ *
+ * Long meetings are split into parts of about an hour that are scanned
+ * separately; a merge pass then combines ideas from different parts about the
+ * same agenda item and keeps the most newsworthy. Every idea carries the
+ * transcript time range it came from, and the agenda item it is about when
+ * the meeting's agenda has been ingested (ingest_agenda.js), with a link into
+ * the meeting video where that range starts.
+ *
+ * Optional environment variables:
+ * - IDEAS_MAX: Ideas kept per meeting (default: 12)
+ * - DEPARTMENT_ID: Department whose prompt overrides and board roster apply
+ *   (the roster defaults to the meeting's department in data/meetings.json)
  */
 
 import dotenv from 'dotenv';
@@ -16,11 +28,29 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-import OpenAI from 'openai';
+import { emitProgress, emitWarning, emitResult } from '../../lib/agent-events.js';
+import {
+    completeJson,
+    setCostContext,
+    getSessionCost,
+    estimateCost,
+    assertWithinBudget,
+    BudgetExceededError
+} from '../../lib/llm.js';
+import { getPrompt, renderPrompt } from '../../lib/prompts.js';
+import { getMeetingInfo, formatMeetingInfo, formatBoardMembers } from '../../lib/meeting-info.js';
+import { speakerText } from '../../lib/speaker-attribution.js';
+import { loadAgenda, findAgendaItem, formatAgenda } from '../../lib/agenda.js';
+import { meetingVideoUrl, formatTimestamp, toSeconds, timeRange } from '../../lib/video-links.js';
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Transcript characters per part (about an hour of a council meeting)
+const PART_CHARS = 50000;
+const IDEAS_RESPONSE_TOKENS = 4000;
+const MERGE_RESPONSE_TOKENS = 3000;
+// Rough prompt characters per idea sent to the merge pass, for the cost estimate
+const MERGE_CHARS_PER_IDEA = 400;
+const MAX_IDEAS = parseInt(process.env.IDEAS_MAX) || 12;
+const MAX_ANGLES = 4;
 
 // Persist ideas to Google Sheets via API (for Railway deployment persistence)
 async function persistIdeasToSheets(videoId, ideas) {
@@ -46,17 +76,20 @@ async function persistIdeasToSheets(videoId, ideas) {
                     console.log(`✅ Persisted ${ideas.length} ideas to Google Sheets`);
                 } else {
                     console.error(`⚠️ Failed to persist ideas to Sheets: ${res.statusCode}`);
+                    emitWarning(`Failed to persist ideas to Sheets (HTTP ${res.statusCode})`);
                 }
                 resolve();
             });
         });
         req.on('error', (e) => {
             console.error(`⚠️ Could not persist ideas to Sheets: ${e.message}`);
+            emitWarning(`Could not persist ideas to Sheets: ${e.message}`);
             resolve();
         });
         req.on('timeout', () => {
             req.destroy();
             console.error(`⚠️ Timeout persisting ideas to Sheets`);
+            emitWarning('Timeout persisting ideas to Sheets');
             resolve();
         });
         req.write(data);
@@ -111,60 +144,231 @@ async function loadTranscript(transcriptPath) {
     return JSON.parse(content);
 }
 
-async function generateIdeas(transcriptText) {
-    console.log('💡 Generating article ideas from transcript...');
-
-    const systemPrompt = `You are a savvy local news editor for a local Jupiter, Florida publication.
-Review the meeting transcript and identify ALL newsworthy events, decisions, and discussions.
-
-IMPORTANT: Generate as many article ideas as the content supports (aim for the best and most newsworthy, up to 12 ideas). Be thorough - don't miss important topics. Look for:
-- Major decisions and votes
-- Budget allocations and financial matters
-- New projects, initiatives, or programs
-- Community concerns raised by residents during public comment
-- Updates on ongoing projects or initiatives
-- Recognition of individuals, organizations, or achievements
-- Policy changes, ordinances, or resolutions
-- Environmental or infrastructure updates
-- Public safety announcements or initiatives
-- Upcoming events or community activities mentioned
-- Intergovernmental relations or partnerships
-- Economic development or business matters
-- Parks, recreation, or quality of life improvements
-
-For each idea, provide 2-3 different "angles" or hooks that a reporter could use.
-Each angle should offer a distinct perspective (e.g., fiscal impact, community benefit, future implications, human interest).
-
-Return a JSON object with this structure:
-{
-  "ideas": [
-    {
-      "id": "guid-or-number",
-      "event": "Brief description of the specific event/decision",
-      "title": "Working Headline for the idea",
-      "summary": "1-2 sentence explanation of why this matters to locals",
-      "angles": [
-        {
-          "name": "Hook/Angle Name (e.g., Fiscal Responsibility, Community Impact, Looking Forward)",
-          "description": "Short description of this specific coverage angle",
-          "prompt_hint": "A short hint for the next LLM call to focus on this angle"
+/**
+ * Split a transcript into parts of whole segments, each with the time range
+ * it covers and the start of every timed segment in it. Transcripts without
+ * segments are split by length; they and parts without segment times have no
+ * time ranges.
+ */
+function splitTranscript(transcript) {
+    const segments = transcript.segments || [];
+    if (segments.length === 0) {
+        const text = transcript.fullText || '';
+        const parts = [];
+        for (let i = 0; i < text.length; i += PART_CHARS) {
+            parts.push({ text: text.slice(i, i + PART_CHARS), startSeconds: null, endSeconds: null, segmentStarts: [] });
+        }
+        return parts;
+    }
+
+    // Segments without a time get no "[HH:MM:SS]" prefix and leave the part's
+    // time range to the segments that have one
+    const parts = [];
+    let current = null;
+    for (const [i, segment] of segments.entries()) {
+        const seconds = segment.startSeconds ?? toSeconds(segment.timestamp);
+        const text = speakerText(segment, segments[i - 1]);
+        const line = seconds === null ? text : `[${formatTimestamp(seconds)}] ${text}`;
+        if (current && current.text.length + line.length + 1 > PART_CHARS) {
+            parts.push(current);
+            current = null;
+        }
+        if (!current) {
+            current = { text: line, startSeconds: null, endSeconds: null, segmentStarts: [] };
+        } else {
+            current.text += `\n${line}`;
+        }
+        if (seconds !== null) {
+            current.startSeconds ??= seconds;
+            current.endSeconds = seconds;
+            current.segmentStarts.push(seconds);
         }
-      ]
     }
-  ]
-}`;
-
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: `Analyze this transcript for article ideas:\n\n${transcriptText.substring(0, 50000)}` } // Cap for safety
-        ],
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * Time range of an idea from the timestamps the model gave, kept inside the
+ * part it came from (the whole part when they are missing or out of range).
+ * The start moves back to the beginning of the segment it falls in, so the
+ * idea's video link starts where a sentence does.
+ */
+function ideaTimeRange(startTime, endTime, part) {
+    if (part.startSeconds === null) return null;
+    const inPart = seconds => seconds !== null && seconds >= part.startSeconds - 1 && seconds <= part.endSeconds + 1;
+    const start = toSeconds(startTime);
+    const end = toSeconds(endTime);
+    const startSeconds = inPart(start)
+        ? part.segmentStarts.findLast(seconds => seconds <= start) ?? part.startSeconds
+        : part.startSeconds;
+    const endSeconds = inPart(end) && end >= startSeconds ? end : part.endSeconds;
+    return timeRange(startSeconds, endSeconds);
+}
+
+async function extractIdeas(part, index, totalParts, meeting, agenda, departmentId) {
+    console.log(`💡 Generating article ideas from part ${index + 1}/${totalParts}...`);
+
+    const { messages } = renderPrompt('ideas', {
+        meeting: formatMeetingInfo(meeting),
+        boardMembers: formatBoardMembers(meeting),
+        part: totalParts > 1 ? index + 1 : '',
+        totalParts: totalParts > 1 ? totalParts : '',
+        startTime: part.startSeconds !== null ? formatTimestamp(part.startSeconds) : '',
+        endTime: part.endSeconds !== null ? formatTimestamp(part.endSeconds) : '',
+        agenda: formatAgenda(agenda, { within: part }),
+        transcript: part.text
+    }, { departmentId });
+
+    const { data } = await completeJson({
+        task: 'ideas',
+        schema: 'ideas',
+        messages,
         temperature: 0.7,
-        response_format: { type: 'json_object' }
+        maxTokens: IDEAS_RESPONSE_TOKENS
+    });
+
+    return data.ideas.map(({ start_time: startTime, end_time: endTime, agenda_item: agendaNumber, ...idea }) => {
+        const agendaItem = findAgendaItem(agenda, agendaNumber);
+        return {
+            ...idea,
+            newsworthiness: Number(idea.newsworthiness) || 0,
+            timeRange: ideaTimeRange(startTime, endTime, part),
+            agendaItem: agendaItem ? { number: agendaItem.number, title: agendaItem.title } : null
+        };
+    });
+}
+
+/**
+ * Combine ideas about the same agenda item: the group's wording, every
+ * distinct angle, and the time span they cover together
+ */
+function combineIdeas(ideas, group) {
+    const angles = [];
+    for (const angle of ideas.flatMap(idea => idea.angles || [])) {
+        if (!angles.some(a => a.name.toLowerCase() === angle.name.toLowerCase())) angles.push(angle);
+    }
+    const ranges = ideas.map(idea => idea.timeRange).filter(Boolean);
+
+    return {
+        ...ideas[0],
+        title: group.title || ideas[0].title,
+        event: group.event || ideas[0].event,
+        summary: group.summary || ideas[0].summary,
+        angles: angles.slice(0, MAX_ANGLES),
+        newsworthiness: Number(group.newsworthiness) || Math.max(...ideas.map(idea => idea.newsworthiness)),
+        agendaItem: ideas.find(idea => idea.agendaItem)?.agendaItem || null,
+        timeRange: ranges.length > 0
+            ? timeRange(Math.min(...ranges.map(r => r.startSeconds)), Math.max(...ranges.map(r => r.endSeconds)))
+            : null
+    };
+}
+
+/**
+ * Merge ideas from different parts that are about the same agenda item.
+ * Ideas the model leaves out of every group are kept as they are.
+ */
+async function mergeIdeas(ideas, departmentId) {
+    console.log(`🔄 Merging ${ideas.length} ideas across parts...`);
+
+    const { messages } = renderPrompt('ideas-merge', {
+        ideas: JSON.stringify(ideas.map((idea, i) => ({
+            number: i + 1,
+            title: idea.title,
+            event: idea.event,
+            summary: idea.summary,
+            time: idea.timeRange ? `${idea.timeRange.start}-${idea.timeRange.end}` : null,
+            agendaItem: idea.agendaItem?.number,
+            newsworthiness: idea.newsworthiness
+        })), null, 2),
+        maxIdeas: MAX_IDEAS
+    }, { departmentId });
+
+    const { data } = await completeJson({
+        task: 'ideas-merge',
+        schema: 'ideas-merge',
+        messages,
+        temperature: 0.2,
+        maxTokens: MERGE_RESPONSE_TOKENS
+    });
+
+    const grouped = new Set();
+    const merged = [];
+    for (const group of data.groups) {
+        const numbers = group.ideas
+            .map(Number)
+            .filter(n => ideas[n - 1] && !grouped.has(n));
+        if (numbers.length === 0) continue;
+        numbers.forEach(n => grouped.add(n));
+        merged.push(combineIdeas(numbers.map(n => ideas[n - 1]), group));
+    }
+    ideas.forEach((idea, i) => {
+        if (!grouped.has(i + 1)) merged.push(idea);
     });
+    return merged;
+}
 
-    return JSON.parse(response.choices[0].message.content);
+/**
+ * Keep the most newsworthy ideas (earlier in the meeting first on ties),
+ * numbered 1..N in that order, each linked to the video where it starts
+ */
+function rankIdeas(ideas, videoId) {
+    return [...ideas]
+        .sort((a, b) => b.newsworthiness - a.newsworthiness ||
+            (a.timeRange?.startSeconds ?? 0) - (b.timeRange?.startSeconds ?? 0))
+        .slice(0, MAX_IDEAS)
+        .map((idea, i) => ({
+            ...idea,
+            id: String(i + 1),
+            videoUrl: meetingVideoUrl(videoId, idea.timeRange?.startSeconds)
+        }));
+}
+
+async function generateIdeas(transcript, departmentId) {
+    const parts = splitTranscript(transcript);
+    const prompt = getPrompt('ideas', { departmentId });
+    const meeting = getMeetingInfo(transcript.videoId, { departmentId, durationMinutes: transcript.durationMinutes });
+    const agenda = loadAgenda(transcript.videoId);
+    console.log(`💡 Generating article ideas from ${parts.length} part(s) of the transcript...`);
+    console.log(`   Meeting: ${meeting.type || 'unknown type'}${meeting.date ? ` on ${meeting.date}` : ''}`);
+    console.log(`   Agenda: ${agenda ? `${agenda.items.length} item(s)` : 'none'}`);
+    console.log(`   Prompt: ideas v${prompt.version}${prompt.departmentId ? ` (${prompt.departmentId})` : ''}`);
+
+    // Refuse up front if scanning every part (and merging) would cross a budget
+    let estimateUsd = parts.reduce((sum, part) => sum + estimateCost({
+        task: 'ideas',
+        promptChars: prompt.system.length + prompt.user.length + part.text.length,
+        completionTokens: IDEAS_RESPONSE_TOKENS
+    }), 0);
+    if (parts.length > 1) {
+        estimateUsd += estimateCost({
+            task: 'ideas-merge',
+            promptChars: parts.length * MAX_IDEAS * MERGE_CHARS_PER_IDEA,
+            completionTokens: MERGE_RESPONSE_TOKENS
+        });
+    }
+    console.log(`💰 Estimated cost: $${estimateUsd.toFixed(2)}`);
+    assertWithinBudget(estimateUsd);
+
+    const extracted = [];
+    for (let i = 0; i < parts.length; i++) {
+        emitProgress(`Generating ideas from part ${i + 1} of ${parts.length}`, { current: i + 1, total: parts.length });
+        extracted.push(...await extractIdeas(parts[i], i, parts.length, meeting, agenda, departmentId));
+    }
+
+    let ideas = extracted;
+    if (parts.length > 1 && extracted.length > 1) {
+        try {
+            ideas = await mergeIdeas(extracted, departmentId);
+            console.log(`   ${extracted.length} ideas merged into ${ideas.length}`);
+        } catch (error) {
+            if (error instanceof BudgetExceededError) throw error;
+            console.warn(`⚠️  Could not merge ideas across parts: ${error.message}`);
+            emitWarning(`Could not merge ideas across parts, keeping them unmerged: ${error.message}`);
+        }
+    }
+
+    return { parts: parts.length, extracted: extracted.length, ideas: rankIdeas(ideas, transcript.videoId) };
 }
 
 async function main() {
@@ -178,12 +382,15 @@ async function main() {
 
     try {
         const transcript = await loadTranscript(transcriptPath);
-        const result = await generateIdeas(transcript.fullText);
+        setCostContext({ agent: 'town-meeting', meetingId: transcript.videoId });
+        const { parts, extracted, ...result } = await generateIdeas(transcript, process.env.DEPARTMENT_ID || null);
 
         const output = {
             metadata: {
                 videoId: transcript.videoId,
-                generatedAt: new Date().toISOString()
+                generatedAt: new Date().toISOString(),
+                parts,
+                extractedIdeas: extracted
             },
             ...result
         };
@@ -209,10 +416,22 @@ async function main() {
         // Update the meeting's ideasCount in the database
         await updateMeetingIdeasCount(transcript.videoId, ideasCount);
 
+        emitResult({
+            type: ideasCount > 0 ? 'success' : 'info',
+            message: `Generated ${ideasCount} idea${ideasCount !== 1 ? 's' : ''} for video ${transcript.videoId}`,
+            counts: { ideas: ideasCount, parts, extracted },
+            costs: { usd: getSessionCost() }
+        });
+
     } catch (error) {
         console.error('❌ Error:', error.message);
         process.exit(1);
     }
 }
 
-main();
+// Run only when executed directly, so the dashboard can reuse splitTranscript
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { splitTranscript, mergeIdeas, generateIdeas };
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Town Meeting Agenda Agent
+ *
+ * Turns a meeting's published agenda into numbered items and aligns each
+ * item to the part of the transcript where it was discussed (see
+ * lib/agenda.js). Analysis, idea generation and article drafting use the
+ * item numbers and titles.
+ *
+ * The agenda is read from, first found:
+ * - the file or URL given on the command line (PDF, HTML or text)
+ * - an uploaded agenda in data/swagit/<videoId>_agenda.pdf, .html or .txt
+ * - the agenda linked from the meeting's Swagit video page
+ * Without a file or URL on the command line, an agenda already ingested is
+ * only re-aligned to the transcript (no API call).
+ *
+ * Usage: node ingest_agenda.js <videoId> [file_or_url]
+ *
+ * Optional environment variables:
+ * - DEPARTMENT_ID: Department whose prompt overrides apply (default: the
+ *   meeting's department in data/meetings.json)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+import { emitWarning, emitResult } from '../../lib/agent-events.js';
+import {
+  getModel,
+  isLlmConfigured,
+  llmConfigError,
+  completeJson,
+  setCostContext,
+  getSessionCost,
+  estimateCost,
+  assertWithinBudget
+} from '../../lib/llm.js';
+import { getPrompt, renderPrompt } from '../../lib/prompts.js';
+import { getMeetingInfo, formatMeetingInfo } from '../../lib/meeting-info.js';
+import { loadAgenda, saveAgenda, extractAgendaText, alignAgenda } from '../../lib/agenda.js';
+import { meetingVideoUrl } from '../../lib/video-links.js';
+
+const DATA_DIR = path.join(__dirname, '../../data/swagit');
+const UPLOAD_EXTENSIONS = ['pdf', 'html', 'txt'];
+const FETCH_TIMEOUT_MS = 30000;
+const MAX_RESPONSE_TOKENS = 4000;
+
+async function fetchDocument(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Fetching ${url} failed: HTTP ${response.status}`);
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || '',
+    filename: url
+  };
+}
+
+/**
+ * URL of the agenda linked from the Swagit video page, if it has one
+ */
+async function findSwagitAgendaUrl(videoId) {
+  const pageUrl = meetingVideoUrl(videoId);
+  try {
+    const { buffer } = await fetchDocument(pageUrl);
+    const links = buffer.toString('utf-8').matchAll(/<a\b[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi);
+    for (const [, href, label] of links) {
+      const text = `${href} ${label.replace(/<[^>]+>/g, '')}`;
+      if (/agenda/i.test(text) && !/minutes/i.test(text)) {
+        return new URL(href.replace(/&amp;/g, '&'), pageUrl).href;
+      }
+    }
+  } catch (e) {
+    console.warn(`⚠️  Could not read the Swagit video page: ${e.message}`);
+  }
+  return null;
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    return fetchDocument(source);
+  }
+  if (!fs.existsSync(source)) {
+    throw new Error(`Agenda file not found: ${source}`);
+  }
+  return { buffer: fs.readFileSync(source), contentType: '', filename: source };
+}
+
+/**
+ * Where to read the agenda from, or null to re-align the saved one
+ */
+async function findSource(videoId, given, existing) {
+  if (given) return given;
+  if (existing) return null;
+
+  for (const extension of UPLOAD_EXTENSIONS) {
+    const upload = path.join(DATA_DIR, `${videoId}_agenda.${extension}`);
+    if (fs.existsSync(upload)) return upload;
+  }
+  return findSwagitAgendaUrl(videoId);
+}
+
+async function extractItems(text, meeting, departmentId) {
+  const prompt = getPrompt('agenda', { departmentId });
+  console.log(`   Prompt: agenda v${prompt.version}${prompt.departmentId ? ` (${prompt.departmentId})` : ''}`);
+
+  const estimateUsd = estimateCost({
+    task: 'agenda',
+    promptChars: prompt.system.length + prompt.user.length + text.length,
+    completionTokens: MAX_RESPONSE_TOKENS
+  });
+  console.log(`💰 Estimated cost: $${estimateUsd.toFixed(2)}`);
+  assertWithinBudget(estimateUsd);
+
+  const { messages } = renderPrompt('agenda', {
+    meeting: formatMeetingInfo(meeting),
+    agenda: text
+  }, { departmentId });
+
+  const { data } = await completeJson({
+    task: 'agenda',
+    schema: 'agenda',
+    messages,
+    temperature: 0.1,
+    maxTokens: MAX_RESPONSE_TOKENS
+  });
+
+  return {
+    promptVersion: prompt.version,
+    items: data.items.map(item => ({
+      number: String(item.number).trim(),
+      title: item.title.trim(),
+      section: item.section || null,
+      description: item.description || null
+    }))
+  };
+}
+
+async function main() {
+  const videoId = process.argv[2];
+  const given = process.argv[3] || null;
+  const departmentId = process.env.DEPARTMENT_ID || null;
+
+  if (!videoId) {
+    console.error('Usage: node ingest_agenda.js <videoId> [file_or_url]');
+    process.exit(1);
+  }
+
+  console.log('📋 Town Meeting Agenda Agent\n');
+
+  try {
+    setCostContext({ agent: 'town-meeting', meetingId: videoId });
+    const meeting = getMeetingInfo(videoId, { departmentId });
+    const existing = loadAgenda(videoId);
+    const source = await findSource(videoId, given, existing);
+
+    console.log(`   Video ID: ${videoId}`);
+    console.log(`   Meeting: ${meeting.type || 'unknown type'}${meeting.date ? ` on ${meeting.date}` : ''}`);
+
+    let agenda;
+    if (source) {
+      if (!isLlmConfigured()) {
+        console.error(`❌ ${llmConfigError()}`);
+        process.exit(1);
+      }
+
+      console.log(`   Source: ${source}`);
+      const document = await readSource(source);
+      const { text, format, truncated } = await extractAgendaText(document.buffer, document);
+      console.log(`   Text: ${text.length} characters (${format})`);
+      if (!text) throw new Error('The agenda has no text (a scanned PDF needs OCR first)');
+      if (truncated) emitWarning('The agenda packet is long; only its first part was read');
+
+      const { items, promptVersion } = await extractItems(text, meeting, meeting.departmentId);
+      agenda = {
+        videoId: String(videoId),
+        source: /^https?:\/\//i.test(source) ? source : path.basename(source),
+        format,
+        ingestedAt: new Date().toISOString(),
+        model: getModel('agenda'),
+        promptVersion,
+        items
+      };
+    } else if (existing) {
+      console.log('   Source: agenda already ingested, re-aligning');
+      agenda = existing;
+    } else {
+      console.log('\n⏩ No agenda found (none uploaded, none linked from the video page)');
+      emitResult({ type: 'success', message: `No agenda found for meeting ${videoId}` });
+      return;
+    }
+
+    console.log(`   Items: ${agenda.items.length}`);
+
+    const transcriptPath = path.join(DATA_DIR, `${videoId}_transcript.json`);
+    if (fs.existsSync(transcriptPath)) {
+      agenda.items = alignAgenda(agenda.items, JSON.parse(fs.readFileSync(transcriptPath, 'utf-8')));
+      agenda.alignedAt = new Date().toISOString();
+    } else {
+      emitWarning('No transcript yet; agenda items are not aligned to the video');
+    }
+
+    const outputPath = saveAgenda(agenda);
+    const aligned = agenda.items.filter(item => item.timeRange).length;
+    console.log(`\n✅ Agenda saved to: ${outputPath}`);
+    console.log(`   ${aligned} of ${agenda.items.length} items found in the transcript`);
+    for (const item of agenda.items) {
+      console.log(`   ${item.timeRange ? `${item.timeRange.start}-${item.timeRange.end}` : 'not found        '}  ${item.number} ${item.title}`);
+    }
+
+    emitResult({
+      type: 'success',
+      message: `Ingested the agenda for meeting ${videoId}`,
+      counts: {
+        items: agenda.items.length,
+        aligned
+      },
+      costs: { usd: getSessionCost() }
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -6,11 +6,23 @@
  * Orchestrates the full pipeline for the dashboard:
  * 1. Download Video (scripts/swagit_downloader.js)
  * 2. Transcribe (agents/town-meeting/transcribe.js)
- * 3. Analyze (agents/town-meeting/analyze.js)
+ * 3. Label speakers (agents/town-meeting/attribute_speakers.js)
+ * 4. Ingest the agenda (agents/town-meeting/ingest_agenda.js)
+ * 5. Analyze (agents/town-meeting/analyze.js)
+ *
+ * The sixth stage, idea generation, is queued by the dashboard server once
+ * this script finishes. Stage progress is recorded per meeting
+ * (lib/meeting-pipeline.js) so a failed meeting can resume where it stopped.
  *
  * Modes:
  * - Default: Fetches latest meeting from Swagit for the selected department
  * - Upcoming: Processes scheduled meetings from meetings.json when their date has passed
+ * - FORCE_VIDEO_ID: Re-processes one video, starting from RESUME_FROM_STAGE if set
+ *   (and marks SCHEDULED_MEETING_ID in meetings.json processed or failed)
+ * - SCRAPE_DISCOVER_ONLY=1: Only reports the videos the default or upcoming
+ *   mode would process (videoIds, and meetings: [{ id, videoId }] for
+ *   scheduled meetings), so the server can lock each video before it is
+ *   processed with FORCE_VIDEO_ID
  *
  * This satisfies server.js expectation of a 'scrape.js' entry point.
  */
@@ -20,6 +32,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import http from 'http';
+import { emitProgress, emitWarning, emitResult, childStdio } from '../../lib/agent-events.js';
+import { PIPELINE_STAGES, STAGE_STATUS, startPipeline, runStage } from '../../lib/meeting-pipeline.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '../../');
@@ -27,6 +41,8 @@ const ROOT_DIR = path.join(__dirname, '../../');
 // Configuration
 const DOWNLOADER_SCRIPT = path.join(ROOT_DIR, 'scripts/swagit_downloader.js');
 const TRANSCRIBE_SCRIPT = path.join(__dirname, 'transcribe.js');
+const SPEAKERS_SCRIPT = path.join(__dirname, 'attribute_speakers.js');
+const AGENDA_SCRIPT = path.join(__dirname, 'ingest_agenda.js');
 const ANALYZE_SCRIPT = path.join(__dirname, 'analyze.js');
 
 const DATA_DIR = path.join(ROOT_DIR, 'data/swagit');
@@ -35,10 +51,11 @@ const MEETINGS_PATH = path.join(ROOT_DIR, 'data/meetings.json');
 
 async function runStep(scriptPath, args = [], extraEnv = {}) {
     console.log(`\n▶️ Running: ${path.basename(scriptPath)} ${args.join(' ')}`);
+    emitProgress(`Running ${path.basename(scriptPath)}`, { step: path.basename(scriptPath) });
     return new Promise((resolve, reject) => {
         const proc = spawn('node', [scriptPath, ...args], {
             cwd: ROOT_DIR,
-            stdio: 'inherit',
+            stdio: childStdio('inherit'), // Nested steps report events on the same channel
             env: { ...process.env, ...extraEnv }
         });
 
@@ -325,37 +342,68 @@ async function registerProcessedMeeting(videoId, departmentId) {
         if (!persisted) {
             console.error(`⚠️  Meeting saved locally but NOT persisted to Google Sheets!`);
             console.error(`   This meeting may be lost on next deployment.`);
+            emitWarning(`Meeting ${videoId} saved locally but not persisted to Google Sheets`);
         }
 
     } catch (e) {
         console.warn(`⚠️  Could not register meeting: ${e.message}`);
+        emitWarning(`Could not register meeting ${videoId}: ${e.message}`);
     }
 }
 
+/**
+ * Stages run by this script, in pipeline order. Each returns
+ * STAGE_STATUS.SKIPPED when it had nothing to do.
+ */
+const STAGE_STEPS = {
+    // 1. Download VTT if available, otherwise download video for Whisper
+    download: (videoId) => runStep(DOWNLOADER_SCRIPT, [videoId], { FAST_MODE: 'true' }),
+
+    // 2. Transcribe - accepts video ID and auto-detects VTT vs MP4
+    transcribe: async (videoId, { resuming }) => {
+        // An explicit resume from this stage always re-transcribes
+        if (fs.existsSync(transcriptPathFor(videoId)) && !resuming) {
+            console.log('\n⏩ Transcript already exists, skipping transcription');
+            return STAGE_STATUS.SKIPPED;
+        }
+        // Transcribe will auto-detect VTT and use it if available (fast!)
+        await runStep(TRANSCRIBE_SCRIPT, [videoId]);
+    },
+
+    // 3. Label speakers from the board roster
+    speakers: (videoId) => runStep(SPEAKERS_SCRIPT, [transcriptPathFor(videoId)]),
+
+    // 4. Ingest the agenda (uploaded or linked from the video page) and align it
+    agenda: (videoId) => runStep(AGENDA_SCRIPT, [videoId]),
+
+    // 5. Analyze
+    analyze: (videoId) => runStep(ANALYZE_SCRIPT, [transcriptPathFor(videoId)])
+};
+
+function transcriptPathFor(videoId) {
+    return path.join(DATA_DIR, `${videoId}_transcript.json`);
+}
+
 /**
  * Process a single video through the pipeline
  *
  * If VTT transcript exists: Use it (free, instant)
  * If no VTT: Download video, extract audio, use Whisper API (~$0.006/min)
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {string} [fromStage] - Resume from this stage; earlier stages are not re-run
  */
-async function processVideo(videoId) {
-    console.log(`\n⚡ Processing video ${videoId}`);
-
-    // 1. Download VTT if available, otherwise download video for Whisper
-    await runStep(DOWNLOADER_SCRIPT, [videoId], { FAST_MODE: 'true' });
-
-    // 2. Transcribe - now accepts video ID and auto-detects VTT vs MP4
-    const transcriptPath = path.join(DATA_DIR, `${videoId}_transcript.json`);
-
-    if (!fs.existsSync(transcriptPath)) {
-        // Transcribe will auto-detect VTT and use it if available (fast!)
-        await runStep(TRANSCRIBE_SCRIPT, [videoId]);
-    } else {
-        console.log('\n⏩ Transcript already exists, skipping transcription');
+async function processVideo(videoId, fromStage = 'download') {
+    console.log(`\n⚡ Processing video ${videoId}${fromStage !== 'download' ? ` from stage "${fromStage}"` : ''}`);
+    startPipeline(videoId, fromStage);
+
+    const stages = PIPELINE_STAGES.slice(PIPELINE_STAGES.indexOf(fromStage));
+    for (const stage of stages) {
+        const step = STAGE_STEPS[stage];
+        if (!step) continue; // Idea generation is queued by the dashboard server
+        emitProgress(`Stage ${stage} for video ${videoId}`, { videoId, stage });
+        await runStage(videoId, stage, () => step(videoId, { resuming: stage === fromStage && fromStage !== 'download' }));
     }
-
-    // 3. Analyze
-    await runStep(ANALYZE_SCRIPT, [transcriptPath]);
 }
 
 async function main() {
@@ -365,21 +413,32 @@ async function main() {
     const departmentId = process.env.DEPARTMENT_ID || 'town-council';
     const mode = process.env.SCRAPE_MODE || 'latest'; // 'latest' or 'upcoming'
     const forceVideoId = process.env.FORCE_VIDEO_ID; // Force re-process specific video
+    const resumeFromStage = process.env.RESUME_FROM_STAGE || 'download'; // Only used with FORCE_VIDEO_ID
+    const scheduledMeetingId = process.env.SCHEDULED_MEETING_ID; // Only used with FORCE_VIDEO_ID
+    const discoverOnly = process.env.SCRAPE_DISCOVER_ONLY === '1';
 
     console.log(`   Department: ${departmentId}`);
     console.log(`   Mode: ${mode}`);
     console.log(`   PORT env: ${process.env.PORT || '(not set, using 8080)'}`);
     if (forceVideoId) {
         console.log(`   FORCE_VIDEO_ID: ${forceVideoId}`);
+        console.log(`   RESUME_FROM_STAGE: ${resumeFromStage}`);
     }
 
     try {
         // If FORCE_VIDEO_ID is set, skip discovery and process that specific video
         if (forceVideoId) {
             console.log(`\n🔄 Force re-processing video ${forceVideoId}...`);
-            await processVideo(forceVideoId);
+            try {
+                await processVideo(forceVideoId, resumeFromStage);
+            } catch (e) {
+                if (scheduledMeetingId) updateMeetingStatus(scheduledMeetingId, 'failed');
+                throw e;
+            }
+            if (scheduledMeetingId) updateMeetingStatus(scheduledMeetingId, 'processed', forceVideoId);
             await registerProcessedMeeting(forceVideoId, departmentId);
             console.log('\n✅ Force re-processing complete.');
+            emitResult({ type: 'success', message: `Video ${forceVideoId} re-processed`, videoIds: [forceVideoId] });
             return;
         }
 
@@ -397,27 +456,51 @@ async function main() {
                 }
 
                 // For each ready meeting, try to find and process the video
+                const processedVideoIds = [];
+                const foundMeetings = [];
                 for (const meeting of readyMeetings) {
                     console.log(`\n🔍 Processing: ${meeting.type} (${meeting.date})`);
 
                     try {
                         // Get the latest video for this department
                         const videoId = await getLatestMeetingId(meeting.departmentId);
+                        if (discoverOnly) {
+                            foundMeetings.push({ id: meeting.id, videoId });
+                            continue;
+                        }
 
                         // Process it
                         await processVideo(videoId);
 
                         // Mark as processed
                         updateMeetingStatus(meeting.id, 'processed', videoId);
+                        processedVideoIds.push(videoId);
 
                         console.log(`✅ Successfully processed meeting: ${meeting.id}`);
                     } catch (e) {
                         console.error(`❌ Failed to process meeting ${meeting.id}: ${e.message}`);
+                        emitWarning(`Failed to process meeting ${meeting.id}: ${e.message}`);
                         updateMeetingStatus(meeting.id, 'failed');
                     }
                 }
 
+                if (discoverOnly) {
+                    emitResult({
+                        type: foundMeetings.length > 0 ? 'success' : 'info',
+                        message: `Found videos for ${foundMeetings.length} of ${readyMeetings.length} scheduled meeting(s)`,
+                        videoIds: foundMeetings.map(m => m.videoId),
+                        meetings: foundMeetings
+                    });
+                    return;
+                }
+
                 console.log('\n✅ Upcoming meetings processing complete.');
+                emitResult({
+                    type: processedVideoIds.length > 0 ? 'success' : 'info',
+                    message: `Processed ${processedVideoIds.length} of ${readyMeetings.length} scheduled meeting(s)`,
+                    counts: { meetings: processedVideoIds.length, failed: readyMeetings.length - processedVideoIds.length },
+                    videoIds: processedVideoIds
+                });
                 return;
             }
         }
@@ -434,21 +517,33 @@ async function main() {
                 console.log('\n📭 NO_NEW_MEETINGS_FOUND');
                 console.log('   No new Jupiter meetings are available on Swagit.');
                 console.log('   This is normal - check back after the next council meeting.\n');
+                emitResult({
+                    type: 'info',
+                    message: 'No new Jupiter meetings found on Swagit. Check back after the next council meeting.',
+                    videoIds: []
+                });
                 process.exit(0); // Exit successfully - this is not an error
             }
             console.warn(`⚠️  Could not fetch latest meeting dynamically (${e.message}). Using fallback: ${videoId}`);
+            emitWarning(`Could not fetch latest meeting (${e.message}), using fallback video ${videoId}`);
         }
 
         if (!videoId) {
             throw new Error('No video ID available. Cannot proceed.');
         }
 
+        if (discoverOnly) {
+            emitResult({ type: 'success', message: `Latest meeting is ${videoId}`, videoIds: [videoId] });
+            return;
+        }
+
         await processVideo(videoId);
 
         // 4. Register the meeting in meetings.json AND Google Sheets for persistence
         await registerProcessedMeeting(videoId, departmentId);
 
         console.log('\n✅ Orchestration Complete. Analysis ready for generation.');
+        emitResult({ type: 'success', message: `Meeting ${videoId} processed`, counts: { meetings: 1 }, videoIds: [videoId] });
 
     } catch (error) {
         console.error('\n❌ Orchestration Failed:', error.message);
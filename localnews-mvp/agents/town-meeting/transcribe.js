@@ -24,8 +24,20 @@ import pLimit from 'p-limit';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-import OpenAI from 'openai';
 import { createClient } from '@supabase/supabase-js';
+import { emitProgress, emitWarning, emitResult } from '../../lib/agent-events.js';
+import {
+  isLlmConfigured,
+  llmConfigError,
+  completeJson,
+  transcribeAudio,
+  setCostContext,
+  getSessionCost,
+  estimateCost,
+  assertWithinBudget,
+  BudgetExceededError
+} from '../../lib/llm.js';
+import { renderPrompt } from '../../lib/prompts.js';
 
 // Supabase setup for transcript persistence
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -51,22 +63,20 @@ async function saveTranscriptToSupabase(videoId, fullText, segments, durationMin
 
     if (error) {
       console.error('❌ Supabase transcript save error:', error.message);
+      emitWarning(`Transcript not saved to Supabase: ${error.message}`);
       return false;
     }
     console.log(`☁️  Transcript saved to Supabase for video ${videoId}`);
     return true;
   } catch (e) {
     console.error('❌ Supabase transcript save failed:', e.message);
+    emitWarning(`Transcript not saved to Supabase: ${e.message}`);
     return false;
   }
 }
 
 const execAsync = promisify(exec);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Configuration
 const CHUNK_DURATION_MINUTES = 10;
 const INITIAL_CONCURRENCY = 4;
@@ -149,32 +159,18 @@ async function aiDiagnose(error, context) {
   console.log('🤖 Invoking AI diagnosis for unknown error...');
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{
-        role: 'system',
-        content: 'You are a debugging expert. Analyze the error and provide a structured diagnosis. Be concise.'
-      }, {
-        role: 'user',
-        content: `Error during Whisper API transcription:
-
-Error: ${error.message}
-Status: ${error.status || 'N/A'}
-Chunk: ${context.chunkIndex + 1}/${context.totalChunks}
-File size: ${context.fileSize} bytes
-
-Respond in JSON:
-{
-  "diagnosis": "brief explanation of what went wrong",
-  "recoverable": true/false,
-  "suggestion": "what to try next"
-}`
-      }],
-      response_format: { type: 'json_object' },
-      max_tokens: 200
+    const { data: diagnosis } = await completeJson({
+      task: 'diagnose',
+      messages: renderPrompt('diagnose', {
+        error: error.message,
+        status: error.status || 'N/A',
+        chunk: context.chunkIndex + 1,
+        totalChunks: context.totalChunks,
+        fileSize: context.fileSize
+      }, { departmentId: process.env.DEPARTMENT_ID || null }).messages,
+      maxTokens: 200
     });
 
-    const diagnosis = JSON.parse(response.choices[0].message.content);
     console.log(`🔍 AI Diagnosis: ${diagnosis.diagnosis}`);
     console.log(`💡 Suggestion: ${diagnosis.suggestion}`);
     return diagnosis;
@@ -192,18 +188,15 @@ async function transcribeChunkWithRecovery(chunkPath, chunkIndex, totalChunks, t
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const audioFile = fs.createReadStream(chunkPath);
-      const response = await openai.audio.transcriptions.create({
-        file: audioFile,
-        model: 'whisper-1',
-        response_format: 'verbose_json',
-        timestamp_granularities: ['segment']
-      });
+      const response = await transcribeAudio(chunkPath, { audioMinutes: CHUNK_DURATION_MINUTES });
 
       throttler.onSuccess();
       return response;
 
     } catch (error) {
+      // Over budget: stop here, finished chunks stay checkpointed for a later run
+      if (error instanceof BudgetExceededError) throw error;
+
       const category = categorizeError(error);
       console.warn(`⚠️  Chunk ${chunkIndex + 1} attempt ${attempt}/${MAX_RETRIES}: ${category.type}`);
 
@@ -272,8 +265,8 @@ async function transcribeChunksParallel(chunks, tempDir, throttler) {
       transcriptions[i] = result;
       completed++;
 
-      const cost = (completed * CHUNK_DURATION_MINUTES * 0.006).toFixed(2);
-      console.log(`✅ Chunk ${i + 1}/${chunks.length} done (${completed}/${chunks.length}, ~$${cost})`);
+      console.log(`✅ Chunk ${i + 1}/${chunks.length} done (${completed}/${chunks.length}, $${getSessionCost().toFixed(2)})`);
+      emitProgress(`Transcribed chunk ${completed} of ${chunks.length}`, { current: completed, total: chunks.length });
     });
   });
 
@@ -365,7 +358,24 @@ function parseVtt(vttContent) {
   let fullText = '';
   let currentStart = null;
   let currentText = '';
+  let currentSpeaker = null;
   const timeRegex = /((?:\d{2}:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d{2}:)?\d{2}:\d{2}\.\d{3})/;
+  const voiceRegex = /<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+
+  const pushSegment = () => {
+    const segment = {
+      timestamp: currentStart,
+      startSeconds: parseTimestampToSeconds(currentStart),
+      text: currentText.trim()
+    };
+    // Speaker from a <v Name> voice tag
+    if (currentSpeaker) {
+      segment.speaker = currentSpeaker;
+      segment.speakerSource = 'vtt';
+    }
+    segments.push(segment);
+    fullText += currentText.trim() + ' ';
+  };
 
   for (const line of lines) {
     const trimmed = line.trim();
@@ -374,27 +384,20 @@ function parseVtt(vttContent) {
     const timeMatch = trimmed.match(timeRegex);
     if (timeMatch) {
       if (currentStart !== null && currentText) {
-        segments.push({
-          timestamp: currentStart,
-          startSeconds: parseTimestampToSeconds(currentStart),
-          text: currentText.trim()
-        });
-        fullText += currentText.trim() + ' ';
+        pushSegment();
         currentText = '';
       }
       currentStart = timeMatch[1];
+      currentSpeaker = null;
     } else if (currentStart !== null && !trimmed.match(/^\d+$/)) {
-      currentText += trimmed + ' ';
+      const voice = trimmed.match(voiceRegex);
+      if (voice && !currentSpeaker) currentSpeaker = voice[1].trim();
+      currentText += trimmed.replace(/<[^>]+>/g, '') + ' ';
     }
   }
 
   if (currentStart !== null && currentText) {
-    segments.push({
-      timestamp: currentStart,
-      startSeconds: parseTimestampToSeconds(currentStart),
-      text: currentText.trim()
-    });
-    fullText += currentText.trim() + ' ';
+    pushSegment();
   }
 
   return { fullText: fullText.trim(), segments };
@@ -446,6 +449,7 @@ async function main() {
   const tempDir = path.join(workDir, `${videoName}_temp`);
   const defaultOutputPath = path.join(workDir, `${videoName}_transcript.json`);
   const finalOutputPath = outputPath || defaultOutputPath;
+  setCostContext({ agent: 'town-meeting', meetingId: videoName });
 
   // Check for existing VTT file (fast path)
   // If input is already a VTT, use it directly
@@ -478,6 +482,13 @@ async function main() {
       console.log(`   Duration: ~${estimatedDuration} minutes`);
       console.log(`   Segments: ${segments.length}`);
       console.log(`   Cost: $0.00 (used existing VTT)`);
+      emitResult({
+        type: 'success',
+        message: `Transcript built from VTT captions (${segments.length} segments)`,
+        counts: { segments: segments.length, durationMinutes: estimatedDuration },
+        costs: { usd: 0 },
+        source: 'vtt'
+      });
 
       // Save to Supabase for persistence across deployments
       await saveTranscriptToSupabase(videoName, fullText, segments, estimatedDuration);
@@ -491,8 +502,8 @@ async function main() {
   }
 
   // Need to use Whisper API - check for API key and video file
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
+  if (!isLlmConfigured()) {
+    console.error(`❌ ${llmConfigError()}`);
     console.error('   VTT transcript not available, cannot proceed without API key.');
     process.exit(1);
   }
@@ -511,6 +522,14 @@ async function main() {
   const throttler = new AdaptiveThrottler(INITIAL_CONCURRENCY);
 
   try {
+    // Refuse up front if the untranscribed part of the recording would cross a budget
+    const durationMinutes = (await getAudioDuration(videoPath)) / 60;
+    const cachedChunks = fs.readdirSync(tempDir).filter(f => /^chunk_\d+_transcript\.json$/.test(f)).length;
+    const remainingMinutes = Math.max(0, durationMinutes - cachedChunks * CHUNK_DURATION_MINUTES);
+    const estimateUsd = estimateCost({ task: 'transcription', audioMinutes: remainingMinutes });
+    console.log(`💰 Estimated Whisper cost: $${estimateUsd.toFixed(2)} for ${Math.round(remainingMinutes)} minutes`);
+    assertWithinBudget(estimateUsd);
+
     // Step 1: Extract audio
     const audioPath = path.join(tempDir, 'audio.wav');
     await extractAudio(videoPath, audioPath);
@@ -551,13 +570,20 @@ async function main() {
     fs.rmSync(tempDir, { recursive: true });
 
     // Summary
-    const totalCost = (output.durationMinutes * 0.006).toFixed(2);
     console.log(`\n📊 Summary:`);
     console.log(`   Duration: ${output.durationMinutes} minutes`);
     console.log(`   Segments: ${segments.length}`);
-    console.log(`   Estimated cost: ~$${totalCost}`);
+    console.log(`   Cost (this run): $${getSessionCost().toFixed(2)}`);
     console.log(`   Performance: ${throttler.getSummary()}`);
 
+    emitResult({
+      type: 'success',
+      message: `Transcribed ${output.durationMinutes} minutes with Whisper (${segments.length} segments)`,
+      counts: { segments: segments.length, durationMinutes: output.durationMinutes },
+      costs: { usd: getSessionCost() },
+      source: 'whisper'
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     console.log('💾 Temp files preserved for resume. Run again to continue from checkpoints.');
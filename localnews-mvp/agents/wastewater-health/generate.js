@@ -15,23 +15,10 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
-import OpenAI from 'openai';
-import { appendArticlesWithDedup, getExistingSourceUrls } from '../../lib/sheets.js';
-import { createClient } from '@supabase/supabase-js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Supabase setup
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
-const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
-
-async function loadPrompt() {
-  const promptPath = path.join(__dirname, '../../prompts/generate-health-brief.txt');
-  return fs.readFileSync(promptPath, 'utf-8');
-}
+import { getArticleStore } from '../../lib/article-store/index.js';
+import { getModel, isLlmConfigured, llmConfigError, completeJson, setCostContext, getSessionCost } from '../../lib/llm.js';
+import { emitWarning, emitArticleCreated, emitResult } from '../../lib/agent-events.js';
+import { renderPrompt } from '../../lib/prompts.js';
 
 async function loadData(dataPath) {
   const content = fs.readFileSync(dataPath, 'utf-8');
@@ -98,86 +85,43 @@ function formatDataForGeneration(data) {
 }
 
 /**
- * Generate health brief using GPT-4
+ * Generate health brief with the LLM
  */
-async function generateBrief(systemPrompt, dataText) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content: `Generate a weekly health brief for Jupiter, FL residents based on this wastewater surveillance data:\n\n${dataText}`
-      }
-    ],
+async function generateBrief(dataText) {
+  const prompt = renderPrompt('health-brief', { data: dataText });
+  console.log(`   Prompt: health-brief v${prompt.version}`);
+
+  const { data } = await completeJson({
+    task: 'health-brief',
+    schema: 'health-brief',
+    messages: prompt.messages,
     temperature: 0.5,
-    max_tokens: 1000,
-    response_format: { type: 'json_object' }
+    maxTokens: 1000
   });
 
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (e) {
-    console.error('Failed to parse JSON response:', content.slice(0, 300));
-    throw new Error('Invalid JSON response from GPT-4');
-  }
-}
-
-/**
- * Save article to Supabase
- */
-async function saveArticleToSupabase(article) {
-  if (!supabase) return null;
-  try {
-    const { data, error } = await supabase
-      .from('articles')
-      .upsert({
-        agent_source: article.agentSource,
-        headline: article.headline,
-        body: article.body,
-        summary: article.summary,
-        twitter: article.twitter,
-        facebook: article.facebook,
-        instagram: article.instagram,
-        source_url: article.sourceUrl,
-        status: article.status || 'draft'
-      }, { onConflict: 'source_url' })
-      .select();
-
-    if (error) {
-      console.error('Supabase article save error:', error.message);
-      return null;
-    }
-    console.log(`📦 Article saved to Supabase: ${article.headline?.substring(0, 50)}...`);
-    return data;
-  } catch (e) {
-    console.error('Supabase article save failed:', e.message);
-    return null;
-  }
+  return data;
 }
 
 async function main() {
   const dataPath = process.argv[2];
   const outputPath = process.argv[3];
+  setCostContext({ agent: 'wastewater-health' });
 
   if (!dataPath) {
     console.error('Usage: node generate.js <data_path> [output_path]');
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
+  if (!isLlmConfigured()) {
+    console.error(`❌ ${llmConfigError()}`);
     process.exit(1);
   }
 
   console.log('🏥 Wastewater Health Article Generator\n');
 
   try {
-    // Load prompt and data
+    // Load data
     console.log('📄 Loading wastewater data...');
-    const systemPrompt = await loadPrompt();
     const wastewaterData = await loadData(dataPath);
 
     const summary = wastewaterData.summary;
@@ -191,19 +135,24 @@ async function main() {
     const sourceUrl = `wastewater-report:${reportDate}`;
 
     // Check for existing article to avoid duplicates
+    const store = getArticleStore();
     let existingUrls = new Set();
-    if (process.env.GOOGLE_SPREADSHEET_ID || supabase) {
-      console.log('\n🔍 Checking for existing articles...');
-      try {
-        existingUrls = await getExistingSourceUrls('wastewater-health');
-        console.log(`   Found ${existingUrls.size} existing health articles`);
-      } catch (e) {
-        console.log('   Could not check existing articles, continuing...');
-      }
+    console.log('\n🔍 Checking for existing articles...');
+    try {
+      existingUrls = await store.getSourceUrls('wastewater-health');
+      console.log(`   Found ${existingUrls.size} existing health articles`);
+    } catch (e) {
+      console.log('   Could not check existing articles, continuing...');
+      emitWarning(`Could not check existing articles: ${e.message}`);
     }
 
     if (existingUrls.has(sourceUrl)) {
       console.log(`\nℹ️  Article for ${reportDate} already exists. Skipping generation.`);
+      emitResult({
+        type: 'info',
+        message: 'No new entries - report already processed',
+        counts: { alerts: summary.alerts?.length || 0 }
+      });
       process.exit(0);
     }
 
@@ -212,7 +161,7 @@ async function main() {
 
     // Generate article
     console.log('\n📝 Generating health brief...');
-    const brief = await generateBrief(systemPrompt, dataText);
+    const brief = await generateBrief(dataText);
 
     console.log(`   ✓ Generated: "${brief.headline}"`);
     console.log(`   Severity: ${brief.severity}`);
@@ -222,7 +171,7 @@ async function main() {
       metadata: {
         sourceFile: dataPath,
         generatedAt: new Date().toISOString(),
-        model: 'gpt-4o',
+        model: getModel('health-brief'),
         reportDate: reportDate,
         location: summary.location
       },
@@ -242,10 +191,11 @@ async function main() {
     fs.writeFileSync(finalOutputPath, JSON.stringify(article, null, 2));
     console.log(`\n✅ Article saved to: ${finalOutputPath}`);
 
-    // Write to storage (Supabase primary, Google Sheets backup)
-    console.log('\n📊 Saving to database...');
+    // Add to the article store
+    console.log(`\n📊 Saving to ${store.name} store...`);
+    let saved = false;
     try {
-      const sheetArticle = {
+      const storeArticle = {
         agentSource: 'wastewater-health',
         headline: brief.headline || '',
         body: brief.brief || '',
@@ -257,19 +207,18 @@ async function main() {
         status: 'draft'
       };
 
-      // Save to Supabase first (primary)
-      await saveArticleToSupabase(sheetArticle);
-
-      // Also save to Google Sheets if configured (backup)
-      if (process.env.GOOGLE_SPREADSHEET_ID) {
-        const result = await appendArticlesWithDedup([sheetArticle], 'wastewater-health');
-        console.log(`   ✓ Added ${result.rowsAdded} new article to sheet`);
-        if (result.skipped > 0) {
-          console.log(`   ⚠️  Skipped ${result.skipped} duplicates`);
-        }
+      const result = await store.createMany([storeArticle], 'wastewater-health');
+      console.log(`   ✓ Added ${result.created.length} new article`);
+      if (result.skipped > 0) {
+        console.log(`   ⚠️  Skipped ${result.skipped} duplicates`);
+      }
+      if (result.created.length > 0) {
+        saved = true;
+        emitArticleCreated(storeArticle);
       }
     } catch (saveError) {
       console.error(`   ⚠️  Save failed: ${saveError.message}`);
+      emitWarning(`Save failed: ${saveError.message}`);
     }
 
     // Summary
@@ -296,6 +245,16 @@ async function main() {
     console.log(`\n${brief.brief}`);
     console.log(`\n🐦 Twitter: ${brief.social_posts?.twitter || 'N/A'}`);
 
+    emitResult({
+      type: saved ? 'success' : 'info',
+      message: saved
+        ? 'Added 1 new health article'
+        : 'Article generated but not saved to the database',
+      count: saved ? 1 : 0,
+      counts: { alerts: summary.alerts?.length || 0 },
+      costs: { usd: getSessionCost() }
+    });
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
@@ -20,6 +20,7 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
+import { emitWarning, emitResult } from '../../lib/agent-events.js';
 
 // CDC NWSS API Endpoints (Socrata SODA API)
 const CDC_API = {
@@ -85,6 +86,7 @@ async function fetchCovidData(startDate, endDate) {
     return data;
   } catch (error) {
     console.error('   Failed to fetch COVID data:', error.message);
+    emitWarning(`Failed to fetch COVID data: ${error.message}`);
     return [];
   }
 }
@@ -132,6 +134,7 @@ async function fetchInfluenzaData(startDate, endDate) {
     return data;
   } catch (error) {
     console.error('   Failed to fetch Influenza data:', error.message);
+    emitWarning(`Failed to fetch Influenza data: ${error.message}`);
     return [];
   }
 }
@@ -335,6 +338,13 @@ async function main() {
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
     console.log(`\n✅ Data saved to: ${outputPath}`);
 
+    emitResult({
+      type: 'success',
+      message: `Fetched ${covidData.length + fluData.length} wastewater data points`,
+      counts: { covid: covidData.length, influenza: fluData.length, alerts: summary.alerts.length },
+      dataFile: outputPath
+    });
+
     // Return summary for article generation
     return output;
 
@@ -17,6 +17,51 @@ import express from 'express';
 import cors from 'cors';
 import { google } from 'googleapis';
 import { createClient } from '@supabase/supabase-js';
+import {
+  JOB_STATUS,
+  initJobQueue,
+  registerJobHandler,
+  onJobEvent,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  isJobFinished,
+  appendJobOutput,
+  getJobLines,
+  getJobSignal,
+  acquireJobLock,
+  getJob,
+  listJobs,
+  getActiveJobs,
+  getJobsHoldingLock
+} from '../lib/jobs.js';
+import { readAgentEvents } from '../lib/agent-events.js';
+import { parseCron, registerScheduledTask, startScheduler, getScheduleStatus } from '../lib/scheduler.js';
+import { PIPELINE_STAGES, runStage, getMeetingPipeline, getAllMeetingPipelines, getResumeStage } from '../lib/meeting-pipeline.js';
+import { getArticleStore } from '../lib/article-store/index.js';
+import { recordRevision, ensureBaseRevision, listRevisions, getRevision, diffRevisions } from '../lib/article-revisions.js';
+import { complete, completeJson, SchemaValidationError } from '../lib/llm.js';
+import { summarizeCosts } from '../lib/cost-ledger.js';
+import { retrievePassages } from '../lib/transcript-retrieval.js';
+import { getMeetingInfo, formatMeetingInfo, formatBoardMembers } from '../lib/meeting-info.js';
+import { verifyArticleQuotes } from '../lib/quote-verification.js';
+import { listTurns, setTurnSpeaker, speakerText } from '../lib/speaker-attribution.js';
+import { getMeetingVotes, listAllVotes, getMemberVotingHistory, findVotesByTopic } from '../lib/votes.js';
+import { loadAgenda, findAgendaItem, describeAgendaItem, formatAgenda } from '../lib/agenda.js';
+import { formatTimestamp, meetingVideoUrl } from '../lib/video-links.js';
+import { splitTranscript } from '../agents/town-meeting/generate_ideas.js';
+import { refreshTranscriptIndex, addTranscript, isTranscriptIndexed, searchTranscripts } from '../lib/transcript-search.js';
+import { BudgetExceededError, checkBudget, getBudgetStatus, saveBudgets } from '../lib/budgets.js';
+import {
+  PROMPTS,
+  getPrompt,
+  listPrompts,
+  listPromptVersions,
+  validatePromptTemplates,
+  renderPrompt,
+  savePromptVersion,
+  resetPromptOverride
+} from '../lib/prompts.js';
 
 // Supabase setup
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -29,43 +74,15 @@ if (supabase) {
   console.log('⚠️ Supabase not configured - using Google Sheets only');
 }
 
+const articleStore = getArticleStore();
+
 /**
  * SUPABASE DUAL-WRITE HELPERS
- * These functions write to Supabase in parallel with Google Sheets
+ * These functions write meetings and ideas to Supabase in parallel with Google Sheets
  * During migration, Sheets remains the source of truth for reads
+ * (Articles go through the article store, see lib/article-store)
  */
 
-// Save article to Supabase (dual-write)
-async function saveArticleToSupabase(article) {
-  if (!supabase) return null;
-  try {
-    const { data, error } = await supabase
-      .from('articles')
-      .upsert({
-        agent_source: article.agentSource,
-        headline: article.headline,
-        body: article.body,
-        summary: article.summary,
-        twitter: article.twitter,
-        facebook: article.facebook,
-        instagram: article.instagram,
-        source_url: article.sourceUrl,
-        status: article.status || 'draft'
-      }, { onConflict: 'source_url' })
-      .select();
-
-    if (error) {
-      console.error('Supabase article save error:', error.message);
-      return null;
-    }
-    console.log(`📦 Article saved to Supabase: ${article.headline?.substring(0, 50)}...`);
-    return data;
-  } catch (e) {
-    console.error('Supabase article save failed:', e.message);
-    return null;
-  }
-}
-
 // Save meeting to Supabase (dual-write)
 async function saveMeetingToSupabase(meeting) {
   if (!supabase) return null;
@@ -124,27 +141,6 @@ async function saveIdeasToSupabase(videoId, ideas) {
   }
 }
 
-// Update article status in Supabase
-async function updateArticleStatusInSupabase(sourceUrl, status) {
-  if (!supabase) return null;
-  try {
-    const { data, error } = await supabase
-      .from('articles')
-      .update({ status })
-      .eq('source_url', sourceUrl)
-      .select();
-
-    if (error) {
-      console.error('Supabase status update error:', error.message);
-      return null;
-    }
-    return data;
-  } catch (e) {
-    console.error('Supabase status update failed:', e.message);
-    return null;
-  }
-}
-
 // Get transcript from Supabase (fallback when local file doesn't exist)
 async function getTranscriptFromSupabase(videoId) {
   if (!supabase) return null;
@@ -175,11 +171,36 @@ async function getTranscriptFromSupabase(videoId) {
   }
 }
 
+// How often the transcript search checks Supabase for transcripts it hasn't indexed
+const SUPABASE_TRANSCRIPT_CHECK_MS = 10 * 60 * 1000;
+let supabaseTranscriptsCheckedAt = 0;
+
+// Add Supabase transcripts without a local file to the transcript search index
+async function indexSupabaseTranscripts() {
+  if (!supabase || Date.now() - supabaseTranscriptsCheckedAt < SUPABASE_TRANSCRIPT_CHECK_MS) return;
+  supabaseTranscriptsCheckedAt = Date.now();
+  try {
+    const { data, error } = await supabase.from('transcripts').select('video_id');
+    if (error) {
+      console.error('Supabase transcript list error:', error.message);
+      return;
+    }
+    refreshTranscriptIndex();
+    for (const { video_id: videoId } of data || []) {
+      if (isTranscriptIndexed(videoId)) continue;
+      const transcript = await getTranscriptFromSupabase(videoId);
+      if (transcript) addTranscript(transcript);
+    }
+  } catch (e) {
+    console.error('Supabase transcript indexing failed:', e.message);
+  }
+}
+
 // Track agent run status
 const agentStatus = {
-  crimeWatch: { lastRun: null, running: false, error: null, lastResult: null },
-  townMeeting: { lastRun: null, running: false, error: null, lastResult: null, currentMeeting: null },
-  wastewaterHealth: { lastRun: null, running: false, error: null, lastResult: null }
+  crimeWatch: { lastRun: null, running: false, error: null, lastResult: null, currentJobId: null },
+  townMeeting: { lastRun: null, running: false, error: null, lastResult: null, currentMeeting: null, currentJobId: null },
+  wastewaterHealth: { lastRun: null, running: false, error: null, lastResult: null, currentJobId: null }
 };
 
 const SETTINGS_FILE = path.join(__dirname, '..', 'data', 'town_meeting_settings.json');
@@ -207,6 +228,58 @@ function saveStatus() {
   }, null, 2));
 }
 
+// Map job agent names to their agentStatus keys
+const AGENT_STATUS_KEYS = {
+  'crime-watch': 'crimeWatch',
+  'town-meeting': 'townMeeting',
+  'wastewater-health': 'wastewaterHealth'
+};
+
+// Background work that doesn't drive agent status or block the Run button
+const BACKGROUND_JOB_TYPES = new Set(['town-meeting:generate-ideas', 'town-meeting:sync-calendar']);
+
+// Keep agentStatus (what the dashboard polls) in sync with the job queue.
+// An agent can have several jobs running at once (e.g., meetings from two
+// departments), listed in `activeRuns`; it is `running` while any of them is.
+onJobEvent((event, job) => {
+  const key = AGENT_STATUS_KEYS[job.agent];
+  if (!key || event === 'log' || BACKGROUND_JOB_TYPES.has(job.type)) return;
+  const status = agentStatus[key];
+
+  const activeRuns = getActiveJobs(job.agent).filter(j => !BACKGROUND_JOB_TYPES.has(j.type));
+  // A job waiting out a retry delay still counts as running
+  const runningJobs = activeRuns.filter(j => j.status === JOB_STATUS.RUNNING || j.retryAt);
+  status.activeRuns = activeRuns.map(j => ({
+    jobId: j.id,
+    type: j.type,
+    status: j.status,
+    departmentId: j.args.departmentId || null,
+    videoId: j.args.videoId || null
+  }));
+  status.running = runningJobs.length > 0;
+  status.currentJobId = runningJobs.length > 0 ? runningJobs[runningJobs.length - 1].id : null;
+  if (key === 'townMeeting') status.currentMeeting = runningJobs.find(j => j.args.videoId)?.args.videoId || null;
+
+  if (event === 'started') {
+    status.error = null;
+    status.retryAt = null;
+  } else if (event === 'retrying') {
+    status.error = job.error;
+    status.retryAt = job.retryAt;
+  } else if (event === 'finished') {
+    status.retryAt = null;
+    status.lastJobId = job.id;
+    status.lastJobStatus = job.status;
+    if (job.status === JOB_STATUS.SUCCEEDED) {
+      status.lastRun = job.finishedAt;
+      if (job.result) status.lastResult = job.result;
+    } else if (job.status === JOB_STATUS.FAILED) {
+      status.error = job.error;
+    }
+    saveStatus();
+  }
+});
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 const isProduction = process.env.NODE_ENV === 'production';
@@ -233,7 +306,6 @@ const auth = new google.auth.JWT({
 });
 
 const sheets = google.sheets({ version: 'v4', auth });
-const SHEET_NAME = 'Articles';
 const MEETINGS_SHEET_NAME = 'Meetings';
 
 // Meetings column mapping (for Google Sheets persistence)
@@ -251,20 +323,6 @@ const MEETINGS_COLUMNS = {
   SYNCED_AT: 10
 };
 
-// Column mapping
-const COLUMNS = {
-  AGENT_SOURCE: 0,
-  HEADLINE: 1,
-  BODY: 2,
-  SUMMARY: 3,
-  TWITTER: 4,
-  FACEBOOK: 5,
-  INSTAGRAM: 6,
-  SOURCE_URL: 7,
-  STATUS: 8,
-  CREATED_AT: 9
-};
-
 /**
  * MEETINGS PERSISTENCE - Google Sheets as primary storage
  * This ensures meetings survive deployments on Railway
@@ -599,17 +657,12 @@ initIdeasSheet().then(() => syncLocalIdeasToSheets());
 
 /**
  * GET /api/articles
- * Fetch all articles from the sheet
+ * Fetch all articles from the article store
  */
 app.get('/api/articles', async (req, res) => {
   try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${SHEET_NAME}!A:J`
-    });
-
-    const rows = response.data.values || [];
-    if (rows.length <= 1) {
+    const stored = await articleStore.list();
+    if (stored.length === 0) {
       return res.json([]);
     }
 
@@ -630,16 +683,14 @@ app.get('/api/articles', async (req, res) => {
       }
     } catch (e) { }
 
-    const articles = rows.slice(1).map((row, index) => {
-      const sourceUrl = row[COLUMNS.SOURCE_URL] || '';
-
+    const articles = stored.map(article => {
       // Extract video ID from sourceUrl
       let departmentId = null;
       let departmentName = null;
       let meetingType = null;
       let meetingDate = null;
 
-      const videoMatch = sourceUrl.match(/\/videos\/(\d+)/);
+      const videoMatch = article.sourceUrl.match(/\/videos\/(\d+)/);
       if (videoMatch) {
         const videoId = videoMatch[1];
         const meeting = meetingsData.find(m => m.videoId === videoId);
@@ -653,17 +704,7 @@ app.get('/api/articles', async (req, res) => {
       }
 
       return {
-        id: index + 2, // Row number (1-indexed, skip header)
-        agentSource: row[COLUMNS.AGENT_SOURCE] || '',
-        headline: row[COLUMNS.HEADLINE] || '',
-        body: row[COLUMNS.BODY] || '',
-        summary: row[COLUMNS.SUMMARY] || '',
-        twitter: row[COLUMNS.TWITTER] || '',
-        facebook: row[COLUMNS.FACEBOOK] || '',
-        instagram: row[COLUMNS.INSTAGRAM] || '',
-        sourceUrl: sourceUrl,
-        status: row[COLUMNS.STATUS] || 'draft',
-        createdAt: row[COLUMNS.CREATED_AT] || '',
+        ...article,
         departmentId,
         departmentName,
         meetingType,
@@ -680,35 +721,15 @@ app.get('/api/articles', async (req, res) => {
 
 /**
  * GET /api/articles/:id
- * Fetch a single article by row ID
+ * Fetch a single article by ID
  */
 app.get('/api/articles/:id', async (req, res) => {
   try {
-    const rowId = parseInt(req.params.id);
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${SHEET_NAME}!A${rowId}:J${rowId}`
-    });
-
-    const row = response.data.values?.[0];
-    if (!row) {
+    const article = await articleStore.get(req.params.id);
+    if (!article) {
       return res.status(404).json({ error: 'Article not found' });
     }
 
-    const article = {
-      id: rowId,
-      agentSource: row[COLUMNS.AGENT_SOURCE] || '',
-      headline: row[COLUMNS.HEADLINE] || '',
-      body: row[COLUMNS.BODY] || '',
-      summary: row[COLUMNS.SUMMARY] || '',
-      twitter: row[COLUMNS.TWITTER] || '',
-      facebook: row[COLUMNS.FACEBOOK] || '',
-      instagram: row[COLUMNS.INSTAGRAM] || '',
-      sourceUrl: row[COLUMNS.SOURCE_URL] || '',
-      status: row[COLUMNS.STATUS] || 'draft',
-      createdAt: row[COLUMNS.CREATED_AT] || ''
-    };
-
     res.json(article);
   } catch (error) {
     console.error('Error fetching article:', error.message);
@@ -718,45 +739,84 @@ app.get('/api/articles/:id', async (req, res) => {
 
 /**
  * PUT /api/articles/:id
- * Update an article
+ * Update an article and record the edit as a revision. status is ignored:
+ * it changes through PATCH /api/articles/:id/status, which checks quotes
+ * before approval.
+ * Headers:
+ *   - X-User: Optional name/email of the editor, stored with the revision
  */
 app.put('/api/articles/:id', async (req, res) => {
   try {
-    const rowId = parseInt(req.params.id);
-    const updates = req.body;
+    const current = await articleStore.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
 
-    // Get current row
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${SHEET_NAME}!A${rowId}:J${rowId}`
-    });
+    // Keep the original draft before its first edit
+    ensureBaseRevision(current);
+    const updates = { ...req.body };
+    delete updates.status;
+    const article = await articleStore.update(current.id, updates);
+    const revision = recordRevision(article, { author: req.get('X-User') });
+
+    res.json({ success: true, id: article.id, revision: revision?.number || null });
+  } catch (error) {
+    console.error('Error updating article:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const currentRow = response.data.values?.[0] || Array(10).fill('');
+/**
+ * Swagit video ID of a town meeting article, from its source URL
+ */
+function articleVideoId(article) {
+  const videoMatch = (article.sourceUrl || '').match(/\/videos\/(\d+)/);
+  return article.agentSource === 'town-meeting' && videoMatch ? videoMatch[1] : null;
+}
 
-    // Apply updates
-    if (updates.agentSource !== undefined) currentRow[COLUMNS.AGENT_SOURCE] = updates.agentSource;
-    if (updates.headline !== undefined) currentRow[COLUMNS.HEADLINE] = updates.headline;
-    if (updates.body !== undefined) currentRow[COLUMNS.BODY] = updates.body;
-    if (updates.summary !== undefined) currentRow[COLUMNS.SUMMARY] = updates.summary;
-    if (updates.twitter !== undefined) currentRow[COLUMNS.TWITTER] = updates.twitter;
-    if (updates.facebook !== undefined) currentRow[COLUMNS.FACEBOOK] = updates.facebook;
-    if (updates.instagram !== undefined) currentRow[COLUMNS.INSTAGRAM] = updates.instagram;
-    if (updates.sourceUrl !== undefined) currentRow[COLUMNS.SOURCE_URL] = updates.sourceUrl;
-    if (updates.status !== undefined) currentRow[COLUMNS.STATUS] = updates.status;
+/**
+ * Transcript of the meeting a town meeting article was written from, found by
+ * the Swagit video in its source URL (null when there is none to check against)
+ */
+async function articleTranscript(article) {
+  const videoId = articleVideoId(article);
+  if (!videoId) return null;
+  const transcript = await loadMeetingTranscript(videoId);
+  return transcript?.segments?.length > 0 ? transcript : null;
+}
 
-    // Write back
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `${SHEET_NAME}!A${rowId}:J${rowId}`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: [currentRow]
-      }
-    });
+/**
+ * GET /api/articles/:id/quotes
+ * Check an article's direct quotes against its meeting transcript
+ * Response: { available, quotes: [{ text, status, score, timestamp, startSeconds,
+ *   videoUrl, transcriptText }], verified, partial, unverified }. status is
+ *   verified, partial (reworded) or unverified; videoUrl plays the meeting video
+ *   from where the quote was said; available is false when there is no
+ *   transcript to check against.
+ */
+app.get('/api/articles/:id/quotes', async (req, res) => {
+  try {
+    const article = await articleStore.get(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
 
-    res.json({ success: true, id: rowId });
+    const transcript = await articleTranscript(article);
+    if (!transcript) {
+      return res.json({ available: false, quotes: [], verified: 0, partial: 0, unverified: 0 });
+    }
+    const check = verifyArticleQuotes(article, transcript);
+    const videoId = articleVideoId(article);
+    res.json({
+      available: true,
+      ...check,
+      quotes: check.quotes.map(quote => ({
+        ...quote,
+        videoUrl: quote.startSeconds !== null ? meetingVideoUrl(videoId, quote.startSeconds) : null
+      }))
+    });
   } catch (error) {
-    console.error('Error updating article:', error.message);
+    console.error('Error checking quotes:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
@@ -764,181 +824,709 @@ app.put('/api/articles/:id', async (req, res) => {
 /**
  * PATCH /api/articles/:id/status
  * Quick status update (approve/discard)
+ * Body: { status, acknowledgeUnverifiedQuotes }
+ * Approving a town meeting article whose quotes can't all be found in the
+ * transcript fails with 409 unless acknowledgeUnverifiedQuotes is true.
  */
 app.patch('/api/articles/:id/status', async (req, res) => {
   try {
-    const rowId = parseInt(req.params.id);
-    const { status } = req.body;
-
-    // Get the source_url for this article first (for Supabase update)
-    const currentRow = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${SHEET_NAME}!A${rowId}:J${rowId}`
-    });
-    const sourceUrl = currentRow.data.values?.[0]?.[COLUMNS.SOURCE_URL];
+    const { status, acknowledgeUnverifiedQuotes = false } = req.body || {};
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
 
-    // Update Google Sheets
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `${SHEET_NAME}!I${rowId}`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: [[status]]
+    if (status === 'approved' && !acknowledgeUnverifiedQuotes) {
+      const current = await articleStore.get(req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Article not found' });
       }
-    });
+      const transcript = await articleTranscript(current);
+      const check = transcript ? verifyArticleQuotes(current, transcript) : null;
+      if (check?.unverified > 0) {
+        return res.status(409).json({
+          error: `${check.unverified} quote${check.unverified !== 1 ? 's' : ''} could not be found in the meeting transcript`,
+          unverifiedQuotes: check.quotes.filter(q => q.status === 'unverified').map(q => q.text)
+        });
+      }
+    }
 
-    // Dual-write to Supabase
-    if (sourceUrl) {
-      updateArticleStatusInSupabase(sourceUrl, status);
+    const article = await articleStore.setStatus(req.params.id, status);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
     }
 
-    res.json({ success: true, id: rowId, status });
+    res.json({ success: true, id: article.id, status });
   } catch (error) {
     console.error('Error updating status:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/articles/:id/revisions
+ * List an article's saved revisions, oldest first
+ */
+app.get('/api/articles/:id/revisions', (req, res) => {
+  res.json({ revisions: listRevisions(req.params.id) });
+});
+
+/**
+ * GET /api/articles/:id/revisions/diff
+ * Diff two revisions field by field
+ * Query params:
+ *   - from: Older revision number (default: the one before `to`)
+ *   - to: Newer revision number (default: latest)
+ */
+app.get('/api/articles/:id/revisions/diff', (req, res) => {
+  const revisions = listRevisions(req.params.id);
+  const to = parseInt(req.query.to) || revisions.length;
+  const from = parseInt(req.query.from) || to - 1;
+
+  const diff = diffRevisions(req.params.id, from, to);
+  if (!diff) {
+    return res.status(404).json({ error: `Revision ${from} or ${to} not found` });
+  }
+  res.json(diff);
+});
+
+/**
+ * GET /api/articles/:id/revisions/:number
+ * Get one revision including its content
+ */
+app.get('/api/articles/:id/revisions/:number', (req, res) => {
+  const revision = getRevision(req.params.id, req.params.number);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  res.json(revision);
+});
+
+/**
+ * POST /api/articles/:id/revisions/:number/restore
+ * Restore an article's content to a revision (recorded as a new revision)
+ * Headers:
+ *   - X-User: Optional name/email of the editor
+ */
+app.post('/api/articles/:id/revisions/:number/restore', async (req, res) => {
+  try {
+    const revision = getRevision(req.params.id, req.params.number);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const article = await articleStore.update(req.params.id, revision.snapshot);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const restored = recordRevision(article, { author: req.get('X-User'), restoredFrom: revision.number });
+
+    res.json({ success: true, article, revision: restored?.number || null });
+  } catch (error) {
+    console.error('Error restoring revision:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/agents/status
  * Get status of all agents
  */
 app.get('/api/agents/status', (req, res) => {
-  res.json(agentStatus);
+  res.json({ ...agentStatus, schedules: getScheduleStatus() });
 });
 
 /**
- * GET /api/settings/town-meeting
+ * GET /api/jobs
+ * List agent jobs, newest first (output omitted)
+ * Query params:
+ *   - agent, type, status: Optional filters
+ *   - limit: Maximum jobs to return (default 50)
  */
-app.get('/api/settings/town-meeting', (req, res) => {
+app.get('/api/jobs', (req, res) => {
+  const { agent, type, status } = req.query;
+  const limit = parseInt(req.query.limit) || 50;
+  const jobs = listJobs({ agent, type, status, limit }).map(job => ({ ...job, output: undefined }));
+  res.json({ jobs });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a single job including its captured output
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job. A running job's process tree is terminated.
+ */
+app.post('/api/jobs/:id/cancel', (req, res) => {
   try {
-    if (fs.existsSync(SETTINGS_FILE)) {
-      const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
-      res.json(settings);
-    } else {
-      res.status(404).json({ error: 'Settings not found' });
+    const job = cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
+    res.json({ ...job, output: undefined });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(409).json({ error: e.message });
   }
 });
 
 /**
- * POST /api/settings/town-meeting
+ * POST /api/jobs/:id/retry
+ * Queue a finished job again with the same arguments
  */
-app.post('/api/settings/town-meeting', (req, res) => {
+app.post('/api/jobs/:id/retry', (req, res) => {
   try {
-    const settings = req.body;
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
-    res.json({ success: true });
+    const job = retryJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ status: jobStartStatus(job), jobId: job.id });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(409).json({ error: e.message });
   }
 });
 
 /**
- * GET /api/agents/town-meeting/meetings
- * Returns list of processed meetings - combines local files + Google Sheets
+ * GET /api/jobs/:id/logs
+ * Stream a job's output as Server-Sent Events: lines captured so far are
+ * replayed first, then new lines are sent as the child process writes them.
+ * Events: 'log' (one output line), 'status' (job without output), 'end'.
  */
-app.get('/api/agents/town-meeting/meetings', async (req, res) => {
-  try {
-    const dataDir = path.join(__dirname, '..', 'data', 'swagit');
-    const meetings = [];
-    const seenIds = new Set();
-
-    // First, get processed meetings from Google Sheets (persistent storage)
-    const sheetMeetings = await getMeetingsFromSheets();
-    for (const m of sheetMeetings) {
-      if (m.status === 'processed' && m.videoId) {
-        seenIds.add(m.videoId);
-        meetings.push({
-          id: m.videoId,
-          videoId: m.videoId,
-          sourceUrl: `https://jupiterfl.new.swagit.com/videos/${m.videoId}`,
-          hasVideo: false, // Not known from Sheets
-          hasVtt: false,
-          hasTranscript: true, // Assumed if processed
-          hasAnalysis: true,
-          ideasCount: m.ideasCount || 0,
-          articlesGenerated: 0,
-          processedAt: m.processedAt,
-          date: m.date,
-          description: m.description,
-          departmentId: m.departmentId,
-          type: m.type,
-          status: 'processed'
-        });
-      }
-    }
+app.get('/api/jobs/:id/logs', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-    // Then, add any meetings from local files that aren't in Sheets
-    if (fs.existsSync(dataDir)) {
-      const files = fs.readdirSync(dataDir);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-      // Find all unique video IDs that have been processed
-      const videoIds = new Set();
-      files.forEach(f => {
-        const transcriptMatch = f.match(/^(\d+)_transcript\.json$/);
-        if (transcriptMatch) videoIds.add(transcriptMatch[1]);
-        const ideasMatch = f.match(/^(\d+)_ideas\.json$/);
-        if (ideasMatch) videoIds.add(ideasMatch[1]);
-      });
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendStatus = (j) => send('status', { ...j, output: undefined });
 
-      for (const videoId of videoIds) {
-        if (seenIds.has(videoId)) continue; // Skip if already from Sheets
+  sendStatus(job);
+  for (const line of getJobLines(job.id)) {
+    send('log', line);
+  }
 
-        const hasVideo = files.includes(`${videoId}.mp4`);
-        const hasVtt = files.includes(`${videoId}.vtt`);
-        const hasTranscript = files.includes(`${videoId}_transcript.json`);
-        const hasAnalysis = files.includes(`${videoId}_analysis.json`);
+  if (isJobFinished(job)) {
+    send('end', { status: job.status });
+    return res.end();
+  }
 
-        const articleFiles = files.filter(f => f.startsWith(`${videoId}_article`));
+  // Keep proxies (Railway) from closing an idle stream during long steps
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
 
-        let processedDate = null;
-        try {
-          const stat = fs.statSync(path.join(dataDir, `${videoId}.mp4`));
-          processedDate = stat.mtime.toISOString();
-        } catch (e) { }
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
 
-        let ideasCount = 0;
-        try {
-          const meetingIdeasFile = path.join(dataDir, `${videoId}_ideas.json`);
-          if (fs.existsSync(meetingIdeasFile)) {
-            const ideasData = JSON.parse(fs.readFileSync(meetingIdeasFile, 'utf-8'));
-            ideasCount = ideasData.ideas?.length || 0;
-          } else if (fs.existsSync(IDEAS_FILE)) {
-            const ideasData = JSON.parse(fs.readFileSync(IDEAS_FILE, 'utf-8'));
-            if (ideasData.metadata?.videoId === videoId) {
-              ideasCount = ideasData.ideas?.length || 0;
-            }
-          }
-        } catch (e) { }
+  const unsubscribe = onJobEvent((event, j, line) => {
+    if (j.id !== job.id) return;
+    if (event === 'log') {
+      send('log', line);
+    } else {
+      sendStatus(j);
+    }
+    if (event === 'finished') {
+      send('end', { status: j.status });
+      cleanup();
+      res.end();
+    }
+  });
 
-        const meetingsFile = path.join(__dirname, '..', 'data', 'meetings.json');
-        let registry = [];
-        try {
-          if (fs.existsSync(meetingsFile)) {
-            registry = JSON.parse(fs.readFileSync(meetingsFile, 'utf-8'));
-          }
-        } catch (e) { }
+  req.on('close', cleanup);
+});
 
-        const registryEntry = registry.find(m => m.videoId === videoId || m.id === videoId);
+/**
+ * GET /api/costs
+ * LLM and Whisper spending from the cost ledger: totals per agent and model,
+ * daily and monthly totals per agent, and the most recent calls
+ * Query params:
+ *   - days: Days in the daily breakdown (default 30)
+ *   - agent, jobId: Optional filters
+ */
+app.get('/api/costs', (req, res) => {
+  const { agent, jobId } = req.query;
+  const days = Math.min(parseInt(req.query.days) || 30, 366);
+  res.json(summarizeCosts({ days, agent, jobId }));
+});
 
-        let status = 'downloading';
-        if (hasTranscript) status = 'transcribed';
-        if (hasTranscript && hasAnalysis) status = 'analyzed';
-        if (hasTranscript && hasAnalysis && ideasCount > 0) status = 'processed';
-        if (registryEntry?.status === 'processed' || registryEntry?.ideasCount > 0) {
-          status = 'processed';
-          if (!ideasCount && registryEntry?.ideasCount) ideasCount = registryEntry.ideasCount;
-        }
+/**
+ * GET /api/budgets
+ * Monthly and per-run spending caps of each agent, with this month's spend
+ */
+app.get('/api/budgets', (req, res) => {
+  res.json({ budgets: getBudgetStatus() });
+});
 
-        meetings.push({
-          id: videoId,
-          videoId,
-          sourceUrl: `https://jupiterfl.new.swagit.com/videos/${videoId}`,
-          hasVideo,
-          hasVtt,
+/**
+ * PUT /api/budgets
+ * Replace the spending caps
+ * Body: { budgets: { [agent]: { monthlyUsd, perRunUsd } } } (null = no cap)
+ */
+app.put('/api/budgets', (req, res) => {
+  const { budgets } = req.body || {};
+  if (!budgets || typeof budgets !== 'object') {
+    return res.status(400).json({ error: 'budgets object required' });
+  }
+  try {
+    saveBudgets(budgets);
+    res.json({ budgets: getBudgetStatus() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/prompts
+ * The prompt registry with the version each prompt currently uses
+ * Query params:
+ *   - agent: Only this agent's prompts
+ */
+app.get('/api/prompts', (req, res) => {
+  res.json({ prompts: listPrompts({ agent: req.query.agent || null }) });
+});
+
+/**
+ * GET /api/prompts/:name
+ * A prompt's current template and its full version history
+ * Query params:
+ *   - departmentId: Resolve the template for this department
+ */
+app.get('/api/prompts/:name', (req, res) => {
+  const { name } = req.params;
+  if (!PROMPTS[name]) {
+    return res.status(404).json({ error: `Unknown prompt "${name}"` });
+  }
+  res.json({
+    prompt: getPrompt(name, { departmentId: req.query.departmentId || null }),
+    versions: listPromptVersions(name)
+  });
+});
+
+/**
+ * PUT /api/prompts/:name
+ * Save a new version of a prompt
+ * Body: { system, user, departmentId, note, restoredFrom } (departmentId saves a
+ *   department override instead of the default)
+ * Headers:
+ *   - X-User: Optional name/email of the editor
+ */
+app.put('/api/prompts/:name', (req, res) => {
+  const { name } = req.params;
+  if (!PROMPTS[name]) {
+    return res.status(404).json({ error: `Unknown prompt "${name}"` });
+  }
+  const { system, user, departmentId = null, note = '', restoredFrom = null } = req.body || {};
+  const errors = validatePromptTemplates(name, { system, user });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0], errors });
+  }
+  try {
+    const version = savePromptVersion(name, {
+      system,
+      user,
+      departmentId,
+      note,
+      restoredFrom,
+      author: req.get('X-User')
+    });
+    res.json({ success: true, version: version.version });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/prompts/:name/overrides/:departmentId
+ * Make a department use the default prompt again
+ * Headers:
+ *   - X-User: Optional name/email of the editor
+ */
+app.delete('/api/prompts/:name/overrides/:departmentId', (req, res) => {
+  const { name, departmentId } = req.params;
+  if (!PROMPTS[name]) {
+    return res.status(404).json({ error: `Unknown prompt "${name}"` });
+  }
+  const version = resetPromptOverride(name, departmentId, { author: req.get('X-User') });
+  if (!version) {
+    return res.status(404).json({ error: `${departmentId} has no override of the ${name} prompt` });
+  }
+  res.json({ success: true, version: version.version });
+});
+
+// Caps used when filling a preview from a meeting (the same as the agents)
+const PREVIEW_TRANSCRIPT_CHARS = { analysis: 60000, article: 40000 };
+const PREVIEW_MAX_TOKENS = 3000;
+
+/**
+ * Load a meeting's transcript from disk, or from Supabase if it isn't local
+ */
+async function loadMeetingTranscript(videoId) {
+  const transcriptPath = path.join(__dirname, '..', 'data', 'swagit', `${videoId}_transcript.json`);
+  if (fs.existsSync(transcriptPath)) {
+    return JSON.parse(fs.readFileSync(transcriptPath, 'utf-8'));
+  }
+  return getTranscriptFromSupabase(videoId);
+}
+
+/**
+ * Save a meeting's transcript segments where the transcript came from: the
+ * local file if there is one, and Supabase if configured
+ */
+async function saveMeetingTranscriptSegments(videoId, transcript) {
+  const transcriptPath = path.join(__dirname, '..', 'data', 'swagit', `${videoId}_transcript.json`);
+  if (fs.existsSync(transcriptPath)) {
+    fs.writeFileSync(transcriptPath, JSON.stringify(transcript, null, 2));
+  }
+  if (supabase) {
+    const { error } = await supabase
+      .from('transcripts')
+      .update({ segments: transcript.segments })
+      .eq('video_id', videoId);
+    if (error) {
+      console.error('Supabase transcript update error:', error.message);
+    }
+  }
+}
+
+/**
+ * Variables for previewing a prompt: the registry's example values, replaced
+ * by the real ones when a meeting transcript or an incident is given
+ */
+function promptPreviewVariables(name, { videoId, transcript, incident, departmentId }) {
+  const variables = Object.fromEntries(
+    Object.entries(PROMPTS[name].variables).map(([variable, { example }]) => [variable, example])
+  );
+  const dataDir = path.join(__dirname, '..', 'data', 'swagit');
+  const readMeetingFile = suffix => {
+    const file = path.join(dataDir, `${videoId}_${suffix}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+  };
+
+  if (videoId) {
+    const meeting = getMeetingInfo(videoId, { departmentId, durationMinutes: transcript?.durationMinutes });
+    if ('meeting' in variables) variables.meeting = formatMeetingInfo(meeting);
+    if ('boardMembers' in variables) variables.boardMembers = formatBoardMembers(meeting);
+    if ('agenda' in variables && name !== 'agenda') variables.agenda = formatAgenda(loadAgenda(videoId));
+  }
+
+  if (incident && name === 'crime-brief') {
+    variables.incident = formatIncidentText(incident);
+  }
+
+  if (transcript && name === 'analysis') {
+    const text = transcript.segments?.length > 0
+      ? transcript.segments.map((seg, i) => `[${seg.timestamp}] ${speakerText(seg, transcript.segments[i - 1])}`).join('\n')
+      : transcript.fullText || '';
+    const parts = Math.ceil(text.length / PREVIEW_TRANSCRIPT_CHARS.analysis);
+    variables.part = parts > 1 ? 1 : '';
+    variables.totalParts = parts > 1 ? parts : '';
+    variables.transcript = text.substring(0, PREVIEW_TRANSCRIPT_CHARS.analysis);
+  }
+
+  if (transcript && name === 'ideas') {
+    // The first part of the meeting, as the idea generator splits it
+    const parts = splitTranscript(transcript);
+    const part = parts[0] || { text: '', startSeconds: null, endSeconds: null };
+    variables.part = parts.length > 1 ? 1 : '';
+    variables.totalParts = parts.length > 1 ? parts.length : '';
+    variables.startTime = part.startSeconds !== null ? formatTimestamp(part.startSeconds) : '';
+    variables.endTime = part.endSeconds !== null ? formatTimestamp(part.endSeconds) : '';
+    if (videoId) variables.agenda = formatAgenda(loadAgenda(videoId), { within: part });
+    variables.transcript = part.text;
+  }
+
+  if (videoId && name === 'ideas-merge') {
+    const ideas = readMeetingFile('ideas')?.ideas;
+    if (ideas?.length > 0) {
+      variables.ideas = JSON.stringify(ideas.map((idea, i) => ({
+        number: i + 1,
+        title: idea.title,
+        event: idea.event,
+        summary: idea.summary,
+        time: idea.timeRange ? `${idea.timeRange.start}-${idea.timeRange.end}` : null,
+        agendaItem: idea.agendaItem?.number,
+        newsworthiness: idea.newsworthiness ?? null
+      })), null, 2);
+    }
+  }
+
+  if (videoId && name === 'analysis-merge') {
+    // The saved (already reconciled) analysis, numbered the way the agent numbers chunk items
+    const analysis = readMeetingFile('analysis')?.analysis;
+    if (analysis) {
+      const lists = {
+        decisions: ['topic', 'outcome', 'vote_count', 'timestamp'],
+        topics_debated: ['title', 'summary', 'timestamp'],
+        action_items: ['description', 'responsible_party', 'deadline', 'timestamp'],
+        newsworthy_highlights: ['headline_suggestion', 'why_newsworthy']
+      };
+      variables.items = JSON.stringify(Object.fromEntries(Object.entries(lists).map(([kind, fields]) => [
+        kind,
+        (analysis[kind] || []).map((item, i) => ({
+          number: i + 1,
+          part: 1,
+          ...Object.fromEntries(fields.filter(field => item[field]).map(field => [field, item[field]]))
+        }))
+      ])), null, 2);
+      if (analysis.meeting_summary) variables.summaries = `Part 1: ${analysis.meeting_summary}`;
+    }
+  }
+
+  if (videoId && name === 'analysis-summary') {
+    const summary = readMeetingFile('analysis')?.analysis?.meeting_summary;
+    if (summary) variables.summaries = `Part 1: ${summary}`;
+  }
+
+  if (transcript && name === 'article') {
+    const idea = readMeetingFile('ideas')?.ideas?.[0];
+    const angle = idea?.angles?.[0];
+    variables.context = idea
+      ? retrievePassages(transcript, idea, angle, { maxChars: PREVIEW_TRANSCRIPT_CHARS.article }).text
+      : (transcript.fullText || '').substring(0, PREVIEW_TRANSCRIPT_CHARS.article);
+    if (idea && angle) {
+      Object.assign(variables, {
+        event: idea.event,
+        title: idea.title,
+        angleName: angle.name,
+        angleDescription: angle.description,
+        promptHint: angle.prompt_hint,
+        agendaItem: describeAgendaItem(findAgendaItem(loadAgenda(videoId), idea.agendaItem?.number))
+      });
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * POST /api/prompts/:name/preview
+ * Render a prompt (or an unsaved draft of it) against a meeting or incident,
+ * and optionally send it to the LLM. Nothing is saved.
+ * Body: {
+ *   system, user: Draft templates (default: the saved prompt)
+ *   departmentId: Department whose override applies
+ *   videoId: Meeting to fill town meeting prompts from
+ *   incident: Incident to fill the crime brief from
+ *   run: Also call the LLM and return its response
+ * }
+ */
+app.post('/api/prompts/:name/preview', async (req, res) => {
+  const { name } = req.params;
+  const definition = PROMPTS[name];
+  if (!definition) {
+    return res.status(404).json({ error: `Unknown prompt "${name}"` });
+  }
+
+  const { system, user, departmentId = null, videoId = null, incident = null, run = false } = req.body || {};
+  const templates = system !== undefined || user !== undefined ? { system, user } : null;
+  if (templates) {
+    const errors = validatePromptTemplates(name, templates);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+  }
+
+  try {
+    let transcript = null;
+    if (videoId && definition.agent === 'town-meeting') {
+      transcript = await loadMeetingTranscript(videoId);
+      if (!transcript) {
+        return res.status(404).json({ error: `Transcript not found for video ${videoId} (checked local + Supabase)` });
+      }
+    }
+
+    const variables = promptPreviewVariables(name, { videoId, transcript, incident, departmentId });
+    const prompt = renderPrompt(name, variables, { departmentId, templates });
+    if (!run) {
+      return res.json({ prompt });
+    }
+
+    const request = {
+      task: name,
+      messages: prompt.messages,
+      maxTokens: PREVIEW_MAX_TOKENS,
+      context: {
+        agent: definition.agent,
+        meetingId: videoId,
+        incidentId: incident?.referenceId || incident?.id || null
+      }
+    };
+    if (definition.format === 'text') {
+      const result = await complete(request);
+      return res.json({ prompt, output: result.content, model: result.model, usage: result.usage });
+    }
+    const result = await completeJson({ ...request, schema: definition.schema });
+    res.json({ prompt, output: result.data, model: result.model, usage: result.usage, attempts: result.attempts });
+  } catch (e) {
+    if (e instanceof BudgetExceededError) {
+      return res.status(409).json({ error: e.message, budget: { kind: e.kind, capUsd: e.capUsd, spentUsd: e.spentUsd } });
+    }
+    if (e instanceof SchemaValidationError) {
+      return res.status(502).json({ error: e.message, validationErrors: e.errors });
+    }
+    console.error('Error previewing prompt:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/settings/town-meeting
+ */
+app.get('/api/settings/town-meeting', (req, res) => {
+  try {
+    if (fs.existsSync(SETTINGS_FILE)) {
+      const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
+      res.json(settings);
+    } else {
+      res.status(404).json({ error: 'Settings not found' });
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/settings/town-meeting
+ */
+app.post('/api/settings/town-meeting', (req, res) => {
+  try {
+    const settings = req.body;
+    const scheduleError = validateSchedules(Object.values(settings.schedules || {}));
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/agents/town-meeting/meetings
+ * Returns list of processed meetings - combines local files + Google Sheets
+ */
+app.get('/api/agents/town-meeting/meetings', async (req, res) => {
+  try {
+    const dataDir = path.join(__dirname, '..', 'data', 'swagit');
+    const meetings = [];
+    const seenIds = new Set();
+    const pipelines = getAllMeetingPipelines();
+
+    // First, get processed meetings from Google Sheets (persistent storage)
+    const sheetMeetings = await getMeetingsFromSheets();
+    for (const m of sheetMeetings) {
+      if (m.status === 'processed' && m.videoId) {
+        seenIds.add(m.videoId);
+        meetings.push({
+          id: m.videoId,
+          videoId: m.videoId,
+          sourceUrl: meetingVideoUrl(m.videoId),
+          hasVideo: false, // Not known from Sheets
+          hasVtt: false,
+          hasTranscript: true, // Assumed if processed
+          hasAnalysis: true,
+          ideasCount: m.ideasCount || 0,
+          articlesGenerated: 0,
+          processedAt: m.processedAt,
+          date: m.date,
+          description: m.description,
+          departmentId: m.departmentId,
+          type: m.type,
+          status: pipelineMeetingStatus(pipelines[m.videoId]) || 'processed',
+          pipeline: pipelines[m.videoId] || null
+        });
+      }
+    }
+
+    // Then, add any meetings from local files that aren't in Sheets
+    if (fs.existsSync(dataDir)) {
+      const files = fs.readdirSync(dataDir);
+
+      // Find all unique video IDs that have been processed (or started the pipeline)
+      const videoIds = new Set(Object.keys(pipelines));
+      files.forEach(f => {
+        const transcriptMatch = f.match(/^(\d+)_transcript\.json$/);
+        if (transcriptMatch) videoIds.add(transcriptMatch[1]);
+        const ideasMatch = f.match(/^(\d+)_ideas\.json$/);
+        if (ideasMatch) videoIds.add(ideasMatch[1]);
+      });
+
+      for (const videoId of videoIds) {
+        if (seenIds.has(videoId)) continue; // Skip if already from Sheets
+
+        const hasVideo = files.includes(`${videoId}.mp4`);
+        const hasVtt = files.includes(`${videoId}.vtt`);
+        const hasTranscript = files.includes(`${videoId}_transcript.json`);
+        const hasAnalysis = files.includes(`${videoId}_analysis.json`);
+
+        const articleFiles = files.filter(f => f.startsWith(`${videoId}_article`));
+
+        let processedDate = null;
+        try {
+          const stat = fs.statSync(path.join(dataDir, `${videoId}.mp4`));
+          processedDate = stat.mtime.toISOString();
+        } catch (e) { }
+
+        let ideasCount = 0;
+        try {
+          const meetingIdeasFile = path.join(dataDir, `${videoId}_ideas.json`);
+          if (fs.existsSync(meetingIdeasFile)) {
+            const ideasData = JSON.parse(fs.readFileSync(meetingIdeasFile, 'utf-8'));
+            ideasCount = ideasData.ideas?.length || 0;
+          } else if (fs.existsSync(IDEAS_FILE)) {
+            const ideasData = JSON.parse(fs.readFileSync(IDEAS_FILE, 'utf-8'));
+            if (ideasData.metadata?.videoId === videoId) {
+              ideasCount = ideasData.ideas?.length || 0;
+            }
+          }
+        } catch (e) { }
+
+        const meetingsFile = path.join(__dirname, '..', 'data', 'meetings.json');
+        let registry = [];
+        try {
+          if (fs.existsSync(meetingsFile)) {
+            registry = JSON.parse(fs.readFileSync(meetingsFile, 'utf-8'));
+          }
+        } catch (e) { }
+
+        const registryEntry = registry.find(m => m.videoId === videoId || m.id === videoId);
+
+        // Meetings run before stage tracking existed: infer the status from files
+        let status = 'downloading';
+        if (hasTranscript) status = 'transcribed';
+        if (hasTranscript && hasAnalysis) status = 'analyzed';
+        if (hasTranscript && hasAnalysis && ideasCount > 0) status = 'processed';
+        if (registryEntry?.status === 'processed' || registryEntry?.ideasCount > 0) {
+          status = 'processed';
+          if (!ideasCount && registryEntry?.ideasCount) ideasCount = registryEntry.ideasCount;
+        }
+        status = pipelineMeetingStatus(pipelines[videoId]) || status;
+
+        meetings.push({
+          id: videoId,
+          videoId,
+          sourceUrl: meetingVideoUrl(videoId),
+          hasVideo,
+          hasVtt,
           hasTranscript,
           hasAnalysis,
           ideasCount,
@@ -948,7 +1536,8 @@ app.get('/api/agents/town-meeting/meetings', async (req, res) => {
           description: registryEntry?.description || null,
           departmentId: registryEntry?.departmentId || null,
           type: registryEntry?.type || null,
-          status
+          status,
+          pipeline: pipelines[videoId] || null
         });
       }
     }
@@ -962,6 +1551,17 @@ app.get('/api/agents/town-meeting/meetings', async (req, res) => {
   }
 });
 
+/**
+ * Meeting list status from recorded pipeline stages
+ * ('processed', 'failed' or 'processing'), or null if the meeting was never tracked
+ */
+function pipelineMeetingStatus(pipeline) {
+  if (!pipeline) return null;
+  if (pipeline.status === 'completed') return 'processed';
+  if (pipeline.status === 'failed') return 'failed';
+  return 'processing';
+}
+
 /**
  * GET /api/agents/town-meeting/upcoming
  * Returns list of upcoming meetings - uses Google Sheets as primary storage
@@ -1473,19 +2073,16 @@ app.post('/api/agents/town-meeting/regenerate-ideas', async (req, res) => {
     return res.status(400).json({ error: 'videoId is required' });
   }
 
-  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
-  const dataDir = path.join(__dirname, '..', 'data', 'swagit');
-  const transcriptPath = path.join(dataDir, `${videoId}_transcript.json`);
+  const transcriptPath = path.join(__dirname, '..', 'data', 'swagit', `${videoId}_transcript.json`);
 
   if (!fs.existsSync(transcriptPath)) {
     return res.status(404).json({ error: `Transcript not found for video ${videoId}` });
   }
 
-  res.json({ status: 'started', message: `Regenerating ideas for video ${videoId}` });
-
   // Run idea generator in background
   console.log(`🔄 Regenerating ideas for video ${videoId}...`);
-  runScriptBackground(agentDir, 'generate_ideas.js', [transcriptPath]);
+  const job = enqueueIdeaGeneration(videoId);
+  res.json({ status: 'started', jobId: job.id, message: `Regenerating ideas for video ${videoId}` });
 });
 
 /**
@@ -1500,51 +2097,298 @@ app.post('/api/agents/town-meeting/reprocess', async (req, res) => {
     return res.status(400).json({ error: 'videoId is required' });
   }
 
-  if (agentStatus.townMeeting.running) {
-    return res.status(409).json({ error: 'Agent already running' });
+  if (isMeetingPipelineActive(videoId)) {
+    return res.status(409).json({ error: `Video ${videoId} is already being re-processed` });
   }
 
-  agentStatus.townMeeting.running = true;
-  agentStatus.townMeeting.currentMeeting = videoId;
-  res.json({ status: 'started', message: `Re-processing video ${videoId}` });
-
-  (async () => {
-    const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
-
-    try {
-      console.log(`🔄 Force re-processing video ${videoId}...`);
+  const job = enqueueJob('town-meeting:reprocess', { videoId }, { locks: [`video:${videoId}`] });
+  res.json({ status: jobStartStatus(job), jobId: job.id, message: `Re-processing video ${videoId}` });
+});
 
-      // Run the scraper with the specific video ID
-      await runScript(agentDir, 'scrape.js', [], {
-        FORCE_VIDEO_ID: videoId,
-        DEPARTMENT_ID: 'town-council'
-      });
+/**
+ * GET /api/agents/town-meeting/meetings/:videoId/pipeline
+ * Returns the recorded stage state of a meeting
+ */
+app.get('/api/agents/town-meeting/meetings/:videoId/pipeline', (req, res) => {
+  const pipeline = getMeetingPipeline(req.params.videoId);
+  if (!pipeline) {
+    return res.status(404).json({ error: `No pipeline recorded for video ${req.params.videoId}` });
+  }
+  res.json({ pipeline, resumeStage: getResumeStage(req.params.videoId) });
+});
 
-      // After scraping completes, run idea generation
-      const dataDir = path.join(__dirname, '..', 'data', 'swagit');
-      const transcriptPath = path.join(dataDir, `${videoId}_transcript.json`);
+/**
+ * POST /api/agents/town-meeting/meetings/:videoId/resume
+ * Re-run a meeting's pipeline from a stage. Earlier stages are kept.
+ * Body: { stage } (optional, defaults to the first stage that did not finish)
+ */
+app.post('/api/agents/town-meeting/meetings/:videoId/resume', (req, res) => {
+  const { videoId } = req.params;
+  const stage = req.body?.stage || getResumeStage(videoId);
 
-      if (fs.existsSync(transcriptPath)) {
-        console.log('Running idea generator...');
-        runScriptBackground(agentDir, 'generate_ideas.js', [transcriptPath]);
-      }
+  if (!stage) {
+    return res.status(400).json({ error: `Every stage of video ${videoId} already finished; pass a stage to re-run it` });
+  }
+  if (!PIPELINE_STAGES.includes(stage)) {
+    return res.status(400).json({ error: `Unknown stage "${stage}" (expected one of: ${PIPELINE_STAGES.join(', ')})` });
+  }
+  if (isMeetingPipelineActive(videoId)) {
+    return res.status(409).json({ error: `Video ${videoId} is already being processed` });
+  }
 
-      agentStatus.townMeeting.lastRun = new Date().toISOString();
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.currentMeeting = null;
-      agentStatus.townMeeting.lastResult = { type: 'success', message: `Video ${videoId} re-processed`, count: 1 };
-      saveStatus();
-      console.log(`✅ Video ${videoId} re-processed successfully`);
-    } catch (error) {
-      console.error(`❌ Re-processing failed: ${error.message}`);
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.currentMeeting = null;
-      agentStatus.townMeeting.error = error.message;
-      saveStatus();
-    }
-  })();
+  // Idea generation is its own job; the other stages run through the orchestrator
+  const job = stage === 'ideas'
+    ? enqueueIdeaGeneration(videoId)
+    : enqueueJob('town-meeting:reprocess', { videoId, fromStage: stage }, { locks: [`video:${videoId}`] });
+  res.json({ status: jobStartStatus(job), jobId: job.id, stage, message: `Resuming video ${videoId} from ${stage}` });
 });
 
+/**
+ * GET /api/agents/town-meeting/meetings/:videoId/speakers
+ * A meeting transcript's turns with the speaker labeled for each
+ * Response: { turns: [{ start, end, timestamp, startSeconds, speaker, speakerSource, text }],
+ *   boardMembers: [{ name, role }], labeled }. start and end are segment indexes;
+ *   speakerSource is vtt, called, thanked or editor (null when unlabeled).
+ */
+app.get('/api/agents/town-meeting/meetings/:videoId/speakers', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const transcript = await loadMeetingTranscript(videoId);
+    if (!transcript?.segments?.length) {
+      return res.status(404).json({ error: `No transcript for video ${videoId}` });
+    }
+
+    const turns = listTurns(transcript.segments);
+    const { boardMembers } = getMeetingInfo(videoId, { departmentId: meetingDepartmentId(videoId) });
+    res.json({ turns, boardMembers, labeled: turns.filter(t => t.speaker).length });
+  } catch (error) {
+    console.error('Error loading speakers:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/agents/town-meeting/meetings/:videoId/speakers
+ * Correct the speaker of one turn. Corrections are kept when speakers are
+ * labeled again; re-run analysis for them to reach the ideas.
+ * Body: { start, end, speaker } - The turn's segment indexes (from GET), and
+ *   the speaker's name (empty for unknown)
+ * Response: { turn } - The updated turn
+ */
+app.put('/api/agents/town-meeting/meetings/:videoId/speakers', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { start, end, speaker } = req.body || {};
+    const transcript = await loadMeetingTranscript(videoId);
+    if (!transcript?.segments?.length) {
+      return res.status(404).json({ error: `No transcript for video ${videoId}` });
+    }
+
+    const turn = listTurns(transcript.segments).find(t => t.start === start && t.end === end);
+    if (!turn) {
+      return res.status(400).json({ error: 'start and end must be the segment indexes of a turn' });
+    }
+    if (speaker !== undefined && speaker !== null && typeof speaker !== 'string') {
+      return res.status(400).json({ error: 'speaker must be a string' });
+    }
+
+    setTurnSpeaker(transcript.segments, start, end, speaker?.trim() || null);
+    await saveMeetingTranscriptSegments(videoId, transcript);
+    console.log(`🗣️  Speaker of turn ${start}-${end} in video ${videoId} set to ${speaker?.trim() || 'unknown'}`);
+    res.json({ turn: listTurns(transcript.segments).find(t => t.start === start) });
+  } catch (error) {
+    console.error('Error saving speaker:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/town-meeting/meetings/:videoId/votes
+ * A meeting's roll-call votes, from its analysis
+ * Response: { videoId, meetingDate, meetingType, department, boardMembers,
+ *   votes: [{ item, motion, mover, seconder, result, timestamp,
+ *   members: [{ name, vote }], tally }] }. vote is yes, no, abstain or absent.
+ */
+app.get('/api/agents/town-meeting/meetings/:videoId/votes', (req, res) => {
+  const votes = getMeetingVotes(req.params.videoId);
+  if (!votes) {
+    return res.status(404).json({ error: `No analysis for video ${req.params.videoId}` });
+  }
+  res.json(votes);
+});
+
+/**
+ * GET /api/agents/town-meeting/votes
+ * Votes across every analyzed meeting, newest meeting first
+ * Query params:
+ *   - topic: Only votes whose item or motion mentions every word of the topic
+ * Response: { votes: [{ videoId, meetingDate, meetingType, department, item, ... }] }
+ */
+app.get('/api/agents/town-meeting/votes', (req, res) => {
+  const { topic } = req.query;
+  res.json({ topic: topic || null, votes: topic ? findVotesByTopic(topic) : listAllVotes() });
+});
+
+/**
+ * GET /api/agents/town-meeting/votes/members/:name
+ * A board member's voting history across meetings (matched by surname)
+ * Response: { member, votes: [{ videoId, meetingDate, item, result, vote, moved,
+ *   seconded }], totals: { yes, no, abstain, absent } }
+ */
+app.get('/api/agents/town-meeting/votes/members/:name', (req, res) => {
+  res.json(getMemberVotingHistory(req.params.name));
+});
+
+/**
+ * GET /api/search/transcripts
+ * Full-text search across every meeting transcript
+ * Query params:
+ *   - q: Words and "quoted phrases" (all must match)
+ *   - from, to: Only meetings on or after / on or before these dates (YYYY-MM-DD)
+ *   - departmentId: Only this department's meetings
+ *   - sort: relevance (default) or date (newest meeting first)
+ *   - limit (default 20, max 100), offset: Paging
+ * Response: { query, terms, total, meetingsSearched, meetingsMatched, results:
+ *   [{ videoId, meetingDate, meetingType, department, timestamp, startSeconds,
+ *   speaker, text, highlights, before, after, score, videoUrl }] }
+ */
+app.get('/api/search/transcripts', async (req, res) => {
+  const { q, from, to, departmentId, sort, limit, offset } = req.query;
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+    }
+  }
+  if (sort && !['relevance', 'date'].includes(sort)) {
+    return res.status(400).json({ error: 'sort must be relevance or date' });
+  }
+
+  try {
+    await indexSupabaseTranscripts();
+    const result = searchTranscripts(String(q), { from, to, departmentId, sort, limit, offset });
+    if (result.terms.length === 0) {
+      return res.status(400).json({ error: 'The query has no searchable words' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching transcripts:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/town-meeting/meetings/:videoId/agenda
+ * A meeting's agenda items, each with the transcript time range it was
+ * discussed in
+ * Response: { videoId, source, format, ingestedAt, alignedAt, items: [{ number,
+ *   title, section, description, timeRange }] }. timeRange is { start, end,
+ *   startSeconds, endSeconds }, or null for items not found in the transcript.
+ */
+app.get('/api/agents/town-meeting/meetings/:videoId/agenda', (req, res) => {
+  const agenda = loadAgenda(req.params.videoId);
+  if (!agenda) {
+    return res.status(404).json({ error: `No agenda for video ${req.params.videoId}` });
+  }
+  res.json(agenda);
+});
+
+const AGENDA_UPLOAD_TYPES = {
+  'application/pdf': 'pdf',
+  'text/html': 'html',
+  'text/plain': 'txt'
+};
+
+/**
+ * POST /api/agents/town-meeting/meetings/:videoId/agenda
+ * Ingest a meeting's agenda (replacing any earlier one) and align it to the
+ * transcript. Re-run analysis and ideas afterwards for them to use it.
+ * Body: the agenda file (Content-Type application/pdf, text/html or
+ *   text/plain; ?filename= to name it), or JSON { url } to fetch it
+ * Response: { status, jobId }
+ */
+app.post('/api/agents/town-meeting/meetings/:videoId/agenda',
+  express.raw({ type: [...Object.keys(AGENDA_UPLOAD_TYPES), 'application/octet-stream'], limit: '25mb' }),
+  (req, res) => {
+    const { videoId } = req.params;
+    if (!/^\d+$/.test(videoId)) {
+      return res.status(400).json({ error: 'videoId must be a Swagit video ID' });
+    }
+    if (isMeetingPipelineActive(videoId)) {
+      return res.status(409).json({ error: `Video ${videoId} is already being processed` });
+    }
+
+    let source;
+    if (req.body instanceof Uint8Array && req.body.length > 0) {
+      const named = /\.(pdf|html?|txt)$/i.exec(String(req.query.filename || ''))?.[1].toLowerCase();
+      const extension = (named && named.replace(/^htm$/, 'html')) ||
+        AGENDA_UPLOAD_TYPES[req.headers['content-type']?.split(';')[0]] ||
+        (req.body.subarray(0, 5).toString('latin1') === '%PDF-' ? 'pdf' : 'txt');
+      const dataDir = path.join(__dirname, '..', 'data', 'swagit');
+      fs.mkdirSync(dataDir, { recursive: true });
+      // One uploaded agenda per meeting
+      for (const other of Object.values(AGENDA_UPLOAD_TYPES)) {
+        fs.rmSync(path.join(dataDir, `${videoId}_agenda.${other}`), { force: true });
+      }
+      source = path.join(dataDir, `${videoId}_agenda.${extension}`);
+      fs.writeFileSync(source, req.body);
+    } else if (typeof req.body?.url === 'string' && /^https?:\/\//i.test(req.body.url.trim())) {
+      source = req.body.url.trim();
+    } else {
+      return res.status(400).json({ error: 'Send the agenda file (PDF, HTML or text) or { url }' });
+    }
+
+    const job = enqueueJob('town-meeting:agenda', { videoId, source }, { locks: [`video:${videoId}`] });
+    res.json({ status: jobStartStatus(job), jobId: job.id });
+  });
+
+/**
+ * Department a meeting belongs to, from the local meetings registry
+ * (used to pick department prompt overrides)
+ */
+function meetingDepartmentId(videoId) {
+  try {
+    const meetings = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'meetings.json'), 'utf-8'));
+    return meetings.find(m => m.videoId === videoId || m.id === videoId)?.departmentId || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a queued or running job is already working on a meeting's pipeline
+ */
+function isMeetingPipelineActive(videoId) {
+  return getJobsHoldingLock(`video:${videoId}`).length > 0;
+}
+
+registerJobHandler('town-meeting:reprocess', async ({ videoId, fromStage = 'download' }, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
+
+  // An automatic retry picks up from the stage that failed
+  const stage = job.retries ? (getResumeStage(videoId) || fromStage) : fromStage;
+  console.log(`🔄 Force re-processing video ${videoId} from stage ${stage}...`);
+
+  // Run the scraper with the specific video ID
+  const scraperResult = await runScript(agentDir, 'scrape.js', [], {
+    FORCE_VIDEO_ID: videoId,
+    RESUME_FROM_STAGE: stage,
+    DEPARTMENT_ID: meetingDepartmentId(videoId) || 'town-council'
+  }, job);
+
+  // After scraping completes, run idea generation
+  const transcriptPath = path.join(__dirname, '..', 'data', 'swagit', `${videoId}_transcript.json`);
+  if (fs.existsSync(transcriptPath)) {
+    console.log('Running idea generator...');
+    enqueueIdeaGeneration(videoId);
+  }
+
+  console.log(`✅ Video ${videoId} re-processed successfully`);
+  return buildAgentResult(scraperResult.events, 'scrape.js');
+}, { maxRetries: 2 });
+
 /**
  * POST /api/agents/town-meeting/generate-article
  * Body: { ideaId, angleName, departmentId, videoId }
@@ -1552,61 +2396,88 @@ app.post('/api/agents/town-meeting/reprocess', async (req, res) => {
 app.post('/api/agents/town-meeting/generate-article', async (req, res) => {
   const { ideaId, angleName, departmentId, videoId } = req.body;
 
-  if (agentStatus.townMeeting.running) {
-    return res.status(409).json({ error: 'Agent already running' });
+  // Articles from different ideas (or meetings) generate in parallel; the same one only once
+  const lock = `article:${videoId || 'latest'}:${ideaId}:${angleName}`;
+  if (getJobsHoldingLock(lock).length > 0) {
+    return res.status(409).json({ error: 'This article is already being generated' });
   }
 
-  agentStatus.townMeeting.running = true;
-  res.json({ status: 'started' });
+  const job = enqueueJob('town-meeting:generate-article', { ideaId, angleName, departmentId, videoId }, { locks: [lock] });
+  res.json({ status: jobStartStatus(job), jobId: job.id });
+});
 
-  (async () => {
-    const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
-    const dataDir = path.join(__dirname, '..', 'data', 'swagit');
+registerJobHandler('town-meeting:generate-article', async ({ ideaId, angleName, departmentId, videoId }, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
+  const dataDir = path.join(__dirname, '..', 'data', 'swagit');
 
-    try {
-      // Use the specific meeting's transcript if videoId is provided
-      let transcriptPath;
-      if (videoId) {
-        transcriptPath = path.join(dataDir, `${videoId}_transcript.json`);
-
-        // If local file doesn't exist, try to get from Supabase
-        if (!fs.existsSync(transcriptPath)) {
-          console.log(`Local transcript not found, checking Supabase for video ${videoId}...`);
-          const supabaseTranscript = await getTranscriptFromSupabase(videoId);
-
-          if (supabaseTranscript) {
-            // Save to local filesystem for the generator script to use
-            fs.mkdirSync(dataDir, { recursive: true });
-            fs.writeFileSync(transcriptPath, JSON.stringify(supabaseTranscript, null, 2));
-            console.log(`☁️  Restored transcript from Supabase to: ${transcriptPath}`);
-          } else {
-            throw new Error(`Transcript not found for video ${videoId} (checked local + Supabase)`);
-          }
-        }
+  // Use the specific meeting's transcript if videoId is provided
+  let transcriptPath;
+  if (videoId) {
+    transcriptPath = path.join(dataDir, `${videoId}_transcript.json`);
+
+    // If local file doesn't exist, try to get from Supabase
+    if (!fs.existsSync(transcriptPath)) {
+      console.log(`Local transcript not found, checking Supabase for video ${videoId}...`);
+      const supabaseTranscript = await getTranscriptFromSupabase(videoId);
+
+      if (supabaseTranscript) {
+        // Save to local filesystem for the generator script to use
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(transcriptPath, JSON.stringify(supabaseTranscript, null, 2));
+        console.log(`☁️  Restored transcript from Supabase to: ${transcriptPath}`);
       } else {
-        // Fallback to latest transcript
-        const transcriptFiles = fs.readdirSync(dataDir).filter(f => f.includes('_transcript.json'));
-        if (transcriptFiles.length === 0) throw new Error('No transcript file found');
-        const latestTranscript = transcriptFiles.sort().reverse()[0];
-        transcriptPath = path.join(dataDir, latestTranscript);
+        throw new Error(`Transcript not found for video ${videoId} (checked local + Supabase)`);
       }
+    }
+  } else {
+    // Fallback to latest transcript
+    const transcriptFiles = fs.readdirSync(dataDir).filter(f => f.includes('_transcript.json'));
+    if (transcriptFiles.length === 0) throw new Error('No transcript file found');
+    const latestTranscript = transcriptFiles.sort().reverse()[0];
+    transcriptPath = path.join(dataDir, latestTranscript);
+  }
 
-      console.log(`Generating article for idea ${ideaId}, angle ${angleName}, video ${videoId || 'latest'}...`);
-      await runScript(agentDir, 'generate.js', [transcriptPath, ideaId, angleName], {
-        DEPARTMENT_ID: departmentId,
-        VIDEO_ID: videoId || ''
-      });
+  console.log(`Generating article for idea ${ideaId}, angle ${angleName}, video ${videoId || 'latest'}...`);
+  const generatorResult = await runScript(agentDir, 'generate.js', [transcriptPath, ideaId, angleName], {
+    DEPARTMENT_ID: departmentId,
+    VIDEO_ID: videoId || ''
+  }, job);
 
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.lastResult = { type: 'success', message: 'Article generated and added to drafts', count: 1 };
-      saveStatus();
-    } catch (error) {
-      console.error('Article generation failed:', error.message);
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.error = error.message;
-      saveStatus();
-    }
-  })();
+  return buildAgentResult(generatorResult.events, 'generate.js');
+});
+
+/**
+ * Queue background idea generation for a meeting transcript.
+ * Holds the meeting's lock, so it waits for any re-processing of the same
+ * meeting but never blocks the Meeting Agent.
+ */
+function enqueueIdeaGeneration(videoId, { updateCurrentIdeas = false } = {}) {
+  return enqueueJob('town-meeting:generate-ideas', { videoId, updateCurrentIdeas }, {
+    agent: 'town-meeting',
+    locks: [`video:${videoId}`]
+  });
+}
+
+registerJobHandler('town-meeting:generate-ideas', async ({ videoId, updateCurrentIdeas }, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
+  const transcriptPath = path.join(__dirname, '..', 'data', 'swagit', `${videoId}_transcript.json`);
+  const args = updateCurrentIdeas ? [transcriptPath, IDEAS_FILE] : [transcriptPath];
+
+  // Recorded as the meeting's final pipeline stage
+  const generatorResult = await runStage(videoId, 'ideas', () => runScript(agentDir, 'generate_ideas.js', args, {
+    DEPARTMENT_ID: meetingDepartmentId(videoId) || ''
+  }, job));
+  return buildAgentResult(generatorResult.events, 'generate_ideas.js');
+}, { maxRetries: 2 });
+
+registerJobHandler('town-meeting:agenda', async ({ videoId, source }, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
+
+  // Recorded as the meeting's agenda stage
+  const agendaResult = await runStage(videoId, 'agenda', () => runScript(agentDir, 'ingest_agenda.js', [videoId, source], {
+    DEPARTMENT_ID: meetingDepartmentId(videoId) || ''
+  }, job));
+  return buildAgentResult(agendaResult.events, 'ingest_agenda.js');
 });
 
 const CRIME_SETTINGS_FILE = path.join(__dirname, '..', 'data', 'crime_watch_settings.json');
@@ -1627,7 +2498,8 @@ app.get('/api/settings/crime-watch', (req, res) => {
         daysToFetch: 30,
         newsworthyCrimes: ['Assault', 'Robbery', 'Burglary', 'Motor Vehicle Theft', 'Arson', 'Homicide'],
         skipCrimes: ['Vandalism', 'Trespassing', 'Disturbing the Peace'],
-        autoRun: false
+        autoRun: false,
+        schedule: DEFAULT_SCHEDULES['crime-watch']
       });
     }
   } catch (e) {
@@ -1642,6 +2514,10 @@ app.get('/api/settings/crime-watch', (req, res) => {
 app.post('/api/settings/crime-watch', (req, res) => {
   try {
     const settings = req.body;
+    const scheduleError = validateSchedules([settings]);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
 
     // Ensure data directory exists
     const dataDir = path.dirname(CRIME_SETTINGS_FILE);
@@ -1691,46 +2567,26 @@ app.get('/api/agents/crime-watch/incidents', (req, res) => {
 });
 
 /**
- * POST /api/agents/crime-watch/generate-article
- * Generate a crime brief article from a single incident
+ * Format an incident for the crime brief prompt (street numbers are dropped
+ * for privacy)
  */
-app.post('/api/agents/crime-watch/generate-article', async (req, res) => {
-  const { incident } = req.body;
-
-  if (!incident) {
-    return res.status(400).json({ error: 'Incident data required' });
-  }
-
-  try {
-    const agentDir = path.join(__dirname, '..', 'agents', 'crime-watch');
-    const promptPath = path.join(__dirname, '..', 'prompts', 'generate-crime-brief.txt');
-
-    // Load the prompt
-    let systemPrompt = '';
-    if (fs.existsSync(promptPath)) {
-      systemPrompt = fs.readFileSync(promptPath, 'utf-8');
-    } else {
-      systemPrompt = `You are a local news journalist for Jupiter, FL. Generate a brief, factual news article about the following crime incident. Include a headline, brief article body (2-3 paragraphs), and social media posts for Twitter and Facebook. Output as JSON with fields: headline, brief, social_posts (with twitter and facebook fields).`;
-    }
-
-    // Format incident for generation
-    const date = new Date(incident.dateTime);
-    const dateStr = date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
-    const timeStr = date.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
+function formatIncidentText(incident) {
+  const date = new Date(incident.dateTime);
+  const dateStr = date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const timeStr = date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
 
-    let location = incident.address || 'Jupiter area';
-    location = location.replace(/^\\d+\\s+/, '').replace(/\\s+\\d+$/, '');
+  const location = (incident.address || 'Jupiter area').replace(/^\d+\s+/, '').replace(/\s+\d+$/, '');
 
-    const incidentText = `## Incident Details
+  return `## Incident Details
 - Crime Type: ${incident.crime || incident.crimeClass || 'Unknown'}
 - Crime Class: ${incident.crimeClass || 'Unknown'}
 - Date: ${dateStr}
@@ -1739,27 +2595,32 @@ app.post('/api/agents/crime-watch/generate-article', async (req, res) => {
 - Location Type: ${incident.locationType || 'Not specified'}
 - Agency: ${incident.agency || 'Jupiter Police'}
 - Reference ID: ${incident.referenceId || 'N/A'}`;
+}
 
-    // Use OpenAI to generate the article
-    const OpenAI = (await import('openai')).default;
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/**
+ * POST /api/agents/crime-watch/generate-article
+ * Generate a crime brief article from a single incident
+ */
+app.post('/api/agents/crime-watch/generate-article', async (req, res) => {
+  const { incident } = req.body;
+
+  if (!incident) {
+    return res.status(400).json({ error: 'Incident data required' });
+  }
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Generate a crime brief for this incident:\n\n${incidentText}` }
-      ],
+  try {
+    // Generate the article with the LLM
+    const { data: generated } = await completeJson({
+      task: 'crime-brief',
+      schema: 'crime-brief',
+      context: { agent: 'crime-watch', incidentId: incident.referenceId || incident.id },
+      messages: renderPrompt('crime-brief', { incident: formatIncidentText(incident) }).messages,
       temperature: 0.5,
-      max_tokens: 800,
-      response_format: { type: 'json_object' }
+      maxTokens: 800
     });
 
-    const generated = JSON.parse(response.choices[0].message.content);
-
-    // Save to Google Sheets
-    const { appendArticlesWithDedup } = await import('../lib/sheets.js');
-    const sheetArticle = {
+    // Save to the article store
+    const storeArticle = {
       agentSource: 'crime-watch',
       headline: generated.headline || '',
       body: generated.brief || '',
@@ -1771,77 +2632,115 @@ app.post('/api/agents/crime-watch/generate-article', async (req, res) => {
       status: 'draft'
     };
 
-    const result = await appendArticlesWithDedup([sheetArticle], 'crime-watch');
-
-    // Dual-write to Supabase
-    saveArticleToSupabase(sheetArticle);
+    const { created, skipped } = await articleStore.createMany([storeArticle], 'crime-watch');
 
     res.json({
       success: true,
       article: generated,
-      sheetsResult: result
+      storeResult: { added: created.length, skipped }
     });
   } catch (e) {
+    if (e instanceof BudgetExceededError) {
+      return res.status(409).json({ error: e.message, budget: { kind: e.kind, capUsd: e.capUsd, spentUsd: e.spentUsd } });
+    }
+    if (e instanceof SchemaValidationError) {
+      return res.status(502).json({ error: e.message, validationErrors: e.errors });
+    }
     console.error('Error generating crime article:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
 app.post('/api/agents/crime-watch/run', async (req, res) => {
-  if (agentStatus.crimeWatch.running) {
+  if (getActiveJobs('crime-watch').some(j => j.type === 'crime-watch:run')) {
     return res.status(409).json({ error: 'Agent already running' });
   }
+  const budgetError = budgetBlockReason('crime-watch');
+  if (budgetError) {
+    return res.status(409).json({ error: budgetError });
+  }
 
-  agentStatus.crimeWatch.running = true;
-  agentStatus.crimeWatch.error = null;
-  res.json({ status: 'started' }); // Respond immediately
+  const job = enqueueJob('crime-watch:run');
+  res.json({ status: jobStartStatus(job), jobId: job.id }); // Respond immediately
+});
 
-  // Run in background
-  (async () => {
-    const agentDir = path.join(__dirname, '..', 'agents', 'crime-watch');
-    const outputDir = path.join(agentDir, 'output');
+registerJobHandler('crime-watch:run', async (args, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'crime-watch');
+  const outputDir = path.join(agentDir, 'output');
 
-    // Ensure output directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+  // Ensure output directory exists
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
 
-    try {
-      // Run scraper
-      console.log('Running crime-watch scraper...');
-      await runScript(agentDir, 'scrape.js');
+  // Run scraper
+  console.log('Running crime-watch scraper...');
+  const scraperResult = await runScript(agentDir, 'scrape.js', [], {}, job);
 
-      // Mismatch fix: Scraper saves to ../../data/crime by default
-      const dataDir = path.join(__dirname, '..', 'data', 'crime');
+  // Mismatch fix: Scraper saves to ../../data/crime by default
+  const dataDir = path.join(__dirname, '..', 'data', 'crime');
 
-      // Ensure data directory exists
-      if (!fs.existsSync(dataDir)) {
-        throw new Error(`Data directory not found: ${dataDir}`);
-      }
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    throw new Error(`Data directory not found: ${dataDir}`);
+  }
 
-      const files = fs.readdirSync(dataDir).filter(f => f.startsWith('incidents_'));
-      if (files.length === 0) {
-        throw new Error('No incidents file generated');
-      }
-      const latestFile = files.sort().reverse()[0];
-      const incidentsPath = path.join(dataDir, latestFile);
-
-      // Run generator
-      console.log('Running crime-watch generator...');
-      const result = await runScript(agentDir, 'generate.js', [incidentsPath]);
-
-      agentStatus.crimeWatch.lastRun = new Date().toISOString();
-      agentStatus.crimeWatch.running = false;
-      agentStatus.crimeWatch.lastResult = parseAgentResult(result.stdout, 'crime-watch');
-      saveStatus();
-      console.log('Crime watch agent completed successfully');
-    } catch (error) {
-      console.error('Crime watch agent failed:', error.message);
-      agentStatus.crimeWatch.running = false;
-      agentStatus.crimeWatch.error = error.message;
-      saveStatus();
+  const files = fs.readdirSync(dataDir).filter(f => f.startsWith('incidents_'));
+  if (files.length === 0) {
+    throw new Error('No incidents file generated');
+  }
+  const latestFile = files.sort().reverse()[0];
+  const incidentsPath = path.join(dataDir, latestFile);
+
+  // Run generator
+  console.log('Running crime-watch generator...');
+  const generatorResult = await runScript(agentDir, 'generate.js', [incidentsPath], {}, job);
+
+  console.log('Crime watch agent completed successfully');
+  return buildAgentResult([...scraperResult.events, ...generatorResult.events], 'generate.js');
+}, { maxRetries: 2 });
+
+const WASTEWATER_SETTINGS_FILE = path.join(__dirname, '..', 'data', 'wastewater_settings.json');
+
+/**
+ * GET /api/settings/wastewater-health
+ * Get wastewater health settings
+ */
+app.get('/api/settings/wastewater-health', (req, res) => {
+  try {
+    if (fs.existsSync(WASTEWATER_SETTINGS_FILE)) {
+      const settings = JSON.parse(fs.readFileSync(WASTEWATER_SETTINGS_FILE, 'utf-8'));
+      res.json(settings);
+    } else {
+      // Default settings
+      res.json({
+        autoRun: false,
+        schedule: DEFAULT_SCHEDULES['wastewater-health']
+      });
     }
-  })();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/settings/wastewater-health
+ * Save wastewater health settings
+ */
+app.post('/api/settings/wastewater-health', (req, res) => {
+  try {
+    const settings = req.body;
+    const scheduleError = validateSchedules([settings]);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    fs.mkdirSync(path.dirname(WASTEWATER_SETTINGS_FILE), { recursive: true });
+    fs.writeFileSync(WASTEWATER_SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 /**
@@ -1877,308 +2776,371 @@ app.get('/api/agents/wastewater-health/data', async (req, res) => {
  * Run the wastewater health agent
  */
 app.post('/api/agents/wastewater-health/run', async (req, res) => {
-  if (agentStatus.wastewaterHealth.running) {
+  if (getActiveJobs('wastewater-health').some(j => j.type === 'wastewater-health:run')) {
     return res.status(409).json({ error: 'Agent already running' });
   }
+  const budgetError = budgetBlockReason('wastewater-health');
+  if (budgetError) {
+    return res.status(409).json({ error: budgetError });
+  }
+
+  const job = enqueueJob('wastewater-health:run');
+  res.json({ status: jobStartStatus(job), jobId: job.id }); // Respond immediately
+});
+
+registerJobHandler('wastewater-health:run', async (args, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'wastewater-health');
+  const dataDir = path.join(__dirname, '..', 'data', 'wastewater');
+
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
 
-  agentStatus.wastewaterHealth.running = true;
-  agentStatus.wastewaterHealth.error = null;
-  res.json({ status: 'started' }); // Respond immediately
+  // Run scraper
+  console.log('Running wastewater-health scraper...');
+  const scraperResult = await runScript(agentDir, 'scrape.js', [], {}, job);
 
-  // Run in background
-  (async () => {
-    const agentDir = path.join(__dirname, '..', 'agents', 'wastewater-health');
-    const dataDir = path.join(__dirname, '..', 'data', 'wastewater');
+  // Find the latest data file
+  const files = fs.readdirSync(dataDir).filter(f => f.startsWith('wastewater_') && f.endsWith('.json'));
+  if (files.length === 0) {
+    throw new Error('No wastewater data file generated');
+  }
+  const latestFile = files.sort().reverse()[0];
+  const dataPath = path.join(dataDir, latestFile);
 
-    // Ensure data directory exists
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+  // Run generator
+  console.log('Running wastewater-health generator...');
+  const generatorResult = await runScript(agentDir, 'generate.js', [dataPath], {}, job);
 
-    try {
-      // Run scraper
-      console.log('Running wastewater-health scraper...');
-      await runScript(agentDir, 'scrape.js');
-
-      // Find the latest data file
-      const files = fs.readdirSync(dataDir).filter(f => f.startsWith('wastewater_') && f.endsWith('.json'));
-      if (files.length === 0) {
-        throw new Error('No wastewater data file generated');
-      }
-      const latestFile = files.sort().reverse()[0];
-      const dataPath = path.join(dataDir, latestFile);
-
-      // Run generator
-      console.log('Running wastewater-health generator...');
-      const result = await runScript(agentDir, 'generate.js', [dataPath]);
-
-      agentStatus.wastewaterHealth.lastRun = new Date().toISOString();
-      agentStatus.wastewaterHealth.running = false;
-      agentStatus.wastewaterHealth.lastResult = parseAgentResult(result.stdout, 'wastewater-health');
-      saveStatus();
-      console.log('Wastewater Watch agent completed successfully');
-    } catch (error) {
-      console.error('Wastewater Watch agent failed:', error.message);
-      agentStatus.wastewaterHealth.running = false;
-      agentStatus.wastewaterHealth.error = error.message;
-      saveStatus();
-    }
-  })();
-});
+  console.log('Wastewater Watch agent completed successfully');
+  return buildAgentResult([...scraperResult.events, ...generatorResult.events], 'generate.js');
+}, { maxRetries: 2 });
 
 /**
  * POST /api/agents/town-meeting/run
  * Run the town meeting agent
  */
 app.post('/api/agents/town-meeting/run', async (req, res) => {
-  if (agentStatus.townMeeting.running) {
-    return res.status(409).json({ error: 'Agent already running' });
+  const departmentId = req.body.departmentId || 'town-council';
+
+  // Departments run independently; only one run per department at a time
+  if (getJobsHoldingLock(`department:${departmentId}`).length > 0) {
+    return res.status(409).json({ error: `Agent already running for ${departmentId}` });
+  }
+  const budgetError = budgetBlockReason('town-meeting');
+  if (budgetError) {
+    return res.status(409).json({ error: budgetError });
   }
 
-  agentStatus.townMeeting.running = true;
-  agentStatus.townMeeting.error = null;
-  res.json({ status: 'started' }); // Respond immediately
+  const job = enqueueTownMeetingRun(departmentId, req.body.scrapeMode || 'latest'); // 'latest' or 'upcoming'
+  res.json({ status: jobStartStatus(job), jobId: job.id }); // Respond immediately
+});
+
+function enqueueTownMeetingRun(departmentId, scrapeMode) {
+  return enqueueJob('town-meeting:run', { departmentId, scrapeMode }, { locks: [`department:${departmentId}`] });
+}
+
+registerJobHandler('town-meeting:run', async ({ departmentId, scrapeMode }, job) => {
+  const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
 
-  // Run in background
-  (async () => {
-    const agentDir = path.join(__dirname, '..', 'agents', 'town-meeting');
-    const departmentId = req.body.departmentId || 'town-council';
-    const scrapeMode = req.body.scrapeMode || 'latest'; // 'latest' or 'upcoming'
+  // Find the meetings first (latest or scheduled), so each one is processed
+  // holding its video lock like reprocess, resume and agenda ingest
+  console.log(`Running town-meeting scraper for ${departmentId} (mode: ${scrapeMode})...`);
+  const discovery = await runScript(agentDir, 'scrape.js', [], {
+    DEPARTMENT_ID: departmentId,
+    SCRAPE_MODE: scrapeMode,
+    SCRAPE_DISCOVER_ONLY: '1'
+  }, job);
+
+  const found = buildAgentResult(discovery.events, 'scrape.js');
+  const meetings = found.meetings || (found.videoIds || []).map(videoId => ({ id: null, videoId }));
+
+  // No new meetings is a success, not an error
+  if (meetings.length === 0) {
+    console.log('Town meeting agent: No new meetings available');
+    return found;
+  }
 
+  const events = [...discovery.events];
+  const videoIds = [];
+  for (const meeting of meetings) {
+    await acquireJobLock(job, `video:${meeting.videoId}`);
+    // An automatic retry picks up from the stage that failed
+    const stage = job.retries ? (getResumeStage(meeting.videoId) || 'download') : 'download';
     try {
-      // Run scraper (gets latest meeting or processes upcoming)
-      console.log(`Running town-meeting scraper for ${departmentId} (mode: ${scrapeMode})...`);
       const scraperResult = await runScript(agentDir, 'scrape.js', [], {
         DEPARTMENT_ID: departmentId,
-        SCRAPE_MODE: scrapeMode
-      });
+        FORCE_VIDEO_ID: meeting.videoId,
+        RESUME_FROM_STAGE: stage,
+        ...(meeting.id ? { SCHEDULED_MEETING_ID: meeting.id } : {})
+      }, job);
+      events.push(...scraperResult.events);
+      videoIds.push(meeting.videoId);
+    } catch (error) {
+      // A scheduled meeting that fails doesn't stop the others
+      if (!meeting.id || getJobSignal(job.id)?.aborted) throw error;
+      console.error(`Failed to process scheduled meeting ${meeting.id}: ${error.message}`);
+      events.push({ event: 'warning', message: `Failed to process meeting ${meeting.id}: ${error.message}` });
+    }
+  }
 
-      // Check if scraper found no new meetings (this is success, not error)
-      if (scraperResult.stdout.includes('NO_NEW_MEETINGS_FOUND') || scraperResult.stderr.includes('NO_NEW_MEETINGS')) {
-        agentStatus.townMeeting.lastRun = new Date().toISOString();
-        agentStatus.townMeeting.running = false;
-        agentStatus.townMeeting.lastResult = {
-          type: 'info',
-          message: 'No new Jupiter meetings found on Swagit. Check back after the next council meeting.',
-          count: 0
-        };
-        saveStatus();
-        console.log('Town meeting agent: No new meetings available');
-        return;
-      }
+  const result = {
+    ...buildAgentResult(events, 'scrape.js'),
+    type: videoIds.length > 0 ? 'success' : 'info',
+    message: `Processed ${videoIds.length} of ${meetings.length} meeting(s)`,
+    counts: { meetings: videoIds.length, failed: meetings.length - videoIds.length },
+    videoIds
+  };
+  if (videoIds.length === 0) return result;
+
+  // Run idea generator in background (doesn't block the main flow)
+  console.log('Queueing town-meeting idea generator in background...');
+  videoIds.forEach((videoId, i) => {
+    enqueueIdeaGeneration(videoId, { updateCurrentIdeas: i === videoIds.length - 1 });
+  });
 
-      // Mismatch fix: Orchestrator saves to ../../data/swagit
-      const dataDir = path.join(__dirname, '..', 'data', 'swagit');
+  console.log('Town meeting ingestion complete, idea generation running in background');
+  return { ...result, message: `${result.message}, ideas generating in background` };
+}, { maxRetries: 2 });
+
+registerJobHandler('town-meeting:sync-calendar', async (args, job) => {
+  const scriptsDir = path.join(__dirname, '..', 'scripts');
+  const result = await runScript(scriptsDir, 'sync_calendar.js', [], {}, job);
+  return buildAgentResult(result.events, 'sync_calendar.js');
+}, { maxRetries: 2 });
+
+// Schedules used until a schedule is saved from the settings views
+// (cron, server local time)
+const DEFAULT_SCHEDULES = {
+  'crime-watch': '0 7 * * *', // Daily at 7am
+  'wastewater-health': '0 8 * * 1', // Mondays at 8am (CDC data is weekly)
+  'town-meeting': '0 6 * * *', // Daily at 6am
+  'swagit-scan': '0 */6 * * *', // Every 6 hours
+  'calendar-sync': '0 5 * * *' // Daily at 5am
+};
 
-      // Find the latest transcript
-      const transcriptFiles = fs.readdirSync(dataDir).filter(f => f.includes('_transcript.json'));
-      if (transcriptFiles.length === 0) throw new Error('No transcript file found');
-      const latestTranscript = transcriptFiles.sort().reverse()[0];
-      const transcriptPath = path.join(dataDir, latestTranscript);
-
-      // Run idea generator in background (doesn't block the main flow)
-      console.log('Running town-meeting idea generator in background...');
-      runScriptBackground(agentDir, 'generate_ideas.js', [transcriptPath, IDEAS_FILE]);
-
-      agentStatus.townMeeting.lastRun = new Date().toISOString();
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.lastResult = { type: 'success', message: 'Meeting processed, ideas generating in background', count: 0 };
-      saveStatus();
-      console.log('Town meeting ingestion complete, idea generation running in background');
-    } catch (error) {
-      console.error('Town meeting agent failed:', error.message);
-      agentStatus.townMeeting.running = false;
-      agentStatus.townMeeting.error = error.message;
-      saveStatus();
+/**
+ * Read a settings JSON file, or {} if it doesn't exist yet
+ */
+function readSettingsFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Scheduler config for a task from its { autoRun, schedule } settings entry
+ */
+function scheduleConfig(taskId, entry) {
+  return {
+    autoRun: Boolean(entry?.autoRun),
+    schedule: entry?.schedule || DEFAULT_SCHEDULES[taskId]
+  };
+}
+
+/**
+ * Check the `schedule` cron expression of each { autoRun, schedule } entry
+ * @returns {string|null} Error message for the first invalid one
+ */
+function validateSchedules(entries) {
+  for (const entry of entries) {
+    if (!entry?.schedule) continue;
+    try {
+      parseCron(entry.schedule);
+    } catch (e) {
+      return `Invalid schedule: ${e.message}`;
     }
-  })();
-});
+  }
+  return null;
+}
+
+/**
+ * Status reported to the client when a job is enqueued
+ */
+function jobStartStatus(job) {
+  return job.status === 'running' ? 'started' : 'queued';
+}
+
+/**
+ * Why an agent can't start a run because its budget is already used up
+ *
+ * @returns {string|null} Message for the editor, or null if it may run
+ */
+function budgetBlockReason(agent) {
+  try {
+    checkBudget(agent);
+    return null;
+  } catch (e) {
+    if (e instanceof BudgetExceededError) return e.message;
+    throw e;
+  }
+}
+
+// Failures worth retrying automatically (network blips, rate limits, upstream 5xx)
+const TRANSIENT_ERROR_PATTERN = /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|rate limit|(status|HTTP|code)[ :]*(429|50[234])\b/i;
+// Grace period between SIGTERM and SIGKILL when stopping a script
+const KILL_TIMEOUT_MS = 10000;
+
+// Script processes currently running, stopped when the server shuts down
+const activeProcesses = new Set();
+
+/**
+ * Signal a script and everything it spawned (nested steps, ffmpeg).
+ * Scripts run in their own process group, so the whole group is signalled.
+ */
+function signalProcessTree(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch (e) {
+    if (e.code !== 'ESRCH') console.error(`Failed to ${signal} process group ${proc.pid}:`, e.message);
+  }
+}
+
+/**
+ * Stop a script's process tree, force-killing it if it ignores SIGTERM
+ */
+function killProcessTree(proc) {
+  signalProcessTree(proc, 'SIGTERM');
+  const timer = setTimeout(() => signalProcessTree(proc, 'SIGKILL'), KILL_TIMEOUT_MS);
+  timer.unref();
+  proc.once('close', () => clearTimeout(timer));
+}
 
 /**
  * Helper to run a script and capture output
+ * When a job is passed, output is also recorded on that job, and cancelling
+ * the job terminates the script's process tree.
+ * Structured events the script (and any scripts it spawns) writes to the
+ * agent event channel on fd 3 are collected in `events`.
+ * A failure whose stderr looks like a network or rate-limit problem is marked
+ * `transient` so the job queue can retry it.
+ * The job ID is passed as AGENT_JOB_ID so LLM costs are charged to the job.
+ * A script stopped by a spending cap fails with the cap's message (never
+ * retried) instead of its exit code.
  */
-function runScript(cwd, script, args = [], extraEnv = {}) {
+function runScript(cwd, script, args = [], extraEnv = {}, job = null) {
   return new Promise((resolve, reject) => {
     let stdout = '';
     let stderr = '';
+    const events = [];
+
+    const signal = job ? getJobSignal(job.id) : null;
+    if (signal?.aborted) {
+      return reject(new Error('Cancelled'));
+    }
 
     const proc = spawn('node', [script, ...args], {
       cwd,
-      env: { ...process.env, ...extraEnv },
-      stdio: ['inherit', 'pipe', 'pipe']
+      env: { ...process.env, ...extraEnv, AGENT_EVENTS_FD: '3', ...(job ? { AGENT_JOB_ID: job.id } : {}) },
+      stdio: ['inherit', 'pipe', 'pipe', 'pipe'],
+      detached: true // Own process group, so the whole tree can be stopped
+    });
+    activeProcesses.add(proc);
+
+    const onAbort = () => {
+      console.log(`🛑 Cancelling ${script} (pid ${proc.pid})`);
+      killProcessTree(proc);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    readAgentEvents(proc.stdio[3], (event) => {
+      events.push(event);
+      if (job && event.event === 'warning') {
+        appendJobOutput(job.id, `[warning] ${event.message}\n`);
+      } else if (job && event.event === 'budget-exceeded') {
+        appendJobOutput(job.id, `[budget] ${event.message}\n`);
+      } else if (job && event.event === 'validation-failed') {
+        appendJobOutput(job.id, `[validation] ${event.task} response, attempt ${event.attempt}${event.gaveUp ? ' (gave up)' : ''}: ${event.errors.join('; ')}\n`);
+      }
     });
 
+    if (job) appendJobOutput(job.id, `$ node ${[script, ...args].join(' ')}\n`);
+
+    // Decode as a stream so emoji split across chunks reach the log intact
+    proc.stdout.setEncoding('utf8');
+    proc.stderr.setEncoding('utf8');
+
     proc.stdout.on('data', (data) => {
       const text = data.toString();
       stdout += text;
       process.stdout.write(text); // Still show in console
+      if (job) appendJobOutput(job.id, text);
     });
 
     proc.stderr.on('data', (data) => {
       const text = data.toString();
       stderr += text;
       process.stderr.write(text);
+      if (job) appendJobOutput(job.id, text);
     });
 
-    proc.on('close', (code) => {
-      if (code === 0) {
-        resolve({ stdout, stderr, code });
+    proc.on('close', (code, exitSignal) => {
+      activeProcesses.delete(proc);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted) {
+        reject(new Error('Cancelled'));
+      } else if (code === 0) {
+        resolve({ stdout, stderr, code, events });
       } else {
-        reject(new Error(`Script exited with code ${code}`));
+        const budgetEvent = events.find(e => e.event === 'budget-exceeded');
+        const error = new Error(budgetEvent
+          ? `Stopped by budget: ${budgetEvent.message}`
+          : `Script exited with ${code !== null ? `code ${code}` : `signal ${exitSignal}`}`);
+        error.transient = !budgetEvent && TRANSIENT_ERROR_PATTERN.test(stderr.slice(-4000));
+        reject(error);
       }
     });
 
-    proc.on('error', reject);
+    proc.on('error', (error) => {
+      activeProcesses.delete(proc);
+      reject(error);
+    });
   });
 }
 
-/**
- * Helper to run a script in the background (fire and forget)
- * Used for tasks that can run independently while the main flow continues
- */
-function runScriptBackground(cwd, script, args = [], extraEnv = {}) {
-  console.log(`🔄 Starting background task: ${script}`);
-
-  const proc = spawn('node', [script, ...args], {
-    cwd,
-    env: { ...process.env, ...extraEnv },
-    stdio: 'inherit',  // Still show output in console
-    detached: false    // Keep attached so we see logs
-  });
-
-  proc.on('close', (code) => {
-    if (code === 0) {
-      console.log(`✅ Background task completed: ${script}`);
-    } else {
-      console.error(`❌ Background task failed: ${script} (code ${code})`);
+// Don't leave detached scripts running when the server stops (e.g., on redeploy);
+// their jobs are requeued when the server starts again
+for (const shutdownSignal of ['SIGINT', 'SIGTERM']) {
+  process.once(shutdownSignal, () => {
+    for (const proc of activeProcesses) {
+      signalProcessTree(proc, 'SIGTERM');
     }
+    process.exit(0);
   });
-
-  proc.on('error', (err) => {
-    console.error(`❌ Background task error: ${script} - ${err.message}`);
-  });
-
-  // Don't wait - return immediately
-  return proc;
 }
 
 /**
- * Parse agent output for result summary
+ * Build a job result from the events of one or more script runs.
+ * The outcome (type, message, count and any extra fields) comes from the
+ * `result` event of `script`; articles, warnings, costs and LLM responses that
+ * failed schema validation are gathered from every script that ran (including
+ * nested steps).
  */
-function parseAgentResult(output, type) {
-  console.log(`\n[parseAgentResult] Parsing ${type} output (${output.length} chars)`);
-
-  if (type === 'crime-watch') {
-    // Check for "Added X new articles to sheet" pattern
-    const addedMatch = output.match(/Added\s+(\d+)\s+new articles/i);
-    if (addedMatch) {
-      const count = parseInt(addedMatch[1]);
-      console.log(`[parseAgentResult] Found: Added ${count} articles`);
-      return {
-        type: 'success',
-        message: `Added ${count} new crime article${count !== 1 ? 's' : ''}`,
-        count
-      };
-    }
-
-    // Check for "All newsworthy incidents have already been processed"
-    if (output.includes('All newsworthy incidents have already been processed')) {
-      console.log('[parseAgentResult] Found: All already processed');
-      return {
-        type: 'info',
-        message: 'No new entries - all incidents already processed',
-        count: 0
-      };
-    }
-
-    // Check for "No newsworthy incidents found"
-    if (output.includes('No newsworthy incidents found')) {
-      console.log('[parseAgentResult] Found: No newsworthy');
-      return {
-        type: 'info',
-        message: 'No newsworthy incidents found',
-        count: 0
-      };
-    }
-
-    console.log('[parseAgentResult] No pattern matched for crime-watch');
-    return { type: 'info', message: 'Scan complete - no new articles', count: 0 };
-  }
-
-  if (type === 'town-meeting') {
-    // Check for "Added to sheet (row X)" pattern
-    const addedMatch = output.match(/Added to sheet/i);
-    if (addedMatch) {
-      console.log('[parseAgentResult] Found: Added to sheet');
-      return {
-        type: 'success',
-        message: 'Added 1 new town meeting article',
-        count: 1
-      };
-    }
-
-    // Check for already exists / skipping
-    if (output.includes('Article already exists') || output.includes('Skipping generation')) {
-      console.log('[parseAgentResult] Found: Already exists');
-      return {
-        type: 'info',
-        message: 'No new entries - meeting already processed',
-        count: 0
-      };
-    }
-
-    console.log('[parseAgentResult] No pattern matched for town-meeting');
-    return { type: 'info', message: 'Scan complete - no new articles', count: 0 };
+function buildAgentResult(events, script) {
+  const scriptResult = [...events].reverse().find(e => e.event === 'result' && e.script === script);
+  if (!scriptResult) {
+    throw new Error(`${script} finished without reporting a result`);
   }
 
-  if (type === 'wastewater-health') {
-    // Check for "Article saved to Supabase" pattern
-    if (output.includes('Article saved to Supabase')) {
-      console.log('[parseAgentResult] Found: Article saved to Supabase');
-      return {
-        type: 'success',
-        message: 'Generated new wastewater health brief',
-        count: 1
-      };
-    }
-
-    // Check for "Added X new article to sheet" pattern
-    const addedMatch = output.match(/Added\s+(\d+)\s+new article/i);
-    if (addedMatch) {
-      const count = parseInt(addedMatch[1]);
-      console.log(`[parseAgentResult] Found: Added ${count} articles`);
-      return {
-        type: 'success',
-        message: `Generated ${count} new health brief${count !== 1 ? 's' : ''}`,
-        count
-      };
-    }
-
-    // Check for already exists
-    if (output.includes('already exists. Skipping generation')) {
-      console.log('[parseAgentResult] Found: Already exists');
-      return {
-        type: 'info',
-        message: 'Health brief already generated for this week',
-        count: 0
-      };
-    }
-
-    // Check for no data
-    if (output.includes('No data available') || output.includes('Found 0 COVID') && output.includes('Found 0 Influenza')) {
-      console.log('[parseAgentResult] Found: No data');
-      return {
-        type: 'info',
-        message: 'No wastewater data available for Palm Beach County',
-        count: 0
-      };
-    }
-
-    console.log('[parseAgentResult] No pattern matched for wastewater-health');
-    return { type: 'info', message: 'Health scan complete', count: 0 };
-  }
-
-  return { type: 'info', message: 'Agent completed', count: null };
+  const usd = events
+    .filter(e => e.event === 'result')
+    .reduce((sum, e) => sum + (e.costs?.usd || 0), 0);
+
+  return {
+    ...scriptResult,
+    event: undefined,
+    script: undefined,
+    at: undefined,
+    costs: { usd: Math.round(usd * 10000) / 10000 },
+    articles: events
+      .filter(e => e.event === 'article-created')
+      .map(e => ({ agentSource: e.agentSource, headline: e.headline, sourceUrl: e.sourceUrl })),
+    warnings: events.filter(e => e.event === 'warning' || e.event === 'budget-exceeded').map(e => e.message),
+    validationFailures: events
+      .filter(e => e.event === 'validation-failed')
+      .map(e => ({ script: e.script, task: e.task, model: e.model, attempt: e.attempt, errors: e.errors, gaveUp: e.gaveUp }))
+  };
 }
 
 // In production, serve React app for any non-API routes (client-side routing)
@@ -2193,6 +3155,53 @@ if (isProduction) {
   });
 }
 
+// Load job history and resume any work interrupted by the last shutdown
+initJobQueue(path.join(__dirname, '..', 'data', 'jobs.json'));
+
+registerScheduledTask('crime-watch', {
+  label: 'Crime Agent',
+  getConfig: () => scheduleConfig('crime-watch', readSettingsFile(CRIME_SETTINGS_FILE)),
+  isBusy: () => getActiveJobs('crime-watch').some(j => j.type === 'crime-watch:run'),
+  getBlockReason: () => budgetBlockReason('crime-watch'),
+  run: () => enqueueJob('crime-watch:run')
+});
+
+registerScheduledTask('wastewater-health', {
+  label: 'Wastewater Agent',
+  getConfig: () => scheduleConfig('wastewater-health', readSettingsFile(WASTEWATER_SETTINGS_FILE)),
+  isBusy: () => getActiveJobs('wastewater-health').some(j => j.type === 'wastewater-health:run'),
+  getBlockReason: () => budgetBlockReason('wastewater-health'),
+  run: () => enqueueJob('wastewater-health:run')
+});
+
+// Meeting Agent: process calendar meetings whose date has passed
+// (falls back to the latest Swagit meeting when none are ready)
+registerScheduledTask('town-meeting', {
+  label: 'Meeting Agent',
+  getConfig: () => scheduleConfig('town-meeting', readSettingsFile(SETTINGS_FILE).schedules?.['town-meeting']),
+  isBusy: () => getJobsHoldingLock('department:town-council').length > 0,
+  getBlockReason: () => budgetBlockReason('town-meeting'),
+  run: () => enqueueTownMeetingRun('town-council', 'upcoming')
+});
+
+// Swagit scanner: look for a newly posted Town Council video and process it
+registerScheduledTask('swagit-scan', {
+  label: 'Swagit Scanner',
+  getConfig: () => scheduleConfig('swagit-scan', readSettingsFile(SETTINGS_FILE).schedules?.['swagit-scan']),
+  isBusy: () => getJobsHoldingLock('department:town-council').length > 0,
+  getBlockReason: () => budgetBlockReason('town-meeting'),
+  run: () => enqueueTownMeetingRun('town-council', 'latest')
+});
+
+registerScheduledTask('calendar-sync', {
+  label: 'Calendar Sync',
+  getConfig: () => scheduleConfig('calendar-sync', readSettingsFile(SETTINGS_FILE).schedules?.['calendar-sync']),
+  isBusy: () => getJobsHoldingLock('calendar-sync').length > 0,
+  run: () => enqueueJob('town-meeting:sync-calendar', {}, { locks: ['calendar-sync'] })
+});
+
+startScheduler();
+
 app.listen(PORT, () => {
   console.log(`Dashboard API running at http://localhost:${PORT}`);
   if (isProduction) {
@@ -236,6 +236,7 @@ function App() {
     return saved ? JSON.parse(saved) : null;
   });
   const [showSettings, setShowSettings] = useState(false);
+  const [logDrawer, setLogDrawer] = useState(null); // { agent, jobId } while the run log drawer is open
 
   const [articles, setArticles] = useState([]);
   const [selectedArticle, setSelectedArticle] = useState(null);
@@ -252,15 +253,16 @@ function App() {
 
   // Navigation State
   const [viewSource, setViewSource] = useState('town-meeting'); // Default to Town Hall News Agent
-  const [townHallView, setTownHallView] = useState('meetings'); // 'meetings', 'articles', 'upcoming', or 'settings'
+  const [townHallView, setTownHallView] = useState('meetings'); // 'meetings', 'articles', 'search', 'upcoming', or 'settings'
   const [townHallExpanded, setTownHallExpanded] = useState(true); // Dropdown expanded state
   const [crimeWatchExpanded, setCrimeWatchExpanded] = useState(false); // Crime Watch dropdown
   const [crimeWatchView, setCrimeWatchView] = useState('incidents'); // 'incidents', 'articles', or 'settings'
   const [crimeIncidents, setCrimeIncidents] = useState([]);
   const [crimeSettings, setCrimeSettings] = useState(null);
   const [wastewaterExpanded, setWastewaterExpanded] = useState(false); // Wastewater Health dropdown
-  const [wastewaterView, setWastewaterView] = useState('dashboard'); // 'dashboard' or 'articles'
+  const [wastewaterView, setWastewaterView] = useState('dashboard'); // 'dashboard', 'articles', or 'settings'
   const [wastewaterData, setWastewaterData] = useState(null);
+  const [wastewaterSettings, setWastewaterSettings] = useState(null);
   const [selectedMeeting, setSelectedMeeting] = useState(null);
   const [selectedIncident, setSelectedIncident] = useState(null);
   const [filterStatus, setFilterStatus] = useState('draft');
@@ -331,6 +333,7 @@ function App() {
       fetchCrimeIncidents();
       fetchCrimeSettings();
       fetchWastewaterData();
+      fetchWastewaterSettings();
       const interval = setInterval(() => {
         fetchAgentStatus();
         fetchIdeas();
@@ -349,7 +352,9 @@ function App() {
   useEffect(() => {
     // Crime Watch completed
     if (prevRunning.crimeWatch && !agentStatus.crimeWatch.running) {
-      if (agentStatus.crimeWatch.error) {
+      if (agentStatus.crimeWatch.lastJobStatus === 'cancelled') {
+        addToast('info', 'Crime Watch', 'Run cancelled');
+      } else if (agentStatus.crimeWatch.error) {
         setResultModal({ type: 'error', title: 'Crime Watch Failed', message: agentStatus.crimeWatch.error });
       } else if (agentStatus.crimeWatch.lastResult) {
         const result = agentStatus.crimeWatch.lastResult;
@@ -362,7 +367,9 @@ function App() {
 
     // Town Meeting completed
     if (prevRunning.townMeeting && !agentStatus.townMeeting.running) {
-      if (agentStatus.townMeeting.error) {
+      if (agentStatus.townMeeting.lastJobStatus === 'cancelled') {
+        addToast('info', 'Meeting Agent', 'Run cancelled');
+      } else if (agentStatus.townMeeting.error) {
         setResultModal({ type: 'error', title: 'Meeting Agent Failed', message: agentStatus.townMeeting.error });
       } else if (agentStatus.townMeeting.lastResult) {
         const result = agentStatus.townMeeting.lastResult;
@@ -382,7 +389,9 @@ function App() {
 
     // Wastewater Health completed
     if (prevRunning.wastewaterHealth && !agentStatus.wastewaterHealth.running) {
-      if (agentStatus.wastewaterHealth.error) {
+      if (agentStatus.wastewaterHealth.lastJobStatus === 'cancelled') {
+        addToast('info', 'Wastewater Watch', 'Run cancelled');
+      } else if (agentStatus.wastewaterHealth.error) {
         setResultModal({ type: 'error', title: 'Wastewater Watch Failed', message: agentStatus.wastewaterHealth.error });
       } else if (agentStatus.wastewaterHealth.lastResult) {
         const result = agentStatus.wastewaterHealth.lastResult;
@@ -451,15 +460,20 @@ function App() {
 
   async function saveSettings(newSettings) {
     try {
-      await fetch(`${API_URL}/settings/town-meeting`, {
+      const res = await fetch(`${API_URL}/settings/town-meeting`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(newSettings)
       });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to save settings');
+      }
       setSettings(newSettings);
+      fetchAgentStatus(); // Pick up the new schedule's next run
       addToast('success', 'Settings', 'Settings saved successfully');
     } catch (err) {
-      addToast('error', 'Settings', 'Failed to save settings');
+      addToast('error', 'Settings', err.message);
     }
   }
 
@@ -527,15 +541,51 @@ function App() {
 
   async function saveCrimeSettings(newSettings) {
     try {
-      await fetch(`${API_URL}/settings/crime-watch`, {
+      const res = await fetch(`${API_URL}/settings/crime-watch`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(newSettings)
       });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to save settings');
+      }
       setCrimeSettings(newSettings);
+      fetchAgentStatus(); // Pick up the new schedule's next run
       addToast('success', 'Settings', 'Crime Watch settings saved successfully');
     } catch (err) {
-      addToast('error', 'Settings', 'Failed to save settings');
+      addToast('error', 'Settings', err.message);
+    }
+  }
+
+  async function fetchWastewaterSettings() {
+    try {
+      const res = await fetch(`${API_URL}/settings/wastewater-health`);
+      if (res.ok) {
+        const data = await res.json();
+        setWastewaterSettings(data);
+      }
+    } catch (err) {
+      console.error('Failed to fetch wastewater settings:', err);
+    }
+  }
+
+  async function saveWastewaterSettings(newSettings) {
+    try {
+      const res = await fetch(`${API_URL}/settings/wastewater-health`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newSettings)
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to save settings');
+      }
+      setWastewaterSettings(newSettings);
+      fetchAgentStatus(); // Pick up the new schedule's next run
+      addToast('success', 'Settings', 'Wastewater Watch settings saved successfully');
+    } catch (err) {
+      addToast('error', 'Settings', err.message);
     }
   }
 
@@ -611,7 +661,8 @@ function App() {
       });
 
       if (!res.ok) {
-        throw new Error('Failed to generate article');
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate crime brief');
       }
 
       const result = await res.json();
@@ -619,7 +670,7 @@ function App() {
       fetchArticles();
       setSelectedIncident(null);
     } catch (err) {
-      addToast('error', 'Generation', 'Failed to generate crime brief');
+      addToast('error', 'Generation', err.message);
     }
   }
 
@@ -630,11 +681,16 @@ function App() {
         body.departmentId = selectedDeptId;
       }
 
-      await fetch(`${API_URL}/agents/${agent}/run`, {
+      const res = await fetch(`${API_URL}/agents/${agent}/run`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(body)
       });
+      if (!res.ok) {
+        const data = await res.json();
+        addToast('error', 'Agent', data.error || `Failed to start ${agent} agent`);
+        return;
+      }
 
       // Map agent name to status key
       const statusKey = agent === 'crime-watch' ? 'crimeWatch'
@@ -645,18 +701,48 @@ function App() {
         ...prev,
         [statusKey]: { ...prev[statusKey], running: true }
       }));
+      fetchAgentStatus(); // Picks up the new run in activeRuns
     } catch (err) {
       addToast('error', 'Agent', `Failed to start ${agent} agent`);
     }
   }
 
-  async function updateStatus(id, status) {
+  async function cancelAgentJob(jobId) {
+    try {
+      const res = await fetch(`${API_URL}/jobs/${jobId}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to cancel');
+      fetchAgentStatus();
+    } catch (err) {
+      addToast('error', 'Agent', `Could not cancel run: ${err.message}`);
+    }
+  }
+
+  async function retryAgentJob(jobId) {
+    try {
+      const res = await fetch(`${API_URL}/jobs/${jobId}/retry`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to retry');
+      fetchAgentStatus();
+    } catch (err) {
+      addToast('error', 'Agent', `Could not retry run: ${err.message}`);
+    }
+  }
+
+  async function updateStatus(id, status, { acknowledgeUnverifiedQuotes = false } = {}) {
     try {
-      await fetch(`${API_URL}/articles/${id}/status`, {
+      const res = await fetch(`${API_URL}/articles/${id}/status`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status })
+        body: JSON.stringify({ status, acknowledgeUnverifiedQuotes })
       });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        addToast('error', 'Article', data.unverifiedQuotes
+          ? `${data.error}. Open the article to review them.`
+          : `Could not update status: ${data.error || res.statusText}`);
+        return;
+      }
       setArticles(articles.map(a =>
         a.id === id ? { ...a, status } : a
       ));
@@ -671,21 +757,35 @@ function App() {
   async function saveArticle(article) {
     setSaving(true);
     try {
-      await fetch(`${API_URL}/articles/${article.id}`, {
+      const res = await fetch(`${API_URL}/articles/${article.id}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-User': user?.email || user?.name || '' },
         body: JSON.stringify(article)
       });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save article');
+      }
       setArticles(articles.map(a =>
         a.id === article.id ? article : a
       ));
     } catch (err) {
       console.error('Failed to save article:', err);
+      addToast('error', 'Article', `Could not save: ${err.message}`);
     } finally {
       setSaving(false);
     }
   }
 
+  function handleArticleRestored(article) {
+    setArticles(articles.map(a =>
+      a.id === article.id ? { ...a, ...article } : a
+    ));
+    if (selectedArticle?.id === article.id) {
+      setSelectedArticle({ ...selectedArticle, ...article });
+    }
+  }
+
   // Filtering & Sorting Logic
   const filteredArticles = articles
     .filter(a => {
@@ -731,6 +831,18 @@ function App() {
     }).length;
   };
 
+  // The Meeting Agent runs per department: the Run/Cancel controls follow the
+  // selected department's run, so other departments and article generation
+  // don't block it
+  const selectedDeptRun = agentStatus.townMeeting.activeRuns?.find(
+    run => run.type === 'town-meeting:run' && run.departmentId === selectedDeptId
+  );
+  const townMeetingControlStatus = {
+    ...agentStatus.townMeeting,
+    running: Boolean(selectedDeptRun),
+    currentJobId: selectedDeptRun?.jobId || null
+  };
+
   // Show login screen if not authenticated
   if (!isAuthenticated) {
     return <LoginScreen onLogin={handleLogin} />;
@@ -795,6 +907,19 @@ function App() {
                 >
                   Articles <span className="badge">{getCount('town-meeting')}</span>
                 </button>
+                <button
+                  className={`nav-item nav-sub ${!showSettings && viewSource === 'town-meeting' && townHallView === 'search' ? 'active' : ''}`}
+                  onClick={() => {
+                    setViewSource('town-meeting');
+                    setTownHallView('search');
+                    setShowSettings(false);
+                    setSelectedMeeting(null);
+                    setSelectedIdea(null);
+                    setSelectedArticle(null);
+                  }}
+                >
+                  Search
+                </button>
                 <button
                   className={`nav-item nav-sub ${showSettings ? 'active' : ''}`}
                   onClick={() => {
@@ -903,6 +1028,20 @@ function App() {
                 >
                   Articles <span className="badge">{getCount('wastewater-health')}</span>
                 </button>
+                <button
+                  className={`nav-item nav-sub ${viewSource === 'wastewater-health' && wastewaterView === 'settings' ? 'active' : ''}`}
+                  onClick={() => {
+                    setViewSource('wastewater-health');
+                    setWastewaterView('settings');
+                    setShowSettings(false);
+                    setSelectedMeeting(null);
+                    setSelectedIncident(null);
+                    setSelectedIdea(null);
+                    setSelectedArticle(null);
+                  }}
+                >
+                  Settings
+                </button>
               </div>
             )}
           </div>
@@ -920,6 +1059,19 @@ function App() {
             <button className="btn-refresh" onClick={() => { fetchArticles(); fetchAgentStatus(); fetchIdeas(); fetchMeetings(); fetchUpcomingMeetings(); fetchWastewaterData(); }}>
               Refresh
             </button>
+            <button className="btn-refresh" onClick={() => setLogDrawer({ agent: null, jobId: null })}>
+              Logs
+            </button>
+            <button
+              className="btn-refresh"
+              onClick={() => {
+                setViewSource('costs');
+                setShowSettings(false);
+                setSelectedArticle(null);
+              }}
+            >
+              Costs
+            </button>
             <button className="btn-logout" onClick={handleLogout}>
               Logout
             </button>
@@ -946,10 +1098,14 @@ function App() {
             onDeleteArticle={(id) => updateStatus(id, 'deleted')}
             onBack={() => setViewSource('town-meeting')}
           />
+        ) : viewSource === 'costs' ? (
+          <CostsView onBack={() => setViewSource('town-meeting')} />
         ) : showSettings ? (
           <SettingsView
             settings={settings}
             user={user}
+            meetings={meetings}
+            scheduleStatus={agentStatus.schedules}
             onSave={saveSettings}
             onClose={() => setShowSettings(false)}
             discardedArticles={articles.filter(a => a.status === 'discarded' && a.agentSource === 'town-meeting')}
@@ -972,11 +1128,22 @@ function App() {
         ) : viewSource === 'crime-watch' && crimeWatchView === 'settings' ? (
           <CrimeWatchSettingsView
             settings={crimeSettings}
+            user={user}
+            incidents={crimeIncidents}
+            scheduleStatus={agentStatus.schedules}
             onSave={saveCrimeSettings}
             discardedArticles={articles.filter(a => a.status === 'discarded' && a.agentSource === 'crime-watch')}
             onRestoreArticle={(id) => updateStatus(id, 'draft')}
             onDeleteArticle={(id) => updateStatus(id, 'deleted')}
           />
+        ) : viewSource === 'wastewater-health' && wastewaterView === 'settings' ? (
+          <WastewaterSettingsView
+            key={wastewaterSettings ? 'loaded' : 'loading'}
+            settings={wastewaterSettings}
+            user={user}
+            scheduleStatus={agentStatus.schedules}
+            onSave={saveWastewaterSettings}
+          />
         ) : selectedIncident ? (
           <CrimeIncidentDetailView
             incident={selectedIncident}
@@ -995,6 +1162,10 @@ function App() {
                     name="Crime Agent"
                     status={agentStatus.crimeWatch}
                     onRun={() => runAgent('crime-watch')}
+                    schedule={agentStatus.schedules?.['crime-watch']}
+                    onShowLogs={() => setLogDrawer({ agent: 'crime-watch', jobId: agentStatus.crimeWatch.currentJobId })}
+                    onCancel={() => cancelAgentJob(agentStatus.crimeWatch.currentJobId)}
+                    onRetry={() => retryAgentJob(agentStatus.crimeWatch.lastJobId)}
                   />
                 </div>
               </div>
@@ -1019,6 +1190,10 @@ function App() {
                     name="Wastewater Agent"
                     status={agentStatus.wastewaterHealth}
                     onRun={() => runAgent('wastewater-health')}
+                    schedule={agentStatus.schedules?.['wastewater-health']}
+                    onShowLogs={() => setLogDrawer({ agent: 'wastewater-health', jobId: agentStatus.wastewaterHealth.currentJobId })}
+                    onCancel={() => cancelAgentJob(agentStatus.wastewaterHealth.currentJobId)}
+                    onRetry={() => retryAgentJob(agentStatus.wastewaterHealth.lastJobId)}
                   />
                 </div>
               </div>
@@ -1030,6 +1205,8 @@ function App() {
               />
             </div>
           </>
+        ) : viewSource === 'town-meeting' && townHallView === 'search' ? (
+          <TranscriptSearchView departments={settings?.departments} />
         ) : !selectedArticle ? (
           <>
             <header className="feed-header">
@@ -1046,8 +1223,12 @@ function App() {
                   {viewSource === 'town-meeting' && (
                     <AgentControl
                       name="Meeting Agent"
-                      status={agentStatus.townMeeting}
+                      status={townMeetingControlStatus}
                       onRun={() => runAgent('town-meeting')}
+                      schedule={agentStatus.schedules?.['town-meeting']}
+                      onShowLogs={() => setLogDrawer({ agent: 'town-meeting', jobId: townMeetingControlStatus.currentJobId })}
+                      onCancel={() => cancelAgentJob(townMeetingControlStatus.currentJobId)}
+                      onRetry={() => retryAgentJob(agentStatus.townMeeting.lastJobId)}
                     />
                   )}
                   {viewSource === 'crime-watch' && (
@@ -1055,6 +1236,10 @@ function App() {
                       name="Crime Agent"
                       status={agentStatus.crimeWatch}
                       onRun={() => runAgent('crime-watch')}
+                      schedule={agentStatus.schedules?.['crime-watch']}
+                      onShowLogs={() => setLogDrawer({ agent: 'crime-watch', jobId: agentStatus.crimeWatch.currentJobId })}
+                      onCancel={() => cancelAgentJob(agentStatus.crimeWatch.currentJobId)}
+                      onRetry={() => retryAgentJob(agentStatus.crimeWatch.lastJobId)}
                     />
                   )}
                   {viewSource === 'wastewater-health' && (
@@ -1062,6 +1247,10 @@ function App() {
                       name="Wastewater Agent"
                       status={agentStatus.wastewaterHealth}
                       onRun={() => runAgent('wastewater-health')}
+                      schedule={agentStatus.schedules?.['wastewater-health']}
+                      onShowLogs={() => setLogDrawer({ agent: 'wastewater-health', jobId: agentStatus.wastewaterHealth.currentJobId })}
+                      onCancel={() => cancelAgentJob(agentStatus.wastewaterHealth.currentJobId)}
+                      onRetry={() => retryAgentJob(agentStatus.wastewaterHealth.lastJobId)}
                     />
                   )}
                 </div>
@@ -1124,9 +1313,11 @@ function App() {
         ) : (
           <ArticleEditor
             article={selectedArticle}
+            editor={user?.email || user?.name || ''}
             onSave={saveArticle}
             onClose={() => setSelectedArticle(null)}
             onStatusChange={updateStatus}
+            onRestored={handleArticleRestored}
             saving={saving}
           />
         )}
@@ -1156,6 +1347,14 @@ function App() {
           onCancel={confirmModal.onCancel}
         />
       )}
+
+      {logDrawer && (
+        <LogDrawer
+          agent={logDrawer.agent}
+          initialJobId={logDrawer.jobId}
+          onClose={() => setLogDrawer(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1228,15 +1427,25 @@ function ConfirmModal({ title, message, onConfirm, onCancel }) {
   );
 }
 
-function AgentControl({ name, status, onRun }) {
+function AgentControl({ name, status, schedule, onRun, onShowLogs, onCancel, onRetry }) {
+  const canRetry = !status.running && status.lastJobId &&
+    (status.lastJobStatus === 'failed' || status.lastJobStatus === 'cancelled');
+
   return (
     <div className="agent-control">
       <div className="agent-status-text">
-        {status.running ? (
+        {status.retryAt ? (
+          <span className="running-indicator">● Retrying {formatTimeUntil(status.retryAt)}...</span>
+        ) : status.running ? (
           <span className="running-indicator">● Processing...</span>
         ) : (
           <span className="last-run">Last run: {formatRelativeTime(status.lastRun)}</span>
         )}
+        {schedule?.nextRunAt && (
+          <span className="next-run" title={`Schedule: ${schedule.schedule}`}>
+            Next run: {formatTimeUntil(schedule.nextRunAt)}
+          </span>
+        )}
       </div>
       <button
         className="btn-run-agent"
@@ -1245,11 +1454,132 @@ function AgentControl({ name, status, onRun }) {
       >
         {status.running ? 'Running...' : `Run ${name}`}
       </button>
+      {onCancel && status.running && status.currentJobId && (
+        <button className="btn-agent-cancel" onClick={onCancel}>
+          Cancel
+        </button>
+      )}
+      {onRetry && canRetry && (
+        <button className="btn-agent-logs" onClick={onRetry} title="Run again with the same settings">
+          Retry
+        </button>
+      )}
+      {onShowLogs && (
+        <button className="btn-agent-logs" onClick={onShowLogs}>
+          Logs
+        </button>
+      )}
       {status.error && <div className="agent-error-tooltip">{status.error}</div>}
     </div>
   );
 }
 
+// Number of recent runs listed in the log drawer
+const LOG_DRAWER_RUNS = 10;
+
+const JOB_AGENT_LABELS = {
+  'town-meeting': 'Meeting Agent',
+  'crime-watch': 'Crime Agent',
+  'wastewater-health': 'Wastewater Agent'
+};
+
+function LogDrawer({ agent, initialJobId, onClose }) {
+  const [jobs, setJobs] = useState([]);
+  const [selectedJobId, setSelectedJobId] = useState(initialJobId);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ limit: LOG_DRAWER_RUNS });
+    if (agent) params.set('agent', agent);
+
+    const fetchJobs = () => {
+      fetch(`${API_URL}/jobs?${params}`)
+        .then(res => res.json())
+        .then(data => setJobs(data.jobs || []))
+        .catch(err => console.error('Failed to fetch jobs:', err));
+    };
+
+    fetchJobs();
+    const interval = setInterval(fetchJobs, 5000);
+    return () => clearInterval(interval);
+  }, [agent]);
+
+  // Fall back to the newest run until one is picked
+  const activeJobId = selectedJobId || jobs[0]?.id;
+
+  return (
+    <>
+      <div className="settings-backdrop" onClick={onClose} />
+      <div className="log-drawer">
+        <div className="log-drawer-header">
+          <h3>{agent ? `${JOB_AGENT_LABELS[agent] || agent} Logs` : 'Agent Logs'}</h3>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+        <div className="log-drawer-runs">
+          {jobs.length === 0 && <div className="log-drawer-empty">No runs yet</div>}
+          {jobs.map(job => (
+            <button
+              key={job.id}
+              className={`log-run ${job.id === activeJobId ? 'active' : ''}`}
+              onClick={() => setSelectedJobId(job.id)}
+            >
+              <span className={`log-run-status log-run-${job.status}`}>{job.status}</span>
+              <span className="log-run-type">{job.type}</span>
+              <span className="log-run-time">{formatRelativeTime(job.startedAt || job.createdAt)}</span>
+            </button>
+          ))}
+        </div>
+        {activeJobId && <LogView key={activeJobId} jobId={activeJobId} />}
+      </div>
+    </>
+  );
+}
+
+function LogView({ jobId }) {
+  const [lines, setLines] = useState([]);
+  const [job, setJob] = useState(null);
+  const outputRef = useRef(null);
+  const followRef = useRef(true);
+
+  useEffect(() => {
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/logs`);
+    // The server replays the whole log on every (re)connect
+    source.addEventListener('open', () => setLines([]));
+    source.addEventListener('log', (e) => {
+      const line = JSON.parse(e.data);
+      setLines(prev => [...prev, line]);
+    });
+    source.addEventListener('status', (e) => setJob(JSON.parse(e.data)));
+    source.addEventListener('end', () => source.close());
+    return () => source.close();
+  }, [jobId]);
+
+  // Keep the newest line in view unless the user has scrolled up
+  useEffect(() => {
+    const el = outputRef.current;
+    if (el && followRef.current) el.scrollTop = el.scrollHeight;
+  }, [lines]);
+
+  function handleScroll() {
+    const el = outputRef.current;
+    followRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+  }
+
+  return (
+    <div className="log-view">
+      {job && (
+        <div className="log-view-meta">
+          <span className={`log-run-status log-run-${job.status}`}>{job.status}</span>
+          {job.startedAt && <span>Started {formatDate(job.startedAt)}</span>}
+          {job.error && <span className="log-view-error">{job.error}</span>}
+        </div>
+      )}
+      <pre className="log-view-output" ref={outputRef} onScroll={handleScroll}>
+        {lines.length > 0 ? lines.join('\n') : job?.status === 'queued' ? 'Waiting for the run to start...' : ''}
+      </pre>
+    </div>
+  );
+}
+
 function MetricCard({ label, value, labelSmall, highlight, type }) {
   return (
     <div className={`metric-card ${highlight ? 'highlight' : ''} ${type || ''}`}>
@@ -1329,13 +1659,46 @@ function ArticleCard({ article, onClick, onStatusChange }) {
   );
 }
 
-function ArticleEditor({ article, onSave, onClose, onStatusChange, saving }) {
+function ArticleEditor({ article, editor, onSave, onClose, onStatusChange, onRestored, saving }) {
   const [form, setForm] = useState({ ...article });
+  const [revisionsVersion, setRevisionsVersion] = useState(0);
+  const [quoteCheck, setQuoteCheck] = useState(null);
+
+  // Re-checked after every save, since the check runs on the saved article
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/articles/${article.id}/quotes`);
+        const data = await res.json();
+        if (!cancelled && res.ok) setQuoteCheck(data);
+      } catch (err) {
+        console.error('Failed to check quotes:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [article.id, revisionsVersion]);
+
+  const unverifiedQuotes = quoteCheck?.unverified || 0;
 
   function handleChange(field, value) {
     setForm({ ...form, [field]: value });
   }
 
+  async function handleSave() {
+    await onSave(form);
+    setRevisionsVersion(v => v + 1);
+  }
+
+  function handleRestored(restored) {
+    setForm({ ...form, ...restored });
+    setRevisionsVersion(v => v + 1);
+    onRestored(restored);
+  }
+
   return (
     <div className="cms-editor">
       {/* Top Bar: Navigation & Primary Actions */}
@@ -1353,7 +1716,7 @@ function ArticleEditor({ article, onSave, onClose, onStatusChange, saving }) {
         </div>
         <div className="cms-actions">
           <span className={`status-badge ${form.status}`}>{form.status}</span>
-          <button className="btn-primary" onClick={() => onSave(form)} disabled={saving}>
+          <button className="btn-primary" onClick={handleSave} disabled={saving}>
             {saving ? 'Saving...' : 'Update Article'}
           </button>
         </div>
@@ -1402,8 +1765,16 @@ function ArticleEditor({ article, onSave, onClose, onStatusChange, saving }) {
             <div className="workflow-actions">
               {form.status === 'draft' ? (
                 <>
-                  <button className="btn-workflow approve" onClick={() => onStatusChange(form.id, 'approved')}>
-                    <span className="icon">✓</span> Approve
+                  {unverifiedQuotes > 0 && (
+                    <p className="quote-warning">
+                      ⚠ {unverifiedQuotes} quote{unverifiedQuotes !== 1 ? 's' : ''} could not be found in the meeting transcript. Check {unverifiedQuotes !== 1 ? 'them' : 'it'} before approving.
+                    </p>
+                  )}
+                  <button
+                    className="btn-workflow approve"
+                    onClick={() => onStatusChange(form.id, 'approved', { acknowledgeUnverifiedQuotes: unverifiedQuotes > 0 })}
+                  >
+                    <span className="icon">✓</span> {unverifiedQuotes > 0 ? 'Approve Anyway' : 'Approve'}
                   </button>
                   <button className="btn-workflow discard" onClick={() => onStatusChange(form.id, 'discarded')}>
                     <span className="icon">✕</span> Discard
@@ -1417,6 +1788,8 @@ function ArticleEditor({ article, onSave, onClose, onStatusChange, saving }) {
             </div>
           </div>
 
+          {quoteCheck?.available && <ArticleQuotes check={quoteCheck} />}
+
           <div className="sidebar-section">
             <h4>Social Media Captions</h4>
 
@@ -1451,12 +1824,193 @@ function ArticleEditor({ article, onSave, onClose, onStatusChange, saving }) {
               />
             </div>
           </div>
+
+          <ArticleRevisions
+            articleId={form.id}
+            editor={editor}
+            version={revisionsVersion}
+            onRestored={handleRestored}
+          />
         </div>
       </div>
     </div>
   );
 }
 
+const QUOTE_STATUS_LABELS = {
+  verified: 'In transcript',
+  partial: 'Reworded',
+  unverified: 'Not found'
+};
+
+/**
+ * Each direct quote in the article and where (or whether) it was said
+ */
+function ArticleQuotes({ check }) {
+  return (
+    <div className="sidebar-section">
+      <h4>Quote Check</h4>
+      {check.quotes.length === 0 ? (
+        <p className="quote-empty">No direct quotes in this article.</p>
+      ) : (
+        <ul className="quote-list">
+          {check.quotes.map((quote, i) => (
+            <li key={i} className={`quote-item ${quote.status}`}>
+              <div className="quote-item-header">
+                <span className={`quote-status ${quote.status}`}>{QUOTE_STATUS_LABELS[quote.status]}</span>
+                {quote.timestamp && (quote.videoUrl ? (
+                  <a className="quote-time" href={quote.videoUrl} target="_blank" rel="noopener noreferrer" title="Watch in the meeting video">
+                    ▶ {quote.timestamp}
+                  </a>
+                ) : (
+                  <span className="quote-time">⏱ {quote.timestamp}</span>
+                ))}
+              </div>
+              <p className="quote-text">“{quote.text}”</p>
+              {quote.status === 'partial' && quote.transcriptText && (
+                <p className="quote-transcript">Transcript: {quote.transcriptText}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const REVISION_FIELD_LABELS = {
+  headline: 'Headline',
+  summary: 'Summary',
+  body: 'Body',
+  twitter: 'Twitter',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  sourceUrl: 'Source'
+};
+
+function describeRevision(revision) {
+  if (revision.number === 1) return 'Original draft';
+  if (revision.restoredFrom) return `Restored #${revision.restoredFrom}`;
+  return `Changed ${revision.fields.map(f => REVISION_FIELD_LABELS[f] || f).join(', ')}`;
+}
+
+function ArticleRevisions({ articleId, editor, version, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/articles/${articleId}/revisions`);
+        const data = await res.json();
+        if (!cancelled) setRevisions(data.revisions || []);
+      } catch (err) {
+        console.error('Failed to fetch revisions:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [articleId, version]);
+
+  const latest = revisions[revisions.length - 1];
+
+  const handleSelect = async (number) => {
+    if (selected === number) {
+      setSelected(null);
+      setDiff(null);
+      return;
+    }
+    setSelected(number);
+    setDiff(null);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/articles/${articleId}/revisions/diff?from=${number}&to=${latest.number}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load diff');
+      setDiff(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (number) => {
+    setRestoring(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/articles/${articleId}/revisions/${number}/restore`, {
+        method: 'POST',
+        headers: { 'X-User': editor }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to restore');
+      setSelected(null);
+      setDiff(null);
+      onRestored(data.article);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="sidebar-section">
+      <h4>Revision History</h4>
+      {revisions.length === 0 ? (
+        <p className="revisions-empty">No edits yet. The original draft is kept when you first update the article.</p>
+      ) : (
+        <div className="revision-list">
+          {[...revisions].reverse().map(revision => (
+            <div key={revision.number} className={`revision-item ${selected === revision.number ? 'selected' : ''}`}>
+              <button className="revision-summary" onClick={() => handleSelect(revision.number)} disabled={revision === latest}>
+                <span className="revision-number">#{revision.number}</span>
+                <span className="revision-meta">
+                  {revision === latest ? 'Current' : describeRevision(revision)}
+                  <span className="revision-author">{revision.author} · {formatRelativeTime(revision.createdAt)}</span>
+                </span>
+              </button>
+
+              {selected === revision.number && (
+                <div className="revision-detail">
+                  <p className="revisions-empty">Changes from #{revision.number} to the current version:</p>
+                  {diff ? (
+                    diff.changes.length === 0 ? (
+                      <p className="revisions-empty">Same content as the current version.</p>
+                    ) : (
+                      diff.changes.map(change => (
+                        <div key={change.field} className="revision-change">
+                          <label>{REVISION_FIELD_LABELS[change.field] || change.field}</label>
+                          <div className="revision-diff">
+                            {change.diff.map((part, i) => (
+                              <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+                            ))}
+                          </div>
+                        </div>
+                      ))
+                    )
+                  ) : (
+                    !error && <p className="revisions-empty">Loading changes...</p>
+                  )}
+                  <button className="btn-workflow reset" onClick={() => handleRestore(revision.number)} disabled={restoring}>
+                    {restoring ? 'Restoring...' : `Restore #${revision.number}`}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <div className="revision-error">{error}</div>}
+    </div>
+  );
+}
+
 function formatDate(dateStr) {
   if (!dateStr) return '';
   try {
@@ -1477,6 +2031,16 @@ function formatRelativeTime(dateStr) {
   } catch { return dateStr; }
 }
 
+function formatTimeUntil(dateStr) {
+  if (!dateStr) return 'Not scheduled';
+  const mins = Math.round((new Date(dateStr) - new Date()) / 60000);
+  if (mins <= 0) return 'due now';
+  if (mins < 60) return `in ${mins}m`;
+  const hours = Math.round(mins / 60);
+  if (hours < 24) return `in ${hours}h`;
+  return `on ${formatDate(dateStr)}`;
+}
+
 function isThisWeek(dateStr) {
   if (!dateStr) return false;
   try {
@@ -1488,26 +2052,399 @@ function isThisWeek(dateStr) {
   } catch { return false; }
 }
 
-function SettingsView({ settings, user, onSave, onClose, discardedArticles, onRestoreArticle, onDeleteArticle }) {
-  const [localSettings, setLocalSettings] = useState(settings);
-  const [selectedDept, setSelectedDept] = useState(0);
-  const [activeSection, setActiveSection] = useState('board');
+// Cron-style schedule editor shared by the agent settings views
+function ScheduleSettings({ entries, status, onChange }) {
+  return entries.map(entry => {
+    const current = status?.[entry.id];
+    return (
+      <div key={entry.id} className="settings-card">
+        <div className="settings-card-title">
+          <h2>{entry.label}</h2>
+          {current?.nextRunAt && (
+            <span className="member-count-badge">Next run {formatTimeUntil(current.nextRunAt)}</span>
+          )}
+        </div>
+        <div className="settings-card-body">
+          <p className="settings-description">{entry.description}</p>
+          <div className="settings-row">
+            <label className="crime-type-checkbox">
+              <input
+                type="checkbox"
+                checked={Boolean(entry.autoRun)}
+                onChange={(e) => onChange(entry.id, { autoRun: e.target.checked, schedule: entry.schedule })}
+              />
+              Run automatically
+            </label>
+          </div>
+          <div className="settings-row">
+            <label>Schedule</label>
+            <input
+              type="text"
+              className="schedule-input"
+              value={entry.schedule || ''}
+              placeholder={current?.schedule || '0 7 * * *'}
+              onChange={(e) => onChange(entry.id, { autoRun: entry.autoRun, schedule: e.target.value })}
+            />
+            <span className="settings-hint">Cron format: minute hour day-of-month month day-of-week (server time)</span>
+          </div>
+          {current?.error && <div className="schedule-error">{current.error}</div>}
+          {current?.skippedCount > 0 && (
+            <div className="settings-hint">
+              Skipped {current.skippedCount} time{current.skippedCount === 1 ? '' : 's'}
+              (last {formatRelativeTime(current.lastSkippedAt)}{current.lastSkipReason ? `: ${current.lastSkipReason}` : ''})
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  });
+}
 
-  const trashCount = discardedArticles?.length || 0;
+function PromptEditor({ agent, user, departments = [], testSources = [], testLabel = 'Test against' }) {
+  const [prompts, setPrompts] = useState([]);
+  const [selectedName, setSelectedName] = useState(null);
+  const [scope, setScope] = useState('');
+  const [detail, setDetail] = useState(null);
+  const [draft, setDraft] = useState({ system: '', user: '' });
+  const [note, setNote] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [sourceId, setSourceId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 
-  if (!localSettings) return <div className="settings-loading">Loading settings...</div>;
+  const editor = user?.email || user?.name || '';
+  const selected = prompts.find(p => p.name === selectedName) || prompts[0];
+  const name = selected?.name;
 
-  const currentDept = localSettings.departments[selectedDept];
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/prompts?agent=${encodeURIComponent(agent)}`);
+        const data = await res.json();
+        if (!cancelled) setPrompts(data.prompts || []);
+      } catch (err) {
+        console.error('Failed to fetch prompts:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [agent, reloadKey]);
 
-  const handleAddMember = () => {
-    const newSettings = { ...localSettings };
-    newSettings.departments[selectedDept].boardMembers.push({ name: '', role: '' });
-    setLocalSettings(newSettings);
+  useEffect(() => {
+    if (!name) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const query = scope ? `?departmentId=${encodeURIComponent(scope)}` : '';
+        const res = await fetch(`${API_URL}/prompts/${name}${query}`);
+        const data = await res.json();
+        if (cancelled) return;
+        setDetail(data);
+        setDraft({ system: data.prompt.system, user: data.prompt.user });
+        setPreview(null);
+      } catch (err) {
+        console.error('Failed to fetch prompt:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [name, scope, reloadKey]);
+
+  const selectPrompt = (promptName) => {
+    setSelectedName(promptName);
+    setScope('');
+    setMessage(null);
   };
 
-  const handleMemberChange = (memberIndex, field, value) => {
-    const newSettings = { ...localSettings };
-    newSettings.departments[selectedDept].boardMembers[memberIndex][field] = value;
+  const savePrompt = async (body, successText) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_URL}/prompts/${name}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-User': editor },
+        body: JSON.stringify({ departmentId: scope || null, ...body })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save prompt');
+      setNote('');
+      setMessage({ type: 'success', text: `${successText} as version ${data.version}` });
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetOverride = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_URL}/prompts/${name}/overrides/${encodeURIComponent(scope)}`, {
+        method: 'DELETE',
+        headers: { 'X-User': editor }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to reset override');
+      setMessage({ type: 'success', text: 'Department now uses the default prompt' });
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runPreview = async (run) => {
+    setPreviewing(true);
+    setPreview(null);
+    try {
+      const source = testSources.find(s => s.id === sourceId);
+      const res = await fetch(`${API_URL}/prompts/${name}/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...draft, departmentId: scope || null, run, ...(source?.body || {}) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Preview failed');
+      setPreview(data);
+    } catch (err) {
+      setPreview({ error: err.message });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  if (prompts.length === 0) return <div className="settings-loading">Loading prompts...</div>;
+
+  const current = detail?.prompt;
+  const dirty = current && (draft.system !== current.system || draft.user !== current.user);
+  const hasOverride = scope && current?.departmentId === scope;
+  const departmentName = id => departments.find(d => d.id === id)?.name || id;
+
+  return (
+    <div className="prompt-editor">
+      <div className="settings-card">
+        <div className="settings-card-title">
+          <h2>Prompts</h2>
+          <span className="member-count-badge">{prompts.length}</span>
+        </div>
+        <div className="settings-card-body">
+          <div className="dept-selector-grid">
+            {prompts.map(p => (
+              <button
+                key={p.name}
+                className={`dept-selector-btn ${p.name === name ? 'active' : ''}`}
+                onClick={() => selectPrompt(p.name)}
+              >
+                <span className="dept-selector-name">{p.label}</span>
+                <span className="dept-selector-count">
+                  v{p.version}{p.overrides.length > 0 && ` · ${p.overrides.length} override${p.overrides.length === 1 ? '' : 's'}`}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {current && (
+        <div className="settings-card">
+          <div className="settings-card-title">
+            <h2>{selected.label}</h2>
+            <span className="member-count-badge">
+              {current.departmentId ? `${departmentName(current.departmentId)} override` : 'Default'} · v{current.version}
+            </span>
+          </div>
+          <div className="settings-card-body">
+            <p className="settings-description">{selected.description}</p>
+
+            {selected.departmentOverrides && departments.length > 0 && (
+              <div className="settings-row">
+                <label>Applies to</label>
+                <select value={scope} onChange={(e) => { setScope(e.target.value); setMessage(null); }}>
+                  <option value="">All departments (default)</option>
+                  {departments.map(d => (
+                    <option key={d.id} value={d.id}>{d.name} only</option>
+                  ))}
+                </select>
+                {scope && !hasOverride && (
+                  <span className="settings-hint">{departmentName(scope)} uses the default prompt; saving creates an override</span>
+                )}
+              </div>
+            )}
+
+            <div className="prompt-variables">
+              {Object.entries(selected.variables).map(([variable, { description }]) => (
+                <span key={variable} className="prompt-variable" title={description}>{`{{${variable}}}`}</span>
+              ))}
+              <span className="settings-hint">
+                {'{{#name}}...{{/name}}'} is only included when a variable has a value, {'{{^name}}...{{/name}}'} when it is empty
+              </span>
+            </div>
+
+            <label className="prompt-template-label">System prompt</label>
+            <textarea
+              className="prompt-template"
+              rows={12}
+              value={draft.system}
+              onChange={(e) => setDraft({ ...draft, system: e.target.value })}
+            />
+            <label className="prompt-template-label">User message</label>
+            <textarea
+              className="prompt-template"
+              rows={6}
+              value={draft.user}
+              onChange={(e) => setDraft({ ...draft, user: e.target.value })}
+            />
+
+            <div className="prompt-save-row">
+              <input
+                type="text"
+                placeholder="What changed? (optional)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <button
+                className="btn-save-settings"
+                disabled={saving || !dirty}
+                onClick={() => savePrompt({ ...draft, note }, 'Saved')}
+              >
+                {saving ? 'Saving...' : 'Save Version'}
+              </button>
+              {dirty && (
+                <button className="btn-secondary" onClick={() => setDraft({ system: current.system, user: current.user })}>
+                  Discard Changes
+                </button>
+              )}
+              {hasOverride && (
+                <button className="btn-secondary" disabled={saving} onClick={resetOverride}>
+                  Use Default
+                </button>
+              )}
+            </div>
+            {message && <div className={`prompt-message ${message.type}`}>{message.text}</div>}
+          </div>
+        </div>
+      )}
+
+      {current && (
+        <div className="settings-card">
+          <div className="settings-card-title">
+            <h2>Test</h2>
+          </div>
+          <div className="settings-card-body">
+            <p className="settings-description">
+              Fill the prompt above (including unsaved changes) and optionally send it to the model. Nothing is saved;
+              test runs count toward the agent's budget.
+            </p>
+            <div className="settings-row">
+              <label>{testLabel}</label>
+              <select value={sourceId} onChange={(e) => setSourceId(e.target.value)}>
+                <option value="">Example values</option>
+                {testSources.map(s => (
+                  <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="prompt-save-row">
+              <button className="btn-secondary" disabled={previewing} onClick={() => runPreview(false)}>Preview Prompt</button>
+              <button className="btn-save-settings" disabled={previewing} onClick={() => runPreview(true)}>
+                {previewing ? 'Running...' : 'Test Run'}
+              </button>
+            </div>
+            {preview?.error && <div className="prompt-message error">{preview.error}</div>}
+            {preview?.prompt && (
+              <div className="prompt-preview">
+                {preview.prompt.messages.map(m => (
+                  <div key={m.role} className="prompt-preview-message">
+                    <span className="prompt-preview-role">{m.role}</span>
+                    <pre>{m.content}</pre>
+                  </div>
+                ))}
+                {preview.output !== undefined && (
+                  <div className="prompt-preview-message output">
+                    <span className="prompt-preview-role">
+                      response · {preview.model}
+                      {preview.attempts > 1 && ` · ${preview.attempts} attempts`}
+                    </span>
+                    <pre>{typeof preview.output === 'string' ? preview.output : JSON.stringify(preview.output, null, 2)}</pre>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {detail && (
+        <div className="settings-card">
+          <div className="settings-card-title">
+            <h2>Version History</h2>
+            <span className="member-count-badge">{detail.versions.length}</span>
+          </div>
+          <div className="settings-card-body no-padding">
+            <div className="prompt-versions">
+              {[...detail.versions].reverse().map(v => (
+                <div key={v.version} className="prompt-version-row">
+                  <div className="prompt-version-info">
+                    <h4>
+                      v{v.version} · {v.departmentId ? departmentName(v.departmentId) : 'Default'}
+                      {v.version === current?.version && <span className="status-badge-active">In use</span>}
+                    </h4>
+                    <span>
+                      {v.author}{v.createdAt && ` · ${formatRelativeTime(v.createdAt)}`}
+                      {v.restoredFrom && ` · restored v${v.restoredFrom}`}
+                      {v.note && ` · ${v.note}`}
+                    </span>
+                  </div>
+                  {!v.reset && v.version !== current?.version && (
+                    <button
+                      className="btn-restore"
+                      disabled={saving}
+                      onClick={() => savePrompt({ system: v.system, user: v.user, restoredFrom: v.version }, `Restored v${v.version}`)}
+                      title={scope ? `Restore for ${departmentName(scope)}` : 'Restore as the default'}
+                    >
+                      ↩ Restore
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SettingsView({ settings, user, meetings, scheduleStatus, onSave, onClose, discardedArticles, onRestoreArticle, onDeleteArticle }) {
+  const [localSettings, setLocalSettings] = useState(settings);
+  const [selectedDept, setSelectedDept] = useState(0);
+  const [activeSection, setActiveSection] = useState('board');
+
+  const trashCount = discardedArticles?.length || 0;
+
+  if (!localSettings) return <div className="settings-loading">Loading settings...</div>;
+
+  const currentDept = localSettings.departments[selectedDept];
+
+  const handleAddMember = () => {
+    const newSettings = { ...localSettings };
+    newSettings.departments[selectedDept].boardMembers.push({ name: '', role: '' });
+    setLocalSettings(newSettings);
+  };
+
+  const handleMemberChange = (memberIndex, field, value) => {
+    const newSettings = { ...localSettings };
+    newSettings.departments[selectedDept].boardMembers[memberIndex][field] = value;
     setLocalSettings(newSettings);
   };
 
@@ -1517,6 +2454,11 @@ function SettingsView({ settings, user, onSave, onClose, discardedArticles, onRe
     setLocalSettings(newSettings);
   };
 
+  const schedules = localSettings.schedules || {};
+  const handleScheduleChange = (id, schedule) => {
+    setLocalSettings({ ...localSettings, schedules: { ...schedules, [id]: schedule } });
+  };
+
   return (
     <div className="settings-layout">
       <header className="settings-page-header">
@@ -1546,6 +2488,20 @@ function SettingsView({ settings, user, onSave, onClose, discardedArticles, onRe
               <span className="nav-icon">◉</span>
               Departments
             </button>
+            <button
+              className={`settings-nav-item ${activeSection === 'schedule' ? 'active' : ''}`}
+              onClick={() => setActiveSection('schedule')}
+            >
+              <span className="nav-icon">⏰</span>
+              Schedule
+            </button>
+            <button
+              className={`settings-nav-item ${activeSection === 'prompts' ? 'active' : ''}`}
+              onClick={() => setActiveSection('prompts')}
+            >
+              <span className="nav-icon">✎</span>
+              Prompts
+            </button>
             <button
               className={`settings-nav-item ${activeSection === 'discarded' ? 'active' : ''}`}
               onClick={() => setActiveSection('discarded')}
@@ -1655,6 +2611,46 @@ function SettingsView({ settings, user, onSave, onClose, discardedArticles, onRe
             </div>
           )}
 
+          {activeSection === 'schedule' && (
+            <div className="settings-page">
+              <div className="settings-page-title">
+                <h1>Schedule</h1>
+                <p>Run the town meeting agents automatically</p>
+              </div>
+
+              <ScheduleSettings
+                entries={[
+                  { id: 'town-meeting', label: 'Town Council Meetings', description: 'Scrape and analyze the next town council meeting', ...schedules['town-meeting'] },
+                  { id: 'swagit-scan', label: 'Swagit Scanner', description: 'Check Swagit for newly posted meeting videos', ...schedules['swagit-scan'] },
+                  { id: 'calendar-sync', label: 'Calendar Sync', description: 'Import upcoming meetings from the town calendar', ...schedules['calendar-sync'] }
+                ]}
+                status={scheduleStatus}
+                onChange={handleScheduleChange}
+              />
+            </div>
+          )}
+
+          {activeSection === 'prompts' && (
+            <div className="settings-page">
+              <div className="settings-page-title">
+                <h1>Prompts</h1>
+                <p>Edit the instructions the town meeting agents give the AI, for all departments or one</p>
+              </div>
+
+              <PromptEditor
+                agent="town-meeting"
+                user={user}
+                departments={localSettings.departments}
+                testLabel="Test against meeting"
+                testSources={(meetings || []).filter(m => m.hasTranscript).map(m => ({
+                  id: m.videoId,
+                  label: `${m.date ? new Date(m.date).toLocaleDateString() : m.videoId} · ${m.description || m.type || `Video ${m.videoId}`}`,
+                  body: { videoId: m.videoId }
+                }))}
+              />
+            </div>
+          )}
+
           {activeSection === 'discarded' && (
             <div className="settings-page">
               <div className="settings-page-title">
@@ -1717,7 +2713,7 @@ function SettingsView({ settings, user, onSave, onClose, discardedArticles, onRe
 }
 
 // Crime Watch Settings View
-function CrimeWatchSettingsView({ settings, onSave, discardedArticles, onRestoreArticle, onDeleteArticle }) {
+function CrimeWatchSettingsView({ settings, user, incidents, scheduleStatus, onSave, discardedArticles, onRestoreArticle, onDeleteArticle }) {
   const [localSettings, setLocalSettings] = useState(settings || {
     daysToFetch: 30,
     newsworthyCrimes: ['Assault', 'Robbery', 'Burglary', 'Motor Vehicle Theft', 'Arson', 'Homicide'],
@@ -1754,6 +2750,20 @@ function CrimeWatchSettingsView({ settings, onSave, discardedArticles, onRestore
               <span className="nav-icon">◉</span>
               Data Source
             </button>
+            <button
+              className={`settings-nav-item ${activeSection === 'schedule' ? 'active' : ''}`}
+              onClick={() => setActiveSection('schedule')}
+            >
+              <span className="nav-icon">⏰</span>
+              Schedule
+            </button>
+            <button
+              className={`settings-nav-item ${activeSection === 'prompts' ? 'active' : ''}`}
+              onClick={() => setActiveSection('prompts')}
+            >
+              <span className="nav-icon">✎</span>
+              Prompts
+            </button>
             <button
               className={`settings-nav-item ${activeSection === 'discarded' ? 'active' : ''}`}
               onClick={() => setActiveSection('discarded')}
@@ -1845,6 +2855,43 @@ function CrimeWatchSettingsView({ settings, onSave, discardedArticles, onRestore
             </div>
           )}
 
+          {activeSection === 'schedule' && (
+            <div className="settings-page">
+              <div className="settings-page-title">
+                <h1>Schedule</h1>
+                <p>Run Crime Watch automatically</p>
+              </div>
+
+              <ScheduleSettings
+                entries={[
+                  { id: 'crime-watch', label: 'Crime Watch', description: 'Fetch new incidents and draft articles', autoRun: localSettings.autoRun, schedule: localSettings.schedule }
+                ]}
+                status={scheduleStatus}
+                onChange={(id, schedule) => setLocalSettings({ ...localSettings, ...schedule })}
+              />
+            </div>
+          )}
+
+          {activeSection === 'prompts' && (
+            <div className="settings-page">
+              <div className="settings-page-title">
+                <h1>Prompts</h1>
+                <p>Edit the instructions Crime Watch gives the AI when it writes briefs</p>
+              </div>
+
+              <PromptEditor
+                agent="crime-watch"
+                user={user}
+                testLabel="Test against incident"
+                testSources={(incidents || []).slice(0, 50).map(incident => ({
+                  id: String(incident.referenceId || incident.id),
+                  label: `${new Date(incident.dateTime).toLocaleDateString()} · ${incident.crime || incident.crimeClass || 'Unknown'} · ${incident.address || 'Location unknown'}`,
+                  body: { incident }
+                }))}
+              />
+            </div>
+          )}
+
           {activeSection === 'discarded' && (
             <div className="settings-page">
               <div className="settings-page-title">
@@ -1906,6 +2953,53 @@ function CrimeWatchSettingsView({ settings, onSave, discardedArticles, onRestore
 }
 
 // Crime Incident List View
+function WastewaterSettingsView({ settings, user, scheduleStatus, onSave }) {
+  const [localSettings, setLocalSettings] = useState(settings);
+
+  if (!localSettings) return <div className="settings-loading">Loading settings...</div>;
+
+  return (
+    <div className="settings-layout">
+      <header className="settings-page-header">
+        <div className="settings-header-left">
+          <h1>Wastewater Watch Settings</h1>
+        </div>
+        <div className="settings-header-right">
+          <button className="btn-save-settings" onClick={() => onSave(localSettings)}>Save Changes</button>
+        </div>
+      </header>
+
+      <div className="settings-body">
+        <div className="settings-main">
+          <div className="settings-page">
+            <div className="settings-page-title">
+              <h1>Schedule</h1>
+              <p>Run Wastewater Watch automatically. CDC data updates weekly.</p>
+            </div>
+
+            <ScheduleSettings
+              entries={[
+                { id: 'wastewater-health', label: 'Wastewater Watch', description: 'Fetch CDC wastewater data and draft a health report', autoRun: localSettings.autoRun, schedule: localSettings.schedule }
+              ]}
+              status={scheduleStatus}
+              onChange={(id, schedule) => setLocalSettings({ ...localSettings, ...schedule })}
+            />
+          </div>
+
+          <div className="settings-page">
+            <div className="settings-page-title">
+              <h1>Prompts</h1>
+              <p>Edit the instructions Wastewater Watch gives the AI when it writes health briefs</p>
+            </div>
+
+            <PromptEditor agent="wastewater-health" user={user} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function CrimeIncidentListView({ incidents, onSelectIncident }) {
   // Format date for display
   const formatDate = (dateStr) => {
@@ -2321,6 +3415,279 @@ function TrashView({ discardedArticles, onRestoreArticle, onDeleteArticle, onBac
   );
 }
 
+function formatUsd(value) {
+  if (!value) return '$0.00';
+  return value < 0.01 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`;
+}
+
+function CostsView({ onBack }) {
+  const [costs, setCosts] = useState(null);
+  const [period, setPeriod] = useState('daily');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/costs`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load costs');
+        if (!cancelled) setCosts(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <div className="costs-view">
+        <header className="trash-header">
+          <div className="trash-header-left">
+            <button className="btn-back" onClick={onBack}>← Back</button>
+            <h1>Costs</h1>
+          </div>
+        </header>
+        <div className="costs-content"><p className="costs-error">{error}</p></div>
+      </div>
+    );
+  }
+
+  const agents = costs ? Object.keys(costs.byAgent).sort() : [];
+  const rows = costs ? (period === 'daily' ? costs.daily : costs.monthly) : [];
+
+  return (
+    <div className="costs-view">
+      <header className="trash-header">
+        <div className="trash-header-left">
+          <button className="btn-back" onClick={onBack}>← Back</button>
+          <h1>Costs</h1>
+        </div>
+        <span className="trash-count-header">LLM and Whisper API usage</span>
+      </header>
+
+      <div className="costs-content">
+        <BudgetSettings />
+        {!costs ? (
+          <p className="costs-empty">Loading...</p>
+        ) : costs.total.calls === 0 ? (
+          <div className="empty-trash-view">
+            <h2>No API calls recorded yet</h2>
+            <p>Costs appear here once an agent calls the LLM or Whisper</p>
+          </div>
+        ) : (
+          <>
+            <div className="costs-summary">
+              <div className="costs-card">
+                <span className="costs-card-label">Today</span>
+                <span className="costs-card-value">{formatUsd(costs.today.costUsd)}</span>
+                <span className="costs-card-meta">{costs.today.calls} calls</span>
+              </div>
+              <div className="costs-card">
+                <span className="costs-card-label">This month</span>
+                <span className="costs-card-value">{formatUsd(costs.thisMonth.costUsd)}</span>
+                <span className="costs-card-meta">{costs.thisMonth.calls} calls</span>
+              </div>
+              <div className="costs-card">
+                <span className="costs-card-label">All time</span>
+                <span className="costs-card-value">{formatUsd(costs.total.costUsd)}</span>
+                <span className="costs-card-meta">
+                  {costs.total.promptTokens + costs.total.completionTokens} tokens • {costs.total.audioMinutes} audio min
+                </span>
+              </div>
+            </div>
+
+            <div className="costs-section">
+              <div className="costs-section-header">
+                <h2>By agent</h2>
+                <div className="costs-period-toggle">
+                  <button className={period === 'daily' ? 'active' : ''} onClick={() => setPeriod('daily')}>Daily</button>
+                  <button className={period === 'monthly' ? 'active' : ''} onClick={() => setPeriod('monthly')}>Monthly</button>
+                </div>
+              </div>
+              <table className="costs-table">
+                <thead>
+                  <tr>
+                    <th>{period === 'daily' ? 'Date' : 'Month'}</th>
+                    {agents.map(agent => <th key={agent}>{JOB_AGENT_LABELS[agent] || agent}</th>)}
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.date || row.month}>
+                      <td>{row.date || row.month}</td>
+                      {agents.map(agent => <td key={agent}>{formatUsd(row.agents[agent]?.costUsd)}</td>)}
+                      <td className="costs-total-cell">{formatUsd(row.total.costUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="costs-section">
+              <h2>By model</h2>
+              <table className="costs-table">
+                <thead>
+                  <tr>
+                    <th>Model</th>
+                    <th>Calls</th>
+                    <th>Prompt tokens</th>
+                    <th>Completion tokens</th>
+                    <th>Audio min</th>
+                    <th>Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(costs.byModel).map(([model, t]) => (
+                    <tr key={model}>
+                      <td>{model}</td>
+                      <td>{t.calls}</td>
+                      <td>{t.promptTokens}</td>
+                      <td>{t.completionTokens}</td>
+                      <td>{t.audioMinutes}</td>
+                      <td className="costs-total-cell">{formatUsd(t.costUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BudgetSettings() {
+  const [budgets, setBudgets] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const applyBudgets = (data) => {
+    setBudgets(data);
+    setDrafts(Object.fromEntries(Object.entries(data).map(([agent, b]) => [agent, {
+      monthlyUsd: b.monthlyUsd ?? '',
+      perRunUsd: b.perRunUsd ?? ''
+    }])));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/budgets`);
+        const data = await res.json();
+        if (!cancelled) applyBudgets(data.budgets || {});
+      } catch (err) {
+        console.error('Failed to fetch budgets:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleChange = (agent, field, value) => {
+    setDrafts(prev => ({ ...prev, [agent]: { ...prev[agent], [field]: value } }));
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const payload = Object.fromEntries(Object.entries(drafts).map(([agent, d]) => [agent, {
+        monthlyUsd: d.monthlyUsd === '' ? null : Number(d.monthlyUsd),
+        perRunUsd: d.perRunUsd === '' ? null : Number(d.perRunUsd)
+      }]));
+      const res = await fetch(`${API_URL}/budgets`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ budgets: payload })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save budgets');
+      applyBudgets(data.budgets);
+      setMessage({ type: 'success', text: 'Budgets saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!budgets) return null;
+
+  return (
+    <div className="costs-section">
+      <div className="costs-section-header">
+        <h2>Budgets</h2>
+        <button className="btn-save-budgets" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Budgets'}
+        </button>
+      </div>
+      <p className="costs-help">
+        Runs whose estimated cost would cross a cap are refused; long runs stop when they reach one
+        (finished work is kept and picked up again on the next run). Leave a cap empty for no limit.
+      </p>
+      <table className="costs-table">
+        <thead>
+          <tr>
+            <th>Agent</th>
+            <th>Spent this month</th>
+            <th>Monthly cap ($)</th>
+            <th>Per-run cap ($)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(budgets).map(([agent, budget]) => {
+            const over = budget.monthlyUsd !== null && budget.spentThisMonthUsd >= budget.monthlyUsd;
+            return (
+              <tr key={agent}>
+                <td>{JOB_AGENT_LABELS[agent] || agent}</td>
+                <td className={over ? 'costs-over-budget' : ''}>
+                  {formatUsd(budget.spentThisMonthUsd)}
+                  {budget.monthlyUsd !== null && ` of ${formatUsd(budget.monthlyUsd)}`}
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="costs-budget-input"
+                    value={drafts[agent]?.monthlyUsd ?? ''}
+                    placeholder="No limit"
+                    onChange={(e) => handleChange(agent, 'monthlyUsd', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="costs-budget-input"
+                    value={drafts[agent]?.perRunUsd ?? ''}
+                    placeholder="No limit"
+                    onChange={(e) => handleChange(agent, 'perRunUsd', e.target.value)}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {message && <p className={`costs-message ${message.type}`}>{message.text}</p>}
+    </div>
+  );
+}
+
 function IdeaReview({ idea, onGenerate, onClose }) {
   return (
     <div className="idea-review">
@@ -2337,6 +3704,25 @@ function IdeaReview({ idea, onGenerate, onClose }) {
           <p>{idea.event}</p>
           <h3>Summary</h3>
           <p>{idea.summary}</p>
+          {idea.timeRange && (
+            <>
+              <h3>In the Meeting</h3>
+              <p>
+                {idea.timeRange.start}–{idea.timeRange.end}
+                {idea.videoUrl && (
+                  <a className="idea-video-link" href={idea.videoUrl} target="_blank" rel="noopener noreferrer">
+                    Watch this discussion ↗
+                  </a>
+                )}
+              </p>
+            </>
+          )}
+          {idea.agendaItem && (
+            <>
+              <h3>Agenda Item</h3>
+              <p>{idea.agendaItem.number}. {idea.agendaItem.title}</p>
+            </>
+          )}
         </div>
 
         <div className="angles-panel">
@@ -2828,9 +4214,10 @@ function MeetingListView({ department, ideas, meetings, upcomingMeetings, depart
                           <span className="stat-item articles">{meeting.articlesGenerated} articles</span>
                         )}
                         <span className={`stat-item status-${meeting.status}`}>
-                          {meeting.status === 'processed' ? 'Ready' :
-                            meeting.status === 'analyzed' ? 'Analyzed' :
-                              meeting.status === 'transcribed' ? 'Transcribed' : 'Downloading'}
+                          {meeting.pipeline ? getPipelineLabel(meeting.pipeline) :
+                            meeting.status === 'processed' ? 'Ready' :
+                              meeting.status === 'analyzed' ? 'Analyzed' :
+                                meeting.status === 'transcribed' ? 'Transcribed' : 'Downloading'}
                         </span>
                       </div>
                     </div>
@@ -2901,6 +4288,580 @@ function MeetingListView({ department, ideas, meetings, upcomingMeetings, depart
   );
 }
 
+const PIPELINE_STAGE_LABELS = {
+  download: 'Download',
+  transcribe: 'Transcription',
+  speakers: 'Speaker attribution',
+  agenda: 'Agenda',
+  analyze: 'Analysis',
+  ideas: 'Idea generation'
+};
+
+// Short label for where a meeting is in the pipeline
+function getPipelineLabel(pipeline) {
+  const stage = PIPELINE_STAGE_LABELS[pipeline.stage] || pipeline.stage;
+  if (pipeline.status === 'completed') return 'Ready';
+  if (pipeline.status === 'failed') return `${stage} failed`;
+  if (pipeline.status === 'running') return `${stage}...`;
+  return `Waiting for ${stage.toLowerCase()}`;
+}
+
+// Stage-by-stage progress of a meeting, with resume after a failure
+function MeetingPipelinePanel({ videoId }) {
+  const [pipeline, setPipeline] = useState(null);
+  const [resuming, setResuming] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/pipeline`);
+        if (!res.ok) return; // Meetings processed before stage tracking have no record
+        const data = await res.json();
+        if (!cancelled) setPipeline(data.pipeline);
+      } catch (err) {
+        console.error('Failed to fetch meeting pipeline:', err);
+      }
+    };
+    load();
+    const interval = setInterval(load, 5000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [videoId]);
+
+  const handleResume = async (stage) => {
+    setResuming(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/resume`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stage })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to resume');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  if (!pipeline) return null;
+
+  return (
+    <div className={`meeting-pipeline ${pipeline.status}`}>
+      <div className="meeting-pipeline-stages">
+        {Object.entries(PIPELINE_STAGE_LABELS).map(([stage, label]) => {
+          const stageState = pipeline.stages[stage] || { status: 'pending' };
+          return (
+            <span key={stage} className={`pipeline-stage ${stageState.status}`} title={stageState.error || stageState.status}>
+              {label}
+            </span>
+          );
+        })}
+      </div>
+      {pipeline.status === 'failed' && (
+        <div className="meeting-pipeline-error">
+          <span>{PIPELINE_STAGE_LABELS[pipeline.stage]} failed: {pipeline.error}</span>
+          <button className="btn-resume-stage" onClick={() => handleResume(pipeline.stage)} disabled={resuming}>
+            {resuming ? 'Resuming...' : `Resume from ${PIPELINE_STAGE_LABELS[pipeline.stage].toLowerCase()}`}
+          </button>
+        </div>
+      )}
+      {error && <div className="meeting-pipeline-error">{error}</div>}
+    </div>
+  );
+}
+
+const SPEAKER_SOURCE_LABELS = {
+  vtt: 'Caption tag',
+  called: 'Called on',
+  thanked: 'Thanked',
+  editor: 'Edited'
+};
+
+// Who spoke each turn of the meeting, with corrections by editors
+function MeetingSpeakersPanel({ videoId }) {
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState(null);
+  const [unlabeledOnly, setUnlabeledOnly] = useState(false);
+  const [savingTurn, setSavingTurn] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/speakers`);
+        const body = await res.json();
+        if (cancelled) return;
+        if (!res.ok) throw new Error(body.error || 'Failed to load speakers');
+        setData(body);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId, open]);
+
+  const handleSave = async (turn, speaker) => {
+    if ((speaker.trim() || null) === turn.speaker) return;
+    setSavingTurn(turn.start);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/speakers`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ start: turn.start, end: turn.end, speaker })
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Failed to save speaker');
+      setData(prev => {
+        const turns = prev.turns.map(t => (t.start === body.turn.start ? body.turn : t));
+        return { ...prev, turns, labeled: turns.filter(t => t.speaker).length };
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingTurn(null);
+    }
+  };
+
+  const turns = (data?.turns || []).filter(turn => !unlabeledOnly || !turn.speaker);
+
+  return (
+    <div className="meeting-speakers">
+      <button className="meeting-speakers-toggle" onClick={() => setOpen(!open)}>
+        {open ? '▾' : '▸'} Speakers
+        {data && <span className="meeting-speakers-count">{data.labeled} of {data.turns.length} turns labeled</span>}
+      </button>
+      {open && (
+        <div className="meeting-speakers-body">
+          {error && <div className="meeting-speakers-error">{error}</div>}
+          {!data && !error && <p className="meeting-speakers-empty">Loading transcript...</p>}
+          {data && (
+            <>
+              <label className="meeting-speakers-filter">
+                <input type="checkbox" checked={unlabeledOnly} onChange={e => setUnlabeledOnly(e.target.checked)} />
+                Unlabeled turns only
+              </label>
+              <datalist id={`speakers-${videoId}`}>
+                {data.boardMembers.map(member => (
+                  <option key={member.name} value={member.name}>{member.role}</option>
+                ))}
+              </datalist>
+              <ul className="speaker-turns">
+                {turns.map(turn => (
+                  <li key={`${turn.start}-${turn.speaker || ''}`} className="speaker-turn">
+                    <span className="speaker-turn-time">{turn.timestamp?.split('.')[0]}</span>
+                    <div className="speaker-turn-speaker">
+                      <input
+                        type="text"
+                        list={`speakers-${videoId}`}
+                        defaultValue={turn.speaker || ''}
+                        placeholder="Unknown"
+                        disabled={savingTurn === turn.start}
+                        onBlur={e => handleSave(turn, e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                      />
+                      {turn.speakerSource && (
+                        <span className={`speaker-source ${turn.speakerSource}`}>{SPEAKER_SOURCE_LABELS[turn.speakerSource]}</span>
+                      )}
+                    </div>
+                    <p className="speaker-turn-text">{turn.text}</p>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+async function fetchMeetingAgenda(videoId) {
+  const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/agenda`);
+  return res.ok ? res.json() : null; // No agenda ingested yet
+}
+
+// The meeting's agenda items and when each was discussed, with upload or
+// fetch of the agenda
+// A transcript line with the words that matched the search marked
+function HighlightedText({ text, highlights = [] }) {
+  const parts = [];
+  let last = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+function TranscriptSearchLine({ line, hit = false }) {
+  return (
+    <p className={`transcript-search-line ${hit ? 'hit' : ''}`}>
+      {line.timestamp && <span className="transcript-search-line-time">{line.timestamp}</span>}
+      {line.speaker && <span className="transcript-search-line-speaker">{line.speaker}:</span>}
+      <HighlightedText text={line.text} highlights={line.highlights} />
+    </p>
+  );
+}
+
+const SEARCH_PAGE_SIZE = 20;
+
+// Full-text search across every meeting transcript, each result linked to
+// its moment in the meeting video
+function TranscriptSearchView({ departments = [] }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ from: '', to: '', departmentId: '', sort: 'relevance' });
+  const [search, setSearch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async (params, offset = 0) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const searchParams = new URLSearchParams({ limit: SEARCH_PAGE_SIZE, offset });
+      for (const [key, value] of Object.entries(params)) {
+        if (value) searchParams.set(key, value);
+      }
+      const res = await fetch(`${API_URL}/search/transcripts?${searchParams}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Search failed');
+      setSearch(prev => ({
+        ...body,
+        params,
+        results: offset > 0 && prev ? [...prev.results, ...body.results] : body.results
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (query.trim()) runSearch({ q: query.trim(), ...filters });
+  };
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <>
+      <header className="feed-header">
+        <div className="feed-title-row">
+          <div className="feed-title-block">
+            <h2>Transcript Search</h2>
+            <p className="feed-subtitle">Search every meeting transcript. Put a phrase in "quotes".</p>
+          </div>
+        </div>
+      </header>
+      <div className="feed-content">
+        <form className="transcript-search-form" onSubmit={handleSubmit}>
+          <div className="transcript-search-bar">
+            <input
+              type="search"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              placeholder='e.g. Riverwalk or "beach parking"'
+              autoFocus
+            />
+            <button type="submit" className="btn-primary" disabled={!query.trim() || loading}>
+              {loading ? 'Searching...' : 'Search'}
+            </button>
+          </div>
+          <div className="transcript-search-filters">
+            <label>
+              From
+              <input type="date" value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="date" value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+            </label>
+            <select value={filters.departmentId} onChange={e => setFilter('departmentId', e.target.value)}>
+              <option value="">All departments</option>
+              {departments.map(dept => (
+                <option key={dept.id} value={dept.id}>{dept.name}</option>
+              ))}
+            </select>
+            <select value={filters.sort} onChange={e => setFilter('sort', e.target.value)}>
+              <option value="relevance">Best match first</option>
+              <option value="date">Newest meeting first</option>
+            </select>
+          </div>
+        </form>
+
+        {error && <div className="transcript-search-error">{error}</div>}
+        {search && (
+          <p className="transcript-search-summary">
+            {search.total} result{search.total !== 1 ? 's' : ''} in {search.meetingsMatched} of {search.meetingsSearched} meeting{search.meetingsSearched !== 1 ? 's' : ''}
+          </p>
+        )}
+        {search?.results.length > 0 && (
+          <ul className="transcript-search-results">
+            {search.results.map(result => (
+              <li key={`${result.videoId}-${result.startSeconds}-${result.text}`} className="transcript-search-result">
+                <div className="transcript-search-meeting">
+                  <strong>{result.meetingType || `Meeting ${result.videoId}`}</strong>
+                  {result.meetingDate && (
+                    <span>{new Date(`${result.meetingDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                  )}
+                  {result.department && <span>{result.department}</span>}
+                  <a className="transcript-search-watch" href={result.videoUrl} target="_blank" rel="noopener noreferrer">
+                    {result.timestamp ? `▶ Watch at ${result.timestamp}` : '▶ Watch meeting'}
+                  </a>
+                </div>
+                <div className="transcript-search-context">
+                  {result.before.map((line, i) => <TranscriptSearchLine key={`before-${i}`} line={line} />)}
+                  <TranscriptSearchLine line={result} hit />
+                  {result.after.map((line, i) => <TranscriptSearchLine key={`after-${i}`} line={line} />)}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {search && search.results.length < search.total && (
+          <button
+            className="btn-secondary transcript-search-more"
+            onClick={() => runSearch(search.params, search.results.length)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'More results'}
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+function MeetingAgendaPanel({ videoId }) {
+  const [open, setOpen] = useState(false);
+  const [agenda, setAgenda] = useState(null);
+  const [url, setUrl] = useState('');
+  const [jobId, setJobId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchMeetingAgenda(videoId)
+      .then(body => {
+        if (!cancelled) setAgenda(body);
+      })
+      .catch(err => console.error('Failed to fetch meeting agenda:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  // Follow the ingest job, then show the new agenda
+  useEffect(() => {
+    if (!jobId) return;
+    let cancelled = false;
+    const interval = setInterval(async () => {
+      try {
+        const job = await (await fetch(`${API_URL}/jobs/${jobId}`)).json();
+        if (cancelled || ['queued', 'running'].includes(job.status)) return;
+        setJobId(null);
+        if (job.status === 'succeeded') {
+          setAgenda(await fetchMeetingAgenda(videoId));
+        } else {
+          setError(job.error || `Agenda ingest ${job.status}`);
+        }
+      } catch (err) {
+        console.error('Failed to check agenda job:', err);
+      }
+    }, 3000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [jobId, videoId]);
+
+  const submit = async (request) => {
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/agenda${request.query || ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': request.contentType },
+        body: request.body
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Failed to ingest agenda');
+      setJobId(body.jobId);
+      setUrl('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    submit({
+      query: `?filename=${encodeURIComponent(file.name)}`,
+      contentType: file.type || 'application/octet-stream',
+      body: file
+    });
+  };
+
+  const aligned = agenda?.items.filter(item => item.timeRange).length || 0;
+
+  return (
+    <div className="meeting-agenda">
+      <button className="meeting-agenda-toggle" onClick={() => setOpen(!open)}>
+        {open ? '▾' : '▸'} Agenda
+        {agenda && <span className="meeting-agenda-count">{agenda.items.length} items, {aligned} found in the video</span>}
+      </button>
+      {open && (
+        <div className="meeting-agenda-body">
+          {error && <div className="meeting-agenda-error">{error}</div>}
+          {!agenda && !jobId && <p className="meeting-agenda-empty">No agenda yet. Upload the agenda or agenda packet, or give its URL.</p>}
+          {agenda && (
+            <ul className="agenda-items">
+              {agenda.items.map(item => (
+                <li key={item.number} className={`agenda-item ${item.timeRange ? '' : 'unaligned'}`}>
+                  <span className="agenda-item-number">{item.number}</span>
+                  <div className="agenda-item-text">
+                    <strong>{item.title}</strong>
+                    {item.section && <span className="agenda-item-section">{item.section}</span>}
+                    {item.description && <p>{item.description}</p>}
+                  </div>
+                  <span className="agenda-item-time">
+                    {item.timeRange ? `${item.timeRange.start}–${item.timeRange.end}` : 'Not found'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {jobId ? (
+            <p className="meeting-agenda-empty">Reading the agenda...</p>
+          ) : (
+            <div className="meeting-agenda-upload">
+              <label className="btn-agenda-upload">
+                {agenda ? 'Replace with file...' : 'Upload file...'}
+                <input type="file" accept=".pdf,.html,.htm,.txt" onChange={handleFile} hidden />
+              </label>
+              <input
+                type="url"
+                value={url}
+                onChange={e => setUrl(e.target.value)}
+                placeholder="https://... agenda URL"
+              />
+              <button
+                onClick={() => submit({ contentType: 'application/json', body: JSON.stringify({ url }) })}
+                disabled={!url.trim()}
+              >
+                Fetch
+              </button>
+            </div>
+          )}
+          {agenda && <p className="meeting-agenda-note">Re-run analysis from the pipeline for new ideas to use a replaced agenda.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const VOTE_LABELS = {
+  yes: 'Yes',
+  no: 'No',
+  abstain: 'Abstain',
+  absent: 'Absent'
+};
+
+// Roll-call record of each motion: mover, seconder and every member's vote
+function MeetingVotesPanel({ videoId }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_URL}/agents/town-meeting/meetings/${videoId}/votes`);
+        if (!res.ok) return; // Not analyzed yet
+        const body = await res.json();
+        if (!cancelled) setData(body);
+      } catch (err) {
+        console.error('Failed to fetch meeting votes:', err);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  if (!data || data.votes.length === 0) return null;
+
+  // Roster members first, then anyone else who voted
+  const members = [...data.boardMembers.map(m => m.name)];
+  for (const vote of data.votes) {
+    for (const { name } of vote.members) {
+      if (!members.includes(name)) members.push(name);
+    }
+  }
+
+  return (
+    <div className="meeting-votes">
+      <h3>Votes</h3>
+      <div className="meeting-votes-scroll">
+        <table className="votes-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Moved / Seconded</th>
+              {members.map(name => (
+                <th key={name} className="vote-member" title={name}>{name.split(' ').pop()}</th>
+              ))}
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.votes.map((vote, i) => (
+              <tr key={i}>
+                <td className="vote-item" title={vote.motion || ''}>
+                  {vote.agenda_item && <span className="vote-agenda-item">Item {vote.agenda_item}</span>}
+                  {vote.item}
+                  {vote.timestamp && <span className="vote-time">⏱ {vote.timestamp}</span>}
+                </td>
+                <td className="vote-movers">{vote.mover || '—'} / {vote.seconder || '—'}</td>
+                {members.map(name => {
+                  const choice = vote.members.find(m => m.name === name)?.vote;
+                  return (
+                    <td key={name} className={`vote-cell ${choice || 'unknown'}`}>
+                      {choice ? VOTE_LABELS[choice] : '—'}
+                    </td>
+                  );
+                })}
+                <td className={`vote-result ${vote.result}`}>
+                  {vote.result}
+                  {vote.tally.yes + vote.tally.no > 0 && ` ${vote.tally.yes}-${vote.tally.no}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function MeetingDetailView({ meeting, onBack, onSelectIdea, onGenerateArticle }) {
   const [selectedIdeas, setSelectedIdeas] = useState([]);
   const [expandedIdea, setExpandedIdea] = useState(null);
@@ -3056,6 +5017,11 @@ function MeetingDetailView({ meeting, onBack, onSelectIdea, onGenerateArticle })
           </div>
         </div>
 
+        <MeetingPipelinePanel videoId={meeting.videoId || meeting.id} />
+        <MeetingAgendaPanel videoId={meeting.videoId || meeting.id} />
+        <MeetingVotesPanel videoId={meeting.videoId || meeting.id} />
+        <MeetingSpeakersPanel videoId={meeting.videoId || meeting.id} />
+
         <div className="ideas-list">
           {loadingIdeas ? (
             <div className="empty-ideas-full">
@@ -3093,6 +5059,16 @@ function MeetingDetailView({ meeting, onBack, onSelectIdea, onGenerateArticle })
                 <div className="idea-list-content">
                   <h3>{idea.title}</h3>
                   <p>{idea.summary || idea.event}</p>
+                  {idea.timeRange && (idea.videoUrl ? (
+                    <a className="idea-time-range" href={idea.videoUrl} target="_blank" rel="noopener noreferrer" title="Watch in the meeting video">
+                      ▶ {idea.timeRange.start}–{idea.timeRange.end}
+                    </a>
+                  ) : (
+                    <span className="idea-time-range">⏱ {idea.timeRange.start}–{idea.timeRange.end}</span>
+                  ))}
+                  {idea.agendaItem && (
+                    <span className="idea-agenda-item">Item {idea.agendaItem.number}</span>
+                  )}
                   {idea.angles && idea.angles.length > 0 && (
                     <div className="idea-list-angles">
                       {idea.angles.slice(0, 3).map((angle, i) => (
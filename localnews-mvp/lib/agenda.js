@@ -0,0 +1,267 @@
+/**
+ * Meeting Agendas
+ *
+ * A meeting's published agenda as numbered items, each aligned to the part of
+ * the transcript where it was discussed. Saved per meeting in
+ * data/swagit/<videoId>_agenda.json:
+ * { videoId, source, ingestedAt, alignedAt, items: [{ number, title, section,
+ *   description, timeRange }] }
+ *
+ * The agenda's text comes from a PDF (through pdftotext, from poppler-utils),
+ * an HTML page or plain text; agents/town-meeting/ingest_agenda.js has the
+ * model list the items. Alignment runs locally: every item is scored against
+ * the transcript's passages (BM25, as for article retrieval), and items are
+ * placed in agenda order, so an item is found where the meeting had reached
+ * it. Items that no passage matches well have no time range.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { tokenize, buildPassages, scorePassages } from './transcript-retrieval.js';
+import { timeRange } from './video-links.js';
+
+const execAsync = promisify(exec);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'swagit');
+
+// Agenda packets can include hundreds of pages of staff reports; the agenda
+// itself is at the start
+const MAX_AGENDA_CHARS = 60000;
+
+// A passage matches an item when it scores at least this (BM25) and at least
+// this fraction of the item's best passage
+const MIN_MATCH_SCORE = 3;
+const MIN_MATCH_FRACTION = 0.5;
+
+function agendaPath(videoId) {
+  return path.join(DATA_DIR, `${videoId}_agenda.json`);
+}
+
+/**
+ * Load a meeting's agenda
+ *
+ * @param {string} videoId - Swagit video ID
+ * @returns {Object|null} The saved agenda, or null if none was ingested
+ */
+function loadAgenda(videoId) {
+  if (!videoId) return null;
+  const file = agendaPath(videoId);
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (e) {
+    console.error(`⚠️  Failed to read ${path.basename(file)}:`, e.message);
+  }
+  return null;
+}
+
+/**
+ * Save a meeting's agenda
+ *
+ * @param {Object} agenda - { videoId, items, ... }
+ * @returns {string} Path written
+ */
+function saveAgenda(agenda) {
+  const file = agendaPath(agenda.videoId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(agenda, null, 2));
+  return file;
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => named[name.toLowerCase()] ?? entity);
+}
+
+/**
+ * Text of an HTML agenda, one line per block element
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h\d|table|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+async function pdfToText(buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agenda-'));
+  const file = path.join(dir, 'agenda.pdf');
+  try {
+    fs.writeFileSync(file, buffer);
+    const { stdout } = await execAsync(`pdftotext -layout "${file}" -`, { maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    if (error.code === 127 || /not found|ENOENT/i.test(error.message)) {
+      throw new Error('pdftotext is not installed (it comes with poppler-utils); upload the agenda as HTML or text instead');
+    }
+    throw new Error(`pdftotext failed: ${error.message}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extract the text of an agenda document
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - MIME type, if known
+ * @param {string} [options.filename] - File name or URL, if known
+ * @returns {Promise<Object>} { text, format: 'pdf'|'html'|'text', truncated }
+ */
+async function extractAgendaText(buffer, { contentType = '', filename = '' } = {}) {
+  let format = 'text';
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-' || /pdf/i.test(contentType) || /\.pdf$/i.test(filename)) {
+    format = 'pdf';
+  } else if (/html/i.test(contentType) || /\.html?$/i.test(filename) || /<(html|body|table|div|p)\b/i.test(buffer.subarray(0, 4096).toString('utf-8'))) {
+    format = 'html';
+  }
+
+  let text;
+  if (format === 'pdf') {
+    text = await pdfToText(buffer);
+  } else if (format === 'html') {
+    text = htmlToText(buffer.toString('utf-8'));
+  } else {
+    text = buffer.toString('utf-8');
+  }
+
+  text = text.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    text: text.substring(0, MAX_AGENDA_CHARS),
+    format,
+    truncated: text.length > MAX_AGENDA_CHARS
+  };
+}
+
+/**
+ * Align agenda items to the transcript. Each item is placed at one passage,
+ * in agenda order (items may share a passage, as consent items often do);
+ * the placement with the best total match wins, and items without a good
+ * match are left out. An item's time range runs from its passage to the last
+ * passage matching it before the next placed item.
+ *
+ * @param {Array<Object>} items - Agenda items: { number, title, description }
+ * @param {Object} transcript - { segments, fullText }
+ * @returns {Array<Object>} The items with timeRange ({ start, end,
+ *   startSeconds, endSeconds } or null)
+ */
+function alignAgenda(items, transcript) {
+  const passages = buildPassages(transcript);
+  const unplaced = items.map(item => ({ ...item, timeRange: null }));
+  if (passages.length === 0 || passages[0].startSeconds === null) return unplaced;
+
+  // Score of each item at each passage, as a fraction of its best (0 when
+  // the passage isn't a match)
+  const scores = items.map(item => {
+    const terms = [...tokenize(item.title), ...tokenize(item.title), ...tokenize(item.description)];
+    const raw = terms.length > 0 ? scorePassages(passages, terms) : passages.map(() => 0);
+    const best = Math.max(0, ...raw);
+    return raw.map(score => (score >= MIN_MATCH_SCORE && score >= best * MIN_MATCH_FRACTION ? score / best : 0));
+  });
+
+  // total[i][j]: best total for the first i items placed at passages <= j
+  const n = items.length;
+  const m = passages.length;
+  const total = Array.from({ length: n + 1 }, () => new Float64Array(m));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 0; j < m; j++) {
+      total[i][j] = Math.max(j > 0 ? total[i][j - 1] : 0, total[i - 1][j] + scores[i - 1][j]);
+    }
+  }
+
+  const placedAt = new Array(n).fill(null);
+  for (let i = n, j = m - 1; i > 0;) {
+    if (j > 0 && total[i][j] === total[i][j - 1]) {
+      j--;
+    } else {
+      if (scores[i - 1][j] > 0 && total[i][j] === total[i - 1][j] + scores[i - 1][j]) placedAt[i - 1] = j;
+      i--;
+    }
+  }
+
+  return unplaced.map((item, i) => {
+    const start = placedAt[i];
+    if (start === null || passages[start].startSeconds === null) return item;
+    const next = placedAt.slice(i + 1).find(j => j !== null && j > start) ?? m;
+    let last = start;
+    for (let j = start + 1; j < next; j++) {
+      if (scores[i][j] > 0) last = j;
+    }
+    return { ...item, timeRange: timeRange(passages[start].startSeconds, passages[last].endSeconds) };
+  });
+}
+
+function normalizeNumber(number) {
+  return String(number ?? '').toLowerCase().replace(/^item\s*/, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find an agenda item by its number
+ *
+ * @param {Object} agenda - From loadAgenda
+ * @param {string} number - Item number as printed or given by the model
+ *   ("7.B", "Item 7B")
+ * @returns {Object|null} The item
+ */
+function findAgendaItem(agenda, number) {
+  const wanted = normalizeNumber(number);
+  if (!agenda || !wanted) return null;
+  return agenda.items.find(item => normalizeNumber(item.number) === wanted) || null;
+}
+
+/**
+ * One-line description of an agenda item, e.g.
+ * "Item 7.B: Ordinance 2025-12, beach parking fees (Regular Agenda)"
+ */
+function describeAgendaItem(item) {
+  if (!item) return '';
+  return `Item ${item.number}: ${item.title}${item.section ? ` (${item.section})` : ''}`;
+}
+
+/**
+ * Format an agenda for a prompt, one item per line with the time range it
+ * was discussed in
+ *
+ * @param {Object} agenda - From loadAgenda
+ * @param {Object} [options]
+ * @param {Object} [options.within] - { startSeconds, endSeconds }: only items
+ *   discussed in this part of the meeting (and items not found in the
+ *   transcript)
+ * @returns {string} Lines, or '' without an agenda
+ */
+function formatAgenda(agenda, { within = null } = {}) {
+  if (!agenda?.items?.length) return '';
+  return agenda.items
+    .filter(item => !within || within.startSeconds === null || !item.timeRange ||
+      (item.timeRange.endSeconds >= within.startSeconds && item.timeRange.startSeconds <= within.endSeconds))
+    .map(item => `${describeAgendaItem(item)}${item.timeRange ? ` [${item.timeRange.start}-${item.timeRange.end}]` : ''}`)
+    .join('\n');
+}
+
+export {
+  loadAgenda,
+  saveAgenda,
+  extractAgendaText,
+  alignAgenda,
+  findAgendaItem,
+  describeAgendaItem,
+  formatAgenda
+};
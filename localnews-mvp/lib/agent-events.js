@@ -0,0 +1,170 @@
+/**
+ * Agent Event Channel
+ *
+ * Machine-readable events from agent scripts to the dashboard server.
+ * Each event is one JSON object per line (NDJSON) written to a dedicated
+ * file descriptor, separate from the human-readable console output, so
+ * log wording can change freely without breaking the dashboard.
+ *
+ * Events:
+ * - progress: { message, ...data }
+ * - warning: { message, ...data }
+ * - article-created: { agentSource, headline, sourceUrl }
+ * - result: { type: 'success' | 'info', message, count, counts, costs }
+ * - budget-exceeded: { message, agent, kind, capUsd, spentUsd, estimateUsd }
+ * - validation-failed: { task, model, attempt, errors, gaveUp }
+ *
+ * Every event also carries `event` (its kind), `script` (the emitting file)
+ * and `at` (ISO timestamp).
+ *
+ * The server opens the channel when spawning a script and sets
+ * AGENT_EVENTS_FD. When a script runs from the command line the variable is
+ * unset and emitting is a no-op.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+let eventsFd = process.env.AGENT_EVENTS_FD ? parseInt(process.env.AGENT_EVENTS_FD) : null;
+const scriptName = path.basename(process.argv[1] || '');
+
+/**
+ * Write one event to the channel
+ *
+ * @param {string} event - Event kind
+ * @param {Object} [data] - Event payload
+ */
+function emitAgentEvent(event, data = {}) {
+  if (eventsFd === null) return;
+  const line = JSON.stringify({ event, script: scriptName, at: new Date().toISOString(), ...data });
+  try {
+    // Synchronous so events written right before process.exit() are not lost
+    fs.writeSync(eventsFd, line + '\n');
+  } catch (e) {
+    console.error(`⚠️  Agent event channel unavailable (${e.code || e.message}), events disabled`);
+    eventsFd = null;
+  }
+}
+
+/**
+ * @param {string} message - What the agent is doing
+ * @param {Object} [data] - Extra fields (e.g., { step, current, total })
+ */
+function emitProgress(message, data = {}) {
+  emitAgentEvent('progress', { message, ...data });
+}
+
+/**
+ * @param {string} message - Non-fatal problem the editor should know about
+ * @param {Object} [data] - Extra fields
+ */
+function emitWarning(message, data = {}) {
+  emitAgentEvent('warning', { message, ...data });
+}
+
+/**
+ * @param {Object} article - { agentSource, headline, sourceUrl }
+ */
+function emitArticleCreated(article) {
+  emitAgentEvent('article-created', {
+    agentSource: article.agentSource,
+    headline: article.headline,
+    sourceUrl: article.sourceUrl || null
+  });
+}
+
+/**
+ * Report the outcome of the script. Emit once, as the last event.
+ *
+ * @param {Object} result
+ * @param {string} result.type - 'success' (something was produced) or 'info' (nothing to do)
+ * @param {string} result.message - Summary shown to the editor
+ * @param {number} [result.count] - Number of articles created
+ * @param {Object} [result.counts] - Other named counts (e.g., { incidents: 12 })
+ * @param {Object} [result.costs] - { usd }: actual cost of the LLM calls this script made
+ */
+function emitResult(result) {
+  emitAgentEvent('result', {
+    count: 0,
+    counts: {},
+    costs: {},
+    ...result
+  });
+}
+
+/**
+ * Report that the script stopped because a spending cap would be crossed
+ *
+ * @param {BudgetExceededError} error - From lib/budgets.js
+ */
+function emitBudgetExceeded(error) {
+  emitAgentEvent('budget-exceeded', {
+    message: error.message,
+    agent: error.agent,
+    kind: error.kind,
+    capUsd: error.capUsd,
+    spentUsd: error.spentUsd,
+    estimateUsd: error.estimateUsd
+  });
+}
+
+/**
+ * Report an LLM response that failed its JSON schema
+ *
+ * @param {Object} failure - { task, model, attempt, errors, gaveUp }; gaveUp is
+ *   true when no repair attempts are left
+ */
+function emitValidationFailure(failure) {
+  emitAgentEvent('validation-failed', failure);
+}
+
+/**
+ * stdio option for spawning a nested agent script so its events reach the
+ * same channel (e.g., the town meeting orchestrator running analyze.js)
+ *
+ * @param {string} [mode] - stdio mode for stdin/stdout/stderr
+ * @returns {string|Array} stdio option for child_process.spawn
+ */
+function childStdio(mode = 'inherit') {
+  if (eventsFd === null) return mode;
+  return [mode, mode, mode, eventsFd];
+}
+
+/**
+ * Read NDJSON events from a stream (the server side of the channel)
+ *
+ * @param {stream.Readable} stream - Channel stream of a spawned script
+ * @param {Function} onEvent - Called with each parsed event
+ */
+function readAgentEvents(stream, onEvent) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    try {
+      onEvent(JSON.parse(line));
+    } catch (e) {
+      console.error(`Ignoring malformed agent event: ${line.substring(0, 200)}`);
+    }
+  };
+
+  stream.on('data', (chunk) => {
+    const lines = (buffer + chunk).split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  });
+  stream.on('end', () => handleLine(buffer));
+}
+
+export {
+  emitAgentEvent,
+  emitProgress,
+  emitWarning,
+  emitArticleCreated,
+  emitResult,
+  emitBudgetExceeded,
+  emitValidationFailure,
+  childStdio,
+  readAgentEvents
+};
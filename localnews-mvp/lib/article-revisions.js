@@ -0,0 +1,226 @@
+/**
+ * Article Revisions
+ *
+ * Keeps a history of every saved edit to an article, so the original AI draft
+ * is never lost and editors can see and undo what changed. Revisions are
+ * numbered per article starting at 1; revision 1 is the article as it was
+ * before its first edit.
+ *
+ * Each revision stores a full snapshot of the editable fields, who saved it,
+ * when, and which fields changed from the previous revision.
+ *
+ * Optional environment variables:
+ * - ARTICLE_REVISIONS_FILE: Path of the history file (default: data/article_revisions.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fields captured in each revision (status changes are workflow, not edits)
+const REVISION_FIELDS = ['headline', 'summary', 'body', 'twitter', 'facebook', 'instagram', 'sourceUrl'];
+
+// Above this many token comparisons, text is diffed line by line instead of word by word
+const MAX_DIFF_CELLS = 2000000;
+
+const REVISIONS_FILE = process.env.ARTICLE_REVISIONS_FILE ||
+  path.join(__dirname, '..', 'data', 'article_revisions.json');
+
+function loadState() {
+  try {
+    if (fs.existsSync(REVISIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(REVISIONS_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load article revisions:', e.message);
+  }
+  return {};
+}
+
+/**
+ * Write the history file (atomically, via a temp file)
+ */
+function saveState(state) {
+  fs.mkdirSync(path.dirname(REVISIONS_FILE), { recursive: true });
+  const tmpFile = `${REVISIONS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpFile, REVISIONS_FILE);
+}
+
+function snapshotOf(article) {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, article[field] || '']));
+}
+
+function changedFields(before, after) {
+  return REVISION_FIELDS.filter(field => (before?.[field] || '') !== (after[field] || ''));
+}
+
+/**
+ * Record a revision for an article if its editable fields changed since the
+ * last revision
+ *
+ * @param {Object} article - The article as saved
+ * @param {Object} [options]
+ * @param {string} [options.author] - Who saved it
+ * @param {number} [options.restoredFrom] - Revision number this save restored
+ * @returns {Object|null} The new revision, or null if nothing changed
+ */
+function recordRevision(article, { author = null, restoredFrom = null } = {}) {
+  const state = loadState();
+  const revisions = state[article.id] || [];
+  const previous = revisions[revisions.length - 1];
+  const snapshot = snapshotOf(article);
+  const fields = changedFields(previous?.snapshot, snapshot);
+
+  if (previous && fields.length === 0) return null;
+
+  const revision = {
+    number: revisions.length + 1,
+    author: author || 'unknown',
+    createdAt: new Date().toISOString(),
+    fields: previous ? fields : [],
+    restoredFrom,
+    snapshot
+  };
+  state[article.id] = [...revisions, revision];
+  saveState(state);
+  return revision;
+}
+
+/**
+ * Make sure an article's current content is in its history before it is
+ * edited for the first time (revision 1 = the original draft)
+ *
+ * @param {Object} article - The article before the edit
+ */
+function ensureBaseRevision(article) {
+  if ((loadState()[article.id] || []).length > 0) return;
+  recordRevision(article, { author: article.agentSource ? `${article.agentSource} agent` : null });
+}
+
+/**
+ * List an article's revisions, oldest first, without their snapshots
+ *
+ * @param {string} articleId - Article ID
+ * @returns {Array<Object>} { number, author, createdAt, fields, restoredFrom }
+ */
+function listRevisions(articleId) {
+  return (loadState()[articleId] || []).map(({ snapshot: _snapshot, ...revision }) => revision);
+}
+
+/**
+ * Get one revision including its snapshot
+ *
+ * @param {string} articleId - Article ID
+ * @param {number} number - Revision number
+ * @returns {Object|null} Revision or null
+ */
+function getRevision(articleId, number) {
+  return (loadState()[articleId] || []).find(r => r.number === Number(number)) || null;
+}
+
+function tokenize(text, byLine) {
+  return byLine ? text.split(/(?<=\n)/) : text.split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Diff two strings into runs of { type: 'equal' | 'added' | 'removed', text }
+ */
+function diffText(before, after) {
+  if (before === after) return before ? [{ type: 'equal', text: before }] : [];
+
+  let a = tokenize(before, false);
+  let b = tokenize(after, false);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = tokenize(before, true);
+    b = tokenize(after, true);
+  }
+
+  // Trim the common prefix and suffix, then LCS the middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  a.slice(0, start).forEach(t => push('equal', t));
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach(t => push('removed', t));
+    midB.forEach(t => push('added', t));
+  } else {
+    const cols = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        push('equal', midA[i++]);
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+        push('removed', midA[i++]);
+      } else {
+        push('added', midB[j++]);
+      }
+    }
+  }
+
+  a.slice(endA).forEach(t => push('equal', t));
+  return parts;
+}
+
+/**
+ * Diff two revisions of an article
+ *
+ * @param {string} articleId - Article ID
+ * @param {number} fromNumber - Older revision number
+ * @param {number} toNumber - Newer revision number
+ * @returns {Object|null} { from, to, changes: [{ field, before, after, diff }] },
+ *   or null if either revision does not exist
+ */
+function diffRevisions(articleId, fromNumber, toNumber) {
+  const from = getRevision(articleId, fromNumber);
+  const to = getRevision(articleId, toNumber);
+  if (!from || !to) return null;
+
+  const changes = changedFields(from.snapshot, to.snapshot).map(field => ({
+    field,
+    before: from.snapshot[field],
+    after: to.snapshot[field],
+    diff: diffText(from.snapshot[field], to.snapshot[field])
+  }));
+
+  const { snapshot: _fromSnapshot, ...fromInfo } = from;
+  const { snapshot: _toSnapshot, ...toInfo } = to;
+  return { from: fromInfo, to: toInfo, changes };
+}
+
+export {
+  REVISION_FIELDS,
+  recordRevision,
+  ensureBaseRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions
+};
@@ -0,0 +1,223 @@
+/**
+ * Article Store
+ *
+ * One interface for saving and reading articles, whichever backend holds them.
+ * Agents and the dashboard server call getArticleStore() instead of talking
+ * to Google Sheets or Supabase directly.
+ *
+ * Every backend implements:
+ * - create(article) -> article
+ * - createMany(articles) -> articles
+ * - get(id) -> article | null
+ * - update(id, updates) -> article | null
+ * - list({ agentSource, status, limit }) -> articles (oldest first)
+ * - findBySourceUrl(sourceUrl, agentSource?) -> article | null
+ * - setStatus(id, status) -> article | null
+ *
+ * An article is { id, createdAt, ...ARTICLE_FIELDS }. The backend assigns the
+ * ID when the article is created and it never changes; its format depends on
+ * the backend (a UUID in Google Sheets, the row ID in Supabase).
+ *
+ * Optional environment variables:
+ * - ARTICLE_STORE: sheets | supabase | local (default: sheets if GOOGLE_SPREADSHEET_ID
+ *   is set, else supabase if SUPABASE_URL/SUPABASE_SERVICE_KEY are set, else local)
+ * - ARTICLE_STORE_MIRROR: Backend that also receives every write, or "none"
+ *   (default: supabase when the main store is sheets and Supabase is configured)
+ * - ARTICLES_FILE: File used by the local backend (default: data/articles.json)
+ */
+
+import { createSheetsStore } from './sheets.js';
+import { createSupabaseStore, isSupabaseConfigured } from './supabase.js';
+import { createLocalStore } from './local.js';
+
+const ARTICLE_FIELDS = [
+  'agentSource',
+  'headline',
+  'body',
+  'summary',
+  'twitter',
+  'facebook',
+  'instagram',
+  'sourceUrl',
+  'status'
+];
+
+const BACKENDS = {
+  sheets: createSheetsStore,
+  supabase: createSupabaseStore,
+  local: createLocalStore
+};
+
+let store = null;
+
+/**
+ * Fill in defaults for a new article and drop unknown fields
+ *
+ * @param {Object} article - Article fields
+ * @returns {Object} Article with every field in ARTICLE_FIELDS
+ */
+function normalizeArticle(article) {
+  const normalized = {};
+  for (const field of ARTICLE_FIELDS) {
+    normalized[field] = article[field] || '';
+  }
+  normalized.status = normalized.status || 'draft';
+  return normalized;
+}
+
+/**
+ * Keep only the known fields that are present in an update
+ *
+ * @param {Object} updates - Fields to change
+ * @returns {Object} Known fields that are not undefined
+ */
+function pickArticleUpdates(updates) {
+  return Object.fromEntries(
+    ARTICLE_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]])
+  );
+}
+
+function defaultBackend() {
+  if (process.env.GOOGLE_SPREADSHEET_ID) return 'sheets';
+  if (isSupabaseConfigured()) return 'supabase';
+  return 'local';
+}
+
+function defaultMirror(backend) {
+  return backend === 'sheets' && isSupabaseConfigured() ? 'supabase' : 'none';
+}
+
+function createBackend(name) {
+  const create = BACKENDS[name];
+  if (!create) {
+    throw new Error(`Unknown article store "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return create();
+}
+
+/**
+ * Copy an article to the mirror backend, matching it by source URL.
+ * Mirror failures are logged, never thrown.
+ */
+async function mirrorArticle(mirror, article) {
+  if (!mirror || !article) return;
+  try {
+    const existing = article.sourceUrl ? await mirror.findBySourceUrl(article.sourceUrl) : null;
+    if (existing) {
+      await mirror.update(existing.id, pickArticleUpdates(article));
+    } else {
+      await mirror.create(normalizeArticle(article));
+    }
+  } catch (e) {
+    console.error(`Article mirror (${mirror.name}) write failed:`, e.message);
+  }
+}
+
+/**
+ * Wrap a backend with input normalization, mirroring and deduplication helpers
+ */
+function createStore(backend, mirror) {
+  async function mirrorAll(articles) {
+    for (const article of articles) {
+      await mirrorArticle(mirror, article);
+    }
+  }
+
+  return {
+    name: backend.name,
+    mirror: mirror?.name || null,
+
+    async create(article) {
+      const created = await backend.create(normalizeArticle(article));
+      await mirrorArticle(mirror, created);
+      return created;
+    },
+
+    /**
+     * Create articles whose source URL is not already stored for the agent
+     *
+     * @param {Array<Object>} articles - Articles to add
+     * @param {string} agentSource - Agent whose existing articles count as duplicates
+     * @returns {Promise<Object>} { created: articles added, skipped: number of duplicates }
+     */
+    async createMany(articles, agentSource) {
+      if (!articles || articles.length === 0) {
+        return { created: [], skipped: 0 };
+      }
+
+      const existingUrls = await this.getSourceUrls(agentSource);
+      const newArticles = articles.filter(article => !article.sourceUrl || !existingUrls.has(article.sourceUrl));
+      const skipped = articles.length - newArticles.length;
+      if (newArticles.length === 0) {
+        return { created: [], skipped };
+      }
+
+      const created = await backend.createMany(newArticles.map(normalizeArticle));
+      await mirrorAll(created);
+      return { created, skipped };
+    },
+
+    get(id) {
+      return backend.get(id);
+    },
+
+    async update(id, updates) {
+      const updated = await backend.update(id, pickArticleUpdates(updates));
+      await mirrorArticle(mirror, updated);
+      return updated;
+    },
+
+    list(filters = {}) {
+      return backend.list(filters);
+    },
+
+    findBySourceUrl(sourceUrl, agentSource = null) {
+      if (!sourceUrl) return Promise.resolve(null);
+      return backend.findBySourceUrl(sourceUrl, agentSource);
+    },
+
+    async setStatus(id, status) {
+      const updated = await backend.setStatus(id, status);
+      await mirrorArticle(mirror, updated);
+      return updated;
+    },
+
+    /**
+     * Get the source URLs already stored for an agent (for deduplication)
+     *
+     * @param {string} agentSource - Agent source
+     * @returns {Promise<Set<string>>} Source URLs
+     */
+    async getSourceUrls(agentSource) {
+      const articles = await backend.list({ agentSource });
+      return new Set(articles.map(a => a.sourceUrl).filter(Boolean));
+    }
+  };
+}
+
+/**
+ * Get the configured article store (created on first use)
+ *
+ * @returns {Object} Article store
+ * @throws {Error} If ARTICLE_STORE or ARTICLE_STORE_MIRROR names an unknown
+ *   or unconfigured backend
+ */
+function getArticleStore() {
+  if (store) return store;
+
+  const backendName = process.env.ARTICLE_STORE || defaultBackend();
+  const mirrorName = process.env.ARTICLE_STORE_MIRROR || defaultMirror(backendName);
+  const backend = createBackend(backendName);
+  const mirror = mirrorName !== 'none' && mirrorName !== backendName ? createBackend(mirrorName) : null;
+
+  store = createStore(backend, mirror);
+  console.log(`🗄️  Article store: ${store.name}${store.mirror ? ` (mirrored to ${store.mirror})` : ''}`);
+  return store;
+}
+
+export {
+  ARTICLE_FIELDS,
+  normalizeArticle,
+  pickArticleUpdates,
+  getArticleStore
+};
@@ -0,0 +1,104 @@
+/**
+ * Local File Article Backend
+ *
+ * Stores articles in a JSON file, for development and single-server
+ * deployments without Google Sheets or Supabase. Agents and the dashboard
+ * write from separate processes, so every change re-reads the file first.
+ *
+ * Optional environment variables:
+ * - ARTICLES_FILE: Path of the file (default: data/articles.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function articlesFile() {
+  return process.env.ARTICLES_FILE || path.join(__dirname, '..', '..', 'data', 'articles.json');
+}
+
+function loadState() {
+  const file = articlesFile();
+  if (!fs.existsSync(file)) return { nextId: 1, articles: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Write the file (atomically, via a temp file)
+ */
+function saveState(state) {
+  const file = articlesFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Create the local file backend
+ */
+function createLocalStore() {
+  function find(state, id) {
+    return state.articles.find(a => String(a.id) === String(id)) || null;
+  }
+
+  function update(id, updates) {
+    const state = loadState();
+    const article = find(state, id);
+    if (!article) return null;
+    Object.assign(article, updates);
+    saveState(state);
+    return { ...article };
+  }
+
+  async function createMany(articles) {
+    const state = loadState();
+    const createdAt = new Date().toISOString();
+    const created = articles.map(article => ({ ...article, id: state.nextId++, createdAt }));
+    state.articles.push(...created);
+    saveState(state);
+    return created;
+  }
+
+  return {
+    name: 'local',
+
+    async create(article) {
+      const [created] = await createMany([article]);
+      return created;
+    },
+
+    createMany,
+
+    async get(id) {
+      const article = find(loadState(), id);
+      return article ? { ...article } : null;
+    },
+
+    async update(id, updates) {
+      return update(id, updates);
+    },
+
+    async list({ agentSource, status, limit } = {}) {
+      let articles = loadState().articles;
+      if (agentSource) articles = articles.filter(a => a.agentSource === agentSource);
+      if (status) articles = articles.filter(a => a.status === status);
+      if (limit) articles = articles.slice(0, limit);
+      return articles;
+    },
+
+    async findBySourceUrl(sourceUrl, agentSource = null) {
+      return loadState().articles.find(a =>
+        a.sourceUrl === sourceUrl && (!agentSource || a.agentSource === agentSource)
+      ) || null;
+    },
+
+    async setStatus(id, status) {
+      return update(id, { status });
+    }
+  };
+}
+
+export { createLocalStore };
@@ -0,0 +1,213 @@
+/**
+ * Google Sheets Article Backend
+ *
+ * Stores one article per row of the Articles sheet. Each article has a
+ * generated ID in the `id` column, so rows can be sorted or deleted in the
+ * sheet without edits landing on the wrong article. Rows are looked up by ID
+ * right before every write.
+ *
+ * Sheets created before the `id` column existed are migrated on first use:
+ * the header is added and every row without an ID is given one. Rows that
+ * another process gave an ID in the meantime are left alone.
+ */
+
+import { randomUUID } from 'crypto';
+import { initClient, ensureSheet, getSpreadsheetId, COLUMNS, SHEET_NAME, HEADER_ROW } from '../sheets.js';
+
+// Article field -> column index
+const FIELD_COLUMNS = {
+  agentSource: COLUMNS.AGENT_SOURCE,
+  headline: COLUMNS.HEADLINE,
+  body: COLUMNS.BODY,
+  summary: COLUMNS.SUMMARY,
+  twitter: COLUMNS.TWITTER,
+  facebook: COLUMNS.FACEBOOK,
+  instagram: COLUMNS.INSTAGRAM,
+  sourceUrl: COLUMNS.SOURCE_URL,
+  status: COLUMNS.STATUS
+};
+
+// Column letter of the ID column (K)
+const ID_COLUMN = String.fromCharCode('A'.charCodeAt(0) + COLUMNS.ID);
+
+function rowToArticle(row) {
+  const article = { id: row[COLUMNS.ID] || '' };
+  for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+    article[field] = row[column] || '';
+  }
+  article.status = article.status || 'draft';
+  article.createdAt = row[COLUMNS.CREATED_AT] || '';
+  return article;
+}
+
+function articleToRow(article) {
+  const row = Array(HEADER_ROW.length).fill('');
+  for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+    row[column] = article[field] || '';
+  }
+  row[COLUMNS.CREATED_AT] = article.createdAt || '';
+  row[COLUMNS.ID] = article.id;
+  return row;
+}
+
+/**
+ * Create the Google Sheets backend
+ */
+function createSheetsStore() {
+  let migration = null;
+
+  /**
+   * Add the ID header and give every row without an ID one (once per process)
+   */
+  function migrateIds() {
+    if (!migration) {
+      migration = runIdMigration().catch((error) => {
+        migration = null;
+        throw error;
+      });
+    }
+    return migration;
+  }
+
+  async function runIdMigration() {
+    const sheets = await initClient();
+    await ensureSheet();
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${SHEET_NAME}!A:K`
+    });
+    const rows = response.data.values || [];
+
+    const missing = rows
+      .map((row, index) => ({ row, rowNumber: index + 1 }))
+      .filter(({ row, rowNumber }) => rowNumber > 1 && row.length > 0 && !row[COLUMNS.ID])
+      .map(({ rowNumber }) => rowNumber);
+    if (rows[0]?.[COLUMNS.ID] === HEADER_ROW[COLUMNS.ID] && missing.length === 0) return;
+
+    // The server and agent processes each migrate on first use, so re-read the
+    // ID column right before writing and leave IDs another process has assigned
+    const idResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${SHEET_NAME}!${ID_COLUMN}:${ID_COLUMN}`
+    });
+    const ids = (idResponse.data.values || []).map(row => row[0] || '');
+
+    const data = [];
+    if (ids[0] !== HEADER_ROW[COLUMNS.ID]) {
+      data.push({ range: `${SHEET_NAME}!${ID_COLUMN}1`, values: [[HEADER_ROW[COLUMNS.ID]]] });
+    }
+    for (const rowNumber of missing) {
+      if (!ids[rowNumber - 1]) {
+        data.push({ range: `${SHEET_NAME}!${ID_COLUMN}${rowNumber}`, values: [[randomUUID()]] });
+      }
+    }
+    if (data.length === 0) return;
+
+    // Write only the missing cells so rows appended meanwhile are untouched
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      requestBody: { valueInputOption: 'RAW', data }
+    });
+    console.log(`   Migrated Articles sheet: assigned ${data.length} article IDs`);
+  }
+
+  /**
+   * Read every article along with its current row number
+   */
+  async function readAll() {
+    await migrateIds();
+    const sheets = await initClient();
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${SHEET_NAME}!A:K`
+    });
+    const rows = response.data.values || [];
+    // Skip header row and blank rows
+    return rows
+      .map((row, index) => ({ row, rowNumber: index + 1 }))
+      .slice(1)
+      .filter(({ row }) => row.length > 0)
+      .map(({ row, rowNumber }) => ({ article: rowToArticle(row), rowNumber }));
+  }
+
+  async function findRow(id) {
+    if (!id) return null;
+    const entries = await readAll();
+    return entries.find(({ article }) => article.id === String(id)) || null;
+  }
+
+  async function createMany(articles) {
+    await migrateIds();
+    const sheets = await initClient();
+
+    const createdAt = new Date().toISOString();
+    const created = articles.map(article => ({ ...article, id: randomUUID(), createdAt }));
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${SHEET_NAME}!A:K`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: {
+        values: created.map(articleToRow)
+      }
+    });
+    return created;
+  }
+
+  async function update(id, updates) {
+    const entry = await findRow(id);
+    if (!entry) return null;
+
+    const updated = { ...entry.article, ...updates, id: entry.article.id };
+    const sheets = await initClient();
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${SHEET_NAME}!A${entry.rowNumber}:K${entry.rowNumber}`,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [articleToRow(updated)]
+      }
+    });
+    return updated;
+  }
+
+  return {
+    name: 'sheets',
+
+    async create(article) {
+      const [created] = await createMany([article]);
+      return created;
+    },
+
+    createMany,
+    update,
+
+    async get(id) {
+      const entry = await findRow(id);
+      return entry ? entry.article : null;
+    },
+
+    async list({ agentSource, status, limit } = {}) {
+      let articles = (await readAll()).map(({ article }) => article);
+      if (agentSource) articles = articles.filter(a => a.agentSource === agentSource);
+      if (status) articles = articles.filter(a => a.status === status);
+      if (limit) articles = articles.slice(0, limit);
+      return articles;
+    },
+
+    async findBySourceUrl(sourceUrl, agentSource = null) {
+      const entries = await readAll();
+      const entry = entries.find(({ article }) =>
+        article.sourceUrl === sourceUrl && (!agentSource || article.agentSource === agentSource)
+      );
+      return entry ? entry.article : null;
+    },
+
+    setStatus(id, status) {
+      return update(id, { status });
+    }
+  };
+}
+
+export { createSheetsStore };
@@ -0,0 +1,127 @@
+/**
+ * Supabase Article Backend
+ *
+ * Stores articles in the `articles` table. Source URLs are unique, so
+ * creating an article whose source URL already exists updates that row.
+ *
+ * Required environment variables:
+ * - SUPABASE_URL
+ * - SUPABASE_SERVICE_KEY
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+// Article field -> table column
+const FIELD_COLUMNS = {
+  agentSource: 'agent_source',
+  headline: 'headline',
+  body: 'body',
+  summary: 'summary',
+  twitter: 'twitter',
+  facebook: 'facebook',
+  instagram: 'instagram',
+  sourceUrl: 'source_url',
+  status: 'status'
+};
+
+function isSupabaseConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY);
+}
+
+function rowToArticle(row) {
+  const article = { id: row.id };
+  for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+    article[field] = row[column] || '';
+  }
+  article.status = article.status || 'draft';
+  article.createdAt = row.created_at || '';
+  return article;
+}
+
+function articleToRow(article) {
+  const row = {};
+  for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+    if (article[field] !== undefined) row[column] = article[field];
+  }
+  return row;
+}
+
+/**
+ * Throw a Supabase error with context, or return the data
+ */
+function unwrap({ data, error }, action) {
+  if (error) throw new Error(`Supabase ${action} failed: ${error.message}`);
+  return data;
+}
+
+/**
+ * Create the Supabase backend
+ *
+ * @throws {Error} If Supabase credentials are missing
+ */
+function createSupabaseStore() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase article store requires SUPABASE_URL and SUPABASE_SERVICE_KEY');
+  }
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  async function createMany(articles) {
+    const rows = unwrap(
+      await supabase
+        .from('articles')
+        .upsert(articles.map(articleToRow), { onConflict: 'source_url' })
+        .select(),
+      'article save'
+    );
+    return rows.map(rowToArticle);
+  }
+
+  async function update(id, updates) {
+    const row = unwrap(
+      await supabase.from('articles').update(articleToRow(updates)).eq('id', id).select().maybeSingle(),
+      'article update'
+    );
+    return row ? rowToArticle(row) : null;
+  }
+
+  return {
+    name: 'supabase',
+
+    async create(article) {
+      const [created] = await createMany([article]);
+      return created;
+    },
+
+    createMany,
+    update,
+
+    async get(id) {
+      const row = unwrap(
+        await supabase.from('articles').select('*').eq('id', id).maybeSingle(),
+        'article fetch'
+      );
+      return row ? rowToArticle(row) : null;
+    },
+
+    async list({ agentSource, status, limit } = {}) {
+      let query = supabase.from('articles').select('*').order('created_at', { ascending: true });
+      if (agentSource) query = query.eq('agent_source', agentSource);
+      if (status) query = query.eq('status', status);
+      if (limit) query = query.limit(limit);
+      return unwrap(await query, 'article list').map(rowToArticle);
+    },
+
+    async findBySourceUrl(sourceUrl, agentSource = null) {
+      let query = supabase.from('articles').select('*').eq('source_url', sourceUrl);
+      if (agentSource) query = query.eq('agent_source', agentSource);
+      const rows = unwrap(await query.limit(1), 'article lookup');
+      return rows.length > 0 ? rowToArticle(rows[0]) : null;
+    },
+
+    setStatus(id, status) {
+      return update(id, { status });
+    }
+  };
+}
+
+export { createSupabaseStore, isSupabaseConfigured };
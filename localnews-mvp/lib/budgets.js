@@ -0,0 +1,150 @@
+/**
+ * Agent Budgets
+ *
+ * Monthly and per-run spending caps for each agent, checked against the cost
+ * ledger. An agent's monthly spend counts every LLM and Whisper call it made
+ * this calendar month; a run's spend counts its calls in one dashboard job,
+ * across every script the job runs (a town meeting run transcribes, analyzes
+ * and generates ideas in separate processes), or in one script run from the
+ * command line.
+ *
+ * Budgets are edited from the dashboard Costs page and stored as
+ * { [agent]: { monthlyUsd, perRunUsd } }. A missing or null cap means no limit.
+ *
+ * Optional environment variables:
+ * - BUDGETS_FILE: Path of the budgets file (default: data/budgets.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMonthToDateCost } from './cost-ledger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BUDGET_AGENTS = ['town-meeting', 'crime-watch', 'wastewater-health'];
+
+/**
+ * Thrown when a run would push an agent past one of its caps
+ */
+class BudgetExceededError extends Error {
+  constructor(message, { agent, kind, capUsd, spentUsd, estimateUsd }) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.agent = agent;
+    this.kind = kind; // 'monthly' | 'per-run'
+    this.capUsd = capUsd;
+    this.spentUsd = spentUsd;
+    this.estimateUsd = estimateUsd;
+  }
+}
+
+function budgetsFile() {
+  return process.env.BUDGETS_FILE || path.join(__dirname, '..', 'data', 'budgets.json');
+}
+
+function parseCap(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const cap = Number(value);
+  return Number.isFinite(cap) && cap >= 0 ? cap : null;
+}
+
+/**
+ * Get every agent's budget
+ *
+ * @returns {Object} { [agent]: { monthlyUsd, perRunUsd } }
+ */
+function getBudgets() {
+  let saved = {};
+  try {
+    if (fs.existsSync(budgetsFile())) {
+      saved = JSON.parse(fs.readFileSync(budgetsFile(), 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load budgets:', e.message);
+  }
+  const agents = [...new Set([...BUDGET_AGENTS, ...Object.keys(saved)])];
+  return Object.fromEntries(agents.map(agent => [agent, {
+    monthlyUsd: parseCap(saved[agent]?.monthlyUsd),
+    perRunUsd: parseCap(saved[agent]?.perRunUsd)
+  }]));
+}
+
+/**
+ * Replace the budgets (atomically, via a temp file)
+ *
+ * @param {Object} budgets - { [agent]: { monthlyUsd, perRunUsd } }
+ * @returns {Object} The budgets as saved
+ */
+function saveBudgets(budgets) {
+  const cleaned = Object.fromEntries(Object.entries(budgets || {}).map(([agent, budget]) => [agent, {
+    monthlyUsd: parseCap(budget?.monthlyUsd),
+    perRunUsd: parseCap(budget?.perRunUsd)
+  }]));
+  const file = budgetsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(cleaned, null, 2));
+  fs.renameSync(tmpFile, file);
+  return getBudgets();
+}
+
+/**
+ * Get every agent's budget with what it has spent this month
+ *
+ * @returns {Object} { [agent]: { monthlyUsd, perRunUsd, spentThisMonthUsd } }
+ */
+function getBudgetStatus() {
+  const budgets = getBudgets();
+  for (const [agent, budget] of Object.entries(budgets)) {
+    budget.spentThisMonthUsd = getMonthToDateCost(agent);
+  }
+  return budgets;
+}
+
+const usd = value => `$${value.toFixed(2)}`;
+
+/**
+ * Check that spending `estimateUsd` more keeps an agent within its budget
+ *
+ * @param {string} agent - Agent name
+ * @param {Object} [spend]
+ * @param {number} [spend.estimateUsd=0] - Expected cost of the work about to start
+ * @param {number} [spend.runSpentUsd=0] - Already spent by the current run
+ * @throws {BudgetExceededError} If the per-run or monthly cap would be crossed
+ */
+function checkBudget(agent, { estimateUsd = 0, runSpentUsd = 0 } = {}) {
+  const budget = getBudgets()[agent];
+  if (!budget) return;
+
+  // A cap that is already used up blocks any further call, even one estimated at $0
+  const crosses = (spent, cap) => spent >= cap || spent + estimateUsd > cap;
+
+  if (budget.perRunUsd !== null && crosses(runSpentUsd, budget.perRunUsd)) {
+    throw new BudgetExceededError(
+      `${agent} per-run budget of ${usd(budget.perRunUsd)} would be exceeded ` +
+      `(spent ${usd(runSpentUsd)} this run, next step estimated at ${usd(estimateUsd)})`,
+      { agent, kind: 'per-run', capUsd: budget.perRunUsd, spentUsd: runSpentUsd, estimateUsd }
+    );
+  }
+
+  if (budget.monthlyUsd !== null) {
+    const spentUsd = getMonthToDateCost(agent);
+    if (crosses(spentUsd, budget.monthlyUsd)) {
+      throw new BudgetExceededError(
+        `${agent} monthly budget of ${usd(budget.monthlyUsd)} would be exceeded ` +
+        `(spent ${usd(spentUsd)} this month, next step estimated at ${usd(estimateUsd)})`,
+        { agent, kind: 'monthly', capUsd: budget.monthlyUsd, spentUsd, estimateUsd }
+      );
+    }
+  }
+}
+
+export {
+  BUDGET_AGENTS,
+  BudgetExceededError,
+  getBudgets,
+  saveBudgets,
+  getBudgetStatus,
+  checkBudget
+};
@@ -0,0 +1,304 @@
+/**
+ * Cost Ledger
+ *
+ * Records the token usage and audio minutes of every LLM and Whisper call,
+ * with the dollar cost worked out from the model's price, so spending can be
+ * totalled per agent, day and month instead of estimated.
+ *
+ * The ledger is an append-only NDJSON file (one entry per API call). Agents
+ * run as separate processes, and appending single lines keeps concurrent
+ * writers from overwriting each other.
+ *
+ * Each entry: { at, agent, jobId, meetingId, incidentId, task, provider, model,
+ * promptTokens, completionTokens, audioMinutes, costUsd, priced }
+ *
+ * Models without a known price (local endpoints, mock) are recorded at $0
+ * with `priced: false`.
+ *
+ * Optional environment variables:
+ * - COST_LEDGER_FILE: Path of the ledger (default: data/cost_ledger.ndjson)
+ * - LLM_PRICES: JSON of extra or overriding prices, e.g.
+ *   {"llama3.1": {"input": 0, "output": 0}, "whisper-1": {"perMinute": 0.006}}
+ *   (input/output are USD per 1M tokens, perMinute is USD per audio minute)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// USD per 1M tokens (chat) or per audio minute (transcription)
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'whisper-1': { perMinute: 0.006 }
+};
+
+const RECENT_ENTRIES = 50;
+
+let prices = null;
+
+function ledgerFile() {
+  return process.env.COST_LEDGER_FILE || path.join(__dirname, '..', 'data', 'cost_ledger.ndjson');
+}
+
+function getPrices() {
+  if (!prices) {
+    prices = { ...DEFAULT_PRICES };
+    if (process.env.LLM_PRICES) {
+      try {
+        Object.assign(prices, JSON.parse(process.env.LLM_PRICES));
+      } catch (e) {
+        console.error('⚠️  Ignoring invalid LLM_PRICES:', e.message);
+      }
+    }
+  }
+  return prices;
+}
+
+/**
+ * Find the price for a model. API responses name dated snapshots
+ * (e.g. gpt-4o-2024-08-06), so the longest matching prefix wins.
+ */
+function priceFor(model) {
+  const table = getPrices();
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Work out the dollar cost of one call
+ *
+ * @param {string} model - Model name as reported by the API
+ * @param {Object} usage - { promptTokens, completionTokens, audioMinutes }
+ * @returns {Object} { costUsd, priced }
+ */
+function calculateCost(model, { promptTokens = 0, completionTokens = 0, audioMinutes = 0 } = {}) {
+  const price = priceFor(model || '');
+  if (!price) return { costUsd: 0, priced: false };
+
+  const costUsd = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6 +
+    audioMinutes * (price.perMinute || 0);
+  return { costUsd: Math.round(costUsd * 1e6) / 1e6, priced: true };
+}
+
+/**
+ * Append one API call to the ledger. Ledger failures are logged, never thrown,
+ * so bookkeeping can't fail an agent run.
+ *
+ * @param {Object} entry
+ * @param {string} entry.task - LLM task name
+ * @param {string} entry.provider - openai | mock
+ * @param {string} entry.model - Model name
+ * @param {number} [entry.promptTokens]
+ * @param {number} [entry.completionTokens]
+ * @param {number} [entry.audioMinutes]
+ * @param {string} [entry.agent] - Agent that made the call (e.g. 'town-meeting')
+ * @param {string} [entry.jobId] - Dashboard job ID
+ * @param {string} [entry.meetingId]
+ * @param {string} [entry.incidentId]
+ * @returns {Object} The recorded entry
+ */
+function recordCost(entry) {
+  const usage = {
+    promptTokens: entry.promptTokens || 0,
+    completionTokens: entry.completionTokens || 0,
+    audioMinutes: Math.round((entry.audioMinutes || 0) * 1000) / 1000
+  };
+  const { costUsd, priced } = entry.provider === 'mock'
+    ? { costUsd: 0, priced: false }
+    : calculateCost(entry.model, usage);
+
+  const record = {
+    at: new Date().toISOString(),
+    agent: entry.agent || null,
+    jobId: entry.jobId || null,
+    meetingId: entry.meetingId || null,
+    incidentId: entry.incidentId || null,
+    task: entry.task,
+    provider: entry.provider,
+    model: entry.model,
+    ...usage,
+    costUsd,
+    priced
+  };
+
+  try {
+    const file = ledgerFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  } catch (e) {
+    console.error('⚠️  Failed to write cost ledger:', e.message);
+  }
+  return record;
+}
+
+/**
+ * Read every ledger entry, oldest first (malformed lines are skipped)
+ *
+ * @returns {Array<Object>} Entries
+ */
+function readLedger() {
+  const file = ledgerFile();
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Local calendar date, so "today" matches the newsroom's day
+function localDate(iso) {
+  const d = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Total spent by an agent in the current calendar month, in USD
+ *
+ * @param {string} agent - Agent name
+ * @returns {number}
+ */
+function getMonthToDateCost(agent) {
+  const month = localDate(new Date().toISOString()).slice(0, 7);
+  const total = readLedger()
+    .filter(e => e.agent === agent && localDate(e.at).startsWith(month))
+    .reduce((sum, e) => sum + (e.costUsd || 0), 0);
+  return Math.round(total * 10000) / 10000;
+}
+
+/**
+ * Total spent by a dashboard job so far, in USD, over every process it ran
+ *
+ * @param {string} jobId - Job ID (AGENT_JOB_ID)
+ * @param {string} [agent] - Only count this agent's calls
+ * @returns {number}
+ */
+function getJobCost(jobId, agent = null) {
+  const total = readLedger()
+    .filter(e => e.jobId === jobId && (!agent || e.agent === agent))
+    .reduce((sum, e) => sum + (e.costUsd || 0), 0);
+  return Math.round(total * 10000) / 10000;
+}
+
+function emptyTotals() {
+  return { costUsd: 0, calls: 0, promptTokens: 0, completionTokens: 0, audioMinutes: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.costUsd += entry.costUsd || 0;
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.audioMinutes += entry.audioMinutes || 0;
+}
+
+function roundTotals(totals) {
+  return {
+    ...totals,
+    costUsd: Math.round(totals.costUsd * 10000) / 10000,
+    audioMinutes: Math.round(totals.audioMinutes * 10) / 10
+  };
+}
+
+/**
+ * Group entries by a key, with totals overall and per agent for each group
+ */
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, { key, total: emptyTotals(), agents: {} });
+    const group = groups.get(key);
+    const agent = entry.agent || 'unknown';
+    group.agents[agent] = group.agents[agent] || emptyTotals();
+    addTo(group.total, entry);
+    addTo(group.agents[agent], entry);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.key.localeCompare(a.key))
+    .map(group => ({
+      key: group.key,
+      total: roundTotals(group.total),
+      agents: Object.fromEntries(Object.entries(group.agents).map(([agent, t]) => [agent, roundTotals(t)]))
+    }));
+}
+
+/**
+ * Summarize spending from the ledger
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Days covered by the daily breakdown
+ * @param {number} [options.months=12] - Months covered by the monthly breakdown
+ * @param {string} [options.agent] - Only count this agent's calls
+ * @param {string} [options.jobId] - Only count this job's calls
+ * @returns {Object} { total, today, thisMonth, byAgent, byModel,
+ *   daily: [{ date, total, agents }], monthly: [{ month, total, agents }],
+ *   recent: entries (newest first) }
+ */
+function summarizeCosts({ days = 30, months = 12, agent = null, jobId = null } = {}) {
+  let entries = readLedger();
+  if (agent) entries = entries.filter(e => e.agent === agent);
+  if (jobId) entries = entries.filter(e => e.jobId === jobId);
+
+  const total = emptyTotals();
+  const byAgent = {};
+  const byModel = {};
+  for (const entry of entries) {
+    addTo(total, entry);
+    const agentName = entry.agent || 'unknown';
+    byAgent[agentName] = byAgent[agentName] || emptyTotals();
+    addTo(byAgent[agentName], entry);
+    byModel[entry.model] = byModel[entry.model] || emptyTotals();
+    addTo(byModel[entry.model], entry);
+  }
+
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (days - 1));
+  const daily = groupBy(entries.filter(e => new Date(e.at) >= since), e => localDate(e.at))
+    .map(({ key, ...group }) => ({ date: key, ...group }));
+  const monthly = groupBy(entries, e => localDate(e.at).slice(0, 7))
+    .slice(0, months)
+    .map(({ key, ...group }) => ({ month: key, ...group }));
+
+  const todayDate = localDate(new Date().toISOString());
+  const today = daily.find(d => d.date === todayDate)?.total || emptyTotals();
+  const thisMonth = monthly.find(m => m.month === todayDate.slice(0, 7))?.total || emptyTotals();
+
+  const round = totalsByName => Object.fromEntries(
+    Object.entries(totalsByName).map(([name, t]) => [name, roundTotals(t)])
+  );
+
+  return {
+    total: roundTotals(total),
+    today,
+    thisMonth,
+    byAgent: round(byAgent),
+    byModel: round(byModel),
+    daily,
+    monthly,
+    recent: entries.slice(-RECENT_ENTRIES).reverse()
+  };
+}
+
+export {
+  calculateCost,
+  recordCost,
+  readLedger,
+  getMonthToDateCost,
+  getJobCost,
+  summarizeCosts
+};
@@ -0,0 +1,522 @@
+/**
+ * Persistent Job Queue
+ *
+ * Durable record of every agent run started by the dashboard server.
+ * Jobs move through queued -> running -> succeeded | failed | cancelled and
+ * are written to a JSON file on every state change, so history and in-flight
+ * work survive a server restart.
+ *
+ * Each job holds a set of resource locks (e.g., 'video:364781',
+ * 'department:town-council'). Jobs that share a lock run one at a time in the
+ * order they were enqueued; jobs with no lock in common run side by side, up
+ * to a global concurrency cap. A running job that only learns which resource
+ * it works on part-way through (e.g. the meeting a scrape picks) takes that
+ * lock then with acquireJobLock.
+ *
+ * Cancelling a running job aborts its AbortSignal (see getJobSignal); the
+ * handler is expected to stop its work and throw. A failure the handler marks
+ * as transient (error.transient = true) is retried with exponential backoff,
+ * up to the handler's `maxRetries`.
+ *
+ * Captured output is split into lines and published as 'log' events so the
+ * server can relay it to the dashboard while the job runs.
+ *
+ * Optional environment variables:
+ * - JOBS_FILE: Path of the jobs file (default: data/jobs.json). Point this at
+ *   a mounted volume on Railway so job history survives redeploys.
+ * - JOB_CONCURRENCY: Maximum jobs running at once (default: 3)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Keep the file bounded: oldest finished jobs are dropped past this count
+const MAX_JOBS = 200;
+// Only the tail of each job's output is kept
+const MAX_OUTPUT_CHARS = 200000;
+// A job interrupted by this many restarts is failed instead of requeued
+const MAX_ATTEMPTS = 3;
+const OUTPUT_SAVE_DELAY_MS = 2000;
+// Automatic retries of transient failures wait 30s, 60s, 120s, ...
+const RETRY_BASE_DELAY_MS = 30000;
+// Handlers opt in to retries; only jobs that are safe to run twice should
+const DEFAULT_MAX_RETRIES = 0;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.JOB_CONCURRENCY) || 3;
+// How often a job waiting in acquireJobLock checks the lock again
+const LOCK_POLL_MS = 2000;
+
+let jobsFile = null;
+let jobs = [];
+let saveTimer = null;
+const handlers = new Map();
+const listeners = new Set();
+// Trailing output of each running job that hasn't ended in a newline yet
+const partialLines = new Map();
+// Abort controllers of running jobs, used to cancel them
+const controllers = new Map();
+// Lock each running job is waiting for in acquireJobLock
+const lockWaits = new Map();
+let retryTimer = null;
+
+/**
+ * Write the jobs file (atomically, via a temp file)
+ */
+function saveJobs() {
+  if (!jobsFile) return;
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    fs.mkdirSync(path.dirname(jobsFile), { recursive: true });
+    const tmpFile = `${jobsFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmpFile, jobsFile);
+  } catch (e) {
+    console.error('Failed to save jobs file:', e.message);
+  }
+}
+
+/**
+ * Debounced save used for output appends, which arrive in bursts
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveJobs, OUTPUT_SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+function emit(event, job, line) {
+  for (const listener of listeners) {
+    try {
+      listener(event, job, line);
+    } catch (e) {
+      console.error(`Job listener failed on "${event}":`, e.message);
+    }
+  }
+}
+
+/**
+ * Whether a job has reached a final status
+ *
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+function isJobFinished(job) {
+  return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED;
+}
+
+function pruneJobs() {
+  const overflow = jobs.length - MAX_JOBS;
+  if (overflow <= 0) return;
+  let removed = 0;
+  jobs = jobs.filter(job => {
+    if (isJobFinished(job) && removed < overflow) {
+      removed++;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Register the function that executes jobs of a given type
+ *
+ * @param {string} type - Job type (e.g., 'crime-watch:run')
+ * @param {Function} handler - async (args, job) => result. The resolved value
+ *   is stored as the job result; a thrown error fails the job.
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Automatic retries of transient failures (default 0)
+ */
+function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { run: handler, maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES });
+}
+
+/**
+ * Subscribe to job events: lifecycle ('queued', 'started', 'retrying',
+ * 'finished') and 'log', which fires once per complete output line
+ *
+ * @param {Function} listener - (event, job, line) => void; line is only set for 'log'
+ * @returns {Function} Unsubscribe function
+ */
+function onJobEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Load the jobs file and resume work left over from the previous process.
+ * Call once, after all handlers are registered.
+ *
+ * @param {string} [filePath] - Jobs file path (defaults to JOBS_FILE env var)
+ */
+function initJobQueue(filePath) {
+  jobsFile = process.env.JOBS_FILE || filePath;
+
+  try {
+    if (fs.existsSync(jobsFile)) {
+      jobs = JSON.parse(fs.readFileSync(jobsFile, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load jobs file, starting with empty history:', e.message);
+    jobs = [];
+  }
+
+  // Jobs that were running when the process died are requeued
+  let resumed = 0;
+  for (const job of jobs) {
+    // Jobs saved before resource locks existed were serialized by queue name
+    if (!job.locks) job.locks = [job.queue || job.agent];
+    if (job.status !== JOB_STATUS.RUNNING) continue;
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = `Interrupted by server restart ${job.attempts} times`;
+      job.finishedAt = new Date().toISOString();
+    } else {
+      job.status = JOB_STATUS.QUEUED;
+      job.output += '\n[job] Interrupted by server restart, requeued\n';
+      resumed++;
+    }
+  }
+
+  const queued = jobs.filter(j => j.status === JOB_STATUS.QUEUED).length;
+  console.log(`📋 Job queue loaded: ${jobs.length} jobs (${queued} queued${resumed ? `, ${resumed} resumed after restart` : ''})`);
+
+  saveJobs();
+  processQueue();
+}
+
+/**
+ * Add a job to the queue
+ *
+ * @param {string} type - Registered job type
+ * @param {Object} [args] - JSON-serializable arguments passed to the handler
+ * @param {Object} [options]
+ * @param {string} [options.agent] - Agent the job belongs to (for status/filtering)
+ * @param {Array<string>} [options.locks] - Resources the job needs exclusively (defaults to [agent])
+ * @param {string} [options.retryOf] - ID of the job this one retries
+ * @returns {Object} The created job
+ */
+function enqueueJob(type, args = {}, options = {}) {
+  const agent = options.agent || type.split(':')[0];
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    agent,
+    locks: options.locks?.length ? options.locks : [agent],
+    retryOf: options.retryOf || null,
+    args,
+    status: JOB_STATUS.QUEUED,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    attempts: 0,
+    result: null,
+    error: null,
+    output: ''
+  };
+
+  jobs.push(job);
+  pruneJobs();
+  saveJobs();
+  emit('queued', job);
+  processQueue();
+  return job;
+}
+
+/**
+ * Start queued jobs, oldest first, whose locks are all free, until the
+ * concurrency cap is reached. A queued job that can't start yet (waiting on a
+ * lock, the cap or a retry delay) still claims its locks, so later jobs on the
+ * same resources don't overtake it.
+ */
+function processQueue() {
+  const now = Date.now();
+  const running = jobs.filter(j => j.status === JOB_STATUS.RUNNING);
+  const claimedLocks = new Set([...running.flatMap(j => j.locks), ...lockWaits.values()]);
+  let slots = MAX_CONCURRENT_JOBS - running.length;
+
+  let nextRetryAt = null;
+  for (const job of jobs) {
+    if (job.status !== JOB_STATUS.QUEUED) continue;
+    const blocked = job.locks.some(lock => claimedLocks.has(lock));
+    job.locks.forEach(lock => claimedLocks.add(lock));
+    if (blocked) continue;
+
+    const retryAt = job.retryAt ? new Date(job.retryAt).getTime() : 0;
+    if (retryAt > now) {
+      nextRetryAt = Math.min(nextRetryAt ?? retryAt, retryAt);
+      continue;
+    }
+    if (slots <= 0) continue;
+    slots--;
+    runJob(job);
+  }
+
+  // Wake up for the earliest pending retry
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  if (nextRetryAt) {
+    retryTimer = setTimeout(processQueue, nextRetryAt - now);
+    retryTimer.unref?.();
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+  job.retryAt = null;
+  job.attempts++;
+  saveJobs();
+  emit('started', job);
+
+  const handler = handlers.get(job.type);
+  let retryDelay = null;
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    const result = await handler.run(job.args, job);
+    job.status = JOB_STATUS.SUCCEEDED;
+    job.result = result ?? null;
+  } catch (error) {
+    const retries = job.retries || 0;
+    if (controller.signal.aborted) {
+      job.status = JOB_STATUS.CANCELLED;
+      job.error = 'Cancelled';
+    } else if (error.transient && retries < handler.maxRetries) {
+      retryDelay = RETRY_BASE_DELAY_MS * 2 ** retries;
+      job.retries = retries + 1;
+      job.status = JOB_STATUS.QUEUED;
+      job.retryAt = new Date(Date.now() + retryDelay).toISOString();
+      job.error = error.message;
+    } else {
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+    }
+  }
+  controllers.delete(job.id);
+
+  // Flush an unterminated last line so the stored output always ends in a newline
+  const partial = partialLines.get(job.id);
+  partialLines.delete(job.id);
+  if (partial) {
+    job.output += '\n';
+    emit('log', job, partial);
+  }
+
+  if (retryDelay) {
+    appendJobOutput(job.id, `[job] Transient failure (${job.error}), retry ${job.retries} of ${handler.maxRetries} in ${retryDelay / 1000}s\n`);
+    saveJobs();
+    emit('retrying', job);
+  } else {
+    job.finishedAt = new Date().toISOString();
+    saveJobs();
+    emit('finished', job);
+  }
+  processQueue();
+}
+
+/**
+ * Cancel a job. A queued job is cancelled immediately; a running job's
+ * handler is signalled and the job finishes as cancelled once it stops.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The job, or null if not found
+ * @throws {Error} If the job already finished
+ */
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return null;
+  if (isJobFinished(job)) {
+    throw new Error(`Job already ${job.status}`);
+  }
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    job.status = JOB_STATUS.CANCELLED;
+    job.error = 'Cancelled';
+    job.finishedAt = new Date().toISOString();
+    saveJobs();
+    emit('finished', job);
+    processQueue();
+  } else {
+    appendJobOutput(job.id, `${partialLines.get(job.id) ? '\n' : ''}[job] Cancel requested\n`);
+    controllers.get(job.id)?.abort();
+  }
+  return job;
+}
+
+/**
+ * Queue a new job with the same type, arguments and locks as a finished one
+ *
+ * @param {string} jobId - ID of the finished job
+ * @returns {Object|null} The new job, or null if not found
+ * @throws {Error} If the job has not finished
+ */
+function retryJob(jobId) {
+  const original = getJob(jobId);
+  if (!original) return null;
+  if (!isJobFinished(original)) {
+    throw new Error(`Job is still ${original.status}`);
+  }
+
+  return enqueueJob(original.type, original.args, {
+    agent: original.agent,
+    locks: original.locks,
+    retryOf: original.id
+  });
+}
+
+/**
+ * Append captured process output to a job
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} text - Output chunk
+ */
+function appendJobOutput(jobId, text) {
+  const job = getJob(jobId);
+  if (!job) return;
+  job.output += text;
+  if (job.output.length > MAX_OUTPUT_CHARS) {
+    job.output = job.output.slice(-MAX_OUTPUT_CHARS);
+  }
+  scheduleSave();
+
+  const lines = ((partialLines.get(jobId) || '') + text).split('\n');
+  partialLines.set(jobId, lines.pop());
+  for (const line of lines) {
+    emit('log', job, line.replace(/\r$/, ''));
+  }
+}
+
+/**
+ * Get the complete output lines recorded so far for a job
+ * (the line currently being written is excluded until it ends)
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Array<string>} Output lines
+ */
+function getJobLines(jobId) {
+  const job = getJob(jobId);
+  if (!job || !job.output) return [];
+  const complete = job.output.slice(0, job.output.lastIndexOf('\n') + 1);
+  return complete.split('\n').slice(0, -1).map(line => line.replace(/\r$/, ''));
+}
+
+/**
+ * Get the AbortSignal of a running job, aborted when the job is cancelled
+ *
+ * @param {string} jobId - Job ID
+ * @returns {AbortSignal|null} Signal, or null if the job is not running
+ */
+function getJobSignal(jobId) {
+  return controllers.get(jobId)?.signal || null;
+}
+
+/**
+ * Take another resource lock from inside a running job. Waits until no other
+ * running job holds the lock; queued jobs that need it wait for this job,
+ * both while it waits and once it holds the lock.
+ *
+ * @param {Object} job - The running job (as passed to its handler)
+ * @param {string} lock - Resource lock (e.g., 'video:364781')
+ * @returns {Promise<void>} Rejects if the job is cancelled while waiting
+ */
+async function acquireJobLock(job, lock) {
+  lockWaits.set(job.id, lock);
+  try {
+    while (!job.locks.includes(lock)) {
+      if (getJobSignal(job.id)?.aborted) {
+        throw new Error('Cancelled');
+      }
+      const held = jobs.some(j => j.id !== job.id && j.status === JOB_STATUS.RUNNING && j.locks.includes(lock));
+      if (!held) {
+        job.locks.push(lock);
+        saveJobs();
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+    }
+  } finally {
+    lockWaits.delete(job.id);
+  }
+}
+
+/**
+ * Get a job by ID
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job or null
+ */
+function getJob(jobId) {
+  return jobs.find(j => j.id === jobId) || null;
+}
+
+/**
+ * List jobs, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.agent] - Filter by agent
+ * @param {string} [filters.type] - Filter by job type
+ * @param {string} [filters.status] - Filter by status
+ * @param {number} [filters.limit] - Maximum jobs to return
+ * @returns {Array<Object>} Matching jobs
+ */
+function listJobs(filters = {}) {
+  let result = [...jobs].reverse();
+  if (filters.agent) result = result.filter(j => j.agent === filters.agent);
+  if (filters.type) result = result.filter(j => j.type === filters.type);
+  if (filters.status) result = result.filter(j => j.status === filters.status);
+  if (filters.limit) result = result.slice(0, filters.limit);
+  return result;
+}
+
+/**
+ * Get the queued or running jobs for an agent
+ *
+ * @param {string} agent - Agent name
+ * @returns {Array<Object>} Active jobs, oldest first
+ */
+function getActiveJobs(agent) {
+  return jobs.filter(j => j.agent === agent && !isJobFinished(j));
+}
+
+/**
+ * Get the queued or running jobs that need a resource
+ *
+ * @param {string} lock - Resource lock (e.g., 'video:364781')
+ * @returns {Array<Object>} Active jobs, oldest first
+ */
+function getJobsHoldingLock(lock) {
+  return jobs.filter(j => !isJobFinished(j) && j.locks.includes(lock));
+}
+
+export {
+  JOB_STATUS,
+  initJobQueue,
+  registerJobHandler,
+  onJobEvent,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  isJobFinished,
+  appendJobOutput,
+  getJobLines,
+  getJobSignal,
+  acquireJobLock,
+  getJob,
+  listJobs,
+  getActiveJobs,
+  getJobsHoldingLock
+};
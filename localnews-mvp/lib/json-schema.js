@@ -0,0 +1,126 @@
+/**
+ * JSON Schema Validation
+ *
+ * Checks LLM JSON responses against the schemas in schemas/ (one file per
+ * task, e.g. schemas/crime-brief.json). Supports the subset of JSON Schema
+ * those files use: type (including a list of types), required, properties,
+ * items, enum, minLength and minItems.
+ *
+ * Errors are plain sentences with a path into the response
+ * (e.g. "social_posts.twitter is required"), written so they can be sent back
+ * to the model as repair instructions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+const schemaCache = new Map();
+
+/**
+ * Thrown when a response still fails its schema after every repair attempt
+ */
+class SchemaValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load a schema by name from the schemas directory
+ *
+ * @param {string} name - Schema name (file name without .json)
+ * @returns {Object} Schema
+ * @throws {Error} If no schema file has that name
+ */
+function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    const file = path.join(SCHEMAS_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No JSON schema named "${name}" in ${SCHEMAS_DIR}`);
+    }
+    schemaCache.set(name, JSON.parse(fs.readFileSync(file, 'utf-8')));
+  }
+  return schemaCache.get(name);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(pointer) {
+  return pointer || 'the response';
+}
+
+function validateNode(schema, value, pointer, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${describe(pointer)} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${describe(pointer)} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${describe(pointer)} must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${describe(pointer)} must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, `${pointer}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer ? `${pointer}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateNode(propertySchema, value[key], pointer ? `${pointer}.${key}` : key, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object|string} schema - Schema, or the name of one in schemas/
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(typeof schema === 'string' ? loadSchema(schema) : schema, value, '', errors);
+  return errors;
+}
+
+export {
+  SchemaValidationError,
+  loadSchema,
+  validateSchema
+};
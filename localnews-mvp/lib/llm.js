@@ -0,0 +1,391 @@
+/**
+ * LLM Client
+ *
+ * Shared client for every chat completion and transcription the agents make.
+ * Callers name a task (e.g. 'article', 'ideas') instead of a model, so models
+ * can be changed per task from config without touching agent code.
+ *
+ * Providers:
+ * - openai: OpenAI, or any OpenAI-compatible endpoint (Ollama, LM Studio,
+ *   vLLM...) when LLM_BASE_URL is set
+ * - mock: No network. Responses come from fixture files, so the whole
+ *   pipeline can run offline and always produces the same output.
+ *
+ * Mock fixtures live in LLM_MOCK_FIXTURES (default: fixtures/llm). For each
+ * call the mock looks for `<task>.<hash>.json`, then `<task>.json`, then
+ * `<task>.txt`, where <hash> is the first 12 hex characters of the SHA-256 of
+ * the request's messages (logged on every mock call), so a fixture can be
+ * pinned to one exact prompt. JSON fixtures are returned as the response
+ * content; for transcription they are the transcription result.
+ *
+ * Every call is recorded in the cost ledger (lib/cost-ledger.js) with the
+ * agent and meeting/incident from setCostContext() and the dashboard job from
+ * AGENT_JOB_ID (set by the server when it runs a script). Before each call the
+ * agent's budget (lib/budgets.js) is checked against the call's estimated
+ * cost; a call that would cross a cap throws BudgetExceededError instead.
+ *
+ * Optional environment variables:
+ * - LLM_PROVIDER: openai | mock (default: openai)
+ * - LLM_BASE_URL: Base URL of an OpenAI-compatible API (e.g. http://localhost:11434/v1)
+ * - LLM_API_KEY: API key (default: OPENAI_API_KEY; local endpoints usually accept any value)
+ * - LLM_MODEL: Default chat model (default: gpt-4o)
+ * - LLM_MODEL_<TASK>: Model for one task, e.g. LLM_MODEL_DIAGNOSE=gpt-4o-mini,
+ *   LLM_MODEL_CRIME_BRIEF=llama3.1 (task name upper-cased, dashes as underscores)
+ * - LLM_MOCK_FIXTURES: Fixture directory for the mock provider
+ * - LLM_SCHEMA_REPAIRS: How many times a JSON response that fails its schema
+ *   is sent back to the model with the errors (default: 2)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+import { recordCost, calculateCost, getJobCost } from './cost-ledger.js';
+import { checkBudget, BudgetExceededError } from './budgets.js';
+import { validateSchema, SchemaValidationError } from './json-schema.js';
+import { emitBudgetExceeded, emitValidationFailure } from './agent-events.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+// Tasks whose default model differs from DEFAULT_MODEL
+const TASK_DEFAULT_MODELS = {
+  diagnose: 'gpt-4o-mini',
+  transcription: 'whisper-1'
+};
+
+// Rough characters per token, for mock usage numbers and cost estimates
+const CHARS_PER_TOKEN = 4;
+// Completion tokens assumed for a call without maxTokens, when estimating its cost
+const DEFAULT_COMPLETION_ESTIMATE = 1000;
+const DEFAULT_SCHEMA_REPAIRS = 2;
+// Validation errors sent back to the model in a repair prompt
+const MAX_REPAIR_ERRORS = 20;
+
+let client = null;
+let costContext = {};
+let sessionCostUsd = 0;
+
+function getProvider() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+function fixturesDir() {
+  return process.env.LLM_MOCK_FIXTURES || path.join(__dirname, '..', 'fixtures', 'llm');
+}
+
+/**
+ * Get the model configured for a task
+ *
+ * @param {string} task - Task name (e.g. 'article', 'diagnose')
+ * @returns {string} Model name
+ */
+function getModel(task) {
+  const envKey = `LLM_MODEL_${task.toUpperCase().replace(/-/g, '_')}`;
+  return process.env[envKey] || TASK_DEFAULT_MODELS[task] || process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+/**
+ * Check whether the client can make calls (an API key is only required for
+ * the hosted OpenAI API)
+ *
+ * @returns {boolean}
+ */
+function isLlmConfigured() {
+  if (getProvider() === 'mock') return true;
+  return Boolean(process.env.LLM_BASE_URL || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY);
+}
+
+/**
+ * Describe what isLlmConfigured() is missing, for startup errors
+ */
+function llmConfigError() {
+  return 'OPENAI_API_KEY not found in environment (or set LLM_BASE_URL for a local endpoint, or LLM_PROVIDER=mock)';
+}
+
+/**
+ * Set who the following calls are charged to in the cost ledger
+ *
+ * @param {Object} context
+ * @param {string} [context.agent] - Agent name (e.g. 'town-meeting')
+ * @param {string} [context.meetingId]
+ * @param {string} [context.incidentId]
+ */
+function setCostContext(context) {
+  costContext = { ...costContext, ...context };
+}
+
+/**
+ * Total cost of the calls this process has made, in USD
+ *
+ * @returns {number}
+ */
+function getSessionCost() {
+  return Math.round(sessionCostUsd * 10000) / 10000;
+}
+
+/**
+ * Estimate what a call will cost before making it (mock calls are free)
+ *
+ * @param {Object} call
+ * @param {string} call.task - Task name, used to pick the model
+ * @param {number} [call.promptChars] - Length of the prompt
+ * @param {number} [call.completionTokens] - Expected response tokens
+ * @param {number} [call.audioMinutes] - Audio to transcribe
+ * @returns {number} Estimated cost in USD
+ */
+function estimateCost({ task, promptChars = 0, completionTokens = DEFAULT_COMPLETION_ESTIMATE, audioMinutes = 0 }) {
+  if (getProvider() === 'mock') return 0;
+  return calculateCost(getModel(task), {
+    promptTokens: Math.ceil(promptChars / CHARS_PER_TOKEN),
+    completionTokens: audioMinutes > 0 ? 0 : completionTokens,
+    audioMinutes
+  }).costUsd;
+}
+
+/**
+ * Check that spending `estimateUsd` more keeps the current agent (from
+ * setCostContext) within its per-run and monthly budgets. When it would not,
+ * a budget-exceeded agent event is emitted so the dashboard can tell the
+ * editor why the run stopped.
+ *
+ * @param {number} estimateUsd - Expected cost of the work about to start
+ * @param {Object} [context] - Overrides the cost context (e.g. { agent })
+ * @throws {BudgetExceededError}
+ */
+function assertWithinBudget(estimateUsd, context = {}) {
+  const agent = context.agent || costContext.agent;
+  if (!agent) return;
+  // A call that names its agent in `context` (e.g. one made by the server) is a
+  // run of its own. A script run by the server shares its run with the job's
+  // other scripts, so their spend comes from the ledger.
+  let runSpentUsd = 0;
+  if (!context.agent) {
+    runSpentUsd = process.env.AGENT_JOB_ID ? getJobCost(process.env.AGENT_JOB_ID, agent) : sessionCostUsd;
+  }
+  try {
+    checkBudget(agent, { estimateUsd, runSpentUsd });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      console.error(`💸 ${error.message}`);
+      emitBudgetExceeded(error);
+    }
+    throw error;
+  }
+}
+
+function trackCost(task, model, usage, context) {
+  const entry = recordCost({
+    ...costContext,
+    ...context,
+    jobId: process.env.AGENT_JOB_ID || null,
+    task,
+    provider: getProvider(),
+    model,
+    ...usage
+  });
+  sessionCostUsd += entry.costUsd;
+}
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+      ...(process.env.LLM_BASE_URL ? { baseURL: process.env.LLM_BASE_URL } : {})
+    });
+  }
+  return client;
+}
+
+function hashRequest(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Find and read the mock fixture for a request
+ */
+function readFixture(task, hash) {
+  const dir = fixturesDir();
+  const candidates = [`${task}.${hash}.json`, `${task}.json`, `${task}.txt`];
+  for (const name of candidates) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      const raw = fs.readFileSync(file, 'utf-8');
+      return name.endsWith('.json') ? JSON.parse(raw) : raw;
+    }
+  }
+  throw new Error(`No mock fixture for task "${task}" (looked for ${candidates.join(', ')} in ${dir})`);
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+async function mockCompletion(task, model, messages) {
+  const hash = hashRequest(messages);
+  console.log(`🧪 Mock LLM: ${task} (request ${hash})`);
+  const fixture = readFixture(task, hash);
+  const content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+  const completionTokens = estimateTokens(content);
+
+  return {
+    content,
+    model,
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+  };
+}
+
+/**
+ * Run a chat completion
+ *
+ * @param {Object} request
+ * @param {string} request.task - Task name, used to pick the model (and mock fixture)
+ * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {boolean} [request.json] - Ask for a JSON object response
+ * @param {Object} [request.context] - Cost ledger fields for this call only (e.g. { incidentId })
+ * @returns {Promise<Object>} { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+ */
+async function complete({ task, messages, temperature, maxTokens, json = false, context = {} }) {
+  const model = getModel(task);
+  assertWithinBudget(estimateCost({
+    task,
+    promptChars: messages.reduce((sum, m) => sum + (m.content || '').length, 0),
+    completionTokens: maxTokens
+  }), context);
+
+  if (getProvider() === 'mock') {
+    const result = await mockCompletion(task, model, messages);
+    trackCost(task, result.model, result.usage, context);
+    return result;
+  }
+
+  const response = await getClient().chat.completions.create({
+    model,
+    messages,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {}),
+    ...(json ? { response_format: { type: 'json_object' } } : {})
+  });
+
+  const result = {
+    content: response.choices[0].message.content || '',
+    model: response.model || model,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0
+    }
+  };
+  trackCost(task, result.model, result.usage, context);
+  return result;
+}
+
+/**
+ * Run a chat completion that returns a JSON object, parse it and (when a
+ * schema is given) validate it. A response that isn't valid JSON or fails the
+ * schema is sent back to the model with the errors and a request to fix them,
+ * up to LLM_SCHEMA_REPAIRS times. Every failure is reported as a
+ * validation-failed agent event so it is recorded on the job.
+ *
+ * @param {Object} request - Same as complete(), `json` is implied
+ * @param {Object|string} [request.schema] - JSON schema, or the name of one in
+ *   schemas/ (usually the task name)
+ * @returns {Promise<Object>} { data, model, usage, attempts }
+ * @throws {SchemaValidationError} If no attempt produced a valid response
+ */
+async function completeJson({ schema, ...request }) {
+  const maxRepairs = parseInt(process.env.LLM_SCHEMA_REPAIRS ?? DEFAULT_SCHEMA_REPAIRS) || 0;
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let messages = request.messages;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await complete({ ...request, messages, json: true });
+    for (const key of Object.keys(usage)) usage[key] += result.usage[key];
+
+    let data;
+    let errors;
+    try {
+      data = JSON.parse(result.content);
+      errors = schema ? validateSchema(schema, data) : [];
+    } catch (e) {
+      errors = [`the response is not valid JSON (${e.message})`];
+    }
+    if (errors.length === 0) {
+      return { data, model: result.model, usage, attempts: attempt };
+    }
+
+    const gaveUp = attempt > maxRepairs;
+    console.warn(`⚠️  ${request.task} response failed validation (attempt ${attempt}): ${errors.slice(0, 5).join('; ')}`);
+    emitValidationFailure({ task: request.task, model: result.model, attempt, errors, gaveUp });
+    if (gaveUp) {
+      console.error('Last invalid response:', result.content.slice(0, 500));
+      throw new SchemaValidationError(
+        `Invalid ${request.task} response from ${result.model} after ${attempt} attempt${attempt !== 1 ? 's' : ''}: ${errors.slice(0, 3).join('; ')}`,
+        errors
+      );
+    }
+
+    messages = [
+      ...request.messages,
+      { role: 'assistant', content: result.content },
+      {
+        role: 'user',
+        content: `Your response did not match the required format:\n${errors.slice(0, MAX_REPAIR_ERRORS).map(e => `- ${e}`).join('\n')}\n\n` +
+          'Return the complete corrected JSON object only, keeping everything that was already correct.'
+      }
+    ];
+  }
+}
+
+/**
+ * Transcribe an audio file (Whisper-style verbose JSON with segments)
+ *
+ * @param {string} filePath - Audio file
+ * @param {Object} [options]
+ * @param {string} [options.task='transcription'] - Task name, used to pick the model
+ * @param {number} [options.audioMinutes] - Expected audio length, for the budget check
+ * @param {Object} [options.context] - Cost ledger fields for this call only
+ * @returns {Promise<Object>} { text, segments: [{ start, end, text }], duration }
+ */
+async function transcribeAudio(filePath, { task = 'transcription', audioMinutes = 0, context = {} } = {}) {
+  const model = getModel(task);
+  assertWithinBudget(estimateCost({ task, audioMinutes }), context);
+  let result;
+
+  if (getProvider() === 'mock') {
+    const hash = hashRequest(path.basename(filePath));
+    console.log(`🧪 Mock LLM: ${task} of ${path.basename(filePath)} (request ${hash})`);
+    result = readFixture(task, hash);
+  } else {
+    result = await getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment']
+    });
+  }
+
+  // Whisper bills by audio duration (seconds in the verbose response)
+  trackCost(task, model, { audioMinutes: (result.duration || 0) / 60 }, context);
+  return result;
+}
+
+export {
+  getModel,
+  isLlmConfigured,
+  llmConfigError,
+  complete,
+  completeJson,
+  transcribeAudio,
+  setCostContext,
+  getSessionCost,
+  estimateCost,
+  assertWithinBudget,
+  BudgetExceededError,
+  SchemaValidationError
+};
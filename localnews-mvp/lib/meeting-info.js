@@ -0,0 +1,114 @@
+/**
+ * Meeting Info
+ *
+ * Collects what is known about a meeting — date, meeting type, department and
+ * board roster — so generation prompts and saved articles describe the actual
+ * meeting. Sources, first match wins:
+ * - data/meetings.json: the meetings registry (department, type, date)
+ * - data/swagit/<videoId>_metadata.json: written by the Swagit downloader
+ *   (date, title, type from the video page)
+ * - data/town_meeting_settings.json: department names and board members
+ *
+ * Missing files are not errors; unknown fields are null.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const MEETINGS_FILE = path.join(DATA_DIR, 'meetings.json');
+const SETTINGS_FILE = path.join(DATA_DIR, 'town_meeting_settings.json');
+const SWAGIT_DIR = path.join(DATA_DIR, 'swagit');
+
+function readJson(file) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (e) {
+    console.error(`⚠️  Failed to read ${path.basename(file)}:`, e.message);
+  }
+  return null;
+}
+
+/**
+ * Look up a meeting
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {Object} [options]
+ * @param {string} [options.departmentId] - Department to use instead of the
+ *   registry's (e.g. the one the user picked)
+ * @param {number} [options.durationMinutes] - Length of the recording, if known
+ * @returns {Object} { videoId, date, title, type, departmentId, departmentName,
+ *   boardMembers: [{ name, role }], durationMinutes }. date is YYYY-MM-DD.
+ */
+function getMeetingInfo(videoId, { departmentId = null, durationMinutes = null } = {}) {
+  const meetings = readJson(MEETINGS_FILE);
+  const meeting = videoId && Array.isArray(meetings)
+    ? meetings.find(m => m.videoId === String(videoId) || m.id === String(videoId))
+    : null;
+  const metadata = videoId ? readJson(path.join(SWAGIT_DIR, `${videoId}_metadata.json`)) : null;
+
+  const deptId = departmentId || meeting?.departmentId || null;
+  const dept = deptId ? readJson(SETTINGS_FILE)?.departments?.find(d => d.id === deptId) : null;
+
+  return {
+    videoId: videoId ? String(videoId) : null,
+    date: meeting?.date || metadata?.date || null,
+    title: metadata?.title || meeting?.description || null,
+    type: meeting?.type || metadata?.type || null,
+    departmentId: deptId,
+    departmentName: dept?.name || null,
+    boardMembers: (dept?.boardMembers || []).filter(m => m.name),
+    durationMinutes: durationMinutes || null
+  };
+}
+
+/**
+ * Spell out a YYYY-MM-DD date, e.g. "Tuesday, December 2, 2025"
+ */
+function formatMeetingDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return date || null;
+  // Noon local time, so the weekday can't shift across a time zone boundary
+  return new Date(`${date}T12:00:00`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Describe a meeting for a prompt, one "Field: value" line per known field
+ *
+ * @param {Object} info - From getMeetingInfo
+ * @returns {string} Lines, or '' when nothing is known
+ */
+function formatMeetingInfo(info) {
+  const lines = [];
+  if (info?.type) lines.push(`Meeting: ${info.type}`);
+  if (info?.departmentName) lines.push(`Body: ${info.departmentName}`);
+  if (info?.date) lines.push(`Date: ${formatMeetingDate(info.date)}`);
+  if (info?.durationMinutes) lines.push(`Duration: ${info.durationMinutes} minutes`);
+  return lines.join('\n');
+}
+
+/**
+ * Board roster for a prompt, one "Name (Role)" per line
+ *
+ * @param {Object} info - From getMeetingInfo
+ * @returns {string}
+ */
+function formatBoardMembers(info) {
+  return (info?.boardMembers || []).map(m => (m.role ? `${m.name} (${m.role})` : m.name)).join('\n');
+}
+
+export {
+  getMeetingInfo,
+  formatMeetingDate,
+  formatMeetingInfo,
+  formatBoardMembers
+};
@@ -0,0 +1,215 @@
+/**
+ * Meeting Pipeline State
+ *
+ * Every town meeting video goes through the same stages:
+ * download -> transcribe -> speakers -> agenda -> analyze -> ideas
+ *
+ * The status of each stage is recorded per meeting (keyed by Swagit video ID),
+ * so a meeting that failed part-way can resume from the failed stage and the
+ * dashboard can show where each meeting is without guessing from files.
+ *
+ * The orchestrator (scrape.js) and the dashboard server both update the state
+ * from separate processes, so every update re-reads the file before writing.
+ *
+ * Optional environment variables:
+ * - MEETING_PIPELINE_FILE: Path of the state file (default: data/meeting_pipeline.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PIPELINE_STAGES = ['download', 'transcribe', 'speakers', 'agenda', 'analyze', 'ideas'];
+
+const STAGE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+const PIPELINE_FILE = process.env.MEETING_PIPELINE_FILE ||
+  path.join(__dirname, '..', 'data', 'meeting_pipeline.json');
+
+function loadState() {
+  try {
+    if (fs.existsSync(PIPELINE_FILE)) {
+      return JSON.parse(fs.readFileSync(PIPELINE_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load meeting pipeline state:', e.message);
+  }
+  return {};
+}
+
+/**
+ * Write the state file (atomically, via a temp file)
+ */
+function saveState(state) {
+  try {
+    fs.mkdirSync(path.dirname(PIPELINE_FILE), { recursive: true });
+    const tmpFile = `${PIPELINE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, PIPELINE_FILE);
+  } catch (e) {
+    console.error('Failed to save meeting pipeline state:', e.message);
+  }
+}
+
+function emptyStage(status = STAGE_STATUS.PENDING) {
+  return { status, startedAt: null, finishedAt: null, error: null };
+}
+
+/**
+ * Apply a change to one meeting's record and save
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {Function} change - (record) => void
+ * @param {string} [newStatus] - Status of every stage when the meeting has no
+ *   record yet
+ */
+function updateMeeting(videoId, change, newStatus = STAGE_STATUS.PENDING) {
+  const state = loadState();
+  const record = state[videoId] || {
+    videoId,
+    stages: Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, emptyStage(newStatus)]))
+  };
+  change(record);
+  record.updatedAt = new Date().toISOString();
+  state[videoId] = record;
+  saveState(state);
+  return record;
+}
+
+/**
+ * A stage's state. Records written before a stage was added to the pipeline
+ * don't have it; those meetings went through without it, so it counts as skipped.
+ */
+function getStage(record, stage) {
+  return record.stages[stage] || { ...emptyStage(), status: STAGE_STATUS.SKIPPED };
+}
+
+function isDone(stageState) {
+  return stageState?.status === STAGE_STATUS.SUCCEEDED || stageState?.status === STAGE_STATUS.SKIPPED;
+}
+
+/**
+ * Work out where a meeting is: the running stage, else the failed stage,
+ * else the next pending stage
+ */
+function describe(record) {
+  const stages = PIPELINE_STAGES.map(stage => ({ stage, ...getStage(record, stage) }));
+  const current =
+    stages.find(s => s.status === STAGE_STATUS.RUNNING) ||
+    stages.find(s => s.status === STAGE_STATUS.FAILED) ||
+    stages.find(s => !isDone(s));
+
+  return {
+    ...record,
+    stages: Object.fromEntries(stages.map(({ stage, ...state }) => [stage, state])),
+    stage: current ? current.stage : PIPELINE_STAGES[PIPELINE_STAGES.length - 1],
+    status: current ? current.status : 'completed',
+    error: current?.error || null
+  };
+}
+
+/**
+ * Prepare a meeting to run from `fromStage`: that stage and every later one
+ * are reset to pending, earlier stages keep their results
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {string} [fromStage] - First stage to run (default: download)
+ * @returns {Object} The meeting's pipeline record
+ */
+function startPipeline(videoId, fromStage = PIPELINE_STAGES[0]) {
+  const from = PIPELINE_STAGES.indexOf(fromStage);
+  if (from === -1) {
+    throw new Error(`Unknown pipeline stage "${fromStage}" (expected one of: ${PIPELINE_STAGES.join(', ')})`);
+  }
+  return updateMeeting(videoId, (record) => {
+    for (const stage of PIPELINE_STAGES.slice(from)) {
+      record.stages[stage] = emptyStage();
+    }
+  });
+}
+
+/**
+ * Run one stage for a meeting, recording its start, outcome and any error.
+ * Errors are recorded and re-thrown. A meeting not tracked yet (processed
+ * before the pipeline was recorded, or outside it) gets its other stages
+ * marked skipped, so running one stage doesn't leave it waiting on the rest.
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {string} stage - Stage name
+ * @param {Function} fn - async () => result. Return STAGE_STATUS.SKIPPED if
+ *   the stage had nothing to do.
+ * @returns {Promise<*>} Whatever fn resolved to
+ */
+async function runStage(videoId, stage, fn) {
+  updateMeeting(videoId, (record) => {
+    record.stages[stage] = { ...emptyStage(), status: STAGE_STATUS.RUNNING, startedAt: new Date().toISOString() };
+  }, STAGE_STATUS.SKIPPED);
+
+  try {
+    const result = await fn();
+    updateMeeting(videoId, (record) => {
+      record.stages[stage].status = result === STAGE_STATUS.SKIPPED ? STAGE_STATUS.SKIPPED : STAGE_STATUS.SUCCEEDED;
+      record.stages[stage].finishedAt = new Date().toISOString();
+    });
+    return result;
+  } catch (error) {
+    updateMeeting(videoId, (record) => {
+      record.stages[stage].status = STAGE_STATUS.FAILED;
+      record.stages[stage].finishedAt = new Date().toISOString();
+      record.stages[stage].error = error.message;
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a meeting's pipeline state
+ *
+ * @param {string} videoId - Swagit video ID
+ * @returns {Object|null} { videoId, stages, stage, status, error, updatedAt } or null if never run
+ */
+function getMeetingPipeline(videoId) {
+  const record = loadState()[videoId];
+  return record ? describe(record) : null;
+}
+
+/**
+ * Get the pipeline state of every meeting that has been run
+ *
+ * @returns {Object} Map of video ID to pipeline state
+ */
+function getAllMeetingPipelines() {
+  const state = loadState();
+  return Object.fromEntries(Object.entries(state).map(([videoId, record]) => [videoId, describe(record)]));
+}
+
+/**
+ * Get the stage a meeting should resume from: the first stage that did not
+ * finish
+ *
+ * @param {string} videoId - Swagit video ID
+ * @returns {string|null} Stage name, or null if every stage finished
+ */
+function getResumeStage(videoId) {
+  const record = loadState()[videoId];
+  if (!record) return PIPELINE_STAGES[0];
+  return PIPELINE_STAGES.find(stage => !isDone(getStage(record, stage))) || null;
+}
+
+export {
+  PIPELINE_STAGES,
+  STAGE_STATUS,
+  startPipeline,
+  runStage,
+  getMeetingPipeline,
+  getAllMeetingPipelines,
+  getResumeStage
+};
@@ -0,0 +1,459 @@
+/**
+ * Prompt Registry
+ *
+ * Every prompt the agents send to the LLM, as named templates that editors
+ * can change from the dashboard without a deploy. Each prompt has a system
+ * and a user template; the built-in versions are the files in prompts/.
+ *
+ * Templates fill in variables with {{name}}. {{#name}}...{{/name}} is only
+ * included when the variable is non-empty, {{^name}}...{{/name}} only when it
+ * is empty.
+ *
+ * Edits are saved as numbered versions (version 1 is the built-in template),
+ * either as the default for the prompt or as an override for one town meeting
+ * department. A department uses its latest override, and the latest default
+ * when it has none (or its override was reset).
+ *
+ * Optional environment variables:
+ * - PROMPTS_FILE: Path of the saved versions (default: data/prompts.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const PROMPTS_FILE = process.env.PROMPTS_FILE || path.join(__dirname, '..', 'data', 'prompts.json');
+
+/**
+ * The registry. Names match the LLM task (and JSON schema) each prompt is for.
+ * `variables` maps each variable to a description and an example value used
+ * when previewing a template without a meeting or incident. Responses are
+ * JSON unless `format` is 'text'.
+ */
+const PROMPTS = {
+  analysis: {
+    label: 'Meeting analysis',
+    agent: 'town-meeting',
+    description: 'Extracts decisions, debates, quotes and action items from a transcript (one call per chunk)',
+    system: 'analyze-meeting.txt',
+    user: 'analyze-meeting-user.txt',
+    schema: 'analysis',
+    variables: {
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      boardMembers: { description: 'Board members of the department, one "Name (Role)" per line (may be empty)', example: 'Jane Doe (Mayor)' },
+      part: { description: 'Number of this chunk (empty when the transcript fits in one)', example: '' },
+      totalParts: { description: 'Number of chunks (empty when the transcript fits in one)', example: '' },
+      agenda: { description: 'Items of the published agenda, one "Item number: title (section) [when discussed]" per line (may be empty)', example: 'Item 5.A: Riverwalk LED Lighting Contract (Consent Agenda) [00:12:30-00:24:10]\nItem 7: Jupiter Beach Park Parking Study (Regular Agenda) [00:41:05-00:52:40]' },
+      transcript: { description: 'Transcript text with [timestamps]', example: '[00:12:05] The motion to approve the budget amendment passes 4-1.' }
+    }
+  },
+  'analysis-merge': {
+    label: 'Meeting analysis merge',
+    agent: 'town-meeting',
+    description: 'Reconciles the analyses of a long meeting\'s chunks: groups duplicate decisions, topics, action items and highlights, and writes the overall summary',
+    system: 'merge-analysis.txt',
+    user: 'merge-analysis-user.txt',
+    schema: 'analysis-merge',
+    variables: {
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      summaries: { description: 'Chunk summaries, one "Part N: ..." paragraph each', example: 'Part 1: The council discussed the budget amendment.\n\nPart 2: The council approved the budget amendment.' },
+      items: { description: 'Items from every chunk as JSON, one numbered list per kind (decisions, topics_debated, action_items, newsworthy_highlights)', example: '{\n  "decisions": [\n    { "number": 1, "part": 1, "topic": "Budget amendment", "outcome": "Discussion continued", "timestamp": "00:58:40" },\n    { "number": 2, "part": 2, "topic": "Budget amendment", "outcome": "Approved 4-1", "timestamp": "01:02:15" }\n  ]\n}' }
+    }
+  },
+  'analysis-summary': {
+    label: 'Meeting summary merge',
+    agent: 'town-meeting',
+    description: 'Combines the summaries of a long meeting\'s chunks into one overview (used when the analysis merge fails)',
+    system: 'summarize-meeting.txt',
+    user: 'summarize-meeting-user.txt',
+    format: 'text',
+    variables: {
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      summaries: { description: 'Chunk summaries, one "Part N: ..." paragraph each', example: 'Part 1: The council approved the budget amendment.\n\nPart 2: Residents raised concerns about beach parking.' }
+    }
+  },
+  ideas: {
+    label: 'Article ideas',
+    agent: 'town-meeting',
+    description: 'Suggests article ideas, each with coverage angles, from a meeting transcript (one call per part of a long meeting)',
+    system: 'generate-ideas.txt',
+    user: 'generate-ideas-user.txt',
+    schema: 'ideas',
+    variables: {
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      boardMembers: { description: 'Board members of the department, one "Name (Role)" per line (may be empty)', example: 'Jane Doe (Mayor)' },
+      part: { description: 'Number of this part (empty when the transcript fits in one)', example: '' },
+      totalParts: { description: 'Number of parts (empty when the transcript fits in one)', example: '' },
+      startTime: { description: 'Timestamp where this part starts', example: '00:00:00' },
+      endTime: { description: 'Timestamp where this part ends', example: '00:58:12' },
+      agenda: { description: 'Items of the published agenda discussed in this part, one "Item number: title (section) [when discussed]" per line (may be empty)', example: 'Item 5.A: Riverwalk LED Lighting Contract (Consent Agenda) [00:12:30-00:24:10]\nItem 7: Jupiter Beach Park Parking Study (Regular Agenda) [00:41:05-00:52:40]' },
+      transcript: { description: 'Transcript text with [timestamps]', example: '[00:12:05] The motion to approve the budget amendment passes 4-1.' }
+    }
+  },
+  'ideas-merge': {
+    label: 'Article idea merge',
+    agent: 'town-meeting',
+    description: 'Combines ideas from different parts of a long meeting that are about the same agenda item',
+    system: 'merge-ideas.txt',
+    user: 'merge-ideas-user.txt',
+    schema: 'ideas-merge',
+    variables: {
+      ideas: { description: 'Numbered ideas as JSON (number, title, event, summary, time, agendaItem, newsworthiness)', example: '[\n  { "number": 1, "title": "Budget amendment passes", "time": "00:12:05-00:20:40", "newsworthiness": 6 },\n  { "number": 2, "title": "Council approves budget change", "time": "01:05:10-01:09:00", "newsworthiness": 7 }\n]' },
+      maxIdeas: { description: 'How many ideas are kept', example: '12' }
+    }
+  },
+  agenda: {
+    label: 'Agenda items',
+    agent: 'town-meeting',
+    description: 'Lists the numbered items of a published meeting agenda (PDF or web page text)',
+    system: 'extract-agenda.txt',
+    user: 'extract-agenda-user.txt',
+    schema: 'agenda',
+    variables: {
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      agenda: { description: 'Text of the agenda document', example: '5. CONSENT AGENDA\nA. Riverwalk LED Lighting Contract - $240,000' }
+    }
+  },
+  article: {
+    label: 'Meeting article',
+    agent: 'town-meeting',
+    description: 'Writes an article and social posts for one idea and angle',
+    system: 'generate-article.txt',
+    user: 'generate-article-user.txt',
+    schema: 'article',
+    variables: {
+      event: { description: 'The event or decision the idea covers', example: 'Council approves budget amendment' },
+      title: { description: 'Working headline of the idea', example: 'Budget amendment passes' },
+      angleName: { description: 'Selected coverage angle', example: 'Fiscal Responsibility' },
+      angleDescription: { description: 'What the angle focuses on', example: 'Where the money comes from and goes' },
+      promptHint: { description: 'Hint from idea generation (may be empty)', example: 'Focus on the dollar amounts' },
+      agendaItem: { description: 'Agenda item the idea is about, "Item number: title (section)" (may be empty)', example: 'Item 5.A: Riverwalk LED Lighting Contract (Consent Agenda)' },
+      meeting: { description: 'Meeting details, one "Field: value" line each (meeting type, body, date, duration; may be empty)', example: 'Meeting: Town Council Regular Meeting\nBody: Town Council\nDate: Tuesday, December 2, 2025\nDuration: 127 minutes' },
+      boardMembers: { description: 'Board members of the department, one "Name (Role)" per line (may be empty)', example: 'Jane Doe (Mayor)' },
+      context: { description: 'Transcript passages relevant to the idea and angle, in meeting order with [HH:MM:SS] timestamps ("[...]" marks skipped parts)', example: '[01:42:10] The motion to approve the budget amendment passes 4-1.' }
+    }
+  },
+  diagnose: {
+    label: 'Transcription error diagnosis',
+    agent: 'town-meeting',
+    description: 'Diagnoses an unexpected Whisper error during transcription',
+    system: 'diagnose-transcription.txt',
+    user: 'diagnose-transcription-user.txt',
+    variables: {
+      error: { description: 'Error message', example: 'Unexpected end of JSON input' },
+      status: { description: 'HTTP status, or N/A', example: 'N/A' },
+      chunk: { description: 'Number of the failing audio chunk', example: '3' },
+      totalChunks: { description: 'Number of audio chunks', example: '12' },
+      fileSize: { description: 'Chunk size in bytes', example: '4812211' }
+    }
+  },
+  'crime-brief': {
+    label: 'Crime brief',
+    agent: 'crime-watch',
+    description: 'Writes a short brief and social posts for one incident',
+    system: 'generate-crime-brief.txt',
+    user: 'generate-crime-brief-user.txt',
+    schema: 'crime-brief',
+    variables: {
+      incident: { description: 'Incident details (crime, date, anonymized location, agency)', example: '## Incident Details\n- Crime Type: Burglary\n- Date: Monday, March 3, 2025\n- Location Area: Indiantown Rd' }
+    }
+  },
+  'health-brief': {
+    label: 'Health brief',
+    agent: 'wastewater-health',
+    description: 'Writes the weekly brief from wastewater surveillance data',
+    system: 'generate-health-brief.txt',
+    user: 'generate-health-brief-user.txt',
+    schema: 'health-brief',
+    variables: {
+      data: { description: 'Formatted wastewater report (levels, trends, alerts)', example: '## Wastewater Health Report - Palm Beach County\n### SARS-CoV-2 (COVID-19) Wastewater Data\n- Current Level: Low\n- Trend: Decreasing' }
+    }
+  }
+};
+
+// Prompts of these agents can be overridden per town meeting department
+const DEPARTMENT_AGENTS = ['town-meeting'];
+
+const TAG_PATTERN = /{{\s*([#^/]?)\s*([\w-]*)\s*}}/g;
+
+function definitionOf(name) {
+  const definition = PROMPTS[name];
+  if (!definition) {
+    throw new Error(`Unknown prompt "${name}" (expected one of: ${Object.keys(PROMPTS).join(', ')})`);
+  }
+  return definition;
+}
+
+function readTemplateFile(file) {
+  return fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf-8').replace(/\n$/, '');
+}
+
+function builtInVersion(name) {
+  const definition = definitionOf(name);
+  return {
+    version: 1,
+    departmentId: null,
+    system: readTemplateFile(definition.system),
+    user: readTemplateFile(definition.user),
+    author: 'built-in',
+    createdAt: null,
+    note: `prompts/${definition.system}, prompts/${definition.user}`
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(PROMPTS_FILE)) {
+      return JSON.parse(fs.readFileSync(PROMPTS_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load prompts:', e.message);
+  }
+  return {};
+}
+
+/**
+ * Write the versions file (atomically, via a temp file)
+ */
+function saveState(state) {
+  fs.mkdirSync(path.dirname(PROMPTS_FILE), { recursive: true });
+  const tmpFile = `${PROMPTS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpFile, PROMPTS_FILE);
+}
+
+/**
+ * The version a scope currently uses: its latest saved version, unless that
+ * was a reset (a department override reset falls back to the default)
+ */
+function latestFor(saved, departmentId) {
+  const latest = saved.filter(v => (v.departmentId || null) === departmentId).pop();
+  return latest && !latest.reset ? latest : null;
+}
+
+/**
+ * Get the template a prompt currently uses
+ *
+ * @param {string} name - Prompt name
+ * @param {Object} [options]
+ * @param {string} [options.departmentId] - Department whose override applies
+ * @returns {Object} { name, version, departmentId, system, user, author, createdAt }
+ *   (departmentId is null when the default is used)
+ * @throws {Error} If the prompt doesn't exist
+ */
+function getPrompt(name, { departmentId = null } = {}) {
+  definitionOf(name);
+  const saved = loadState()[name] || [];
+  const current = (departmentId && latestFor(saved, departmentId)) || latestFor(saved, null) || builtInVersion(name);
+  const { system, user, version, author, createdAt } = current;
+  return { name, version, departmentId: current.departmentId || null, system, user, author, createdAt };
+}
+
+/**
+ * List a prompt's versions, oldest first (version 1 is the built-in template)
+ *
+ * @param {string} name - Prompt name
+ * @returns {Array<Object>} { version, departmentId, system, user, author,
+ *   createdAt, note, restoredFrom, reset }
+ */
+function listPromptVersions(name) {
+  return [builtInVersion(name), ...(loadState()[name] || [])];
+}
+
+/**
+ * List the registry with the version each prompt currently uses
+ *
+ * @param {Object} [options]
+ * @param {string} [options.agent] - Only this agent's prompts
+ * @returns {Array<Object>} { name, label, agent, description, variables,
+ *   departmentOverrides, version, overrides: [{ departmentId, version }] }
+ */
+function listPrompts({ agent = null } = {}) {
+  const state = loadState();
+  return Object.entries(PROMPTS)
+    .filter(([, definition]) => !agent || definition.agent === agent)
+    .map(([name, definition]) => {
+      const saved = state[name] || [];
+      const departmentIds = [...new Set(saved.map(v => v.departmentId).filter(Boolean))];
+      return {
+        name,
+        label: definition.label,
+        agent: definition.agent,
+        description: definition.description,
+        variables: definition.variables,
+        departmentOverrides: DEPARTMENT_AGENTS.includes(definition.agent),
+        version: (latestFor(saved, null) || { version: 1 }).version,
+        overrides: departmentIds
+          .map(departmentId => ({ departmentId, version: latestFor(saved, departmentId)?.version }))
+          .filter(o => o.version)
+      };
+    });
+}
+
+/**
+ * Check a template for unknown variables and unclosed or mismatched sections
+ *
+ * @param {string} name - Prompt name
+ * @param {Object} templates - { system, user }
+ * @returns {Array<string>} Errors (empty when the templates are usable)
+ */
+function validatePromptTemplates(name, { system, user }) {
+  const { variables } = definitionOf(name);
+  const errors = [];
+
+  for (const [part, template] of Object.entries({ system, user })) {
+    if (typeof template !== 'string' || !template.trim()) {
+      errors.push(`The ${part} template is empty`);
+      continue;
+    }
+
+    const open = [];
+    for (const [, kind, variable] of template.matchAll(TAG_PATTERN)) {
+      if (!Object.hasOwn(variables, variable)) {
+        errors.push(`Unknown variable {{${variable}}} in the ${part} template (available: ${Object.keys(variables).join(', ')})`);
+      } else if (kind === '#' || kind === '^') {
+        open.push(variable);
+      } else if (kind === '/' && open.pop() !== variable) {
+        errors.push(`{{/${variable}}} in the ${part} template doesn't close the section that is open`);
+      }
+    }
+    for (const variable of open) {
+      errors.push(`Section {{#${variable}}} in the ${part} template is never closed`);
+    }
+  }
+  return errors;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fill a template's variables (sections first, innermost outwards)
+ */
+function renderTemplate(template, variables) {
+  const section = /{{\s*([#^])\s*([\w-]+)\s*}}((?:(?!{{\s*[#^]\s*\2\s*}})[\s\S])*?){{\s*\/\s*\2\s*}}/;
+  let text = template;
+  let match;
+  while ((match = text.match(section))) {
+    const [whole, kind, variable, inner] = match;
+    const show = kind === '#' ? !isEmpty(variables[variable]) : isEmpty(variables[variable]);
+    text = text.replace(whole, () => (show ? inner : ''));
+  }
+  return text.replace(TAG_PATTERN, (tag, kind, variable) =>
+    kind || isEmpty(variables[variable]) ? '' : String(variables[variable]));
+}
+
+/**
+ * Render a prompt into chat messages
+ *
+ * @param {string} name - Prompt name
+ * @param {Object} variables - Values for the template's variables
+ * @param {Object} [options]
+ * @param {string} [options.departmentId] - Department whose override applies
+ * @param {Object} [options.templates] - { system, user } to render instead of
+ *   the saved prompt (a draft being previewed)
+ * @returns {Object} { name, version, departmentId, messages }
+ */
+function renderPrompt(name, variables, { departmentId = null, templates = null } = {}) {
+  const prompt = templates
+    ? { name, version: null, departmentId, ...templates }
+    : getPrompt(name, { departmentId });
+  return {
+    name,
+    version: prompt.version,
+    departmentId: prompt.departmentId,
+    messages: [
+      { role: 'system', content: renderTemplate(prompt.system, variables) },
+      { role: 'user', content: renderTemplate(prompt.user, variables) }
+    ]
+  };
+}
+
+/**
+ * Save a new version of a prompt
+ *
+ * @param {string} name - Prompt name
+ * @param {Object} version
+ * @param {string} version.system - System template
+ * @param {string} version.user - User template
+ * @param {string} [version.departmentId] - Save as this department's override
+ * @param {string} [version.author] - Who saved it
+ * @param {string} [version.note] - What changed
+ * @param {number} [version.restoredFrom] - Version this save restored
+ * @returns {Object} The new version
+ * @throws {Error} If the templates don't validate or the prompt can't be
+ *   overridden per department
+ */
+function savePromptVersion(name, { system, user, departmentId = null, author = null, note = '', restoredFrom = null }) {
+  const definition = definitionOf(name);
+  if (departmentId && !DEPARTMENT_AGENTS.includes(definition.agent)) {
+    throw new Error(`The ${name} prompt can't be overridden per department`);
+  }
+  const errors = validatePromptTemplates(name, { system, user });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const state = loadState();
+  const saved = state[name] || [];
+  const version = {
+    version: saved.length + 2,
+    departmentId: departmentId || null,
+    system,
+    user,
+    author: author || 'unknown',
+    createdAt: new Date().toISOString(),
+    note: note || '',
+    restoredFrom
+  };
+  state[name] = [...saved, version];
+  saveState(state);
+  return version;
+}
+
+/**
+ * Make a department use the default prompt again (recorded as a version, so
+ * the override stays in the history)
+ *
+ * @param {string} name - Prompt name
+ * @param {string} departmentId - Department
+ * @param {Object} [options]
+ * @param {string} [options.author] - Who reset it
+ * @returns {Object|null} The reset version, or null if the department had no override
+ */
+function resetPromptOverride(name, departmentId, { author = null } = {}) {
+  definitionOf(name);
+  const state = loadState();
+  const saved = state[name] || [];
+  if (!latestFor(saved, departmentId)) return null;
+
+  const version = {
+    version: saved.length + 2,
+    departmentId,
+    system: null,
+    user: null,
+    author: author || 'unknown',
+    createdAt: new Date().toISOString(),
+    note: 'Reset to the default prompt',
+    reset: true
+  };
+  state[name] = [...saved, version];
+  saveState(state);
+  return version;
+}
+
+export {
+  PROMPTS,
+  getPrompt,
+  listPrompts,
+  listPromptVersions,
+  validatePromptTemplates,
+  renderPrompt,
+  savePromptVersion,
+  resetPromptOverride
+};
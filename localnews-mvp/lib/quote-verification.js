@@ -0,0 +1,218 @@
+/**
+ * Quote Verification
+ *
+ * Checks that text presented as a direct quote was actually said in the
+ * meeting. Each quote is fuzzy-matched against the transcript's segments:
+ * candidate spots are found by shared words, then scored by how many of the
+ * quote's words appear in order (so transcription slips and trimmed filler
+ * words still match, but paraphrases don't).
+ *
+ * Statuses:
+ * - verified: the quote is in the transcript (score >= VERIFIED_SCORE)
+ * - partial: something close was said, but the wording differs
+ * - unverified: nothing like it was found
+ *
+ * Everything runs locally; no API calls are made.
+ */
+
+import { formatTimestamp, toSeconds } from './video-links.js';
+
+const VERIFIED_SCORE = 0.85;
+const PARTIAL_SCORE = 0.6;
+
+// Shorter quoted strings are names, titles or scare quotes, not speech
+const MIN_QUOTE_WORDS = 4;
+
+// Candidate spots scored in full per quote
+const CANDIDATES = 5;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function wordsOf(text) {
+  return String(text || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+}
+
+/**
+ * Find the direct quotes in a piece of text (straight or curly double quotes)
+ *
+ * @param {string} text
+ * @returns {Array<string>} Quoted strings of at least MIN_QUOTE_WORDS words, in order
+ */
+function extractQuotes(text) {
+  const quotes = [];
+  const pattern = /"([^"\n]+)"|“([^”\n]+)”/g;
+  let match;
+  while ((match = pattern.exec(String(text || '')))) {
+    const quote = (match[1] ?? match[2]).trim();
+    if (wordsOf(quote).length >= MIN_QUOTE_WORDS) quotes.push(quote);
+  }
+  return quotes;
+}
+
+/**
+ * Index a transcript's words, remembering which segment each came from
+ *
+ * @param {Object} transcript - { segments: [{ timestamp, startSeconds, text }] }
+ * @returns {Object} { words, segmentOf, segments }
+ */
+function indexTranscript(transcript) {
+  const segments = transcript?.segments || [];
+  const words = [];
+  const segmentOf = [];
+  segments.forEach((segment, i) => {
+    for (const word of wordsOf(segment.text)) {
+      words.push(word);
+      segmentOf.push(i);
+    }
+  });
+  return { words, segmentOf, segments };
+}
+
+/**
+ * Align two word lists (longest common subsequence)
+ *
+ * @returns {Object} { matched, first, last } - Number of words in common, and
+ *   the positions in b of the first and last of them
+ */
+function alignWords(a, b) {
+  const cols = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = a[i] === b[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  let first = null;
+  let last = null;
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      if (first === null) first = j;
+      last = j;
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return { matched: lcs[0], first, last };
+}
+
+/**
+ * Start positions of the transcript windows that share the most words with
+ * the quote
+ */
+function candidateStarts(quoteWords, words) {
+  const wanted = new Map();
+  quoteWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  const size = quoteWords.length;
+  const seen = new Map();
+  let shared = 0;
+  const add = (word, delta) => {
+    if (!wanted.has(word)) return;
+    const before = Math.min(seen.get(word) || 0, wanted.get(word));
+    seen.set(word, (seen.get(word) || 0) + delta);
+    shared += Math.min(seen.get(word), wanted.get(word)) - before;
+  };
+
+  const scored = [];
+  for (let i = 0; i < words.length; i++) {
+    add(words[i], 1);
+    if (i >= size) add(words[i - size], -1);
+    if (shared > 0) scored.push({ start: Math.max(0, i - size + 1), shared });
+  }
+  return scored
+    .sort((a, b) => b.shared - a.shared)
+    .reduce((starts, { start }) => {
+      // Skip near-duplicates of a spot already picked
+      if (starts.length < CANDIDATES && !starts.some(s => Math.abs(s - start) < size)) starts.push(start);
+      return starts;
+    }, []);
+}
+
+/**
+ * Match one quote against an indexed transcript
+ *
+ * @param {string} quote - Quoted text
+ * @param {Object} index - From indexTranscript
+ * @returns {Object} { text, status, score, timestamp, startSeconds, transcriptText }
+ *   (timestamp, startSeconds and transcriptText are null when unverified)
+ */
+function verifyQuote(quote, index) {
+  const quoteWords = wordsOf(quote);
+  const slack = Math.ceil(quoteWords.length / 2);
+  let best = { score: 0, start: null, end: null };
+
+  for (const start of candidateStarts(quoteWords, index.words)) {
+    const from = Math.max(0, start - slack);
+    const window = index.words.slice(from, start + quoteWords.length + slack);
+    const { matched, first, last } = alignWords(quoteWords, window);
+    const score = matched / quoteWords.length;
+    if (score > best.score) best = { score, start: from + first, end: from + last };
+  }
+
+  const score = Math.round(best.score * 100) / 100;
+  const status = score >= VERIFIED_SCORE ? 'verified' : score >= PARTIAL_SCORE ? 'partial' : 'unverified';
+  if (status === 'unverified') {
+    return { text: quote, status, score, timestamp: null, startSeconds: null, transcriptText: null };
+  }
+
+  const first = index.segmentOf[best.start];
+  const last = index.segmentOf[best.end];
+  const segment = index.segments[first];
+  const seconds = segment.startSeconds ?? toSeconds(segment.timestamp);
+  return {
+    text: quote,
+    status,
+    score,
+    timestamp: seconds !== null ? formatTimestamp(seconds) : null,
+    startSeconds: seconds !== null ? Math.floor(seconds) : null,
+    transcriptText: index.segments.slice(first, last + 1).map(s => s.text).join(' ')
+  };
+}
+
+/**
+ * Verify quotes against a meeting transcript
+ *
+ * @param {Array<string>} quotes - Quoted strings
+ * @param {Object} transcript - { segments }
+ * @returns {Array<Object>} One result per quote (see verifyQuote)
+ */
+function verifyQuotes(quotes, transcript) {
+  const index = indexTranscript(transcript);
+  return quotes.map(quote => verifyQuote(quote, index));
+}
+
+/**
+ * Verify every direct quote in an article
+ *
+ * @param {Object} article - { headline, summary, body }
+ * @param {Object} transcript - { segments }
+ * @returns {Object} { quotes, verified, partial, unverified } (the counts are per status)
+ */
+function verifyArticleQuotes(article, transcript) {
+  const texts = [article.headline, article.summary, article.body].flatMap(extractQuotes);
+  const quotes = verifyQuotes([...new Set(texts)], transcript);
+  const count = status => quotes.filter(q => q.status === status).length;
+  return {
+    quotes,
+    verified: count('verified'),
+    partial: count('partial'),
+    unverified: count('unverified')
+  };
+}
+
+export {
+  extractQuotes,
+  verifyQuotes,
+  verifyArticleQuotes
+};
@@ -0,0 +1,268 @@
+/**
+ * In-Process Scheduler
+ *
+ * Runs registered tasks on cron-style schedules from inside the dashboard
+ * server. Each task reads its schedule from settings on every tick, so changes
+ * saved in the dashboard take effect without a restart.
+ *
+ * Cron expressions have five fields: minute hour day-of-month month day-of-week.
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`0-12/2`, or `*` followed
+ * by `/15`) and comma lists. Day-of-week is 0-7 with both 0 and 7 meaning
+ * Sunday. Times are evaluated in the server's local time zone (set TZ, e.g.
+ * America/New_York).
+ *
+ * When a task comes due while its previous run is still queued or running,
+ * or while something else blocks it (e.g. its agent's budget is used up), the
+ * run is skipped and recorded with the reason rather than piling up behind it.
+ */
+
+const TICK_INTERVAL_MS = 30000;
+// Give up looking for a next run after this many years (e.g., "0 0 30 2 *")
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const tasks = new Map();
+let tickTimer = null;
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-').map(Number);
+      start = from;
+      end = to ?? (match[2] ? max : from);
+    }
+    const step = match[2] ? parseInt(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field "${text}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ *
+ * @param {string} expression - e.g. '0 7 * * 1-5'
+ * @returns {Object} Parsed schedule
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.daysOfMonth.has(date.getDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth) return dowMatch;
+  if (schedule.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Find the next time a cron expression fires, strictly after `from`
+ *
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Start time (default: now)
+ * @returns {Date|null} Next run, or null if it never fires
+ */
+function getNextRun(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  // Jump a whole month/day/hour at a time when that unit can't match
+  while (date <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Register a task to run on a schedule
+ *
+ * @param {string} id - Task ID (e.g., 'crime-watch')
+ * @param {Object} task
+ * @param {string} task.label - Display name
+ * @param {Function} task.getConfig - () => { autoRun, schedule }, read on every tick
+ * @param {Function} task.isBusy - () => boolean; a due run is skipped while true
+ * @param {Function} [task.getBlockReason] - () => string|null; a due run is skipped while this returns a reason
+ * @param {Function} task.run - () => job; starts the task (should not throw for expected conditions)
+ */
+function registerScheduledTask(id, task) {
+  tasks.set(id, {
+    id,
+    ...task,
+    // Bookkeeping
+    autoRun: false,
+    cron: null,
+    nextRunAt: null,
+    lastTriggeredAt: null,
+    lastJobId: null,
+    lastSkippedAt: null,
+    lastSkipReason: null,
+    skippedCount: 0,
+    error: null
+  });
+}
+
+/**
+ * Re-read a task's settings and recompute its next run if the schedule changed
+ */
+function refreshTask(task, now) {
+  let config;
+  try {
+    config = task.getConfig() || {};
+  } catch (e) {
+    task.error = `Could not read settings: ${e.message}`;
+    task.nextRunAt = null;
+    return;
+  }
+
+  task.autoRun = Boolean(config.autoRun);
+  if (!task.autoRun || !config.schedule) {
+    task.cron = config.schedule || null;
+    task.nextRunAt = null;
+    task.error = null;
+    return;
+  }
+
+  if (config.schedule === task.cron && task.nextRunAt) return;
+
+  task.cron = config.schedule;
+  try {
+    task.nextRunAt = getNextRun(task.cron, now);
+    task.error = task.nextRunAt ? null : 'Schedule never fires';
+  } catch (e) {
+    task.nextRunAt = null;
+    task.error = e.message;
+  }
+}
+
+function tick() {
+  const now = new Date();
+
+  for (const task of tasks.values()) {
+    refreshTask(task, now);
+    if (!task.nextRunAt || task.nextRunAt > now) continue;
+
+    const skipReason = task.isBusy() ? 'Previous run still active' : (task.getBlockReason?.() || null);
+    if (skipReason) {
+      task.lastSkippedAt = now.toISOString();
+      task.lastSkipReason = skipReason;
+      task.skippedCount++;
+      console.log(`⏭️  Scheduled ${task.label} skipped - ${skipReason}`);
+    } else {
+      try {
+        const job = task.run();
+        task.lastTriggeredAt = now.toISOString();
+        task.lastJobId = job?.id || null;
+        console.log(`⏰ Scheduled ${task.label} started${job ? ` (job ${job.id})` : ''}`);
+      } catch (e) {
+        task.error = `Failed to start: ${e.message}`;
+        console.error(`Scheduled ${task.label} failed to start:`, e.message);
+      }
+    }
+
+    task.nextRunAt = getNextRun(task.cron, now);
+  }
+}
+
+/**
+ * Start checking schedules. Call once, after tasks are registered.
+ */
+function startScheduler() {
+  if (tickTimer) return;
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+  const enabled = [...tasks.values()].filter(t => t.nextRunAt);
+  console.log(`⏰ Scheduler started: ${enabled.length} of ${tasks.size} tasks enabled`);
+}
+
+/**
+ * Get schedule state for every task
+ *
+ * @returns {Object} Map of task ID to { label, autoRun, schedule, nextRunAt, lastTriggeredAt, lastJobId, lastSkippedAt, lastSkipReason, skippedCount, error }
+ */
+function getScheduleStatus() {
+  const now = new Date();
+  const status = {};
+  for (const task of tasks.values()) {
+    refreshTask(task, now);
+    status[task.id] = {
+      label: task.label,
+      autoRun: task.autoRun,
+      schedule: task.cron,
+      nextRunAt: task.nextRunAt ? task.nextRunAt.toISOString() : null,
+      lastTriggeredAt: task.lastTriggeredAt,
+      lastJobId: task.lastJobId,
+      lastSkippedAt: task.lastSkippedAt,
+      lastSkipReason: task.lastSkipReason,
+      skippedCount: task.skippedCount,
+      error: task.error
+    };
+  }
+  return status;
+}
+
+export {
+  parseCron,
+  getNextRun,
+  registerScheduledTask,
+  startScheduler,
+  getScheduleStatus
+};
@@ -0,0 +1,349 @@
+/**
+ * Speaker Attribution
+ *
+ * Labels transcript segments with who was speaking, using the department's
+ * board roster (data/town_meeting_settings.json) and the cues meetings
+ * already contain:
+ * - Speaker tags in the captions (<v Name> voice spans, "MAYOR KURETSKI:")
+ * - A name said at the end of a turn ("Mayor Kuretski?", "Council Member May,
+ *   go ahead") names the next speaker. This covers roll calls and roll-call
+ *   votes, where each "Here."/"Yes." follows the name just called.
+ * - "Thank you, Council Member May" at the start of a turn names the
+ *   previous speaker.
+ *
+ * Swagit captions mark each change of speaker with ">>", so a label applies
+ * to the whole turn. Whisper transcripts have no such markers; there each
+ * segment is its own turn and only segments right next to a cue are labeled.
+ *
+ * Names are matched to the roster by surname (allowing a letter or two off), so
+ * "Mayor Kuretsky" becomes "Jim Kuretski". People not on the roster keep the
+ * name as said ("Mr. Reynolds") if it is said more than once in the meeting;
+ * a name heard once is as likely to be caption noise ("Town Manager
+ * Kittzio"). A title only one member holds, said with a name that isn't
+ * theirs ("Vice Mayor Delaney"), is a mishearing or an outdated roster. Both
+ * leave the turn unlabeled rather than invent a speaker.
+ *
+ * Each segment gets speaker (name or null) and speakerSource:
+ * - vtt: tagged in the captions
+ * - called: named at the end of the turn before
+ * - thanked: thanked at the start of the turn after
+ * - editor: set in the dashboard; never changed by a re-run
+ *
+ * Everything runs locally; no API calls are made.
+ */
+
+// Titles that can precede a name, longest first so "Vice Mayor" wins over "Mayor"
+const TITLES = [
+  'Vice Mayor', 'Deputy Mayor', 'Mayor',
+  'Council Member', 'Councilmember', 'Councilwoman', 'Councilman', 'Councilor',
+  'Vice Chair', 'Chairwoman', 'Chairman', 'Chair',
+  'Commissioner', 'Board Member',
+  'Town Manager', 'Town Attorney', 'Town Clerk',
+  'Mr.', 'Mrs.', 'Ms.', 'Dr.'
+];
+
+// Different ways of saying the same role
+const ROLE_ALIASES = {
+  councilmember: 'councilmember',
+  councilwoman: 'councilmember',
+  councilman: 'councilmember',
+  councilor: 'councilmember',
+  chairwoman: 'chair',
+  chairman: 'chair'
+};
+
+// What may follow a name that calls on the next speaker
+const CALL_ENDING = /^[\s,.?!]*(?:(?:please|go ahead|you(?:'re| are) recognized|you have the floor)[\s,.?!]*)?$/i;
+
+// Opening of a turn that thanks the previous speaker
+const THANKS_OPENING = /^(?:thank you|thanks)(?: very much| so much)?[\s,]*/i;
+
+// "MAYOR KURETSKI: ..." caption prefix
+const CAPTION_TAG = /^([A-Z][A-Z.'-]*(?: [A-Z][A-Z.'-]*){0,3}):\s/;
+
+const NAME = "[A-Z][a-zA-Z'’-]+";
+
+// Capitalized words caught after a title that aren't names ("Council Member, And...")
+const COMMON_WORDS = new Set([
+  'a', 'and', 'any', 'are', 'as', 'at', 'but', 'first', 'for', 'go', 'here', 'i', 'if', 'is',
+  'it', 'next', 'no', 'now', 'of', 'on', 'or', 'please', 'so', 'thank', 'thanks', 'that', 'the',
+  'then', 'this', 'to', 'we', 'what', 'yes', 'you', 'your'
+]);
+
+// Title words are matched in either case ("council member May")
+function titlePattern(title) {
+  return title
+    .replace(/\./g, '\\.')
+    .replace(/[A-Za-z]/, c => `[${c.toUpperCase()}${c.toLowerCase()}]`)
+    .replace(/ ([A-Za-z])/g, (_, c) => `\\s+[${c.toUpperCase()}${c.toLowerCase()}]`);
+}
+
+const REFERENCE = new RegExp(`\\b(${TITLES.map(titlePattern).join('|')})(?:\\s+(${NAME}(?:\\s+${NAME})?))?`, 'g');
+
+function normalizeRole(role) {
+  const key = String(role || '').toLowerCase().replace(/[^a-z]/g, '');
+  return ROLE_ALIASES[key] || key;
+}
+
+function isTitle(word) {
+  return TITLES.some(title => normalizeRole(title) === normalizeRole(word));
+}
+
+function surnameOf(name) {
+  return String(name || '').trim().split(/\s+/).pop().toLowerCase().replace(/[^a-z'-]/g, '');
+}
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (_, before, c) => before + c.toUpperCase());
+}
+
+// Edit distance within one letter (two for long names), for transcription slips in names
+function nearlyEqual(a, b) {
+  if (a === b) return true;
+  const allowed = Math.min(a.length, b.length) >= 7 ? 2 : 1;
+  if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > allowed) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length] <= allowed;
+}
+
+/**
+ * Resolve a spoken reference to a speaker label
+ *
+ * @param {string} title - e.g. "Council Member" (may be empty)
+ * @param {string} name - e.g. "May" or "Cameron May" (may be empty)
+ * @param {Array<Object>} roster - [{ name, role }]
+ * @param {Object} [options]
+ * @param {Set<string>} [options.repeatedWords] - Lowercase words said more
+ *   than once in the meeting; when given, a name not on the roster must be one
+ * @returns {string|null} The roster name, the name as said for people not on
+ *   the roster, or null when the reference doesn't identify anyone
+ */
+function resolveSpeaker(title, name, roster, { repeatedWords = null } = {}) {
+  const words = String(name || '').split(/\s+/).filter(word => word && !COMMON_WORDS.has(word.toLowerCase()));
+  const holders = role => roster.filter(m => normalizeRole(m.role) === normalizeRole(role));
+
+  if (words.length > 0 && !isTitle(words.join(' '))) {
+    // The last word is the surname, unless the word after the name was caught too
+    for (const surname of [surnameOf(words[words.length - 1]), surnameOf(words[0])]) {
+      const member = roster.find(m => surnameOf(m.name) === surname) ||
+        roster.find(m => nearlyEqual(surnameOf(m.name), surname));
+      if (member) return member.name;
+    }
+    if (title && holders(title).length === 1) return null;
+    if (repeatedWords && !repeatedWords.has(surnameOf(words[words.length - 1]))) return null;
+    return title ? `${title.replace(/\s+/g, ' ')} ${words.join(' ')}` : words.join(' ');
+  }
+
+  // A bare title ("Thank you, Mayor") names someone only if one member holds it
+  const titleHolders = holders(words.join(' ') || title);
+  return titleHolders.length === 1 ? titleHolders[0].name : null;
+}
+
+/**
+ * Words said more than once in a meeting, for telling names apart from
+ * caption noise
+ *
+ * @param {Array<string>} texts - The meeting's turns
+ * @returns {Set<string>} Lowercase words
+ */
+function findRepeatedWords(texts) {
+  const seen = new Set();
+  const repeated = new Set();
+  for (const word of texts.join(' ').toLowerCase().split(/[^a-z'-]+/)) {
+    if (seen.has(word)) repeated.add(word);
+    seen.add(word);
+  }
+  return repeated;
+}
+
+/**
+ * Find the people a piece of text refers to by title or roster name
+ *
+ * @returns {Array<Object>} { start, end, speaker } in text order
+ */
+function findReferences(text, roster, repeatedWords) {
+  const references = [];
+  for (const match of text.matchAll(REFERENCE)) {
+    const speaker = resolveSpeaker(match[1], match[2], roster, { repeatedWords });
+    if (speaker) references.push({ start: match.index, end: match.index + match[0].length, speaker });
+  }
+
+  // Full names said without a title ("Cameron May")
+  for (const member of roster) {
+    const at = text.indexOf(member.name);
+    if (at !== -1 && !references.some(r => at >= r.start && at < r.end)) {
+      references.push({ start: at, end: at + member.name.length, speaker: member.name });
+    }
+  }
+  return references.sort((a, b) => a.start - b.start);
+}
+
+// Text of a segment without the speaker-change marker, voice tags and [NOISES]
+function spokenText(text) {
+  return String(text || '')
+    .replace(/^\s*>>\s*/, '')
+    .replace(/<\/?v[^>]*>/g, '')
+    .replace(/\[[A-Z ]+\]/g, '')
+    .trim();
+}
+
+/**
+ * Group segments into turns: runs of segments by one speaker. A segment
+ * starting with ">>" starts a turn; without any markers, every segment is a
+ * turn of its own.
+ *
+ * @param {Array<Object>} segments - Transcript segments
+ * @returns {Array<Object>} { start, end } - Segment indexes, inclusive
+ */
+function splitTurns(segments) {
+  const marked = segments.some(s => /^\s*>>/.test(s.text || ''));
+  const turns = [];
+  segments.forEach((segment, i) => {
+    if (turns.length === 0 || !marked || /^\s*>>/.test(segment.text || '')) {
+      turns.push({ start: i, end: i });
+    } else {
+      turns[turns.length - 1].end = i;
+    }
+  });
+  return turns;
+}
+
+/**
+ * Label transcript segments with their speakers
+ *
+ * @param {Array<Object>} segments - [{ timestamp, startSeconds, text, speaker?, speakerSource? }]
+ * @param {Array<Object>} roster - Board members: [{ name, role }]
+ * @returns {Object} { segments, turns, labeledTurns, speakers } - New segments
+ *   with speaker and speakerSource set; speakers counts turns per speaker
+ */
+function attributeSpeakers(segments, roster = []) {
+  const members = roster.filter(m => m.name);
+  const turns = splitTurns(segments).map(turn => {
+    const own = segments.slice(turn.start, turn.end + 1);
+    const kept = own.find(s => s.speakerSource === 'editor') || own.find(s => s.speakerSource === 'vtt' && s.speaker);
+    const text = own.map(s => spokenText(s.text)).join(' ').trim();
+    const tag = CAPTION_TAG.exec(text);
+
+    let label = null;
+    if (kept) {
+      label = {
+        speaker: kept.speakerSource === 'vtt' ? resolveSpeaker('', kept.speaker, members) || kept.speaker : kept.speaker,
+        source: kept.speakerSource
+      };
+    } else if (tag) {
+      const words = titleCase(tag[1]).split(' ');
+      const title = TITLES.find(t => words.join(' ').startsWith(`${t} `)) || '';
+      const name = words.slice(title ? title.split(' ').length : 0).join(' ');
+      label = { speaker: resolveSpeaker(title, name, members) || titleCase(tag[1]), source: 'vtt' };
+    }
+    // All-caps captions are matched as if in title case, so names stand out
+    return { ...turn, text: /[a-z]/.test(text) ? text : titleCase(text), label };
+  });
+
+  // Cues fill turns that aren't labeled yet; a call beats a thank-you
+  const repeatedWords = findRepeatedWords(turns.map(turn => turn.text));
+  turns.forEach((turn, i) => {
+    const references = findReferences(turn.text, members, repeatedWords);
+    const last = references[references.length - 1];
+    const next = turns[i + 1];
+    if (last && next && !next.label && CALL_ENDING.test(turn.text.slice(last.end))) {
+      next.label = { speaker: last.speaker, source: 'called' };
+    }
+  });
+  turns.forEach((turn, i) => {
+    const opening = THANKS_OPENING.exec(turn.text);
+    const previous = turns[i - 1];
+    if (!opening || opening[0].length === 0 || !previous || previous.label) return;
+    const first = findReferences(turn.text, members, repeatedWords)[0];
+    if (first && first.start === opening[0].length) {
+      previous.label = { speaker: first.speaker, source: 'thanked' };
+    }
+  });
+
+  const labeled = segments.map(segment => ({ ...segment }));
+  const speakers = {};
+  for (const turn of turns) {
+    for (let i = turn.start; i <= turn.end; i++) {
+      if (labeled[i].speakerSource === 'editor') continue;
+      labeled[i].speaker = turn.label?.speaker || null;
+      labeled[i].speakerSource = turn.label?.source || null;
+    }
+    if (turn.label?.speaker) speakers[turn.label.speaker] = (speakers[turn.label.speaker] || 0) + 1;
+  }
+
+  return {
+    segments: labeled,
+    turns: turns.length,
+    labeledTurns: turns.filter(t => t.label?.speaker).length,
+    speakers
+  };
+}
+
+/**
+ * A transcript's turns with their speakers, for review in the dashboard
+ *
+ * @param {Array<Object>} segments - Transcript segments
+ * @returns {Array<Object>} { start, end, timestamp, startSeconds, speaker, speakerSource, text }
+ */
+function listTurns(segments) {
+  return splitTurns(segments).map(({ start, end }) => {
+    const first = segments[start];
+    return {
+      start,
+      end,
+      timestamp: first.timestamp,
+      startSeconds: first.startSeconds ?? null,
+      speaker: first.speaker || null,
+      speakerSource: first.speakerSource || null,
+      text: segments.slice(start, end + 1).map(s => spokenText(s.text)).join(' ').trim()
+    };
+  });
+}
+
+/**
+ * Correct the speaker of a turn
+ *
+ * @param {Array<Object>} segments - Transcript segments (changed in place)
+ * @param {number} start - First segment of the turn
+ * @param {number} end - Last segment of the turn
+ * @param {string|null} speaker - Name, or null for unknown
+ */
+function setTurnSpeaker(segments, start, end, speaker) {
+  for (let i = start; i <= end; i++) {
+    segments[i].speaker = speaker || null;
+    segments[i].speakerSource = 'editor';
+  }
+}
+
+/**
+ * Segment text with the speaker's name where a new speaker starts, for prompts:
+ * ">> Good evening" becomes ">> Jim Kuretski: Good evening"
+ *
+ * @param {Object} segment - Transcript segment
+ * @param {Object} [previous] - The segment before it
+ * @returns {string}
+ */
+function speakerText(segment, previous) {
+  const text = segment.text || '';
+  if (!segment.speaker) return text;
+  const marker = /^\s*>>\s*/.exec(text);
+  if (!marker && previous?.speaker === segment.speaker) return text;
+  return marker
+    ? `>> ${segment.speaker}: ${text.slice(marker[0].length)}`
+    : `${segment.speaker}: ${text}`;
+}
+
+export {
+  resolveSpeaker,
+  attributeSpeakers,
+  listTurns,
+  setTurnSpeaker,
+  speakerText
+};
@@ -0,0 +1,255 @@
+/**
+ * Transcript Retrieval
+ *
+ * Picks the passages of a meeting transcript that are relevant to an article
+ * idea, so the article generator writes from the part of the meeting where the
+ * item was discussed instead of whatever came first.
+ *
+ * The transcript's segments are grouped into passages of about
+ * PASSAGE_CHARS characters, and each passage is scored against the idea and
+ * angle with BM25. Passages inside the idea's time range (set by the idea
+ * generator) get a bonus, since that is where the idea was found. The best
+ * passages are kept up to a character budget and returned in meeting order,
+ * one "[HH:MM:SS] text" line per segment (naming the speaker where a new one
+ * starts, once speakers are labeled; segments without a time have no prefix).
+ *
+ * Everything runs locally; no API calls are made.
+ */
+
+import { speakerText } from './speaker-attribution.js';
+import { formatTimestamp, toSeconds } from './video-links.js';
+
+// Target length of one passage (whole segments, so passages run slightly over)
+const PASSAGE_CHARS = 1500;
+
+// Default character budget for the selected passages
+const DEFAULT_MAX_CHARS = 40000;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Passages overlapping the idea's time range score this fraction of the best
+// keyword score on top of their own
+const TIME_RANGE_BONUS = 1;
+
+// Placed between passages that are not adjacent in the meeting
+const GAP_MARKER = '[...]';
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'for', 'from', 'get', 'go', 'going', 'got', 'had', 'has', 'have', 'he', 'her', 'here',
+  'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'know', 'like', 'me',
+  'more', 'my', 'no', 'not', 'now', 'of', 'off', 'ok', 'okay', 'on', 'one', 'or', 'our', 'out',
+  'over', 'really', 'right', 'said', 'say', 'she', 'so', 'some', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'think', 'this', 'those', 'to', 'up', 'us', 'very',
+  'want', 'was', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+  'will', 'with', 'would', 'yeah', 'yes', 'you', 'your'
+]);
+
+/**
+ * Crude suffix stripping, so "approved", "approves" and "approving" match
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into lowercase, stemmed terms without stopwords
+ *
+ * @param {string} text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Group a transcript into passages of whole segments. Transcripts without
+ * segments or segment times are split the same way but have no timestamps.
+ *
+ * @param {Object} transcript - { segments: [{ timestamp, startSeconds, text }], fullText }
+ * @returns {Array<Object>} { index, lines, startSeconds, endSeconds, length }
+ */
+function buildPassages(transcript) {
+  const segments = transcript?.segments || [];
+  const passages = [];
+
+  if (segments.length === 0) {
+    const text = transcript?.fullText || '';
+    for (let i = 0; i < text.length; i += PASSAGE_CHARS) {
+      const chunk = text.slice(i, i + PASSAGE_CHARS);
+      passages.push({ index: passages.length, lines: [chunk], startSeconds: null, endSeconds: null, length: chunk.length });
+    }
+    return passages;
+  }
+
+  // Segments without a time get no "[HH:MM:SS]" prefix and leave the
+  // passage's time range to the segments that have one
+  let current = null;
+  for (const [i, segment] of segments.entries()) {
+    const seconds = segment.startSeconds ?? toSeconds(segment.timestamp);
+    const text = speakerText(segment, segments[i - 1]);
+    const line = seconds === null ? text : `[${formatTimestamp(seconds)}] ${text}`;
+    if (current && current.length + line.length + 1 > PASSAGE_CHARS) {
+      passages.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { index: passages.length, lines: [], startSeconds: null, endSeconds: null, length: 0 };
+    }
+    current.lines.push(line);
+    if (seconds !== null) {
+      current.startSeconds ??= seconds;
+      current.endSeconds = seconds;
+    }
+    current.length += line.length + 1;
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+/**
+ * Score passages against query terms with BM25
+ *
+ * @param {Array<Object>} passages - From buildPassages
+ * @param {Array<string>} queryTerms - Terms (repeat a term to weight it)
+ * @returns {Array<number>} Score per passage
+ */
+function scorePassages(passages, queryTerms) {
+  const docs = passages.map(passage => {
+    const terms = tokenize(passage.lines.join(' '));
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return { counts, length: terms.length };
+  });
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  const queryWeights = new Map();
+  queryTerms.forEach(term => queryWeights.set(term, (queryWeights.get(term) || 0) + 1));
+
+  const idf = new Map();
+  for (const term of queryWeights.keys()) {
+    const df = docs.filter(doc => doc.counts.has(term)).length;
+    idf.set(term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5)));
+  }
+
+  return docs.map(doc => {
+    let score = 0;
+    for (const [term, weight] of queryWeights) {
+      const tf = doc.counts.get(term) || 0;
+      if (tf === 0) continue;
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      score += weight * idf.get(term) * norm;
+    }
+    return score;
+  });
+}
+
+/**
+ * Query terms for an idea and angle. The event and title say what happened,
+ * so they count twice; the angle only steers which details matter.
+ */
+function ideaQueryTerms(idea, angle) {
+  return [
+    ...tokenize(idea?.event), ...tokenize(idea?.event),
+    ...tokenize(idea?.title), ...tokenize(idea?.title),
+    ...tokenize(idea?.summary),
+    ...tokenize(angle?.name),
+    ...tokenize(angle?.description),
+    ...tokenize(angle?.prompt_hint)
+  ];
+}
+
+function overlapsRange(passage, range) {
+  if (!range || passage.startSeconds === null) return false;
+  const start = range.startSeconds ?? toSeconds(range.start);
+  const end = range.endSeconds ?? toSeconds(range.end);
+  if (start === null || end === null) return false;
+  return passage.endSeconds >= start && passage.startSeconds <= end;
+}
+
+/**
+ * Select the transcript passages relevant to an idea and angle
+ *
+ * @param {Object} transcript - { segments, fullText }
+ * @param {Object} idea - { title, event, summary, timeRange }
+ * @param {Object} [angle] - { name, description, prompt_hint }
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=40000] - Character budget for the passages
+ * @returns {Object} { text, passages: [{ start, end, startSeconds, endSeconds, score }],
+ *   totalPassages }. text has one "[HH:MM:SS] text" line per segment, with
+ *   "[...]" between passages that are not adjacent.
+ */
+function retrievePassages(transcript, idea, angle, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const passages = buildPassages(transcript);
+  const totalLength = passages.reduce((sum, passage) => sum + passage.length, 0);
+
+  let selected;
+  let scores = passages.map(() => 0);
+  if (totalLength <= maxChars) {
+    // Short meetings fit whole
+    selected = passages;
+  } else {
+    scores = scorePassages(passages, ideaQueryTerms(idea, angle));
+    const best = Math.max(0, ...scores) || 1;
+    scores = scores.map((score, i) => score + (overlapsRange(passages[i], idea?.timeRange) ? TIME_RANGE_BONUS * best : 0));
+
+    const ranked = passages
+      .filter((_, i) => scores[i] > 0)
+      .sort((a, b) => scores[b.index] - scores[a.index]);
+
+    selected = [];
+    let length = 0;
+    for (const passage of ranked) {
+      if (length + passage.length > maxChars) continue;
+      selected.push(passage);
+      length += passage.length;
+    }
+
+    // Nothing matched: fall back to the start of the meeting
+    if (selected.length === 0) {
+      for (const passage of passages) {
+        if (length + passage.length > maxChars && selected.length > 0) break;
+        selected.push(passage);
+        length += passage.length;
+      }
+    }
+    selected.sort((a, b) => a.index - b.index);
+  }
+
+  const blocks = [];
+  selected.forEach((passage, i) => {
+    if (i > 0 && passage.index !== selected[i - 1].index + 1) blocks.push(GAP_MARKER);
+    blocks.push(passage.lines.join('\n'));
+  });
+
+  return {
+    text: blocks.join('\n').substring(0, maxChars),
+    passages: selected.map(passage => ({
+      start: passage.startSeconds === null ? null : formatTimestamp(passage.startSeconds),
+      end: passage.endSeconds === null ? null : formatTimestamp(passage.endSeconds),
+      startSeconds: passage.startSeconds === null ? null : Math.floor(passage.startSeconds),
+      endSeconds: passage.endSeconds === null ? null : Math.floor(passage.endSeconds),
+      score: Math.round(scores[passage.index] * 100) / 100
+    })),
+    totalPassages: passages.length
+  };
+}
+
+export {
+  tokenize,
+  buildPassages,
+  scorePassages,
+  retrievePassages
+};
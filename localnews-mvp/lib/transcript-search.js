@@ -0,0 +1,322 @@
+/**
+ * Transcript Search
+ *
+ * Full-text search across every meeting transcript, to answer questions like
+ * "when did council last discuss the Riverwalk?". Each transcript's segments
+ * are indexed in memory (terms as in lib/transcript-retrieval.js: lowercase,
+ * stemmed, without stopwords); the index is built on the first search and a
+ * transcript is re-read when its file changes. Transcripts kept only in
+ * Supabase are added by the caller (addTranscript).
+ *
+ * A query is words and "quoted phrases". A result is a point in a meeting
+ * where every word and phrase occurs within MATCH_WINDOW segments; phrases
+ * may run across segments, since captions break sentences. Results are scored
+ * with BM25-style weights (rare words count more) and come with the
+ * segment's timestamp, the segments around it and a link into the video.
+ *
+ * Everything runs locally; no API calls are made.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize } from './transcript-retrieval.js';
+import { getMeetingInfo } from './meeting-info.js';
+import { formatTimestamp, toSeconds, meetingVideoUrl } from './video-links.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'swagit');
+
+// Every word and phrase of a query must occur within this many segments of
+// a result's segment
+const MATCH_WINDOW = 2;
+
+// Segments shown before and after a result
+const CONTEXT_SEGMENTS = 2;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// BM25 term frequency saturation
+const BM25_K1 = 1.2;
+
+// videoId -> { videoId, source, signature, segments, postings }
+const index = new Map();
+
+/**
+ * Index one transcript: its segments, and for every term the positions it
+ * occurs at in the meeting's run of terms (with the segment of each position)
+ */
+function buildEntry(transcript, source, signature) {
+  const segments = [];
+  const postings = new Map();
+  const termSegments = [];
+
+  for (const segment of transcript.segments || []) {
+    const seconds = segment.startSeconds ?? toSeconds(segment.timestamp) ?? segments[segments.length - 1]?.startSeconds ?? null;
+    const text = String(segment.text || '').replace(/^\s*>>\s*/, '').trim();
+    for (const term of tokenize(text)) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(termSegments.length);
+      termSegments.push(segments.length);
+    }
+    segments.push({ startSeconds: seconds !== null ? Math.floor(seconds) : null, speaker: segment.speaker || null, text });
+  }
+
+  return {
+    videoId: String(transcript.videoId),
+    source,
+    signature,
+    segments,
+    postings,
+    termSegments: Int32Array.from(termSegments)
+  };
+}
+
+/**
+ * Bring the index up to date with the transcript files in data/swagit:
+ * new and changed files are (re)indexed, deleted ones dropped. Transcripts
+ * added from elsewhere are kept unless a file for the meeting appears.
+ */
+function refreshTranscriptIndex() {
+  const files = fs.existsSync(DATA_DIR)
+    ? fs.readdirSync(DATA_DIR).filter(file => /^\d+_transcript\.json$/.test(file))
+    : [];
+  const local = new Set();
+
+  for (const file of files) {
+    const videoId = file.split('_')[0];
+    local.add(videoId);
+    const filePath = path.join(DATA_DIR, file);
+    try {
+      const stat = fs.statSync(filePath);
+      const signature = `${stat.mtimeMs}:${stat.size}`;
+      if (index.get(videoId)?.signature === signature) continue;
+      const transcript = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      index.set(videoId, buildEntry({ ...transcript, videoId }, 'local', signature));
+    } catch (e) {
+      console.error(`⚠️  Failed to index ${file}:`, e.message);
+    }
+  }
+
+  for (const [videoId, entry] of index) {
+    if (entry.source === 'local' && !local.has(videoId)) index.delete(videoId);
+  }
+}
+
+/**
+ * Add a transcript that has no local file (e.g. one kept in Supabase)
+ *
+ * @param {Object} transcript - { videoId, segments }
+ * @param {Object} [options]
+ * @param {string} [options.source='supabase'] - Where it came from
+ */
+function addTranscript(transcript, { source = 'supabase' } = {}) {
+  if (!transcript?.videoId || index.get(String(transcript.videoId))?.source === 'local') return;
+  index.set(String(transcript.videoId), buildEntry(transcript, source, null));
+}
+
+/**
+ * Whether a meeting's transcript is in the index
+ */
+function isTranscriptIndexed(videoId) {
+  return index.has(String(videoId));
+}
+
+/**
+ * Words and "quoted phrases" of a query, each as its list of terms
+ *
+ * @param {string} query
+ * @returns {Array<Object>} { label, terms }
+ */
+function parseQuery(query) {
+  const elements = [];
+  const add = (label, terms) => {
+    if (terms.length > 0 && !elements.some(e => e.terms.join(' ') === terms.join(' '))) {
+      elements.push({ label, terms });
+    }
+  };
+
+  const words = String(query || '')
+    .replace(/[“”]/g, '"')
+    .replace(/"([^"]*)"/g, (_, phrase) => {
+      add(`"${phrase.trim()}"`, tokenize(phrase));
+      return ' ';
+    });
+  for (const word of words.split(/\s+/)) {
+    add(word, tokenize(word));
+  }
+  return elements;
+}
+
+/**
+ * Segment of every occurrence of a word or phrase in a meeting, in order
+ */
+function findOccurrences(entry, terms) {
+  const starts = entry.postings.get(terms[0]) || [];
+  const following = terms.slice(1).map(term => new Set(entry.postings.get(term) || []));
+  const segments = [];
+  for (const position of starts) {
+    if (following.every((positions, k) => positions.has(position + k + 1))) {
+      segments.push(entry.termSegments[position]);
+    }
+  }
+  return segments;
+}
+
+function countWithin(occurrences, from, to) {
+  let count = 0;
+  for (const segment of occurrences) {
+    if (segment > to) break;
+    if (segment >= from) count++;
+  }
+  return count;
+}
+
+/**
+ * Character ranges of the words in a text that match the query
+ */
+function highlightRanges(text, queryTerms) {
+  const ranges = [];
+  for (const match of text.matchAll(/[A-Za-z0-9’']+/g)) {
+    const [term] = tokenize(match[0]);
+    if (term && queryTerms.has(term)) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+function contextLine(entry, i, queryTerms) {
+  const segment = entry.segments[i];
+  return {
+    timestamp: segment.startSeconds !== null ? formatTimestamp(segment.startSeconds) : null,
+    startSeconds: segment.startSeconds,
+    speaker: segment.speaker,
+    text: segment.text,
+    highlights: highlightRanges(segment.text, queryTerms)
+  };
+}
+
+/**
+ * Search every transcript
+ *
+ * @param {string} query - Words and "quoted phrases"; all must match
+ * @param {Object} [options]
+ * @param {string} [options.from] - Only meetings on or after this date (YYYY-MM-DD)
+ * @param {string} [options.to] - Only meetings on or before this date (YYYY-MM-DD)
+ * @param {string} [options.departmentId] - Only this department's meetings
+ * @param {string} [options.sort='relevance'] - 'relevance', or 'date' for the
+ *   newest meetings first
+ * @param {number} [options.limit=20] - Results returned (at most 100)
+ * @param {number} [options.offset=0] - Results skipped, for paging
+ * @returns {Object} { query, terms, total, meetingsSearched, meetingsMatched,
+ *   results: [{ videoId, meetingDate, meetingType, department, timestamp,
+ *   startSeconds, speaker, text, highlights, before, after, score, videoUrl }] }.
+ *   highlights are [start, end] character ranges of matching words; before
+ *   and after are the surrounding segments ({ timestamp, startSeconds,
+ *   speaker, text, highlights }). timestamp and startSeconds are null for
+ *   transcripts without segment times, whose videoUrl is the whole video.
+ */
+function searchTranscripts(query, { from = null, to = null, departmentId = null, sort = 'relevance', limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  refreshTranscriptIndex();
+
+  const elements = parseQuery(query);
+  const queryTerms = new Set(elements.flatMap(e => e.terms));
+  const entries = [...index.values()];
+
+  // Where each word and phrase occurs, per meeting, and how many segments
+  // it occurs in overall (for its weight)
+  const occurrences = entries.map(entry => elements.map(e => findOccurrences(entry, e.terms)));
+  const totalSegments = entries.reduce((sum, entry) => sum + entry.segments.length, 0);
+  const weights = elements.map((_, k) => {
+    const df = occurrences.reduce((sum, perMeeting) => sum + new Set(perMeeting[k]).size, 0);
+    return Math.log(1 + (totalSegments - df + 0.5) / (df + 0.5));
+  });
+
+  const results = [];
+  let searched = 0;
+  const matched = new Set();
+  for (const [n, entry] of entries.entries()) {
+    const meeting = getMeetingInfo(entry.videoId);
+    if (departmentId && meeting.departmentId !== departmentId) continue;
+    if ((from || to) && !meeting.date) continue;
+    if (from && meeting.date < from) continue;
+    if (to && meeting.date > to) continue;
+    searched++;
+
+    const perElement = occurrences[n];
+    if (elements.length === 0 || perElement.some(list => list.length === 0)) continue;
+
+    // Candidates are the segments of the rarest word or phrase; a run of
+    // candidates each near the one before is one discussion, so only the best
+    // of them is kept
+    const rarest = perElement.reduce((a, b) => (b.length < a.length ? b : a));
+    let best = null;
+    let last = null;
+    const keep = () => {
+      if (best) results.push(best.result);
+      best = null;
+    };
+    for (const segment of [...new Set(rarest)]) {
+      const fromSegment = segment - MATCH_WINDOW;
+      const toSegment = segment + MATCH_WINDOW;
+      const counts = perElement.map(list => countWithin(list, fromSegment, toSegment));
+      if (counts.some(count => count === 0)) continue;
+
+      if (last !== null && segment - last > 2 * MATCH_WINDOW) keep();
+      last = segment;
+      const score = counts.reduce((sum, count, k) => sum + weights[k] * count * (BM25_K1 + 1) / (count + BM25_K1), 0);
+      if (best && score <= best.result.score) continue;
+
+      const { startSeconds, speaker, text } = entry.segments[segment];
+      const before = [];
+      const after = [];
+      for (let i = Math.max(0, segment - CONTEXT_SEGMENTS); i < segment; i++) before.push(contextLine(entry, i, queryTerms));
+      for (let i = segment + 1; i <= Math.min(entry.segments.length - 1, segment + CONTEXT_SEGMENTS); i++) after.push(contextLine(entry, i, queryTerms));
+
+      best = {
+        segment,
+        result: {
+          videoId: entry.videoId,
+          meetingDate: meeting.date,
+          meetingType: meeting.type,
+          department: meeting.departmentName,
+          timestamp: startSeconds !== null ? formatTimestamp(startSeconds) : null,
+          startSeconds,
+          speaker,
+          text,
+          highlights: highlightRanges(text, queryTerms),
+          before,
+          after,
+          score: Math.round(score * 100) / 100,
+          videoUrl: meetingVideoUrl(entry.videoId, startSeconds)
+        }
+      };
+    }
+    keep();
+    if (results.some(result => result.videoId === entry.videoId)) matched.add(entry.videoId);
+  }
+
+  const newestFirst = (a, b) => String(b.meetingDate || '').localeCompare(String(a.meetingDate || ''));
+  // Each meeting's results are in meeting order, and the sort is stable
+  results.sort(sort === 'date' ? newestFirst : (a, b) => b.score - a.score || newestFirst(a, b));
+
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+  return {
+    query: String(query || ''),
+    terms: elements.map(e => e.label),
+    total: results.length,
+    meetingsSearched: searched,
+    meetingsMatched: matched.size,
+    results: results.slice(skip, skip + size)
+  };
+}
+
+export {
+  refreshTranscriptIndex,
+  addTranscript,
+  isTranscriptIndexed,
+  parseQuery,
+  searchTranscripts
+};
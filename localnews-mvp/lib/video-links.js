@@ -0,0 +1,151 @@
+/**
+ * Meeting Video Links
+ *
+ * Links into the Swagit player at a point in a meeting, so readers and
+ * editors can watch the part of the meeting an idea, quote or article comes
+ * from. The player starts at the ts query parameter (seconds from the start
+ * of the video, the same clock as the transcript's startSeconds).
+ *
+ * Generated articles end with a "Watch this discussion" link and a sources
+ * list built here. The transcript time helpers (HH:MM:SS to seconds and back)
+ * live here too, so every link and time range agrees on the clock.
+ */
+
+const SWAGIT_BASE_URL = 'https://jupiterfl.new.swagit.com';
+
+// Words of a quote shown in the sources list
+const QUOTE_PREVIEW_WORDS = 8;
+
+/**
+ * Format seconds from the start of the video as HH:MM:SS
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+/**
+ * Parse a transcript timestamp ("1:02:03.5", "02:03") into seconds
+ *
+ * @param {string} timestamp - H:MM:SS(.s) or M:SS
+ * @returns {number|null} Seconds, or null when missing or not a timestamp
+ */
+function toSeconds(timestamp) {
+  const match = /^(\d+):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/.exec(String(timestamp ?? '').trim());
+  if (!match) return null;
+  const [, first, second, third] = match;
+  return third === undefined
+    ? Number(first) * 60 + Number(second)
+    : Number(first) * 3600 + Number(second) * 60 + Number(third);
+}
+
+/**
+ * Time range between two offsets, as timestamps and whole seconds
+ *
+ * @param {number} startSeconds
+ * @param {number} endSeconds
+ * @returns {Object} { start, end, startSeconds, endSeconds }
+ */
+function timeRange(startSeconds, endSeconds) {
+  return {
+    start: formatTimestamp(startSeconds),
+    end: formatTimestamp(endSeconds),
+    startSeconds: Math.floor(startSeconds),
+    endSeconds: Math.floor(endSeconds)
+  };
+}
+
+/**
+ * Swagit player URL for a meeting, optionally starting at an offset
+ *
+ * @param {string} videoId - Swagit video ID
+ * @param {number} [seconds] - Where playback starts (the whole video when omitted)
+ * @returns {string|null} URL, or null without a video ID
+ */
+function meetingVideoUrl(videoId, seconds = null) {
+  if (!videoId || videoId === 'unknown') return null;
+  const url = `${SWAGIT_BASE_URL}/videos/${videoId}`;
+  return Number.isFinite(seconds) ? `${url}?ts=${Math.max(0, Math.floor(seconds))}` : url;
+}
+
+function link(videoId, label, seconds) {
+  return {
+    label,
+    timestamp: formatTimestamp(seconds),
+    startSeconds: Math.floor(seconds),
+    url: meetingVideoUrl(videoId, seconds)
+  };
+}
+
+/**
+ * Video links for a generated article: where its discussion starts, and a
+ * source for the whole meeting, its agenda item and each quote found in the
+ * transcript
+ *
+ * @param {Object} options
+ * @param {string} options.videoId - Swagit video ID
+ * @param {Object} [options.meeting] - From getMeetingInfo: { type, date }
+ * @param {Object} [options.idea] - { title, timeRange }
+ * @param {Object} [options.agendaItem] - { number, title, timeRange }
+ * @param {Array<Object>} [options.quotes] - From verifyArticleQuotes: { text, status, startSeconds }
+ * @param {Array<Object>} [options.passages] - Source passages: { startSeconds }
+ * @returns {Object|null} { watch: { label, timestamp, startSeconds, url } | null,
+ *   sources: [{ label, timestamp, startSeconds, url }] } (timestamp and
+ *   startSeconds are null for the whole meeting), or null without a video
+ */
+function articleVideoLinks({ videoId, meeting = {}, idea = null, agendaItem = null, quotes = [], passages = [] }) {
+  if (!meetingVideoUrl(videoId)) return null;
+
+  const start = idea?.timeRange?.startSeconds ??
+    agendaItem?.timeRange?.startSeconds ??
+    passages.find(p => Number.isFinite(p.startSeconds))?.startSeconds ??
+    null;
+  const watch = start !== null ? link(videoId, idea?.title || 'This discussion', start) : null;
+
+  const meetingLabel = [meeting.type || 'Meeting', meeting.date].filter(Boolean).join(', ');
+  const sources = [{ label: `${meetingLabel} (full video)`, timestamp: null, startSeconds: null, url: meetingVideoUrl(videoId) }];
+  if (agendaItem?.timeRange) {
+    sources.push(link(videoId, `Agenda item ${agendaItem.number}, ${agendaItem.title}`, agendaItem.timeRange.startSeconds));
+  }
+  for (const quote of quotes) {
+    if (quote.status === 'unverified' || !Number.isFinite(quote.startSeconds)) continue;
+    const words = quote.text.split(/\s+/);
+    const preview = words.length > QUOTE_PREVIEW_WORDS ? `${words.slice(0, QUOTE_PREVIEW_WORDS).join(' ')}…` : quote.text;
+    sources.push(link(videoId, `‘${preview}’`, quote.startSeconds));
+  }
+
+  return { watch, sources };
+}
+
+/**
+ * The links as plain text for the end of an article body
+ *
+ * @param {Object} links - From articleVideoLinks
+ * @returns {string} "Watch this discussion" line and sources list ('' without links)
+ */
+function formatVideoLinks(links) {
+  if (!links) return '';
+  const lines = [];
+  if (links.watch) {
+    lines.push(`Watch this discussion (${links.watch.timestamp}): ${links.watch.url}`, '');
+  }
+  lines.push('Sources:');
+  for (const source of links.sources) {
+    lines.push(`- ${source.label}${source.timestamp ? ` (${source.timestamp})` : ''}: ${source.url}`);
+  }
+  return lines.join('\n');
+}
+
+export {
+  SWAGIT_BASE_URL,
+  formatTimestamp,
+  toSeconds,
+  timeRange,
+  meetingVideoUrl,
+  articleVideoLinks,
+  formatVideoLinks
+};
@@ -0,0 +1,173 @@
+/**
+ * Meeting Votes
+ *
+ * Roll-call vote records taken from each meeting's analysis
+ * (data/swagit/<videoId>_analysis.json, analysis.votes): the item voted on,
+ * mover, seconder, each board member's yes/no/abstain/absent and the result.
+ *
+ * Member names are matched to the department's board roster, so a member's
+ * votes can be followed across meetings however the analysis spelled them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMeetingInfo } from './meeting-info.js';
+import { resolveSpeaker } from './speaker-attribution.js';
+import { tokenize } from './transcript-retrieval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'swagit');
+
+const VOTE_CHOICES = ['yes', 'no', 'abstain', 'absent'];
+
+function readAnalysis(videoId) {
+  const file = path.join(DATA_DIR, `${videoId}_analysis.json`);
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (e) {
+    console.error(`⚠️  Failed to read ${path.basename(file)}:`, e.message);
+  }
+  return null;
+}
+
+function sameSurname(a, b) {
+  const surname = name => String(name || '').trim().split(/\s+/).pop().toLowerCase();
+  return surname(a) === surname(b);
+}
+
+/**
+ * Match a vote record's names to the roster and count the votes
+ *
+ * @param {Object} vote - From the analysis: { item, motion, mover, seconder,
+ *   result, members: [{ name, vote }], timestamp, agenda_item }
+ * @param {Array<Object>} roster - Board members: [{ name, role }]
+ * @returns {Object} The vote with roster names, one entry per member, and
+ *   tally: { yes, no, abstain, absent }
+ */
+function normalizeVote(vote, roster = []) {
+  const resolve = name => (name ? resolveSpeaker('', name, roster) || name : null);
+
+  const members = [];
+  for (const { name, vote: choice } of vote.members || []) {
+    const resolved = resolve(name);
+    if (!VOTE_CHOICES.includes(choice) || members.some(m => m.name === resolved)) continue;
+    members.push({ name: resolved, vote: choice });
+  }
+
+  return {
+    item: vote.item,
+    motion: vote.motion || null,
+    mover: resolve(vote.mover),
+    seconder: resolve(vote.seconder),
+    result: vote.result || 'unknown',
+    timestamp: vote.timestamp || null,
+    agenda_item: vote.agenda_item ?? null,
+    members,
+    tally: Object.fromEntries(VOTE_CHOICES.map(choice => [choice, members.filter(m => m.vote === choice).length]))
+  };
+}
+
+/**
+ * Get a meeting's votes
+ *
+ * @param {string} videoId - Swagit video ID
+ * @returns {Object|null} { videoId, meetingDate, meetingType, department,
+ *   boardMembers, votes } or null if the meeting hasn't been analyzed
+ */
+function getMeetingVotes(videoId) {
+  const analysis = readAnalysis(videoId);
+  if (!analysis) return null;
+
+  const meeting = getMeetingInfo(videoId);
+  return {
+    videoId: String(videoId),
+    meetingDate: meeting.date || analysis.metadata?.meetingDate || null,
+    meetingType: meeting.type || analysis.metadata?.meetingType || null,
+    department: meeting.departmentName || analysis.metadata?.department || null,
+    boardMembers: meeting.boardMembers,
+    votes: (analysis.analysis?.votes || []).map(vote => normalizeVote(vote, meeting.boardMembers))
+  };
+}
+
+/**
+ * Every analyzed meeting's votes, newest meeting first, one record per vote
+ * with its meeting's videoId, meetingDate, meetingType and department
+ */
+function listAllVotes() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+
+  return fs.readdirSync(DATA_DIR)
+    .map(file => /^(\d+)_analysis\.json$/.exec(file)?.[1])
+    .filter(Boolean)
+    .map(getMeetingVotes)
+    .filter(Boolean)
+    .flatMap(({ videoId, meetingDate, meetingType, department, votes }) =>
+      votes.map(vote => ({ videoId, meetingDate, meetingType, department, ...vote })))
+    .sort((a, b) => String(b.meetingDate || '').localeCompare(String(a.meetingDate || '')) ||
+      String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
+/**
+ * A board member's voting history across meetings
+ *
+ * @param {string} name - Member's name (matched by surname)
+ * @returns {Object} { member, votes: [{ videoId, meetingDate, meetingType, item,
+ *   motion, result, timestamp, vote, moved, seconded }], totals: { yes, no,
+ *   abstain, absent } }
+ */
+function getMemberVotingHistory(name) {
+  let member = name;
+  const votes = [];
+  for (const record of listAllVotes()) {
+    const entry = record.members.find(m => sameSurname(m.name, name));
+    if (!entry) continue;
+    member = entry.name;
+    votes.push({
+      videoId: record.videoId,
+      meetingDate: record.meetingDate,
+      meetingType: record.meetingType,
+      item: record.item,
+      motion: record.motion,
+      result: record.result,
+      timestamp: record.timestamp,
+      vote: entry.vote,
+      moved: sameSurname(record.mover, name),
+      seconded: sameSurname(record.seconder, name)
+    });
+  }
+
+  return {
+    member,
+    votes,
+    totals: Object.fromEntries(VOTE_CHOICES.map(choice => [choice, votes.filter(v => v.vote === choice).length]))
+  };
+}
+
+/**
+ * Votes across meetings on items matching a topic (every word of the topic
+ * must appear in the item or motion)
+ *
+ * @param {string} topic - e.g. "beach parking"
+ * @returns {Array<Object>} Vote records, newest meeting first
+ */
+function findVotesByTopic(topic) {
+  const terms = tokenize(topic);
+  if (terms.length === 0) return [];
+  return listAllVotes().filter(vote => {
+    const words = new Set(tokenize(`${vote.item} ${vote.motion || ''}`));
+    return terms.every(term => words.has(term));
+  });
+}
+
+export {
+  VOTE_CHOICES,
+  normalizeVote,
+  getMeetingVotes,
+  listAllVotes,
+  getMemberVotingHistory,
+  findVotesByTopic
+};
@@ -10,7 +10,7 @@ async function clearCrimeWatch() {
     // 1. Fetch all data
     const response = await sheets.spreadsheets.values.get({
         spreadsheetId,
-        range: `${SHEET_NAME}!A:J`
+        range: `${SHEET_NAME}!A:K`
     });
 
     const rows = response.data.values || [];
@@ -33,7 +33,7 @@ async function clearCrimeWatch() {
     // 3. Clear Sheet
     await sheets.spreadsheets.values.clear({
         spreadsheetId,
-        range: `${SHEET_NAME}!A:J`
+        range: `${SHEET_NAME}!A:K`
     });
 
     // 4. Write back filtered data
@@ -13,10 +13,10 @@ async function resetGoogleSheet() {
         const sheets = await initClient();
         const spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
 
-        // Clear everything after the header row (A2:J)
+        // Clear everything after the header row (A2:K)
         await sheets.spreadsheets.values.clear({
             spreadsheetId,
-            range: `${SHEET_NAME}!A2:J`,
+            range: `${SHEET_NAME}!A2:K`,
         });
 
         console.log('✅ Google Sheet cleared (headers preserved).');
@@ -73,6 +73,7 @@ async function main() {
     // 2. Delete Cached Files
     deleteFiles('data/crime', /\.json$/);
     deleteFiles('data/swagit', /\.json$/);
+    deleteFiles('data', /^articles\.json$/); // local article store
 
     // 3. Reset Agent Status
     resetAgentStatus();
@@ -16,6 +16,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getPuppeteerLaunchOptions } from './lib/chromium.js';
+import { emitWarning, emitResult } from '../lib/agent-events.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '..');
@@ -155,6 +156,8 @@ async function syncCalendar() {
 
         if (events.length === 0) {
             console.log('⚠️  No events found. Calendar may have changed structure.');
+            emitWarning('No calendar events found - the calendar page may have changed structure');
+            emitResult({ type: 'info', message: 'No calendar events found', counts: { events: 0 } });
             return;
         }
 
@@ -216,6 +219,14 @@ async function syncCalendar() {
         console.log(`   Skipped: ${skipped} (unknown type or bad date)`);
         console.log(`   Total in meetings.json: ${meetings.length}`);
 
+        emitResult({
+            type: added > 0 ? 'success' : 'info',
+            message: added > 0
+                ? `Added ${added} upcoming meeting${added !== 1 ? 's' : ''} from the town calendar`
+                : 'Calendar synced - no new meetings',
+            counts: { events: events.length, added, skipped }
+        });
+
     } catch (error) {
         console.error('❌ Calendar sync failed:', error.message);
         process.exit(1);
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { alignAgenda, findAgendaItem, formatAgenda } from '../lib/agenda.js';
+
+const loadTranscript = videoId => JSON.parse(fs.readFileSync(new URL(`../data/swagit/${videoId}_transcript.json`, import.meta.url), 'utf-8'));
+const meeting = loadTranscript('362440');
+
+// Items taken up at the December 2, 2025 council meeting, plus one that wasn't
+const ITEMS = [
+  { number: '1', title: 'Centennial Art and Poetry Contest winners', description: 'Presentation of student art and poetry contest awards' },
+  { number: '2', title: 'Anchored vessels update', description: 'Police department report on vessels anchored in town waters' },
+  { number: '3', title: 'Pickleball resurfacing', description: '' },
+  { number: '4.A', title: 'Advanced metering infrastructure contract', description: 'Replace water meters with an AMI system' },
+  { number: '5', title: 'General contracting services', description: 'Continuing contracts for general contractors' }
+];
+
+test('alignAgenda places each item where it was discussed', () => {
+  const aligned = alignAgenda(ITEMS, meeting);
+  const starts = aligned.map(item => item.timeRange?.startSeconds ?? null);
+  assert.deepEqual(starts, [112, 710, null, 3386, 5788]);
+  assert.deepEqual(aligned[3].timeRange, { start: '00:56:26', end: '01:14:51', startSeconds: 3386, endSeconds: 4491 });
+  // Item ranges don't run into the next item
+  assert.ok(aligned[0].timeRange.endSeconds < aligned[1].timeRange.startSeconds);
+});
+
+test('alignAgenda keeps items in agenda order', () => {
+  // Listed out of meeting order, the metering contract can't also come first
+  const aligned = alignAgenda([ITEMS[3], ITEMS[0], ITEMS[1]], meeting);
+  assert.deepEqual(aligned.map(item => item.timeRange?.startSeconds ?? null), [null, 112, 710]);
+});
+
+test('alignAgenda leaves items unplaced in an untimed transcript', () => {
+  const aligned = alignAgenda(ITEMS, loadTranscript('364781'));
+  assert.ok(aligned.every(item => item.timeRange === null));
+});
+
+test('findAgendaItem matches item numbers however they are written', () => {
+  const agenda = { items: ITEMS };
+  assert.equal(findAgendaItem(agenda, 'Item 4A'), ITEMS[3]);
+  assert.equal(findAgendaItem(agenda, '4.a'), ITEMS[3]);
+  assert.equal(findAgendaItem(agenda, '9'), null);
+  assert.equal(findAgendaItem(null, '1'), null);
+});
+
+test('formatAgenda lists the items discussed in part of the meeting', () => {
+  const agenda = { items: alignAgenda(ITEMS, meeting) };
+  assert.equal(formatAgenda(agenda, { within: { startSeconds: 3000, endSeconds: 4000 } }), [
+    'Item 3: Pickleball resurfacing',
+    'Item 4.A: Advanced metering infrastructure contract [00:56:26-01:14:51]'
+  ].join('\n'));
+  assert.equal(formatAgenda(agenda).split('\n').length, 5);
+  assert.equal(formatAgenda(null), '');
+});
@@ -0,0 +1,79 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { mergeAnalyses } from '../agents/town-meeting/analyze.js';
+import { getMeetingInfo } from '../lib/meeting-info.js';
+
+const { analysis } = JSON.parse(fs.readFileSync(new URL('../data/swagit/362440_analysis.json', import.meta.url), 'utf-8'));
+const meeting = getMeetingInfo('362440', { departmentId: 'town-council' });
+
+// Two overlapping chunks of the 362440 analysis: the second repeats what
+// was said in the overlap
+const [minutes, consent, resolution] = analysis.decisions;
+const [contest] = analysis.topics_debated;
+const [meters] = analysis.notable_quotes.filter(q => q.text.startsWith('The existing AMR system'));
+const chunks = [
+  {
+    decisions: [{ ...minutes, timestamp: '00:05:10' }, { ...consent, timestamp: '00:09:40' }],
+    topics_debated: [{ ...contest, key_points: contest.key_points.slice(0, 2) }],
+    notable_quotes: [{ ...meters, text: 'The existing AMR system has reached the end', speaker: null }],
+    votes: [{ item: 'Consent Agenda', result: 'passed', members: [{ name: 'Jim Kuretski', vote: 'yes' }] }],
+    action_items: analysis.action_items.slice(0, 1),
+    newsworthy_highlights: analysis.newsworthy_highlights.slice(0, 1),
+    meeting_summary: 'Opening business and consent agenda.'
+  },
+  {
+    decisions: [{ ...consent, timestamp: '00:09:45' }, resolution],
+    topics_debated: [{ ...contest, key_points: contest.key_points.slice(1) }],
+    notable_quotes: [meters],
+    votes: [{
+      item: 'consent agenda',
+      result: 'passed',
+      motion: 'Approve the consent agenda',
+      members: [{ name: 'Jim Kuretski', vote: 'yes' }, { name: 'Ronnie Doane', vote: 'yes' }]
+    }],
+    action_items: [],
+    newsworthy_highlights: [],
+    meeting_summary: 'Resolutions and staff presentations.'
+  }
+];
+
+test('mergeAnalyses returns a single chunk as it is', async () => {
+  assert.equal(await mergeAnalyses([chunks[0]], meeting, 'town-council'), chunks[0]);
+});
+
+test('mergeAnalyses reconciles items across chunks', async () => {
+  const merged = await mergeAnalyses(chunks, meeting, 'town-council');
+
+  // The mock reconciliation groups item 1 of each list and rewrites it
+  assert.equal(merged.meeting_summary, 'The Town Council approved new LED lighting for the Riverwalk and asked staff to study parking options at Jupiter Beach Park.');
+  assert.equal(merged.decisions.length, 3);
+  assert.equal(merged.decisions[0].topic, 'Riverwalk lighting contract');
+  assert.equal(merged.decisions[0].vote_count, '5-0');
+  assert.equal(merged.decisions[0].timestamp, '00:05:10');
+
+  // The decision both chunks reported from the overlap is one item with both times
+  assert.deepEqual(JSON.parse(JSON.stringify(merged.decisions[1])), { ...consent, timestamp: '00:09:40', timestamps: ['00:09:40', '00:09:45'] });
+  assert.deepEqual(merged.decisions[2], resolution);
+  assert.ok(Object.values(merged).flat().every(item => !Object.hasOwn(item, 'part')));
+
+  // Repeats are folded with every key point kept
+  assert.equal(merged.topics_debated.length, 1);
+  assert.equal(merged.topics_debated[0].title, 'Parking at Jupiter Beach Park');
+  assert.deepEqual(merged.topics_debated[0].key_points, contest.key_points);
+});
+
+test('mergeAnalyses keeps the full copy of a quote cut off at a chunk boundary', async () => {
+  const merged = await mergeAnalyses(chunks, meeting, 'town-council');
+  assert.equal(merged.notable_quotes.length, 1);
+  assert.equal(merged.notable_quotes[0].text, meters.text);
+  assert.equal(merged.notable_quotes[0].speaker, 'Amanda Barnes');
+});
+
+test('mergeAnalyses combines the roll call of a vote both chunks saw', async () => {
+  const merged = await mergeAnalyses(chunks, meeting, 'town-council');
+  assert.equal(merged.votes.length, 1);
+  assert.deepEqual(merged.votes[0].members.map(m => m.name), ['Jim Kuretski', 'Ronnie Doane']);
+  assert.equal(merged.votes[0].motion, 'Approve the consent agenda');
+});
@@ -0,0 +1,80 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { splitTranscript, mergeIdeas, generateIdeas } from '../agents/town-meeting/generate_ideas.js';
+
+const loadTranscript = videoId => JSON.parse(fs.readFileSync(new URL(`../data/swagit/${videoId}_transcript.json`, import.meta.url), 'utf-8'));
+
+test('splitTranscript keeps timed segments in order with their times', () => {
+  const parts = splitTranscript(loadTranscript('362440'));
+  assert.equal(parts.length, 3);
+  assert.equal(parts[0].startSeconds, 4.97);
+  assert.match(parts[0].text, /^\[00:00:04\] /);
+  for (const [i, part] of parts.entries()) {
+    assert.ok(part.text.length <= 50000);
+    assert.ok(part.startSeconds <= part.endSeconds);
+    if (i > 0) assert.ok(part.startSeconds > parts[i - 1].endSeconds);
+  }
+});
+
+test('splitTranscript leaves segments without a time untimed', () => {
+  const parts = splitTranscript(loadTranscript('363139'));
+  assert.equal(parts.length, 2);
+  for (const part of parts) {
+    assert.equal(part.startSeconds, null);
+    assert.equal(part.endSeconds, null);
+    assert.deepEqual(part.segmentStarts, []);
+    assert.doesNotMatch(part.text, /^\[\d\d:\d\d:\d\d\]/m);
+  }
+});
+
+test('generateIdeas merges the same idea found in every part', async () => {
+  // The mock returns the same two ideas for each of the three parts; the
+  // merge fixture groups them back into two
+  const result = await generateIdeas(loadTranscript('362440'), 'town-council');
+  assert.equal(result.parts, 3);
+  assert.equal(result.extracted, 6);
+  assert.equal(result.ideas.length, 2);
+
+  const [riverwalk, parking] = result.ideas;
+  assert.equal(riverwalk.title, 'Riverwalk Getting Brighter After Unanimous Council Vote');
+  assert.equal(riverwalk.id, '1');
+  assert.equal(parking.id, '2');
+  assert.deepEqual(riverwalk.angles.map(a => a.name), ['Community Impact', 'Fiscal Responsibility']);
+
+  // The span covers every part's copy: the first starts at its own time (snapped
+  // to a segment start), the others fall outside their parts and cover them whole
+  assert.ok(riverwalk.timeRange.startSeconds <= 750 && riverwalk.timeRange.startSeconds > 700);
+  assert.equal(riverwalk.timeRange.endSeconds, 7610);
+  assert.equal(riverwalk.videoUrl, `https://jupiterfl.new.swagit.com/videos/362440?ts=${riverwalk.timeRange.startSeconds}`);
+});
+
+test('generateIdeas gives untimed meetings no time ranges', async () => {
+  const result = await generateIdeas(loadTranscript('363139'), 'planning-zoning');
+  assert.equal(result.parts, 2);
+  for (const idea of result.ideas) {
+    assert.equal(idea.timeRange, null);
+    assert.equal(idea.videoUrl, 'https://jupiterfl.new.swagit.com/videos/363139');
+  }
+});
+
+test('mergeIdeas keeps ideas that are in no group', async () => {
+  const ideas = Array.from({ length: 7 }, (_, i) => ({
+    title: `Idea ${i + 1}`,
+    event: `Event ${i + 1}`,
+    summary: '',
+    angles: [{ name: `Angle ${i % 2}`, description: '', prompt_hint: '' }],
+    newsworthiness: i + 1,
+    agendaItem: i === 2 ? { number: '5.A', title: 'Riverwalk lighting' } : null,
+    timeRange: { start: '', end: '', startSeconds: 100 * (i + 1), endSeconds: 100 * (i + 1) + 50 }
+  }));
+  const merged = await mergeIdeas(ideas, 'town-council');
+
+  assert.equal(merged.length, 3);
+  assert.deepEqual(merged[0].agendaItem, { number: '5.A', title: 'Riverwalk lighting' });
+  assert.equal(merged[0].newsworthiness, 7);
+  assert.deepEqual(merged[0].timeRange, { start: '00:01:40', end: '00:09:10', startSeconds: 100, endSeconds: 550 });
+  assert.equal(merged[0].angles.length, 1);
+  assert.equal(merged[2], ideas[6]);
+});
@@ -0,0 +1,43 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STAGE_STATUS, startPipeline, runStage, getMeetingPipeline, getResumeStage } from '../lib/meeting-pipeline.js';
+
+test('runStage on an untracked meeting leaves its other stages skipped', async () => {
+  // Ideas regenerated for a meeting processed before the pipeline was recorded
+  await runStage('362440', 'ideas', async () => 'ok');
+
+  const pipeline = getMeetingPipeline('362440');
+  assert.equal(pipeline.status, 'completed');
+  assert.equal(pipeline.stages.ideas.status, STAGE_STATUS.SUCCEEDED);
+  assert.equal(pipeline.stages.download.status, STAGE_STATUS.SKIPPED);
+  assert.equal(pipeline.stages.analyze.status, STAGE_STATUS.SKIPPED);
+  assert.equal(getResumeStage('362440'), null);
+});
+
+test('runStage on an untracked meeting records a failure to resume from', async () => {
+  await assert.rejects(runStage('363139', 'agenda', async () => {
+    throw new Error('No agenda posted');
+  }), /No agenda posted/);
+
+  const pipeline = getMeetingPipeline('363139');
+  assert.equal(pipeline.stage, 'agenda');
+  assert.equal(pipeline.status, STAGE_STATUS.FAILED);
+  assert.equal(pipeline.error, 'No agenda posted');
+  assert.equal(getResumeStage('363139'), 'agenda');
+});
+
+test('a tracked meeting keeps its pending stages when one stage runs', async () => {
+  startPipeline('364781');
+  await runStage('364781', 'download', async () => 'ok');
+
+  const pipeline = getMeetingPipeline('364781');
+  assert.equal(pipeline.stage, 'transcribe');
+  assert.equal(pipeline.status, STAGE_STATUS.PENDING);
+  assert.equal(getResumeStage('364781'), 'transcribe');
+});
+
+test('getResumeStage starts a meeting never seen from the download', () => {
+  assert.equal(getResumeStage('999999'), 'download');
+  assert.equal(getMeetingPipeline('999999'), null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractQuotes, verifyQuotes, verifyArticleQuotes } from '../lib/quote-verification.js';
+
+const loadTranscript = videoId => JSON.parse(fs.readFileSync(new URL(`../data/swagit/${videoId}_transcript.json`, import.meta.url), 'utf-8'));
+const meeting = loadTranscript('362440');
+
+test('extractQuotes finds straight and curly quotes long enough to be speech', () => {
+  const text = 'The mayor called it "a very good day" and said, “We will keep the Riverwalk lit at night.” Staff called it "routine."';
+  assert.deepEqual(extractQuotes(text), ['a very good day', 'We will keep the Riverwalk lit at night.']);
+});
+
+test('verifyQuotes matches a quote said word for word, across segments', () => {
+  const [result] = verifyQuotes(['The AMI system in the contract before you offers the best warranty in the industry, guaranteeing metering accuracy for 20 years.'], meeting);
+  assert.equal(result.status, 'verified');
+  assert.equal(result.score, 1);
+  assert.equal(result.timestamp, '01:08:37');
+  assert.equal(result.startSeconds, 4117);
+  assert.match(result.transcriptText, /^The AMI system .* guaranteeing metering accuracy for 20 years\.$/);
+});
+
+test('verifyQuotes tolerates dropped filler and slips but not paraphrase', () => {
+  const [trimmed, reworded, invented] = verifyQuotes([
+    // "at or very near to" trimmed to "near"
+    'Those meters are approaching near their 20-year useful life.',
+    'The old AMR system has hit the end of its useful life after 20 years.',
+    'The water meters will pay for themselves within three years.'
+  ], meeting);
+
+  assert.equal(trimmed.status, 'verified');
+  assert.equal(trimmed.startSeconds, 3275);
+  assert.equal(reworded.status, 'partial');
+  assert.equal(invented.status, 'unverified');
+  assert.equal(invented.startSeconds, null);
+  assert.equal(invented.transcriptText, null);
+});
+
+test('verifyQuotes picks the spot that matches best among repeated phrases', () => {
+  // "useful life" comes up again and again; the quote belongs to the AMR remark
+  const [result] = verifyQuotes(['The existing AMR system has reached the end of its 20-year useful life.'], meeting);
+  assert.equal(result.startSeconds, 3414);
+});
+
+test('verifyQuotes matches all-caps captions and leaves untimed matches without a time', () => {
+  const [result] = verifyQuotes(['included in the fiscal year CIP budget plan that we adopted a mere three months ago'], loadTranscript('364781'));
+  assert.equal(result.status, 'verified');
+  assert.equal(result.timestamp, null);
+  assert.equal(result.startSeconds, null);
+});
+
+test('verifyArticleQuotes counts each distinct quote once', () => {
+  const quote = 'The existing AMR system has reached the end of its 20-year useful life.';
+  const check = verifyArticleQuotes({
+    headline: 'Jupiter Replaces Its Water Meters',
+    summary: `Staff said "${quote}"`,
+    body: `Utilities staff told the council "${quote}" Another said "the meters will pay for themselves within three years."`
+  }, meeting);
+  assert.equal(check.quotes.length, 2);
+  assert.equal(check.verified, 1);
+  assert.equal(check.partial, 0);
+  assert.equal(check.unverified, 1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRun } from '../lib/scheduler.js';
+
+test('parseCron expands ranges, steps and lists', () => {
+  const schedule = parseCron('*/15 7-9 1,15 * 1-5');
+  assert.deepEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...schedule.hours], [7, 8, 9]);
+  assert.deepEqual([...schedule.daysOfMonth], [1, 15]);
+  assert.equal(schedule.months.size, 12);
+  assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(schedule.anyDayOfMonth, false);
+  assert.equal(schedule.anyDayOfWeek, false);
+});
+
+test('parseCron treats day-of-week 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 7 * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('0 5-3 * * *'), /Invalid hour field/);
+  assert.throws(() => parseCron('0 0 * * mon'), /Invalid day of week field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute field/);
+});
+
+test('getNextRun finds the next matching minute, strictly after the start', () => {
+  const from = new Date(2025, 11, 2, 7, 0, 30);
+  assert.deepEqual(getNextRun('0 7 * * *', from), new Date(2025, 11, 3, 7, 0));
+  assert.deepEqual(getNextRun('*/15 * * * *', from), new Date(2025, 11, 2, 7, 15));
+});
+
+test('getNextRun skips to weekdays', () => {
+  // Saturday, December 6, 2025
+  const from = new Date(2025, 11, 6, 12, 0);
+  assert.deepEqual(getNextRun('30 6 * * 1-5', from), new Date(2025, 11, 8, 6, 30));
+});
+
+test('getNextRun matches either day field when both are restricted', () => {
+  // The 15th or any Monday, whichever comes first after Tuesday, December 2, 2025
+  const from = new Date(2025, 11, 2, 12, 0);
+  assert.deepEqual(getNextRun('0 9 15 * 1', from), new Date(2025, 11, 8, 9, 0));
+});
+
+test('getNextRun returns null for a schedule that never fires', () => {
+  assert.equal(getNextRun('0 0 30 2 *', new Date(2025, 0, 1)), null);
+});
@@ -0,0 +1,21 @@
+/**
+ * Test setup: import first in any test that reaches the LLM, prompts, budgets,
+ * cost ledger or meeting pipeline. Calls go to the mock provider
+ * (fixtures/llm) and every file those modules would write lives in a
+ * temporary directory.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localnews-test-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.AGENT_JOB_ID;
+delete process.env.AGENT_EVENTS_FD;
+process.env.COST_LEDGER_FILE = path.join(dir, 'cost_ledger.ndjson');
+process.env.BUDGETS_FILE = path.join(dir, 'budgets.json');
+process.env.PROMPTS_FILE = path.join(dir, 'prompts.json');
+process.env.MEETING_PIPELINE_FILE = path.join(dir, 'meeting_pipeline.json');
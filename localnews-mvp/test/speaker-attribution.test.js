@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { resolveSpeaker, attributeSpeakers, setTurnSpeaker, speakerText } from '../lib/speaker-attribution.js';
+import { getMeetingInfo } from '../lib/meeting-info.js';
+
+const loadTranscript = videoId => JSON.parse(fs.readFileSync(new URL(`../data/swagit/${videoId}_transcript.json`, import.meta.url), 'utf-8'));
+const roster = getMeetingInfo('362440', { departmentId: 'town-council' }).boardMembers;
+
+test('resolveSpeaker matches roster surnames, allowing transcription slips', () => {
+  assert.equal(resolveSpeaker('Mayor', 'Kuretsky', roster), 'Jim Kuretski');
+  assert.equal(resolveSpeaker('Mayor', 'Kritski', roster), 'Jim Kuretski');
+  assert.equal(resolveSpeaker('', 'Cameron May', roster), 'Cameron May');
+  assert.equal(resolveSpeaker('Councilwoman', 'Sundstrom', roster), 'Malise Sundstrom');
+});
+
+test('resolveSpeaker names a bare title only when one member holds it', () => {
+  assert.equal(resolveSpeaker('Vice Mayor', '', roster), 'Ronnie Doane');
+  assert.equal(resolveSpeaker('Council Member', '', roster), null);
+  // "Mayor, and..." catches a word that isn't a name
+  assert.equal(resolveSpeaker('Mayor', 'And', roster), 'Jim Kuretski');
+});
+
+test('resolveSpeaker does not invent speakers from misheard names', () => {
+  // Only Ronnie Doane is vice mayor
+  assert.equal(resolveSpeaker('Vice Mayor', 'Delaney', roster), null);
+  // Said once in the meeting: more likely caption noise than a name
+  assert.equal(resolveSpeaker('Town Manager', 'Kittzio', roster, { repeatedWords: new Set(['reynolds']) }), null);
+  assert.equal(resolveSpeaker('Mr.', 'Reynolds', roster, { repeatedWords: new Set(['reynolds']) }), 'Mr. Reynolds');
+  assert.equal(resolveSpeaker('Town Attorney', 'Baird', roster), 'Town Attorney Baird');
+});
+
+test('attributeSpeakers labels roll calls and leaves unknown names unlabeled', () => {
+  const { segments, turns, labeledTurns, speakers } = attributeSpeakers(loadTranscript('364781').segments, roster);
+  assert.equal(turns, 228);
+  assert.ok(labeledTurns > 0 && labeledTurns < turns);
+
+  // "MAYOR KRITSKI." then ">> HERE."
+  assert.equal(segments[22].speaker, 'Jim Kuretski');
+  assert.equal(segments[22].speakerSource, 'called');
+  // "VICE MAYOR DELANEY?" and "TOWN MANAGER KITTZIO?" name nobody on the roster
+  assert.equal(segments[24].speaker, null);
+  assert.equal(segments[32].speaker, null);
+  assert.ok(!Object.keys(speakers).some(name => /Delaney|Kittzio/.test(name)));
+});
+
+test('attributeSpeakers labels the turn a thank-you answers', () => {
+  const { segments } = attributeSpeakers(loadTranscript('362440').segments, roster);
+  // ">> Thank you. Councilor Choy?" calls on the next turn, which thanks the mayor
+  assert.equal(segments[1808].speaker, 'Jim Kuretski');
+  assert.equal(segments[1808].speakerSource, 'called');
+  assert.equal(segments[1809].speaker, 'Councilor Choy');
+  assert.equal(segments[481].speakerSource, 'thanked');
+});
+
+test('attributeSpeakers keeps editor corrections on a re-run', () => {
+  const transcript = loadTranscript('364781');
+  setTurnSpeaker(transcript.segments, 24, 24, 'Ronnie Doane');
+  const { segments } = attributeSpeakers(transcript.segments, roster);
+  assert.equal(segments[24].speaker, 'Ronnie Doane');
+  assert.equal(segments[24].speakerSource, 'editor');
+  assert.equal(speakerText(segments[24], segments[23]), '>> Ronnie Doane: HERE.');
+});
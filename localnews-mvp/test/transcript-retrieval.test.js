@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { tokenize, buildPassages, scorePassages, retrievePassages } from '../lib/transcript-retrieval.js';
+
+const loadTranscript = videoId => JSON.parse(fs.readFileSync(new URL(`../data/swagit/${videoId}_transcript.json`, import.meta.url), 'utf-8'));
+const meeting = loadTranscript('362440');
+
+const WATER_METERS = { title: 'Jupiter Invests in Advanced Water Metering Technology', event: 'Council approved new water meters' };
+
+test('tokenize drops stopwords and possessives and stems suffixes', () => {
+  assert.deepEqual(tokenize("The Council's approved approving meetings"), ['council', 'approv', 'approv', 'meeting']);
+});
+
+test('buildPassages groups whole segments with their time range', () => {
+  const passages = buildPassages(meeting);
+  assert.equal(passages.length, 84);
+  assert.equal(passages[0].startSeconds, 4.97);
+  assert.match(passages[0].lines[0], /^\[00:00:04\] /);
+  assert.equal(passages.reduce((n, p) => n + p.lines.length, 0), meeting.segments.length);
+});
+
+test('buildPassages leaves untimed transcripts without times or prefixes', () => {
+  const passages = buildPassages(loadTranscript('364781'));
+  assert.ok(passages.every(p => p.startSeconds === null && p.endSeconds === null));
+  assert.ok(passages.every(p => p.lines.every(line => !/^\[\d\d:\d\d:\d\d\]/.test(line))));
+});
+
+test('scorePassages ranks the passages where a topic is discussed first', () => {
+  const passages = buildPassages(meeting);
+  const rank = terms => scorePassages(passages, tokenize(terms))
+    .map((score, i) => ({ score, passage: passages[i] }))
+    .sort((a, b) => b.score - a.score);
+
+  // Water meters come up around the 56-minute mark, anchored vessels in the first half hour
+  const meters = rank('water meters AMI metering');
+  assert.equal(Math.floor(meters[0].passage.startSeconds), 3386);
+  assert.ok(meters.slice(0, 3).every(({ passage }) => passage.startSeconds > 3300 && passage.endSeconds < 4200));
+  const vessels = rank('anchored vessels');
+  assert.ok(vessels.slice(0, 3).every(({ passage }) => passage.endSeconds < 1800));
+
+  assert.equal(rank('zzzunheardof')[0].score, 0);
+});
+
+test('retrievePassages keeps the best passages within budget, in meeting order', () => {
+  const result = retrievePassages(meeting, WATER_METERS, null, { maxChars: 4000 });
+  assert.equal(result.totalPassages, 84);
+  assert.ok(result.text.length <= 4000);
+  assert.ok(result.passages.length > 1);
+  const starts = result.passages.map(p => p.startSeconds);
+  assert.deepEqual(starts, [...starts].sort((a, b) => a - b));
+  assert.ok(starts.includes(3386));
+  assert.ok(result.text.includes('[...]'));
+});
+
+test('retrievePassages favors passages in the idea time range', () => {
+  const timeRange = { startSeconds: 6000, endSeconds: 6100 };
+  const result = retrievePassages(meeting, { ...WATER_METERS, timeRange }, null, { maxChars: 4000 });
+  assert.ok(result.passages.some(p => p.endSeconds >= 6000 && p.startSeconds <= 6100));
+});
+
+test('retrievePassages returns short meetings whole', () => {
+  const result = retrievePassages(meeting, WATER_METERS, null, { maxChars: 1000000 });
+  assert.equal(result.passages.length, 84);
+  assert.ok(!result.text.includes('[...]'));
+});
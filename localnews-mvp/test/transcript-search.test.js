@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTranscript, parseQuery, searchTranscripts } from '../lib/transcript-search.js';
+
+// Searches the three meetings in data/swagit: town council on December 2 and
+// 16, 2025 (362440, 364781) and planning and zoning on December 9 (363139)
+
+test('parseQuery splits words and quoted phrases into stemmed terms', () => {
+  assert.deepEqual(parseQuery('water “useful life” meters Water the'), [
+    { label: '"useful life"', terms: ['useful', 'life'] },
+    { label: 'water', terms: ['water'] },
+    { label: 'meters', terms: ['meter'] }
+  ]);
+  assert.deepEqual(parseQuery('the and'), []);
+});
+
+test('searchTranscripts matches a quoted phrase only where its words are adjacent', () => {
+  const phrase = searchTranscripts('"useful life"', { limit: 100 });
+  assert.equal(phrase.total, 5);
+  assert.equal(phrase.meetingsMatched, 1);
+  assert.deepEqual(phrase.results.map(r => r.startSeconds), [3106, 3275, 3414, 4780, 5535]);
+  for (const result of phrase.results) {
+    assert.match(result.text, /useful life/i);
+    assert.deepEqual(result.highlights.map(([start, end]) => result.text.slice(start, end).toLowerCase()), ['useful', 'life']);
+  }
+
+  assert.equal(searchTranscripts('"life useful"').total, 0);
+  assert.equal(searchTranscripts('life useful').total, 5);
+});
+
+test('searchTranscripts links each result to its moment in the video', () => {
+  const [result] = searchTranscripts('"existing AMR system"').results;
+  assert.equal(result.videoId, '362440');
+  assert.equal(result.timestamp, '00:56:54');
+  assert.equal(result.videoUrl, 'https://jupiterfl.new.swagit.com/videos/362440?ts=3414');
+  assert.equal(result.meetingDate, '2025-12-02');
+  assert.ok(result.before.length > 0 && result.after.length > 0);
+});
+
+test('searchTranscripts gives untimed meetings the whole video', () => {
+  const { results } = searchTranscripts('"site plan"', { departmentId: 'planning-zoning' });
+  assert.ok(results.length > 0);
+  for (const result of results) {
+    assert.equal(result.videoId, '363139');
+    assert.equal(result.timestamp, null);
+    assert.equal(result.videoUrl, 'https://jupiterfl.new.swagit.com/videos/363139');
+  }
+});
+
+test('searchTranscripts filters by department and date', () => {
+  assert.equal(searchTranscripts('budget', { departmentId: 'planning-zoning' }).meetingsSearched, 1);
+  const after = searchTranscripts('budget', { from: '2025-12-10', limit: 100 });
+  assert.equal(after.meetingsSearched, 1);
+  assert.ok(after.results.every(r => r.videoId === '364781'));
+  assert.equal(searchTranscripts('budget', { to: '2025-12-01' }).meetingsSearched, 0);
+});
+
+test('searchTranscripts sorts and pages results', () => {
+  const byDate = searchTranscripts('budget', { sort: 'date', limit: 100 });
+  const dates = byDate.results.map(r => r.meetingDate);
+  assert.deepEqual(dates, [...dates].sort().reverse());
+
+  const all = searchTranscripts('budget', { limit: 100 });
+  const scores = all.results.map(r => r.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+
+  const page = searchTranscripts('budget', { limit: 5, offset: 5 });
+  assert.equal(page.total, all.total);
+  assert.deepEqual(page.results, all.results.slice(5, 10));
+});
+
+test('searchTranscripts keeps one result for a chain of nearby matches', () => {
+  // Matches four segments apart run on from each other, well past the first
+  // one, and a match further off starts a new result
+  const mentions = { 10: 'Pickleball courts and more pickleball.', 14: 'The pickleball lights.', 18: 'Pickleball parking.', 22: 'Pickleball noise.', 40: 'Pickleball again.' };
+  const segments = Array.from({ length: 50 }, (_, i) => ({ startSeconds: i * 30, text: mentions[i] || `Item ${i} of the agenda.` }));
+  addTranscript({ videoId: '900001', segments });
+
+  const { results } = searchTranscripts('pickleball', { limit: 100 });
+  assert.deepEqual(results.map(r => [r.videoId, r.startSeconds]), [['900001', 300], ['900001', 1200]]);
+});